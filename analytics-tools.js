@@ -0,0 +1,447 @@
+// Analytics queries shared by the chat templates and the tool-calling agent.
+// TOOLS describes each query to the model (OpenAI function-calling format);
+// runTool executes one call with the arguments the model chose. Every query
+// takes scope: the university ids the asking user may see (null for all).
+const { get, all } = require('./db-utils');
+const { costPerUseReport } = require('./cost-per-use');
+const { renewalRiskReport } = require('./renewal-risk');
+const { universityCondition } = require('./university-resolver');
+
+const MAX_ROWS = 50;
+
+const rowLimit = (limit, fallback) => Math.min(parseInt(limit, 10) || fallback, MAX_ROWS);
+
+// Engagement per university and journal, as WITH tables: browsing (browsing
+// history) and usage (COUNTER requests and investigations in the 12 months up
+// to each university's latest month, as cost-per-use.js counts them: TR_J1
+// when a university has it for a journal, else TR_J3, whose investigations
+// TR_J1 lacks), and engaged, the pairs with either.
+const ENGAGEMENT_TABLES = `
+    browsing AS (
+        SELECT
+            university_id,
+            journal_id,
+            COUNT(*) as sessions,
+            SUM(view_count) as views,
+            SUM(session_duration) as duration,
+            SUM(pages_viewed) as pages,
+            SUM(downloaded_samples) as downloads,
+            SUM(requested_trial) as trials,
+            MIN(view_date) as first_view,
+            MAX(view_date) as last_view
+        FROM browsing_history
+        GROUP BY university_id, journal_id
+    ),
+    latest_usage AS (
+        SELECT university_id, MAX(month) as month
+        FROM counter_usage
+        WHERE journal_id IS NOT NULL
+        GROUP BY university_id
+    ),
+    usage_by_report AS (
+        SELECT
+            cu.university_id,
+            cu.journal_id,
+            cu.report_id,
+            SUM(cu.total_item_requests) as total_item_requests,
+            SUM(cu.unique_item_requests) as unique_item_requests,
+            SUM(cu.unique_title_investigations) as unique_title_investigations,
+            COUNT(DISTINCT cu.month) as months,
+            MIN(cu.month) as first_month,
+            MAX(cu.month) as last_month
+        FROM counter_usage cu
+        JOIN latest_usage ON latest_usage.university_id = cu.university_id
+        WHERE cu.journal_id IS NOT NULL
+          AND cu.report_id IN ('TR_J1', 'TR_J3')
+          AND cu.month > substr(date(latest_usage.month || '-01', '-12 months'), 1, 7)
+        GROUP BY cu.university_id, cu.journal_id, cu.report_id
+    ),
+    usage AS (
+        SELECT
+            university_id,
+            journal_id,
+            COALESCE(MAX(CASE WHEN report_id = 'TR_J1' THEN total_item_requests END), MAX(total_item_requests)) as total_item_requests,
+            COALESCE(MAX(CASE WHEN report_id = 'TR_J1' THEN unique_item_requests END), MAX(unique_item_requests)) as unique_item_requests,
+            MAX(unique_title_investigations) as unique_title_investigations,
+            MAX(months) as months,
+            MIN(first_month) as first_month,
+            MAX(last_month) as last_month
+        FROM usage_by_report
+        GROUP BY university_id, journal_id
+    ),
+    engaged AS (
+        SELECT university_id, journal_id FROM browsing
+        UNION
+        SELECT university_id, journal_id FROM usage
+    ),
+    subscribed AS (
+        SELECT university_id, journal_id, MAX(annual_cost) as annual_cost, MIN(start_date) as start_date, MAX(end_date) as end_date
+        FROM subscriptions
+        WHERE status = 'active'
+        GROUP BY university_id, journal_id
+    )`;
+
+// A lead's interest in a journal: browsing sessions plus COUNTER investigations
+const leadInterest = row => (row.browsing_sessions || 0) + (row.investigations || 0);
+
+// Joins the engagement tables onto engaged e
+const ENGAGEMENT_JOINS = `
+    JOIN journals j ON e.journal_id = j.id
+    JOIN universities u ON e.university_id = u.id
+    LEFT JOIN browsing b ON b.university_id = e.university_id AND b.journal_id = e.journal_id
+    LEFT JOIN usage us ON us.university_id = e.university_id AND us.journal_id = e.journal_id
+    LEFT JOIN subscribed s ON s.university_id = e.university_id AND s.journal_id = e.journal_id`;
+
+// Active subscriptions, most expensive first (subscriptionSections)
+async function subscriptionsForUniversity(db, { university, limit = 10, scope = null } = {}) {
+    const condition = await universityCondition(db, university, 'u', scope);
+
+    return all(db, `
+        SELECT
+            u.name as university,
+            j.title as journal,
+            j.subject_area,
+            s.annual_cost,
+            s.start_date,
+            s.end_date
+        FROM subscriptions s
+        JOIN universities u ON s.university_id = u.id
+        JOIN journals j ON s.journal_id = j.id
+        WHERE s.status = 'active' ${condition.clause}
+        ORDER BY s.annual_cost DESC
+        LIMIT ?
+    `, [...condition.params, rowLimit(limit, 10)]);
+}
+
+// Journals by browsing sessions and COUNTER investigations (browsingSections).
+// With a university, only its engagement counts and "subscribed" means
+// subscribed by that university.
+async function browsingByJournal(db, { university, unsubscribedOnly = false, limit = 10, scope = null } = {}) {
+    const condition = await universityCondition(db, university, 'u', scope);
+
+    return all(db, `
+        WITH ${ENGAGEMENT_TABLES}
+        SELECT *
+        FROM (
+            SELECT
+                j.title,
+                j.subject_area,
+                COALESCE(SUM(b.sessions), 0) as browse_sessions,
+                COALESCE(SUM(b.trials), 0) as trial_requests,
+                COALESCE(SUM(us.unique_item_requests), 0) as unique_item_requests,
+                COALESCE(SUM(us.unique_title_investigations), 0) as investigations,
+                CASE WHEN EXISTS (
+                    SELECT 1 FROM subscriptions s
+                    JOIN universities u ON s.university_id = u.id
+                    WHERE s.journal_id = j.id AND s.status = 'active' ${condition.clause}
+                ) THEN 'Subscribed' ELSE 'Not Subscribed' END as status
+            FROM engaged e
+            ${ENGAGEMENT_JOINS}
+            WHERE 1 = 1 ${condition.clause}
+            GROUP BY j.id
+        )
+        ${unsubscribedOnly ? "WHERE status = 'Not Subscribed'" : ''}
+        ORDER BY browse_sessions DESC, investigations DESC, unique_item_requests DESC
+        LIMIT ?
+    `, [...condition.params, ...condition.params, rowLimit(limit, 10)]);
+}
+
+// Per journal and engaged university: that university's subscription,
+// browsing, trial requests and COUNTER usage (salesStatisticsSections)
+async function salesPipeline(db, { university, scope = null } = {}) {
+    const condition = await universityCondition(db, university, 'u', scope);
+
+    return all(db, `
+        WITH ${ENGAGEMENT_TABLES}
+        SELECT
+            j.title,
+            j.subject_area,
+            j.publisher,
+            u.name as university,
+            u.country,
+            s.annual_cost,
+            s.start_date,
+            s.end_date,
+            COALESCE(b.sessions, 0) as browsing_sessions,
+            b.views as total_views,
+            b.duration * 1.0 / b.sessions as avg_session_duration,
+            b.pages as total_pages,
+            b.trials as trial_requests,
+            COALESCE(us.total_item_requests, 0) as total_item_requests,
+            COALESCE(us.unique_item_requests, 0) as unique_item_requests,
+            COALESCE(us.unique_title_investigations, 0) as investigations,
+            CASE WHEN s.journal_id IS NOT NULL THEN 1 ELSE 0 END as is_subscribed,
+            MIN(COALESCE(DATE(b.first_view), us.first_month || '-01'), COALESCE(us.first_month || '-01', DATE(b.first_view))) as first_interaction,
+            MAX(COALESCE(DATE(b.last_view), us.last_month || '-01'), COALESCE(us.last_month || '-01', DATE(b.last_view))) as last_interaction
+        FROM engaged e
+        ${ENGAGEMENT_JOINS}
+        WHERE 1 = 1 ${condition.clause}
+        ORDER BY browsing_sessions DESC, investigations DESC
+    `, condition.params);
+}
+
+// Per journal: browsing, trial requests, COUNTER usage and subscription
+// (researchStatisticsSections). Engagement counts against the engaged
+// university's own subscription, so with a university or a scope only its own
+// engagement and subscriptions count.
+async function researchEngagement(db, { university, scope = null } = {}) {
+    const condition = await universityCondition(db, university, 'u', scope);
+
+    return all(db, `
+        WITH ${ENGAGEMENT_TABLES}
+        SELECT
+            j.title,
+            j.subject_area,
+            j.publisher,
+            j.keywords,
+            u.name as university,
+            u.country,
+            MAX(s.annual_cost) as annual_cost,
+            COALESCE(SUM(b.sessions), 0) as browsing_sessions,
+            SUM(b.duration) * 1.0 / SUM(b.sessions) as avg_session_duration,
+            SUM(b.pages) as total_pages_viewed,
+            SUM(b.downloads) as total_downloads,
+            SUM(b.trials) as trial_requests,
+            SUM(b.views) * 1.0 / SUM(b.sessions) as avg_views_per_session,
+            COALESCE(SUM(us.total_item_requests), 0) as total_item_requests,
+            COALESCE(SUM(us.unique_item_requests), 0) as unique_item_requests,
+            COALESCE(SUM(us.unique_title_investigations), 0) as investigations,
+            MAX(CASE WHEN s.journal_id IS NOT NULL THEN 1 ELSE 0 END) as is_subscribed
+        FROM engaged e
+        ${ENGAGEMENT_JOINS}
+        WHERE 1 = 1 ${condition.clause}
+        GROUP BY j.id
+        ORDER BY unique_item_requests DESC, browsing_sessions DESC
+    `, condition.params);
+}
+
+// COUNTER totals over each university's latest 12 months (/api/dashboard)
+async function usageSummary(db, { university, scope = null } = {}) {
+    const condition = await universityCondition(db, university, 'u', scope);
+
+    return get(db, `
+        WITH ${ENGAGEMENT_TABLES}
+        SELECT
+            COALESCE(SUM(us.total_item_requests), 0) as total_item_requests,
+            COALESCE(SUM(us.unique_item_requests), 0) as unique_item_requests,
+            COALESCE(SUM(us.unique_title_investigations), 0) as unique_title_investigations,
+            COUNT(DISTINCT us.journal_id) as journals
+        FROM usage us
+        JOIN universities u ON us.university_id = u.id
+        WHERE 1 = 1 ${condition.clause}
+    `, condition.params);
+}
+
+// Monthly COUNTER totals (/api/analytics/usage), optionally for one journal,
+// over the months up to each university's latest month. Journal usage is
+// counted once, as ENGAGEMENT_TABLES counts it: TR_J1 where a title has it for
+// the month, else TR_J3, with TR_J3's investigations. Book usage (TR_B1) only
+// when report asks for it.
+async function usageTimeseries(db, { university, journal, months = 12, report, scope = null } = {}) {
+    const condition = await universityCondition(db, university, 'u', scope);
+    const reports = report ? [report] : ['TR_J1', 'TR_J3'];
+    const reportClause = `report_id IN (${reports.map(() => '?').join(', ')})`;
+    let whereClause = `WHERE cu.${reportClause}
+          AND cu.month > substr(date(latest.month || '-01', '-' || ? || ' months'), 1, 7)
+          ${condition.clause}`;
+    const params = [...reports, ...reports, parseInt(months, 10) || 12, ...condition.params];
+
+    if (journal) {
+        whereClause += ' AND cu.title LIKE ?';
+        params.push(`%${journal}%`);
+    }
+
+    return all(db, `
+        WITH latest AS (
+            SELECT university_id, MAX(month) as month
+            FROM counter_usage
+            WHERE ${reportClause}
+            GROUP BY university_id
+        ),
+        item_months AS (
+            SELECT
+                cu.month,
+                cu.university_id,
+                COALESCE('journal:' || cu.journal_id, 'item:' || cu.item_key) as item,
+                COALESCE(MAX(CASE WHEN cu.report_id = 'TR_J1' THEN cu.total_item_requests END), MAX(cu.total_item_requests)) as total_item_requests,
+                COALESCE(MAX(CASE WHEN cu.report_id = 'TR_J1' THEN cu.unique_item_requests END), MAX(cu.unique_item_requests)) as unique_item_requests,
+                MAX(cu.unique_title_investigations) as unique_title_investigations
+            FROM counter_usage cu
+            JOIN latest ON latest.university_id = cu.university_id
+            JOIN universities u ON cu.university_id = u.id
+            ${whereClause}
+            GROUP BY cu.month, cu.university_id, item
+        )
+        SELECT
+            month,
+            SUM(total_item_requests) as total_item_requests,
+            SUM(unique_item_requests) as unique_item_requests,
+            SUM(unique_title_investigations) as unique_title_investigations,
+            COUNT(DISTINCT university_id || ':' || item) as titles
+        FROM item_months
+        GROUP BY month
+        ORDER BY month
+    `, params);
+}
+
+const universityParameter = { type: 'string', description: 'University name, acronym or other known name, e.g. "Mahidol" or "NUS"' };
+const limitParameter = { type: 'integer', description: `Maximum rows to return (up to ${MAX_ROWS})` };
+
+const TOOLS = {
+    subscriptions_for_university: {
+        description: 'Active journal subscriptions with annual cost and term dates, most expensive first.',
+        parameters: {
+            type: 'object',
+            properties: { university: universityParameter, limit: limitParameter },
+            required: ['university']
+        },
+        async handler(db, args) {
+            const rows = await subscriptionsForUniversity(db, args);
+            return {
+                count: rows.length,
+                total_annual_cost: rows.reduce((sum, row) => sum + (row.annual_cost || 0), 0),
+                subscriptions: rows
+            };
+        }
+    },
+
+    top_browsed_unsubscribed: {
+        description: 'Journals with the most browsing sessions and COUNTER investigations that are not subscribed (by the given university, or by anyone), with trial requests. These are sales leads.',
+        parameters: {
+            type: 'object',
+            properties: { university: universityParameter, limit: limitParameter }
+        },
+        handler: (db, args) => browsingByJournal(db, { ...args, unsubscribedOnly: true })
+    },
+
+    sales_pipeline: {
+        description: 'Revenue and lead summary: subscribed titles and revenue, unsubscribed titles with browsing or COUNTER investigations (leads), hot leads with trial requests, and the top opportunities.',
+        parameters: {
+            type: 'object',
+            properties: { university: universityParameter }
+        },
+        async handler(db, args) {
+            const rows = await salesPipeline(db, args);
+            const subscribed = rows.filter(row => row.is_subscribed);
+            const leads = rows.filter(row => !row.is_subscribed);
+            return {
+                subscribed_titles: subscribed.length,
+                annual_revenue: subscribed.reduce((sum, row) => sum + (row.annual_cost || 0), 0),
+                leads: leads.length,
+                qualified_leads: leads.filter(row => leadInterest(row) > 5).length,
+                hot_leads: leads.filter(row => (row.trial_requests || 0) > 0).length,
+                top_opportunities: leads
+                    .sort((a, b) => (b.trial_requests || 0) - (a.trial_requests || 0) || leadInterest(b) - leadInterest(a))
+                    .slice(0, 10)
+                    .map(row => ({
+                        title: row.title,
+                        subject_area: row.subject_area,
+                        browsing_sessions: row.browsing_sessions,
+                        investigations: row.investigations,
+                        trial_requests: row.trial_requests || 0,
+                        last_interaction: row.last_interaction
+                    }))
+            };
+        }
+    },
+
+    cost_per_use: {
+        description: 'Annual cost divided by the last 12 months of usage, with percentiles across all universities and flags for titles above the threshold or without use.',
+        parameters: {
+            type: 'object',
+            properties: {
+                university: universityParameter,
+                level: { type: 'string', enum: ['subscriptions', 'journals', 'subjects', 'universities'], description: 'Grouping (default subscriptions)' },
+                threshold: { type: 'number', description: 'Cost per use above which titles are flagged' },
+                limit: limitParameter
+            }
+        },
+        async handler(db, args) {
+            const report = await costPerUseReport(db, args);
+            const level = report[args.level] && Array.isArray(report[args.level]) ? args.level : 'subscriptions';
+            return {
+                threshold: report.threshold,
+                metric: report.metric,
+                benchmark: report.benchmarks[level],
+                summary: report.summary,
+                [level]: report[level].slice(0, rowLimit(args.limit, 10))
+            };
+        }
+    },
+
+    usage_timeseries: {
+        description: 'Monthly COUNTER usage totals (item requests, unique item requests, investigations).',
+        parameters: {
+            type: 'object',
+            properties: {
+                university: universityParameter,
+                journal: { type: 'string', description: 'Journal title or part of it' },
+                months: { type: 'integer', description: 'How many months back from the latest month with usage (default 12)' },
+                report: { type: 'string', enum: ['TR_J1', 'TR_J3', 'TR_B1'], description: 'One report only; default is journal usage (TR_J1, else TR_J3)' }
+            }
+        },
+        handler: (db, args) => usageTimeseries(db, args)
+    },
+
+    renewal_risk: {
+        description: 'Renewal-risk score (0-100) per active subscription with the contributing factors, highest risk first.',
+        parameters: {
+            type: 'object',
+            properties: {
+                university: universityParameter,
+                level: { type: 'string', enum: ['high', 'medium', 'low'] },
+                limit: limitParameter
+            }
+        },
+        async handler(db, args) {
+            const report = await renewalRiskReport(db, { ...args, limit: rowLimit(args.limit, 10) });
+            return {
+                summary: report.summary,
+                subscriptions: report.subscriptions.map(item => ({
+                    journal: item.journal_title,
+                    university: item.university_name,
+                    score: item.score,
+                    level: item.level,
+                    annual_cost: item.annual_cost,
+                    end_date: item.end_date,
+                    reasons: item.factors.map(factor => factor.detail)
+                }))
+            };
+        }
+    }
+};
+
+// Tool definitions in the shape chat.completions expects (only those named, if
+// names are given)
+function toolDefinitions(names = null) {
+    return Object.entries(TOOLS).filter(([name]) => !names || names.includes(name)).map(([name, tool]) => ({
+        type: 'function',
+        function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+}
+
+// Runs one tool call. Returns { result } or { error } rather than throwing, so
+// the model can see a failure and recover. scope comes from the user, never
+// from the model's arguments.
+async function runTool(db, name, args = {}, scope = null) {
+    const tool = TOOLS[name];
+    if (!tool) return { error: `Unknown tool ${name}` };
+    try {
+        return { result: await tool.handler(db, { ...(args || {}), scope }) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+module.exports = {
+    TOOLS,
+    toolDefinitions,
+    runTool,
+    leadInterest,
+    subscriptionsForUniversity,
+    browsingByJournal,
+    salesPipeline,
+    researchEngagement,
+    usageSummary,
+    usageTimeseries
+};
@@ -1,12 +1,103 @@
 // Publishing Intelligence Platform - Enhanced with Statistical Analysis
+// .env first: several modules below read their settings from it
+require('dotenv').config();
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
+const multer = require('multer');
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
-require('dotenv').config();
+const { get, all, run, transaction, databasePath } = require('./db-utils');
+const { migrateUp } = require('./migrate');
+const { isCounterWorkbook, parseCounterWorkbook, readCounterFile, importCounterReport } = require('./counter-import');
+const { readCatalogueFile, importCatalogue, listCatalogue } = require('./catalogue-import');
+const { harvestUniversity, harvestAll, startSushiScheduler } = require('./sushi-client');
+const { validateMapping, applyMapping, proposeMapping, parseProfile } = require('./column-mapping');
+const { buildImportPlan, baselineHash } = require('./import-preview');
+const { importSubscriptions, loadState, StaleImportError } = require('./import-pipeline');
+const { STATUSES, JobCancelledError, createJobQueue } = require('./import-jobs');
+const { loadTerms, retentionReport, subscriptionHistory } = require('./subscription-history');
+const { renewalRiskReport } = require('./renewal-risk');
+const { costPerUseReport, costPerUseColumns, benchmarkColumns } = require('./cost-per-use');
+const { sendCsv } = require('./csv');
+const { subscriptionsForUniversity, browsingByJournal, usageSummary, usageTimeseries } = require('./analytics-tools');
+const { chatModel, runAgent } = require('./llm-assistant');
+const {
+    INTENTS,
+    createIntentClassifier,
+    classifyWithModel,
+    clarificationFor
+} = require('./intent-classifier');
+const {
+    researchAnalysis,
+    salesAnalysis,
+    buildResearchAnalysis,
+    buildSalesAnalysis,
+    researchReportSections,
+    salesReportSections
+} = require('./statistical-analysis');
+const {
+    createSession,
+    findSession,
+    listSessions,
+    sessionWithMessages,
+    sessionHistory,
+    appendTurn,
+    renameSession,
+    deleteSession
+} = require('./chat-sessions');
+const { QueryError, createQueryRunner, translateQuestion } = require('./nl-query');
+const {
+    ALIAS_KINDS,
+    normalizeName,
+    rorId,
+    loadScopedDirectory,
+    resolveUniversity,
+    findUniversityInText,
+    scopeCondition,
+    universityCondition
+} = require('./university-resolver');
+const {
+    queueProbableDuplicates,
+    listDuplicates,
+    findDuplicate,
+    dismissDuplicate,
+    preferredJournal,
+    JournalMergeError,
+    mergeJournals,
+    listMerges
+} = require('./journal-matching');
+const {
+    ROLES,
+    UserError,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    signIn,
+    signOut,
+    authenticate,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    ensureFirstAdmin
+} = require('./users');
+const { OUTCOMES, tableCounts, fileHash, recordAudit, listAudit, auditCsvRows } = require('./audit-log');
+const {
+    REASONS: SNAPSHOT_REASONS,
+    SnapshotError,
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    diffSnapshots,
+    checkRestore,
+    restoreSnapshot
+} = require('./snapshots');
+const { BackupError, listBackups, createBackup, verifyBackup, lockDatabase } = require('./backup');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -21,7 +112,7 @@ if (process.env.OPENAI_API_KEY) {
             timeout: 30000,
             maxRetries: 2,
         });
-        console.log('✅ OpenAI API initialized');
+        console.log(`✅ OpenAI API initialized (model: ${chatModel()})`);
     } catch (error) {
         console.error('❌ OpenAI initialization failed:', error.message);
         openai = null;
@@ -30,8 +121,10 @@ if (process.env.OPENAI_API_KEY) {
     console.log('⚠️ OpenAI API key not found - using statistical analysis');
 }
 
-// Middleware
-app.use(cors());
+// Middleware. Cross-origin requests are only allowed from CORS_ORIGINS
+// (comma-separated); the dashboard itself is served from the same origin.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false, credentials: true }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static('public'));
@@ -42,87 +135,135 @@ app.use((req, res, next) => {
     next();
 });
 
+// Authentication. Every /api route needs a signed-in user: the session cookie
+// set by /api/auth/login, or "Authorization: Bearer <session or API token>".
+// allow() then limits a route to some roles. req.user.scope holds the
+// universities a user may see: a sales user's territories, a librarian's own
+// university, null for the other roles.
+const SESSION_COOKIE = 'pip_session';
+const ANY_ROLE = ROLES;
+// Publisher staff: everyone but the universities' librarians
+const STAFF = ROLES.filter(role => role !== 'librarian');
+const ANALYSTS = ['admin', 'analyst'];
+const ADMINS = ['admin'];
+
+function credentialFrom(req) {
+    const header = req.headers.authorization || '';
+    if (/^Bearer /i.test(header)) return header.slice(7).trim();
+
+    const cookie = (req.headers.cookie || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([name]) => name === SESSION_COOKIE);
+    return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+app.use('/api', async (req, res, next) => {
+    if (req.path === '/auth/login') return next();
+    if (!db) {
+        return res.status(503).json({ error: 'Database not ready' });
+    }
+
+    try {
+        req.user = await authenticate(db, credentialFrom(req));
+        if (!req.user) {
+            return res.status(401).json({ error: 'Sign in required' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function allow(...roles) {
+    return (req, res, next) => {
+        if (!roles.flat().includes(req.user.role)) {
+            return res.status(403).json({ error: `Not available to the ${req.user.role} role` });
+        }
+        next();
+    };
+}
+
+// Whether the user may see a university
+const inScope = (req, universityId) => !req.user.scope || req.user.scope.includes(Number(universityId));
+
+// File uploads
+const upload = multer({
+    dest: 'uploads/',
+    limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+// Previewed workbooks wait here until committed or expired
+const PREVIEW_DIR = path.join('uploads', 'previews');
+const PREVIEW_TTL_HOURS = parseInt(process.env.IMPORT_PREVIEW_TTL_HOURS, 10) || 24;
+
 // Database initialization
 let db;
+let importQueue;
+// Natural-language queries run on their own read-only connection
+const queryRunner = createQueryRunner(databasePath());
+// Routes template answers; trained on built-in and stored examples
+const intentClassifier = createIntentClassifier();
 
 function initializeDatabase() {
     console.log('🔄 Initializing database...');
     
-    db = new sqlite3.Database('./publishing_data.db', (err) => {
+    db = new sqlite3.Database(databasePath(), (err) => {
         if (err) {
             console.error('❌ Error opening database:', err);
             return;
         }
         console.log('✅ Connected to SQLite database');
+        importQueue = createJobQueue(db);
         
-        db.serialize(() => {
-            // Create tables
-            db.run(`CREATE TABLE IF NOT EXISTS universities (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL,
-                country TEXT,
-                type TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run(`CREATE TABLE IF NOT EXISTS journals (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                issn TEXT,
-                publisher TEXT,
-                subject_area TEXT,
-                impact_factor REAL,
-                keywords TEXT,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run(`CREATE TABLE IF NOT EXISTS subscriptions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                subscription_type TEXT,
-                start_date DATE,
-                end_date DATE,
-                annual_cost REAL,
-                usage_count INTEGER DEFAULT 0,
-                status TEXT DEFAULT 'active',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run(`CREATE TABLE IF NOT EXISTS browsing_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                view_date DATE,
-                view_count INTEGER DEFAULT 1,
-                session_duration INTEGER DEFAULT 0,
-                pages_viewed INTEGER DEFAULT 1,
-                downloaded_samples INTEGER DEFAULT 0,
-                requested_trial INTEGER DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            console.log('✅ Database schema created');
-            processDataFolder();
-        });
+        migrateUp(db)
+            .then(() => importQueue.recoverInterrupted())
+            .then(() => loadIntentExamples())
+            .then(() => {
+                console.log('✅ Database schema up to date');
+                return announceFirstAdmin();
+            })
+            .then(() => {
+                processDataFolder();
+                
+                if (process.env.SUSHI_HARVEST_ENABLED !== 'false') {
+                    startSushiScheduler(db);
+                }
+            })
+            .catch(err => console.error('❌ Error migrating database:', err));
     });
 }
 
+// With no users yet, ADMIN_USERNAME and ADMIN_PASSWORD create the first admin
+async function announceFirstAdmin() {
+    const admin = await ensureFirstAdmin(db);
+    if (admin) {
+        console.log(`👤 Created admin ${admin.username}`);
+        return;
+    }
+    const { count } = await get(db, 'SELECT COUNT(*) as count FROM users');
+    if (count === 0) {
+        console.log('⚠️ No users yet - set ADMIN_USERNAME and ADMIN_PASSWORD or run "npm run users -- add <username> admin"');
+    }
+}
+
 // Excel Processing Functions (keeping existing functionality)
-function processDataFolder() {
-    console.log('📂 Processing data folder...');
-    
+function dataFolderFiles() {
     const dataFolder = './data';
     if (!fs.existsSync(dataFolder)) {
         console.log('❌ Data folder not found');
-        return;
+        return [];
     }
     
-    const files = fs.readdirSync(dataFolder).filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
+    return fs.readdirSync(dataFolder).filter(file => 
+        /\.(xlsx|xls|tsv|json)$/i.test(file)
     );
+}
+
+// On startup, load the data folder as a job if the database is empty
+function processDataFolder() {
+    console.log('📂 Processing data folder...');
     
+    const files = dataFolderFiles();
     if (files.length === 0) {
         console.log('❌ No Excel files found in data folder');
         return;
@@ -133,173 +274,303 @@ function processDataFolder() {
     db.get("SELECT COUNT(*) as count FROM universities", (err, row) => {
         if (err || row.count === 0) {
             console.log('🔄 Processing Excel files...');
-            processAllExcelFiles(files);
+            dataFolderHashes(files)
+                .then(hashes => importQueue.enqueue({ type: 'folder', filename: files.join(', '), requestedBy: 'system' },
+                    auditedJob(SYSTEM_ACTOR, 'data_folder.load', { sourceFile: files.join(', '), details: { files: hashes } },
+                        job => processAllExcelFiles(files, job))))
+                .catch(error => console.error('❌ Error queueing data folder import:', error.message));
         } else {
             console.log('✅ Data already loaded');
         }
     });
 }
 
-async function processAllExcelFiles(files) {
-    for (const filename of files) {
+// Import every file in the data folder as part of a job. Each file is its own
+// transaction (a savepoint during a reprocess), so a bad file is logged and
+// skipped; cancelling stops at the current file. With allOrNothing (a
+// reprocess) every file is still tried, then any failure is thrown so the
+// enclosing transaction rolls back.
+async function processAllExcelFiles(files, job, { allOrNothing = false } = {}) {
+    const totals = { rows_total: 0, rows_processed: 0, inserted: 0, updated: 0, deleted: 0, skipped: 0, errors: 0 };
+    const fileResults = [];
+    
+    for (const [index, filename] of files.entries()) {
+        job.throwIfCancelled();
+        await job.progress(index, files.length);
+        console.log(`📄 Processing ${filename}...`);
+        await job.log(`Processing ${filename}`);
+        
         try {
-            console.log(`📄 Processing ${filename}...`);
             const filePath = path.join('./data', filename);
-            const workbook = XLSX.readFile(filePath);
+            const onProgress = (done, total) => job.progress(index + done / total, files.length);
+            let result;
+            
+            if (/\.(tsv|json)$/i.test(filename)) {
+                result = await processCounterReport(readCounterFile(filePath, filename), filename, null, onProgress);
+            } else {
+                const workbook = XLSX.readFile(filePath);
+                result = isCounterWorkbook(workbook)
+                    ? await processCounterReport(parseCounterWorkbook(workbook), filename, null, onProgress)
+                    : await processExcelFile(workbook, filename, { onProgress });
+            }
             
-            await processExcelFile(workbook, filename);
+            addJobCounters(totals, result);
+            fileResults.push({ file: filename, ...jobCounters(result) });
+            await job.counters(totals);
+            await job.log(`${filename}: ${describeResult(result)}`);
             console.log(`✅ ${filename} processed successfully`);
         } catch (error) {
+            if (error instanceof JobCancelledError) throw error;
+            
+            totals.errors++;
+            fileResults.push({ file: filename, error: error.message });
+            await job.counters(totals);
+            await job.log(`${filename} failed: ${error.message}`, 'error');
             console.error(`❌ Error processing ${filename}:`, error.message);
         }
     }
+    
+    const failed = fileResults.filter(result => result.error);
+    if (allOrNothing && failed.length > 0) {
+        throw new Error(`${failed.length} of ${files.length} files failed (${failed.map(result => `${result.file}: ${result.error}`).join('; ')}); nothing was changed`);
+    }
     console.log('🎉 All Excel files processed');
+    return { files: fileResults };
 }
 
-async function processExcelFile(workbook, filename) {
-    return new Promise((resolve, reject) => {
-        const universityName = extractUniversityName(filename);
-        console.log(`🏛️ University: ${universityName}`);
-        
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(worksheet);
-        
-        console.log(`📋 Sheet: ${sheetName}, Rows: ${data.length}`);
-        
-        if (data.length === 0) {
-            resolve();
-            return;
+// Row counters for a subscription import, COUNTER report or catalogue result
+function jobCounters(result) {
+    if (result.restored) {
+        const restored = Object.values(result.restored).reduce((sum, count) => sum + count, 0);
+        const removed = Object.values(result.removed).reduce((sum, count) => sum + count, 0);
+        return { rows_total: restored, rows_processed: restored, inserted: restored, updated: 0, deleted: removed, skipped: 0, errors: 0 };
+    }
+    if (result.reportId) {
+        return { rows_total: result.rows, rows_processed: result.rows, inserted: 0, updated: 0, deleted: 0, skipped: 0, errors: 0 };
+    }
+    if (result.format) {
+        return {
+            rows_total: result.records,
+            rows_processed: result.records,
+            inserted: result.inserted,
+            updated: result.updated,
+            deleted: 0,
+            skipped: result.skipped.length,
+            errors: 0
+        };
+    }
+    return {
+        rows_total: result.rows,
+        rows_processed: result.rows,
+        inserted: result.inserted,
+        updated: result.updated,
+        deleted: result.deleted,
+        skipped: result.skipped.length,
+        errors: result.errors.length
+    };
+}
+
+function addJobCounters(totals, result) {
+    Object.entries(jobCounters(result)).forEach(([counter, value]) => {
+        totals[counter] += value;
+    });
+}
+
+function describeResult(result) {
+    if (result.restored) {
+        const counts = Object.entries(result.restored).map(([table, count]) => `${count} ${table}`).join(', ');
+        return `${result.university} restored from snapshot ${result.snapshotId}: ${counts}`;
+    }
+    if (result.reportId) {
+        return `${result.reportId}, ${result.rows} title-months for ${result.months.length} months`;
+    }
+    if (result.format) {
+        return `${result.format.toUpperCase()} catalogue, ${result.inserted} journals added, ${result.updated} updated, ${result.coverageRanges} coverage ranges, ${result.skipped.length} skipped`;
+    }
+    return `${result.inserted} inserted, ${result.updated} updated, ${result.deleted} deleted, ${result.skipped.length} skipped, ${result.errors.length} value errors`;
+}
+
+// Who asked for a job (or owns a chat session, saved query, ...)
+function requestedBy(req) {
+    return req.user ? req.user.username : req.ip;
+}
+
+// Audit log (see audit-log.js). A failed write is logged rather than failing
+// a change that has already been made.
+const SYSTEM_ACTOR = { actor: 'system', role: null, ip: null };
+
+function auditActor(req) {
+    return { actor: requestedBy(req), role: req.user ? req.user.role : null, ip: req.ip };
+}
+
+async function audit(actor, action, fields = {}) {
+    try {
+        await recordAudit(db, { ...actor, action, ...fields });
+    } catch (error) {
+        console.error(`❌ Audit log write failed (${action}):`, error.message);
+    }
+}
+
+// Runs a change and audits it with the data tables' row counts before and
+// after; describe(result) adds to the entry. A change that throws is audited as
+// failed and the error rethrown.
+async function auditedChange(actor, action, fields, change, describe = () => ({})) {
+    const countsBefore = await tableCounts(db);
+    try {
+        const result = await change();
+        await audit(actor, action, { ...fields, countsBefore, countsAfter: await tableCounts(db), ...describe(result) });
+        return result;
+    } catch (error) {
+        await audit(actor, action, { ...fields, outcome: 'failed', error: error.message, countsBefore, countsAfter: await tableCounts(db) });
+        throw error;
+    }
+}
+
+// The same for an import job: the entry is written when the job ends
+// (succeeded, failed or cancelled), after its transaction, with the job id and
+// row counters. actor comes from auditActor(req) at the time of the request.
+function auditedJob(actor, action, fields, work) {
+    return async job => {
+        const countsBefore = await tableCounts(db);
+        const entry = { ...fields, jobId: job.id, countsBefore };
+        try {
+            const result = await work(job);
+            await audit(actor, action, {
+                ...entry,
+                countsAfter: await tableCounts(db),
+                details: { ...fields.details, result: jobSummary(result) }
+            });
+            return result;
+        } catch (error) {
+            await audit(actor, action, {
+                ...entry,
+                outcome: error instanceof JobCancelledError ? 'cancelled' : 'failed',
+                error: error.message,
+                countsAfter: await tableCounts(db).catch(() => null)
+            });
+            throw error;
         }
-        
-        console.log('📊 Sample columns:', Object.keys(data[0]));
-        
-        db.get("SELECT id FROM universities WHERE name = ?", [universityName], (err, university) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            
-            let universityId;
-            if (university) {
-                universityId = university.id;
-                processSubscriptionData();
-            } else {
-                db.run("INSERT INTO universities (name, country, type) VALUES (?, ?, ?)", 
-                    [universityName, getCountryFromName(universityName), 'Public'], 
-                    function(err) {
-                        if (err) {
-                            reject(err);
-                            return;
-                        }
-                        universityId = this.lastID;
-                        processSubscriptionData();
-                    }
-                );
-            }
-            
-            function processSubscriptionData() {
-                let processed = 0;
-                
-                db.run("DELETE FROM subscriptions WHERE university_id = ?", [universityId]);
-                db.run("DELETE FROM browsing_history WHERE university_id = ?", [universityId]);
-                
-                data.forEach((row, index) => {
-                    const journalTitle = findValue(row, [
-                        'journal', 'title', 'publication', 'name', 'journal_title'
-                    ]);
-                    
-                    if (!journalTitle) {
-                        console.log(`⏭️ Row ${index}: No journal title found`);
-                        return;
-                    }
-                    
-                    const currentSub = findValue(row, [
-                        'current', 'current_year', '2024', 'subscribed'
-                    ]);
-                    
-                    const isSubscribed = parseBoolean(currentSub);
-                    const publisher = findValue(row, ['publisher', 'company']) || 'Unknown';
-                    const subject = findValue(row, ['subject', 'category', 'area']) || 'General';
-                    const cost = parseFloat(findValue(row, ['cost', 'price', 'amount'])) || Math.floor(Math.random() * 30000) + 20000;
-                    
-                    console.log(`📝 ${journalTitle}: ${isSubscribed ? 'Subscribed' : 'Not Subscribed'}`);
-                    
-                    db.get("SELECT id FROM journals WHERE title = ?", [journalTitle], (err, journal) => {
-                        if (err) {
-                            console.error('Journal error:', err);
-                            return;
-                        }
-                        
-                        let journalId;
-                        if (journal) {
-                            journalId = journal.id;
-                            createSubscriptionData();
-                        } else {
-                            const keywords = generateJournalKeywords(journalTitle, subject);
-                            db.run(`INSERT INTO journals (title, publisher, subject_area, keywords, description) VALUES (?, ?, ?, ?, ?)`,
-                                [journalTitle, publisher, subject, keywords, `Journal from ${universityName}`],
-                                function(err) {
-                                    if (err) {
-                                        console.error('Create journal error:', err);
-                                        return;
-                                    }
-                                    journalId = this.lastID;
-                                    createSubscriptionData();
-                                }
-                            );
-                        }
-                        
-                        function createSubscriptionData() {
-                            if (isSubscribed) {
-                                db.run(`INSERT INTO subscriptions 
-                                    (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, status) 
-                                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                                    [universityId, journalId, 'institutional', '2024-01-01', '2024-12-31', cost, 'active']
-                                );
-                            }
-                            
-                            const sessions = isSubscribed ? Math.floor(Math.random() * 8) + 3 : Math.floor(Math.random() * 20) + 8;
-                            
-                            for (let i = 0; i < sessions; i++) {
-                                const daysAgo = Math.floor(Math.random() * 365);
-                                const viewDate = new Date();
-                                viewDate.setDate(viewDate.getDate() - daysAgo);
-                                
-                                db.run(`INSERT INTO browsing_history 
-                                    (university_id, journal_id, view_date, view_count, session_duration, pages_viewed, requested_trial) 
-                                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                                    [
-                                        universityId, journalId, 
-                                        viewDate.toISOString().split('T')[0],
-                                        Math.floor(Math.random() * 6) + 1,
-                                        Math.floor(Math.random() * 1500) + 300,
-                                        Math.floor(Math.random() * 12) + 2,
-                                        isSubscribed ? 0 : Math.random() < 0.25 ? 1 : 0
-                                    ]
-                                );
-                            }
-                            
-                            processed++;
-                            if (processed >= data.length) {
-                                resolve();
-                            }
-                        }
-                    });
-                });
-            }
+    };
+}
+
+// Row counters of a finished job, per file for a data folder load
+function jobSummary(result) {
+    if (!result) return null;
+    return result.files ? result.files : jobCounters(result);
+}
+
+// SHA-256 of each data folder file, for the audit log
+async function dataFolderHashes(files) {
+    return Promise.all(files.map(async file => ({ file, sha256: await fileHash(path.join('./data', file)) })));
+}
+
+// Subscription workbook import, applied atomically. options.mapping is a
+// column-mapping profile's mapping; without one the university's saved profile
+// is used, and failing that the proposed mapping (logged so it can be saved as
+// a profile). options.expectedBaseline comes from a committed preview;
+// options.catalogueOnly skips journals that are not in the catalogue.
+async function processExcelFile(workbook, filename, options = {}) {
+    const universityName = await importUniversityName(options.universityName || extractUniversityName(filename));
+    console.log(`🏛️ University: ${universityName}`);
+    
+    const sheetName = workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[sheetName];
+    const data = XLSX.utils.sheet_to_json(worksheet);
+    const headers = sheetHeaders(worksheet);
+    
+    console.log(`📋 Sheet: ${sheetName}, Rows: ${data.length}`);
+    
+    const mapping = options.mapping || await resolveMapping(universityName, headers, data);
+    
+    const result = await importSubscriptions(db, {
+        universityName,
+        country: getCountryFromName(universityName),
+        data,
+        headers,
+        mapping,
+        referenceYear: options.referenceYear || termYear(filename),
+        sourceFile: filename,
+        expectedBaseline: options.expectedBaseline,
+        catalogueOnly: options.catalogueOnly,
+        onProgress: options.onProgress
+    });
+    
+    console.log(`📝 ${universityName}: ${result.inserted} inserted, ${result.updated} updated, ${result.deleted} deleted, ${result.skipped.length} skipped, ${result.errors.length} value errors, ${result.terms} yearly terms (${result.years.join(', ')})`);
+    if (result.journalsCreated > 0) await queueJournalDuplicates();
+    return result;
+}
+
+// COUNTER usage reports: the university comes from the report header, falling
+// back to the filename, or is given explicitly for uploads
+async function processCounterReport(report, filename, universityName = null, onProgress = null) {
+    const name = await importUniversityName(universityName || report.institutionName || extractUniversityName(filename));
+    console.log(`📈 COUNTER ${report.reportId} for ${name}: ${report.items.length} title-months`);
+    
+    const universityId = await getOrCreateUniversity(name);
+    const result = await transaction(db, async () => {
+        const snapshot = await createSnapshot(db, {
+            name: `Before ${report.reportId} import of ${filename}`,
+            reason: 'import',
+            universityId,
+            sourceFile: filename
         });
+        return { ...await importCounterReport(db, report, universityId, filename, onProgress), snapshotId: snapshot.id };
     });
+    await queueJournalDuplicates();
+    return result;
+}
+
+// Journals an import created may be ones already there under another title
+// or ISSN; those go to the review queue
+async function queueJournalDuplicates() {
+    const { added } = await queueProbableDuplicates(db);
+    if (added > 0) {
+        console.log(`🔁 ${added} probable duplicate journals queued for review`);
+    }
+}
+
+async function getOrCreateUniversity(universityName) {
+    const university = await get(db, "SELECT id FROM universities WHERE name = ?", [universityName]);
+    if (university) {
+        return university.id;
+    }
+    
+    const result = await run(db, "INSERT INTO universities (name, country, type) VALUES (?, ?, ?)",
+        [universityName, getCountryFromName(universityName), 'Public']);
+    return result.lastID;
+}
+
+// Imports only take a known university's name for a close match (an
+// acronym, alias or the name spelled slightly differently); a new customer
+// whose name shares a word with an existing one gets a university of its own
+const IMPORT_MATCH_SCORE = 0.95;
+
+async function importUniversityName(name) {
+    const match = await resolveUniversity(db, name, { minScore: IMPORT_MATCH_SCORE });
+    if (match && !match.ambiguous) {
+        if (match.name !== name) {
+            console.log(`🏛️ "${name}" is ${match.name} (${match.how} match on "${match.matched}")`);
+        }
+        return match.name;
+    }
+    return String(name).trim();
 }
 
 // Helper functions
 function extractUniversityName(filename) {
-    let name = filename.replace(/\.(xlsx|xls)$/i, '').replace(/^Export_/, '');
+    let name = filename.replace(/\.(xlsx|xls|tsv|json)$/i, '').replace(/^Export_/, '');
     name = name.replace(/_\d{8}_\d{6}$/, '');
     name = name.replace(/_/g, ' ');
     return name;
 }
 
+// The year a workbook's "current year" column refers to: the export date in
+// names like Export_<University>_20250908_034106.xlsx, else this year
+function termYear(filename) {
+    const match = String(filename).match(/_((?:19|20)\d{2})\d{4}_\d{6}\./);
+    return match ? parseInt(match[1], 10) : new Date().getFullYear();
+}
+
 function getCountryFromName(universityName) {
     const countryMap = {
         'Singapore': ['National University of Singapore', 'Nanyang Technological University'],
@@ -315,606 +586,278 @@ function getCountryFromName(universityName) {
     return 'Unknown';
 }
 
-function findValue(row, possibleKeys) {
-    for (const key of Object.keys(row)) {
-        const lowerKey = key.toLowerCase();
-        for (const possibleKey of possibleKeys) {
-            if (lowerKey.includes(possibleKey.toLowerCase())) {
-                return row[key];
-            }
-        }
-    }
-    return null;
+function sheetHeaders(worksheet) {
+    const [headers = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1, range: 0 });
+    return headers.filter(header => header !== undefined && header !== null && String(header).trim() !== '').map(String);
 }
 
-function parseBoolean(value) {
-    if (!value) return false;
-    const str = String(value).toLowerCase().trim();
-    return str === '1' || str === 'yes' || str === 'true' || str === 'y';
+// What an import for this university would be compared against
+async function loadImportState(universityName) {
+    const university = await get(db, "SELECT id FROM universities WHERE name = ?", [universityName]);
+    return { universityExists: !!university, ...await loadState(db, university ? university.id : null) };
 }
 
-function generateJournalKeywords(title, subject) {
-    const keywords = [];
-    
-    if (title) keywords.push(title.toLowerCase());
-    if (subject) keywords.push(subject.toLowerCase());
-    
-    const titleLower = title.toLowerCase();
-    if (titleLower.includes('business') || titleLower.includes('strategy')) {
-        keywords.push('business strategy', 'management', 'strategic planning');
-    }
-    
-    if (titleLower.includes('ai') || titleLower.includes('artificial intelligence')) {
-        keywords.push('artificial intelligence', 'machine learning', 'AI strategy');
-    }
-    
-    if (titleLower.includes('technology') || titleLower.includes('digital')) {
-        keywords.push('technology strategy', 'digital transformation', 'innovation');
+async function createImportPreview(file, workbook, mapping, universityName, profileName, referenceYear, catalogueOnly) {
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const data = XLSX.utils.sheet_to_json(worksheet);
+    const state = await loadImportState(universityName);
+    const plan = buildImportPlan(data, sheetHeaders(worksheet), mapping, state.current, state.journals, referenceYear,
+        catalogueOnly ? state.catalogue : null);
+    
+    // Drop previews nobody committed
+    const expired = await all(db, "SELECT token, file_path FROM import_previews WHERE expires_at < datetime('now') AND committed_at IS NULL");
+    for (const preview of expired) {
+        fs.unlink(preview.file_path, () => {});
+        await run(db, "DELETE FROM import_previews WHERE token = ?", [preview.token]);
     }
     
-    return keywords.join(', ');
-}
-
-// STATISTICAL ANALYSIS FUNCTIONS
-
-// Statistical calculation helpers
-function calculateStatistics(data, field) {
-    if (!data || data.length === 0) return null;
-    
-    const values = data.map(item => parseFloat(item[field]) || 0).filter(v => v > 0);
-    if (values.length === 0) return null;
-    
-    values.sort((a, b) => a - b);
-    
-    const sum = values.reduce((acc, val) => acc + val, 0);
-    const mean = sum / values.length;
-    const median = values.length % 2 === 0 
-        ? (values[values.length/2 - 1] + values[values.length/2]) / 2
-        : values[Math.floor(values.length/2)];
-    
-    const variance = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length;
-    const stdDev = Math.sqrt(variance);
-    
-    return {
-        count: values.length,
-        sum,
-        mean,
-        median,
-        min: values[0],
-        max: values[values.length - 1],
-        stdDev,
-        q1: values[Math.floor(values.length * 0.25)],
-        q3: values[Math.floor(values.length * 0.75)]
+    const token = crypto.randomBytes(16).toString('hex');
+    const sourceHash = await fileHash(file.path);
+    const filePath = path.join(PREVIEW_DIR, `${token}${path.extname(file.originalname)}`);
+    fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+    fs.renameSync(file.path, filePath);
+    
+    const report = {
+        previewToken: token,
+        file: file.originalname,
+        university: { name: universityName, exists: state.universityExists },
+        profile: profileName || null,
+        referenceYear,
+        catalogueOnly,
+        ...plan
     };
-}
-
-function calculateCorrelation(data, field1, field2) {
-    if (!data || data.length < 2) return null;
-    
-    const pairs = data.map(item => ({
-        x: parseFloat(item[field1]) || 0,
-        y: parseFloat(item[field2]) || 0
-    })).filter(pair => pair.x > 0 && pair.y > 0);
     
-    if (pairs.length < 2) return null;
+    const preview = await get(db, "SELECT datetime('now', ?) as expires_at", [`+${PREVIEW_TTL_HOURS} hours`]);
+    report.expiresAt = preview.expires_at;
     
-    const n = pairs.length;
-    const sumX = pairs.reduce((acc, pair) => acc + pair.x, 0);
-    const sumY = pairs.reduce((acc, pair) => acc + pair.y, 0);
-    const sumXY = pairs.reduce((acc, pair) => acc + pair.x * pair.y, 0);
-    const sumX2 = pairs.reduce((acc, pair) => acc + pair.x * pair.x, 0);
-    const sumY2 = pairs.reduce((acc, pair) => acc + pair.y * pair.y, 0);
+    await run(db, `
+        INSERT INTO import_previews
+        (token, filename, file_path, university_name, profile, mapping, reference_year, catalogue_only, baseline_hash, source_hash, report, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [token, file.originalname, filePath, universityName, profileName || null, JSON.stringify(mapping), referenceYear,
+        catalogueOnly ? 1 : 0, baselineHash(state.current), sourceHash, JSON.stringify(report), report.expiresAt]);
     
-    const correlation = (n * sumXY - sumX * sumY) / 
-        Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-    
-    return isNaN(correlation) ? null : correlation;
+    return report;
 }
 
-// Research Assistant Statistical Functions
-async function generateResearchStatistics(message, universityFilter = 'all') {
-    return new Promise((resolve) => {
-        let universityClause = '';
-        let params = [];
-        
-        if (universityFilter && universityFilter !== 'all') {
-            universityClause = 'AND u.name LIKE ?';
-            params = [`%${universityFilter}%`];
-        }
-        
-        db.all(`
-            SELECT 
-                j.title,
-                j.subject_area,
-                j.publisher,
-                j.keywords,
-                u.name as university,
-                u.country,
-                s.annual_cost,
-                COUNT(DISTINCT bh.id) as browsing_sessions,
-                AVG(bh.session_duration) as avg_session_duration,
-                SUM(bh.pages_viewed) as total_pages_viewed,
-                SUM(bh.downloaded_samples) as total_downloads,
-                SUM(bh.requested_trial) as trial_requests,
-                CASE WHEN s.id IS NOT NULL THEN 1 ELSE 0 END as is_subscribed,
-                COUNT(DISTINCT bh.view_date) as active_days,
-                AVG(bh.view_count) as avg_views_per_session
-            FROM journals j
-            LEFT JOIN subscriptions s ON j.id = s.journal_id AND s.status = 'active'
-            LEFT JOIN universities u ON s.university_id = u.id
-            LEFT JOIN browsing_history bh ON j.id = bh.journal_id
-            WHERE bh.id IS NOT NULL ${universityClause}
-            GROUP BY j.id
-            ORDER BY browsing_sessions DESC
-        `, params, (err, rows) => {
-            if (err || rows.length === 0) {
-                resolve(generateResearchFallback(universityFilter));
-                return;
-            }
-            
-            const stats = generateResearchAnalysis(rows);
-            resolve(stats);
-        });
-    });
+async function getMappingProfile(name) {
+    return parseProfile(await get(db, "SELECT * FROM mapping_profiles WHERE name = ?", [name]));
 }
 
-function generateResearchAnalysis(data) {
-    // Subject area analysis
-    const subjectStats = {};
-    data.forEach(row => {
-        const subject = row.subject_area || 'Other';
-        if (!subjectStats[subject]) {
-            subjectStats[subject] = {
-                journals: 0,
-                totalBrowsing: 0,
-                subscribed: 0,
-                totalCost: 0,
-                countries: new Set(),
-                publishers: new Set()
-            };
-        }
-        subjectStats[subject].journals++;
-        subjectStats[subject].totalBrowsing += row.browsing_sessions || 0;
-        subjectStats[subject].subscribed += row.is_subscribed;
-        subjectStats[subject].totalCost += row.annual_cost || 0;
-        if (row.country) subjectStats[subject].countries.add(row.country);
-        if (row.publisher) subjectStats[subject].publishers.add(row.publisher);
-    });
-    
-    Object.keys(subjectStats).forEach(subject => {
-        const stats = subjectStats[subject];
-        stats.subscriptionRate = (stats.subscribed / stats.journals * 100).toFixed(1);
-        stats.avgBrowsingPerJournal = (stats.totalBrowsing / stats.journals).toFixed(1);
-    });
-    
-    // Research engagement metrics
-    const engagementStats = calculateStatistics(data, 'browsing_sessions');
-    const sessionDurationStats = calculateStatistics(data, 'avg_session_duration');
-    const subscriptionCostStats = calculateStatistics(data.filter(d => d.is_subscribed), 'annual_cost');
-    
-    // Research productivity correlation
-    const browsingCostCorrelation = calculateCorrelation(
-        data.filter(d => d.is_subscribed), 
-        'browsing_sessions', 
-        'annual_cost'
-    );
-    
-    // Subscription efficiency analysis
-    const subscribedJournals = data.filter(d => d.is_subscribed);
-    const nonSubscribedJournals = data.filter(d => !d.is_subscribed);
-    
-    const subscriptionEfficiency = subscribedJournals.length > 0 ? {
-        avgBrowsingSubscribed: subscribedJournals.reduce((sum, j) => sum + (j.browsing_sessions || 0), 0) / subscribedJournals.length,
-        avgBrowsingNonSubscribed: nonSubscribedJournals.reduce((sum, j) => sum + (j.browsing_sessions || 0), 0) / nonSubscribedJournals.length,
-        utilizationRate: subscribedJournals.reduce((sum, j) => sum + (j.browsing_sessions || 0), 0) / subscribedJournals.length / 15 // Assuming 15 is optimal usage
-    } : null;
-    
-    // Research impact analysis
-    const topPerformingJournals = data.sort((a, b) => (b.browsing_sessions || 0) - (a.browsing_sessions || 0)).slice(0, 5);
-    const underutilizedJournals = subscribedJournals.filter(j => (j.browsing_sessions || 0) < (engagementStats?.mean || 0) / 2);
-    
-    // Generate response
-    let response = `RESEARCH ANALYTICS REPORT
-
-Portfolio Overview:
-Total Journals Analyzed: ${data.length}
-Subscribed Journals: ${subscribedJournals.length} (${((subscribedJournals.length / data.length) * 100).toFixed(1)}%)
-Subject Areas Covered: ${Object.keys(subjectStats).length}
-Countries Represented: ${[...new Set(data.map(d => d.country).filter(c => c))].length}
-
-Research Engagement Metrics:`;
-    
-    if (engagementStats) {
-        response += `
-Browsing Activity Analysis:
-- Mean Sessions per Journal: ${engagementStats.mean.toFixed(1)}
-- Median Sessions: ${engagementStats.median.toFixed(1)}
-- Standard Deviation: ${engagementStats.stdDev.toFixed(1)}
-- Most Active Journal: ${engagementStats.max} sessions
-- Range (Q1-Q3): ${engagementStats.q1} - ${engagementStats.q3} sessions`;
+async function resolveMapping(universityName, headers, data) {
+    const profile = parseProfile(await get(db, `
+        SELECT mp.* FROM mapping_profiles mp
+        JOIN universities u ON mp.university_id = u.id
+        WHERE u.name = ?
+        ORDER BY mp.updated_at DESC
+        LIMIT 1
+    `, [universityName]));
+    
+    if (profile) {
+        console.log(`🗺️ Using mapping profile "${profile.name}"`);
+        return profile.mapping;
     }
     
-    if (sessionDurationStats) {
-        response += `
-
-Research Depth Analysis:
-- Average Session Duration: ${(sessionDurationStats.mean / 60).toFixed(1)} minutes
-- Median Duration: ${(sessionDurationStats.median / 60).toFixed(1)} minutes
-- Longest Session: ${(sessionDurationStats.max / 60).toFixed(1)} minutes`;
+    const proposal = proposeMapping(headers, data.slice(0, 20));
+    if (proposal.errors.length > 0) {
+        throw new Error(`No mapping profile for ${universityName} and no usable proposal: ${proposal.errors.join('; ')}`);
     }
     
-    response += `
+    console.log(`⚠️ No mapping profile for ${universityName}; using proposed mapping:`,
+        JSON.stringify(Object.fromEntries(Object.entries(proposal.mapping).map(([field, rule]) => [field, rule.column]))));
+    return proposal.mapping;
+}
 
-Subject Area Performance Analysis:`;
-    
-    const sortedSubjects = Object.entries(subjectStats)
-        .sort((a, b) => b[1].totalBrowsing - a[1].totalBrowsing)
-        .slice(0, 5);
-    
-    sortedSubjects.forEach(([subject, stats], index) => {
-        response += `
-${index + 1}. ${subject}
-   Journals: ${stats.journals} | Subscribed: ${stats.subscribed} (${stats.subscriptionRate}%)
-   Total Research Activity: ${stats.totalBrowsing} sessions
-   Average Activity per Journal: ${stats.avgBrowsingPerJournal}
-   Annual Investment: $${stats.totalCost.toLocaleString()}
-   Publishers: ${stats.publishers.size} | Countries: ${stats.countries.size}`;
-    });
-    
-    if (browsingCostCorrelation !== null) {
-        response += `
+// STATISTICAL ANALYSIS FUNCTIONS
 
-Research Investment Efficiency:
-Correlation Analysis: Usage vs Cost correlation: ${browsingCostCorrelation.toFixed(3)}
-${browsingCostCorrelation > 0.3 ? 'Positive correlation - higher cost journals show higher usage' :
-  browsingCostCorrelation < -0.3 ? 'Negative correlation - review high-cost, low-usage journals' :
-  'Weak correlation - usage not strongly tied to cost'}`;
+// Research Assistant: structured result (given to trace) rendered as a report
+async function* researchStatisticsSections(message, universityFilter = 'all', trace = {}, scope = null) {
+    let result;
+    try {
+        result = await buildResearchAnalysis(db, { university: universityFilter, scope });
+    } catch (error) {
+        console.error('❌ Research analysis failed:', error.message);
+        result = researchAnalysis([], null, universityFilter);
     }
-    
-    if (subscriptionEfficiency) {
-        response += `
+    trace.result = result;
+    yield* researchReportSections(result);
+}
 
-Subscription Utilization Analysis:
-Subscribed Journals: ${subscriptionEfficiency.avgBrowsingSubscribed.toFixed(1)} avg sessions
-Non-Subscribed Journals: ${subscriptionEfficiency.avgBrowsingNonSubscribed.toFixed(1)} avg sessions
-Utilization Rate: ${(subscriptionEfficiency.utilizationRate * 100).toFixed(1)}%
-${subscriptionEfficiency.utilizationRate > 0.7 ? 'Excellent utilization' :
-  subscriptionEfficiency.utilizationRate > 0.5 ? 'Moderate utilization - room for improvement' :
-  'Low utilization - review subscription value'}`;
+// Sales Assistant: structured result (given to trace) rendered as a report
+async function* salesStatisticsSections(message, universityFilter = 'all', trace = {}, scope = null) {
+    let result;
+    try {
+        result = await buildSalesAnalysis(db, { university: universityFilter, scope });
+    } catch (error) {
+        console.error('❌ Sales analysis failed:', error.message);
+        result = salesAnalysis([], universityFilter);
     }
-    
-    response += `
+    trace.result = result;
+    yield* salesReportSections(result);
+}
 
-Top Performing Journals (by Research Activity):`;
-    topPerformingJournals.forEach((journal, index) => {
-        response += `
-${index + 1}. ${journal.title}
-   Sessions: ${journal.browsing_sessions || 0} | Status: ${journal.is_subscribed ? 'Subscribed' : 'Not Subscribed'}
-   ${journal.is_subscribed ? `Cost: $${(journal.annual_cost || 0).toLocaleString()}` : 'Trial Requests: ' + (journal.trial_requests || 0)}`;
-    });
-    
-    if (underutilizedJournals.length > 0) {
-        response += `
+// University named in a chat message ("renewals at risk at Mahidol"), matched
+// on its name, an alias (NTU, a former or native-language name) or a
+// distinctive word of it, allowing for typos. With several, the one named
+// first wins ("now compare NTU with that"). Universities outside scope are
+// never matched, so a scoped user's filter stays on their own universities.
+async function universityInMessage(message, scope = null) {
+    const match = await findUniversityInText(db, message, scope);
+    return match ? match.name : null;
+}
 
-Underutilized Subscriptions (Below Average Usage):
-Count: ${underutilizedJournals.length} journals
-Potential Savings: $${underutilizedJournals.reduce((sum, j) => sum + (j.annual_cost || 0), 0).toLocaleString()}
-Recommendations: Review usage patterns and consider cancellation or renegotiation`;
-    }
-    
-    response += `
+// Names the intent classifier looks for in questions; universities only
+// within scope
+async function knownEntities(scope = null) {
+    const [universities, subjects, publishers] = await Promise.all([
+        loadScopedDirectory(db, scope),
+        all(db, "SELECT DISTINCT subject_area as name FROM journals WHERE subject_area IS NOT NULL AND subject_area NOT IN ('', 'General', 'Unknown')"),
+        all(db, "SELECT DISTINCT publisher as name FROM journals WHERE publisher IS NOT NULL AND publisher NOT IN ('', 'Unknown')")
+    ]);
+    const names = rows => rows.map(row => row.name);
+    return { universities, subjects: names(subjects), publishers: names(publishers) };
+}
 
-Statistical Summary:
-- Research Activity Distribution: ${engagementStats ? 
-  `Normal (σ=${engagementStats.stdDev.toFixed(1)})` : 'Insufficient data'}
-- Portfolio Efficiency Score: ${subscriptionEfficiency ? 
-  Math.round(subscriptionEfficiency.utilizationRate * 100) + '/100' : 'N/A'}
-- Subject Diversification Index: ${(Object.keys(subjectStats).length / data.length * 10).toFixed(2)}`;
-    
-    return response;
+async function loadIntentExamples() {
+    const examples = await all(db, 'SELECT intent, text FROM intent_examples');
+    examples.filter(example => INTENTS[example.intent]).forEach(example => intentClassifier.train(example.intent, example.text));
+    if (examples.length > 0) {
+        console.log(`🧭 Intent classifier trained on ${examples.length} stored examples`);
+    }
 }
 
-// Sales Assistant Statistical Functions
-async function generateSalesStatistics(message, universityFilter = 'all') {
-    return new Promise((resolve) => {
-        let universityClause = '';
-        let params = [];
-        
-        if (universityFilter && universityFilter !== 'all') {
-            universityClause = 'AND u.name LIKE ?';
-            params = [`%${universityFilter}%`];
+// Intent, confidence and entities of a question. INTENT_CLASSIFIER=llm asks the
+// chat model instead, keeping the local result when that fails. scope limits
+// the universities it may name.
+async function classifyMessage(message, assistantType, scope = null) {
+    const local = intentClassifier.classify(message, { assistantType, known: await knownEntities(scope) });
+    if (process.env.INTENT_CLASSIFIER === 'llm' && openai) {
+        try {
+            return await classifyWithModel(openai, chatModel(), message, local);
+        } catch (error) {
+            console.error('❌ Model intent classification failed, using local classifier:', error.message);
         }
-        
-        db.all(`
-            SELECT 
-                j.title,
-                j.subject_area,
-                j.publisher,
-                u.name as university,
-                u.country,
-                s.annual_cost,
-                s.start_date,
-                s.end_date,
-                COUNT(DISTINCT bh.id) as browsing_sessions,
-                SUM(bh.view_count) as total_views,
-                AVG(bh.session_duration) as avg_session_duration,
-                SUM(bh.pages_viewed) as total_pages,
-                SUM(bh.requested_trial) as trial_requests,
-                CASE WHEN s.id IS NOT NULL THEN 1 ELSE 0 END as is_subscribed,
-                MIN(bh.view_date) as first_interaction,
-                MAX(bh.view_date) as last_interaction,
-                COUNT(DISTINCT DATE(bh.view_date)) as active_days
-            FROM journals j
-            LEFT JOIN subscriptions s ON j.id = s.journal_id AND s.status = 'active'  
-            LEFT JOIN universities u ON s.university_id = u.id OR (s.university_id IS NULL AND u.id IS NOT NULL)
-            LEFT JOIN browsing_history bh ON j.id = bh.journal_id
-            WHERE bh.id IS NOT NULL ${universityClause}
-            GROUP BY j.id, u.id
-            ORDER BY browsing_sessions DESC
-        `, params, (err, rows) => {
-            if (err || rows.length === 0) {
-                resolve(generateSalesFallback(universityFilter));
-                return;
-            }
-            
-            const stats = generateSalesAnalysis(rows);
-            resolve(stats);
-        });
-    });
+    }
+    return local;
 }
 
-function generateSalesAnalysis(data) {
-    // Revenue analysis
-    const subscribedJournals = data.filter(d => d.is_subscribed);
-    const unsubscribedJournals = data.filter(d => !d.is_subscribed);
-    
-    const revenueStats = calculateStatistics(subscribedJournals, 'annual_cost');
-    const browsingStats = calculateStatistics(data, 'browsing_sessions');
-    
-    // Conversion analysis
-    const conversionMetrics = {
-        totalLeads: unsubscribedJournals.length,
-        qualifiedLeads: unsubscribedJournals.filter(j => (j.browsing_sessions || 0) > 5).length,
-        hotLeads: unsubscribedJournals.filter(j => (j.trial_requests || 0) > 0).length,
-        currentCustomers: subscribedJournals.length,
-        conversionRate: subscribedJournals.length / data.length * 100
-    };
-    
-    // Revenue opportunity analysis
-    const avgSubscriptionValue = revenueStats ? revenueStats.mean : 25000;
-    const potentialRevenue = {
-        qualifiedLeads: conversionMetrics.qualifiedLeads * avgSubscriptionValue * 0.3,
-        hotLeads: conversionMetrics.hotLeads * avgSubscriptionValue * 0.6,
-        totalOpportunity: (conversionMetrics.qualifiedLeads * 0.3 + conversionMetrics.hotLeads * 0.6) * avgSubscriptionValue
-    };
-    
-    // Customer lifetime value analysis
-    const customerMetrics = subscribedJournals.length > 0 ? {
-        avgAnnualValue: subscribedJournals.reduce((sum, j) => sum + (j.annual_cost || 0), 0) / subscribedJournals.length,
-        totalAnnualRevenue: subscribedJournals.reduce((sum, j) => sum + (j.annual_cost || 0), 0),
-        avgEngagement: subscribedJournals.reduce((sum, j) => sum + (j.browsing_sessions || 0), 0) / subscribedJournals.length
-    } : null;
-    
-    // Territory analysis
-    const territoryStats = {};
-    data.forEach(row => {
-        const territory = row.country || 'Unknown';
-        if (!territoryStats[territory]) {
-            territoryStats[territory] = {
-                leads: 0,
-                customers: 0,
-                revenue: 0,
-                avgEngagement: 0,
-                universities: new Set()
-            };
-        }
-        territoryStats[territory].leads++;
-        if (row.is_subscribed) {
-            territoryStats[territory].customers++;
-            territoryStats[territory].revenue += row.annual_cost || 0;
-        }
-        territoryStats[territory].avgEngagement += row.browsing_sessions || 0;
-        if (row.university) territoryStats[territory].universities.add(row.university);
-    });
-    
-    Object.keys(territoryStats).forEach(territory => {
-        const stats = territoryStats[territory];
-        stats.conversionRate = stats.leads > 0 ? (stats.customers / stats.leads * 100).toFixed(1) : 0;
-        stats.avgEngagement = (stats.avgEngagement / stats.leads).toFixed(1);
-        stats.avgRevenuePerCustomer = stats.customers > 0 ? stats.revenue / stats.customers : 0;
-    });
-    
-    // Sales funnel analysis
-    const funnelStages = {
-        awareness: data.length,
-        interest: data.filter(d => (d.browsing_sessions || 0) > 2).length,
-        consideration: data.filter(d => (d.browsing_sessions || 0) > 5).length,
-        intent: data.filter(d => (d.trial_requests || 0) > 0).length,
-        purchase: subscribedJournals.length
-    };
-    
-    // Top opportunities analysis
-    const topOpportunities = unsubscribedJournals
-        .map(j => ({
-            ...j,
-            opportunityScore: (j.browsing_sessions || 0) * 2 + (j.trial_requests || 0) * 5 + (j.total_pages || 0) * 0.1
-        }))
-        .sort((a, b) => b.opportunityScore - a.opportunityScore)
-        .slice(0, 10);
-    
-    // Generate sales report
-    let response = `SALES PERFORMANCE ANALYTICS
-
-Revenue Overview:
-Current Annual Revenue: $${customerMetrics ? customerMetrics.totalAnnualRevenue.toLocaleString() : '0'}
-Active Customers: ${subscribedJournals.length}
-Average Customer Value: $${customerMetrics ? customerMetrics.avgAnnualValue.toLocaleString() : '0'}`;
-    
-    if (revenueStats) {
-        response += `
-Revenue Distribution:
-- Median Deal Size: $${revenueStats.median.toLocaleString()}
-- Average Deal Size: $${revenueStats.mean.toLocaleString()}
-- Largest Deal: $${revenueStats.max.toLocaleString()}
-- Revenue Range (Q1-Q3): $${revenueStats.q1.toLocaleString()} - $${revenueStats.q3.toLocaleString()}
-- Revenue Standard Deviation: $${revenueStats.stdDev.toLocaleString()}`;
-    }
-    
-    response += `
-
-Sales Pipeline Analysis:
-Total Leads: ${conversionMetrics.totalLeads}
-Qualified Leads: ${conversionMetrics.qualifiedLeads} (${((conversionMetrics.qualifiedLeads / conversionMetrics.totalLeads) * 100).toFixed(1)}%)
-Hot Leads: ${conversionMetrics.hotLeads} (${((conversionMetrics.hotLeads / conversionMetrics.totalLeads) * 100).toFixed(1)}%)
-Overall Conversion Rate: ${conversionMetrics.conversionRate.toFixed(1)}%
-
-Sales Funnel Performance:
-1. Awareness: ${funnelStages.awareness} prospects (100.0%)
-2. Interest: ${funnelStages.interest} (${((funnelStages.interest / funnelStages.awareness) * 100).toFixed(1)}%)
-3. Consideration: ${funnelStages.consideration} (${((funnelStages.consideration / funnelStages.awareness) * 100).toFixed(1)}%)
-4. Intent: ${funnelStages.intent} (${((funnelStages.intent / funnelStages.awareness) * 100).toFixed(1)}%)
-5. Purchase: ${funnelStages.purchase} (${((funnelStages.purchase / funnelStages.awareness) * 100).toFixed(1)}%)
-
-Conversion Funnel Efficiency:
-Interest-to-Consideration: ${funnelStages.interest > 0 ? ((funnelStages.consideration / funnelStages.interest) * 100).toFixed(1) : 0}%
-Consideration-to-Intent: ${funnelStages.consideration > 0 ? ((funnelStages.intent / funnelStages.consideration) * 100).toFixed(1) : 0}%
-Intent-to-Purchase: ${funnelStages.intent > 0 ? ((funnelStages.purchase / funnelStages.intent) * 100).toFixed(1) : 0}%
-
-Revenue Opportunity Analysis:
-Qualified Leads Potential: $${potentialRevenue.qualifiedLeads.toLocaleString()} (30% conversion est.)
-Hot Leads Potential: $${potentialRevenue.hotLeads.toLocaleString()} (60% conversion est.)
-Total Pipeline Value: $${potentialRevenue.totalOpportunity.toLocaleString()}
-Pipeline-to-Revenue Ratio: ${customerMetrics ? (potentialRevenue.totalOpportunity / customerMetrics.totalAnnualRevenue).toFixed(1) : 'N/A'}x
-
-Territory Performance:`;
-    
-    const sortedTerritories = Object.entries(territoryStats)
-        .sort((a, b) => b[1].revenue - a[1].revenue)
-        .slice(0, 5);
-    
-    sortedTerritories.forEach(([territory, stats], index) => {
-        response += `
-${index + 1}. ${territory}
-   Revenue: $${stats.revenue.toLocaleString()} | Customers: ${stats.customers}
-   Conversion Rate: ${stats.conversionRate}% | Avg Engagement: ${stats.avgEngagement}
-   Universities: ${stats.universities.size} | Avg Revenue/Customer: $${stats.avgRevenuePerCustomer.toLocaleString()}`;
-    });
-    
-    response += `
-
-Top Sales Opportunities (Priority Leads):`;
-    
-    topOpportunities.slice(0, 5).forEach((opp, index) => {
-        response += `
-${index + 1}. ${opp.title}
-   University: ${opp.university || 'Multiple prospects'}
-   Engagement: ${opp.browsing_sessions || 0} sessions | Trial Requests: ${opp.trial_requests || 0}
-   Opportunity Score: ${opp.opportunityScore.toFixed(1)}
-   Est. Value: $${avgSubscriptionValue.toLocaleString()}
-   Win Probability: ${opp.trial_requests > 0 ? '60%' : opp.browsing_sessions > 10 ? '40%' : '20%'}`;
-    });
-    
-    response += `
+// Renewal risk for the sales assistant
+async function* renewalRiskSections(message, universityFilter = 'all', scope = null) {
+    const university = await universityInMessage(message, scope) || universityFilter;
+    const report = await renewalRiskReport(db, { university, scope });
+    const covering = university && university !== 'all' ? university : 'all universities';
 
-Key Performance Indicators:
-Pipeline Health: ${funnelStages.consideration > funnelStages.intent * 3 ? 'Healthy - Good funnel flow' : 'Attention needed - Conversion issues'}
-Conversion Efficiency: ${conversionMetrics.conversionRate > 15 ? 'Above average performance' : 'Below average - needs improvement'}
-Revenue Concentration: ${revenueStats ? (revenueStats.stdDev / revenueStats.mean > 0.5 ? 'High variance - diversify portfolio' : 'Well distributed') : 'N/A'}
+    if (report.summary.total === 0) {
+        yield 'RENEWAL RISK REPORT';
+        yield `No active subscriptions found for ${covering}.`;
+        return;
+    }
 
-Statistical Insights:
-Average Deal Velocity: ${browsingStats ? Math.round(browsingStats.mean * 7) + ' days (estimated)' : 'N/A'}
-Lead Quality Score: ${(conversionMetrics.qualifiedLeads / conversionMetrics.totalLeads * 100).toFixed(0)}/100
-Market Penetration: ${((subscribedJournals.length / (subscribedJournals.length + unsubscribedJournals.length)) * 100).toFixed(1)}%
+    yield `RENEWAL RISK REPORT - ${covering}`;
 
-Sales Recommendations:
-1. Immediate Action: Focus on ${conversionMetrics.hotLeads} hot leads with trial requests
-2. Short-term: Nurture ${conversionMetrics.qualifiedLeads} qualified leads with targeted campaigns  
-3. Territory Focus: Prioritize ${sortedTerritories[0]?.[0] || 'top-performing'} territory for expansion
-4. Product Strategy: Target journals with ${browsingStats ? Math.round(browsingStats.mean) + '+' : '10+'} sessions for best conversion`;
-    
-    return response;
-}
+    yield `Active subscriptions scored: ${report.summary.total}
+High risk: ${report.summary.high} | Medium risk: ${report.summary.medium} | Low risk: ${report.summary.low}
+Annual revenue at high risk: $${report.summary.revenueAtRisk.toLocaleString()}`;
 
-// Fallback functions
-function generateResearchFallback(filter) {
-    return `RESEARCH ANALYTICS REPORT
+    let section = 'Renewals Most at Risk:';
 
-Status: Limited data available for statistical analysis
-Filter Applied: ${filter}
+    report.subscriptions.slice(0, 10).forEach(item => {
+        section += `
+${item.rank}. ${item.journal_title}${university && university !== 'all' ? '' : ` (${item.university_name})`}
+   Risk Score: ${item.score}/100 (${item.level}) | Annual Cost: $${(item.annual_cost || 0).toLocaleString()}
+   ${item.factors.slice(0, 2).map(factor => factor.detail).join('; ') || 'No usage or renewal data'}`;
+    });
+    yield section;
 
-Recommendations:
-1. Ensure Excel files contain comprehensive browsing and usage data
-2. Verify journal metadata includes subject areas and publisher information
-3. Check subscription status indicators are in proper 1/0 format
-4. Confirm university affiliations are properly mapped
+    yield `Scoring: usage trend ${report.weights.usageTrend * 100}%, cost per use ${report.weights.costPerUse * 100}%, peer cancellations ${report.weights.peerCancellations * 100}%, time to renewal ${report.weights.renewalProximity * 100}%
+${report.usageThrough ? `Usage data through ${report.usageThrough}` : 'No COUNTER usage loaded; cost per use falls back to usage counts'}`;
 
-Available Analysis: Basic subscription counts and university-level summaries`;
+    yield `Recommendation: Contact ${report.summary.high > 0 ? `the ${report.summary.high} high-risk accounts` : 'medium-risk accounts'} ahead of renewal with usage reports and training offers.`;
 }
 
-function generateSalesFallback(filter) {
-    return `SALES PERFORMANCE ANALYTICS
-
-Status: Insufficient data for comprehensive sales analysis
-Filter Applied: ${filter}
-
-Required Data Elements:
-1. Detailed browsing session counts with timestamps
-2. Trial request indicators and conversion data
-3. Subscription costs, start dates, and renewal information
-4. University/customer demographic and geographic data
-
-Basic Metrics Available: Total subscriptions, revenue summaries, university counts
-
-Recommendation: Enhance data collection for detailed sales analytics and forecasting.`;
+// Tables each template answer reads, reported with streamed answers
+const TEMPLATE_SOURCES = {
+    renewal_risk: ['subscriptions', 'subscription_terms', 'counter_usage', 'usage_analytics'],
+    research_statistics: ['journals', 'subscriptions', 'browsing_history', 'counter_usage', 'usage_analytics'],
+    sales_statistics: ['journals', 'subscriptions', 'universities', 'browsing_history', 'counter_usage'],
+    business_strategy: ['journals', 'subscriptions', 'browsing_history'],
+    subscriptions: ['subscriptions', 'journals', 'universities'],
+    universities: ['universities', 'subscriptions'],
+    browsing: ['browsing_history', 'counter_usage', 'journals', 'subscriptions'],
+    overview: ['universities', 'journals', 'subscriptions'],
+    clarification: [],
+    unavailable: []
+};
+
+function traceAnalysis(trace, analysis) {
+    trace.analysis = analysis;
+    trace.dataSources = TEMPLATE_SOURCES[analysis];
 }
 
-// Main Response Router with Statistical Analysis
-async function generateResponse(message, assistantType, universityFilter) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Statistical analysis routing
-    if (assistantType === 'research' && (lowerMessage.includes('analysis') || lowerMessage.includes('statistics') || lowerMessage.includes('research') || lowerMessage.includes('data'))) {
-        return await generateResearchStatistics(message, universityFilter);
-    }
-    
-    if (assistantType === 'sales' && (lowerMessage.includes('analysis') || lowerMessage.includes('statistics') || lowerMessage.includes('revenue') || lowerMessage.includes('sales') || lowerMessage.includes('performance'))) {
-        return await generateSalesStatistics(message, universityFilter);
-    }
-    
-    // Auto-detect statistical intent
-    if (lowerMessage.includes('statistics') || lowerMessage.includes('analysis') || lowerMessage.includes('metrics') || lowerMessage.includes('performance')) {
-        if (lowerMessage.includes('revenue') || lowerMessage.includes('sales') || lowerMessage.includes('conversion') || lowerMessage.includes('pipeline')) {
-            return await generateSalesStatistics(message, universityFilter);
-        } else {
-            return await generateResearchStatistics(message, universityFilter);
-        }
-    }
-    
-    // Enhanced journal recommendations with web search
-    if (lowerMessage.includes('recommend') && (lowerMessage.includes('business strategy') || lowerMessage.includes('ai'))) {
-        return await getEnhancedBusinessStrategyRecommendations(message);
+// Main Response Router with Statistical Analysis. The question is classified
+// into an intent; a university it names overrides universityFilter, and a
+// low-confidence classification asks the user to clarify. trace is told the
+// classification, which analysis answered and the tables it read. scope
+// limits every answer to the universities the user may see, and intents (when
+// given) the analyses that may answer. The answer comes one section at a time,
+// each as soon as it is written; joined by blank lines they make the report.
+async function* responseSections(message, assistantType, universityFilter, trace = {}, scope = null, intents = null) {
+    const classification = await classifyMessage(message, assistantType, scope);
+    trace.intent = classification;
+    
+    if (!classification.confident) {
+        traceAnalysis(trace, 'clarification');
+        yield clarificationFor(classification, intents);
+        return;
     }
-    
-    // Default analyses
-    if (lowerMessage.includes('subscription') || lowerMessage.includes('journal')) {
-        return await getSubscriptionAnalysis(universityFilter);
+    if (intents && !intents.includes(classification.intent)) {
+        traceAnalysis(trace, 'unavailable');
+        yield 'That analysis is not available here. Ask about your subscriptions, their usage or their cost per use.';
+        return;
     }
     
-    if (lowerMessage.includes('university') || lowerMessage.includes('comparison')) {
-        return await getUniversityAnalysis();
+    const university = classification.entities.university || universityFilter;
+    traceAnalysis(trace, classification.intent);
+    switch (classification.intent) {
+        case 'renewal_risk':
+            return yield* renewalRiskSections(message, university, scope);
+        case 'research_statistics':
+            return yield* researchStatisticsSections(message, university, trace, scope);
+        case 'sales_statistics':
+            return yield* salesStatisticsSections(message, university, trace, scope);
+        case 'business_strategy':
+            return yield* businessStrategySections(message, scope);
+        case 'subscriptions':
+            return yield* subscriptionSections(university, scope);
+        case 'universities':
+            return yield* universitySections(scope);
+        case 'browsing':
+            return yield* browsingSections(scope);
+        default:
+            return yield* overviewSections(assistantType, scope);
     }
-    
-    if (lowerMessage.includes('browse') || lowerMessage.includes('gap')) {
-        return await getBrowsingAnalysis();
+}
+
+// A follow-up the templates cannot route on its own ("now compare that with
+// NTU") is answered like the question before it, for the university it names
+const FOLLOW_UP = /\b(that|those|it|same|compare|what about|how about|instead)\b/i;
+
+async function* followUpSections(message, assistantType, universityFilter, history, trace = {}, scope = null, intents = null) {
+    const previous = [...history].reverse().find(turn => turn.role === 'user');
+    if (!previous || !FOLLOW_UP.test(message)) {
+        return yield* responseSections(message, assistantType, universityFilter, trace, scope, intents);
     }
-    
-    return await getOverviewAnalysis(assistantType);
+    const university = await universityInMessage(message, scope);
+    return yield* responseSections(`${message}\n${previous.content}`, assistantType, university || universityFilter, trace, scope, intents);
 }
 
 // Enhanced Business Strategy Recommendations (Web-enhanced)
-async function getEnhancedBusinessStrategyRecommendations(message) {
-    return new Promise(async (resolve) => {
-        db.all(`
+async function* businessStrategySections(message, scope = null) {
+    const subscriptionScope = scopeCondition(scope, 's.university_id');
+    const browsingScope = scopeCondition(scope, 'bh.university_id');
+    let rows;
+    try {
+        rows = await all(db, `
             SELECT 
                 j.title,
                 j.subject_area,
@@ -924,241 +867,193 @@ async function getEnhancedBusinessStrategyRecommendations(message) {
                 COUNT(DISTINCT bh.id) as browsing_sessions,
                 CASE WHEN s.id IS NOT NULL THEN 'Subscribed' ELSE 'Browsed Only' END as status
             FROM journals j
-            LEFT JOIN subscriptions s ON j.id = s.journal_id AND s.status = 'active'
+            LEFT JOIN subscriptions s ON j.id = s.journal_id AND s.status = 'active' ${subscriptionScope.clause}
             LEFT JOIN universities u ON s.university_id = u.id
-            LEFT JOIN browsing_history bh ON j.id = bh.journal_id
+            LEFT JOIN browsing_history bh ON j.id = bh.journal_id ${browsingScope.clause}
             WHERE (j.keywords LIKE '%business%' OR j.keywords LIKE '%strategy%' OR j.keywords LIKE '%ai%' 
                    OR j.title LIKE '%business%' OR j.title LIKE '%AI%' OR j.title LIKE '%intelligence%'
                    OR j.title LIKE '%strategy%' OR j.subject_area LIKE '%business%')
             GROUP BY j.id
             ORDER BY s.annual_cost DESC, browsing_sessions DESC
-        `, async (err, rows) => {
-            if (err) {
-                resolve('Error analyzing current subscriptions for Business Strategy + AI journals.');
-                return;
-            }
-
-            const subscribed = rows.filter(r => r.status === 'Subscribed');
-            const browsedOnly = rows.filter(r => r.status === 'Browsed Only' && r.browsing_sessions > 0);
-
-            let response = `Business Strategy + AI Journal Recommendations
+        `, [...subscriptionScope.params, ...browsingScope.params]);
+    } catch (error) {
+        yield 'Error analyzing current subscriptions for Business Strategy + AI journals.';
+        return;
+    }
 
-From Your Current Database:`;
+    const subscribed = rows.filter(r => r.status === 'Subscribed');
+    const browsedOnly = rows.filter(r => r.status === 'Browsed Only' && r.browsing_sessions > 0);
 
-            if (subscribed.length > 0) {
-                response += `
+    yield 'Business Strategy + AI Journal Recommendations';
 
-Currently Subscribed (Relevant):
+    if (subscribed.length > 0) {
+        yield 'From Your Current Database:';
+        yield `Currently Subscribed (Relevant):
 ${subscribed.slice(0, 5).map((j, i) => `${i+1}. ${j.title} - $${(j.annual_cost || 0).toLocaleString()} (${j.university})`).join('\n')}`;
-            } else {
-                response += `\nCurrently Subscribed: No directly relevant Business Strategy + AI journals found`;
-            }
-
-            if (browsedOnly.length > 0) {
-                response += `
+    } else {
+        yield `From Your Current Database:
+Currently Subscribed: No directly relevant Business Strategy + AI journals found`;
+    }
 
-High Interest (Not Subscribed):
+    if (browsedOnly.length > 0) {
+        yield `High Interest (Not Subscribed):
 ${browsedOnly.slice(0, 3).map((j, i) => `• ${j.title} - ${j.browsing_sessions} browsing sessions`).join('\n')}`;
-            }
-
-            response += `
+    }
 
-Market-Leading Journals (External Recommendations):
+    yield `Market-Leading Journals (External Recommendations):
 1. MIT Sloan Management Review - Leading AI strategy insights with quarterly reviews
 2. Harvard Business Review - Digital transformation and AI leadership
 3. Strategic Management Journal - Academic research on AI competitive advantage
 4. Journal of Business Analytics - Data-driven strategic decision making
 5. AI & Society (Springer) - Business applications and ethical considerations
-6. California Management Review - Technology strategy and innovation management
+6. California Management Review - Technology strategy and innovation management`;
 
-Current Research Trends:
+    yield `Current Research Trends:
 • Generative AI in strategic planning and scenario modeling
 • Human-AI collaboration frameworks and organizational design
 • AI governance, ethics, and risk management in business
 • Algorithmic business models and platform strategies
-• AI-driven competitive intelligence and market analysis
+• AI-driven competitive intelligence and market analysis`;
 
-Strategic Investment Priority:
+    yield `Strategic Investment Priority:
 ${subscribed.length < 2 ? 'HIGH PRIORITY: Immediate expansion needed in AI strategy journal portfolio' :
   browsedOnly.length > 3 ? 'MODERATE PRIORITY: High browsing interest indicates unmet demand' :
-  'MAINTAIN: Current portfolio adequate - monitor emerging publications'}
+  'MAINTAIN: Current portfolio adequate - monitor emerging publications'}`;
 
-Implementation Roadmap:
+    yield `Implementation Roadmap:
 1. Immediate (0-30 days): Subscribe to MIT Sloan Management Review
 2. Short-term (1-3 months): Add Harvard Business Review for practical cases
 3. Medium-term (3-6 months): Consider specialized AI governance journals
-4. Long-term (6-12 months): Evaluate emerging interdisciplinary publications
+4. Long-term (6-12 months): Evaluate emerging interdisciplinary publications`;
 
-ROI Considerations:
+    yield `ROI Considerations:
 • Focus on journals with strong practitioner readership
 • Prioritize publications with real-world case studies
 • Consider consortium subscriptions for expensive specialized content
 • Monitor impact factor and citation metrics for academic credibility`;
-
-            resolve(response);
-        });
-    });
 }
 
 // Existing API Functions (keeping for compatibility)
-async function getSubscriptionAnalysis(universityFilter) {
-    return new Promise((resolve) => {
-        let whereClause = 'WHERE s.status = ?';
-        let params = ['active'];
-        
-        if (universityFilter && universityFilter !== 'all') {
-            whereClause += ' AND u.name LIKE ?';
-            params.push(`%${universityFilter}%`);
-        }
-        
-        db.all(`
-            SELECT 
-                u.name as university,
-                j.title as journal,
-                j.subject_area,
-                s.annual_cost
-            FROM subscriptions s
-            JOIN universities u ON s.university_id = u.id
-            JOIN journals j ON s.journal_id = j.id
-            ${whereClause}
-            ORDER BY s.annual_cost DESC
-            LIMIT 10
-        `, params, (err, rows) => {
-            if (err || rows.length === 0) {
-                resolve(`Subscription Analysis
-
-No subscription data found. Check:
+async function* subscriptionSections(universityFilter, scope = null) {
+    let rows = [];
+    try {
+        rows = await subscriptionsForUniversity(db, { university: universityFilter, limit: 10, scope });
+    } catch (error) {
+        rows = [];
+    }
+    
+    yield 'Subscription Analysis';
+    if (rows.length === 0) {
+        yield `No subscription data found. Check:
 1. Excel files are in ./data folder
 2. Database status: /api/diagnostics
-3. University filter: "${universityFilter}"`);
-                return;
-            }
-            
-            const totalCost = rows.reduce((sum, r) => sum + (r.annual_cost || 0), 0);
-            const universities = [...new Set(rows.map(r => r.university))];
-            
-            const response = `Subscription Analysis
-
-Overview:
+3. University filter: "${universityFilter}"`;
+        return;
+    }
+    
+    const totalCost = rows.reduce((sum, r) => sum + (r.annual_cost || 0), 0);
+    const universities = [...new Set(rows.map(r => r.university))];
+    
+    yield `Overview:
 • Active Subscriptions: ${rows.length}
 • Universities: ${universities.length}
-• Total Annual Cost: $${totalCost.toLocaleString()}
+• Total Annual Cost: $${totalCost.toLocaleString()}`;
 
-Top Subscriptions:
+    yield `Top Subscriptions:
 ${rows.slice(0, 5).map((r, i) => 
     `${i+1}. ${r.journal} - $${(r.annual_cost || 0).toLocaleString()}`
-).join('\n')}
-
-Universities: ${universities.join(', ')}`;
+).join('\n')}`;
 
-            resolve(response);
-        });
-    });
+    yield `Universities: ${universities.join(', ')}`;
 }
 
-async function getUniversityAnalysis() {
-    return new Promise((resolve) => {
-        db.all(`
-            SELECT 
-                u.name,
-                COUNT(s.id) as subscription_count,
-                SUM(s.annual_cost) as total_cost
-            FROM universities u
-            LEFT JOIN subscriptions s ON u.id = s.university_id AND s.status = 'active'
-            GROUP BY u.id
-            ORDER BY subscription_count DESC
-        `, (err, rows) => {
-            if (err || rows.length === 0) {
-                resolve('University Analysis\n\nNo university data available.');
-                return;
-            }
-            
-            const response = `University Analysis
+async function* universitySections(scope = null) {
+    const universityScope = scopeCondition(scope, 'u.id');
+    const rows = await all(db, `
+        SELECT 
+            u.name,
+            COUNT(s.id) as subscription_count,
+            SUM(s.annual_cost) as total_cost
+        FROM universities u
+        LEFT JOIN subscriptions s ON u.id = s.university_id AND s.status = 'active'
+        WHERE 1 = 1 ${universityScope.clause}
+        GROUP BY u.id
+        ORDER BY subscription_count DESC
+    `, universityScope.params).catch(() => []);
+
+    yield 'University Analysis';
+    if (rows.length === 0) {
+        yield 'No university data available.';
+        return;
+    }
 
-Universities in Database:
+    yield `Universities in Database:
 ${rows.map((u, i) => 
     `${i+1}. ${u.name}: ${u.subscription_count} subscriptions, $${(u.total_cost || 0).toLocaleString()}`
 ).join('\n')}`;
-
-            resolve(response);
-        });
-    });
 }
 
-async function getBrowsingAnalysis() {
-    return new Promise((resolve) => {
-        db.all(`
-            SELECT 
-                j.title,
-                COUNT(DISTINCT bh.id) as browse_sessions,
-                CASE WHEN s.id IS NOT NULL THEN 'Subscribed' ELSE 'Not Subscribed' END as status
-            FROM journals j
-            LEFT JOIN subscriptions s ON j.id = s.journal_id AND s.status = 'active'
-            LEFT JOIN browsing_history bh ON j.id = bh.journal_id
-            WHERE bh.id IS NOT NULL
-            GROUP BY j.id
-            ORDER BY browse_sessions DESC
-            LIMIT 10
-        `, (err, rows) => {
-            if (err || rows.length === 0) {
-                resolve('Browsing Analysis\n\nNo browsing data available yet.');
-                return;
-            }
-            
-            const notSubscribed = rows.filter(r => r.status === 'Not Subscribed');
-            
-            const response = `Browsing Analysis
-
-Most Browsed Journals:
+async function* browsingSections(scope = null) {
+    let rows = [];
+    try {
+        rows = await browsingByJournal(db, { limit: 10, scope });
+    } catch (error) {
+        rows = [];
+    }
+    
+    yield 'Browsing Analysis';
+    if (rows.length === 0) {
+        yield 'No browsing or COUNTER usage data available yet.';
+        return;
+    }
+    
+    const notSubscribed = rows.filter(r => r.status === 'Not Subscribed');
+    const engagement = r => `${r.browse_sessions} sessions${r.investigations ? `, ${r.investigations} investigations` : ''}`;
+    
+    yield `Most Browsed Journals:
 ${rows.slice(0, 5).map((r, i) => 
-    `${i+1}. ${r.title} - ${r.browse_sessions} sessions (${r.status})`
-).join('\n')}
+    `${i+1}. ${r.title} - ${engagement(r)} (${r.status})`
+).join('\n')}`;
 
-Revenue Opportunities:
+    yield `Revenue Opportunities:
 ${notSubscribed.slice(0, 3).map((r) => 
-    `• ${r.title}: ${r.browse_sessions} sessions, not subscribed`
+    `• ${r.title}: ${engagement(r)}, not subscribed`
 ).join('\n')}`;
-
-            resolve(response);
-        });
-    });
 }
 
-async function getOverviewAnalysis(assistantType) {
-    return new Promise((resolve) => {
-        db.get(`
-            SELECT 
-                COUNT(DISTINCT u.id) as universities,
-                COUNT(DISTINCT j.id) as journals,
-                COUNT(s.id) as subscriptions
-            FROM universities u, journals j
-            LEFT JOIN subscriptions s ON j.id = s.journal_id AND s.status = 'active'
-        `, (err, summary) => {
-            const response = `Hello! I'm your ${assistantType} assistant with enhanced statistical analysis capabilities.
-
-Current Database:
+async function* overviewSections(assistantType, scope = null) {
+    const universityScope = scopeCondition(scope, 'u.id');
+    const subscriptionScope = scopeCondition(scope, 's.university_id');
+    // Each count is its own query: joined, every subscription would be
+    // counted once per university
+    const summary = await get(db, `
+        SELECT 
+            (SELECT COUNT(*) FROM universities u WHERE 1 = 1 ${universityScope.clause}) as universities,
+            (SELECT COUNT(*) FROM journals) as journals,
+            (SELECT COUNT(*) FROM subscriptions s WHERE s.status = 'active' ${subscriptionScope.clause}) as subscriptions
+    `, [...universityScope.params, ...subscriptionScope.params]).catch(() => null);
+
+    yield `Hello! I'm your ${assistantType} assistant with enhanced statistical analysis capabilities.`;
+
+    yield `Current Database:
 • Universities: ${summary?.universities || 0}
 • Journals: ${summary?.journals || 0}  
-• Active Subscriptions: ${summary?.subscriptions || 0}
+• Active Subscriptions: ${summary?.subscriptions || 0}`;
 
-Enhanced Capabilities:
+    yield `Enhanced Capabilities:
 • Statistical analysis and performance metrics
 • Research productivity and engagement analysis
 • Sales pipeline and revenue analytics
 • Correlation analysis and trend identification
-• Subscription utilization and ROI assessment
+• Subscription utilization and ROI assessment`;
 
-Try asking:
+    yield `Try asking:
 • "Show me research statistics" or "Give me sales analysis"
 • "Analyze subscription performance data"
 • "What are the statistical trends in my portfolio?"
-• "Recommend journals for Business Strategy using AI"
-
-What type of analysis would you like me to perform?`;
+• "Recommend journals for Business Strategy using AI"`;
 
-            resolve(response);
-        });
-    });
+    yield 'What type of analysis would you like me to perform?';
 }
 
 // API Routes
@@ -1167,11 +1062,174 @@ app.get('/health', (req, res) => {
         status: 'healthy', 
         database: db ? 'connected' : 'disconnected',
         openai: !!openai,
+        model: openai ? chatModel() : null,
         statisticalAnalysis: 'enabled'
     });
 });
 
-app.get('/api/diagnostics', (req, res) => {
+// Sign-in. The session token comes back in the body (for API clients) and as
+// an HttpOnly cookie (for the dashboard); COOKIE_SECURE=true marks the cookie
+// HTTPS-only.
+function sendUserError(res, error) {
+    if (error instanceof UserError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ error: 'username and password are required' });
+    }
+    
+    try {
+        const session = await signIn(db, username, password);
+        if (!session) {
+            console.log(`🔒 Failed sign-in for ${username}`);
+            return res.status(401).json({ error: 'Wrong username or password' });
+        }
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.COOKIE_SECURE === 'true',
+            expires: new Date(`${session.expiresAt.replace(' ', 'T')}Z`),
+            path: '/'
+        });
+        console.log(`🔓 ${session.user.username} signed in`);
+        res.json(session);
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.post('/api/auth/logout', allow(ANY_ROLE), async (req, res) => {
+    try {
+        if (req.user.via === 'session') {
+            await signOut(db, req.user.credentialId);
+        }
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ message: 'Signed out' });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.get('/api/auth/me', allow(ANY_ROLE), (req, res) => {
+    const { credentialId, ...user } = req.user;
+    res.json(user);
+});
+
+// The caller's API tokens (body: name, expiresInDays). The token itself is
+// only in the response that creates it.
+app.get('/api/auth/tokens', allow(ANY_ROLE), async (req, res) => {
+    try {
+        res.json(await listApiTokens(db, req.user.id));
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.post('/api/auth/tokens', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const token = await createApiToken(db, req.user.id, req.body);
+        await audit(auditActor(req), 'api_token.create', { targetType: 'user', targetId: req.user.id, details: { tokenId: token.id, name: token.name, expiresAt: token.expiresAt } });
+        res.status(201).json(token);
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.delete('/api/auth/tokens/:id', allow(ANY_ROLE), async (req, res) => {
+    try {
+        if (!(await revokeApiToken(db, req.user.id, req.params.id))) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        await audit(auditActor(req), 'api_token.revoke', { targetType: 'user', targetId: req.user.id, details: { tokenId: req.params.id } });
+        res.json({ message: 'API token revoked' });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+// User management. body: username, password, role, displayName, territories
+// (countries, for sales users), universityId (for librarians); PUT also takes
+// active.
+app.get('/api/users', allow(ADMINS), async (req, res) => {
+    try {
+        res.json(await listUsers(db));
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.post('/api/users', allow(ADMINS), async (req, res) => {
+    try {
+        const user = await createUser(db, req.body);
+        console.log(`👤 ${req.user.username} added ${user.username} (${user.role})`);
+        await audit(auditActor(req), 'user.create', { targetType: 'user', targetId: user.id, details: { username: user.username, role: user.role, territories: user.territories, university: user.university } });
+        res.status(201).json(user);
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.get('/api/users/:id', allow(ADMINS), async (req, res) => {
+    try {
+        const user = await getUser(db, req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ ...user, tokens: await listApiTokens(db, user.id) });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.put('/api/users/:id', allow(ADMINS), async (req, res) => {
+    const { role, displayName, active, password, territories, universityId } = req.body;
+    try {
+        const user = await updateUser(db, req.params.id, { role, displayName, active, password, territories, universityId });
+        // Which fields changed, never the password
+        await audit(auditActor(req), 'user.update', {
+            targetType: 'user',
+            targetId: user.id,
+            details: { username: user.username, role, displayName, active, territories, universityId, passwordChanged: password !== undefined }
+        });
+        res.json(user);
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.delete('/api/users/:id', allow(ADMINS), async (req, res) => {
+    try {
+        const user = await getUser(db, req.params.id);
+        if (!user || !(await deleteUser(db, user.id))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await audit(auditActor(req), 'user.delete', { targetType: 'user', targetId: user.id, details: { username: user.username, role: user.role } });
+        res.json({ deleted: true });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+// API token for another user, e.g. a service account without a password
+app.post('/api/users/:id/tokens', allow(ADMINS), async (req, res) => {
+    try {
+        if (!(await getUser(db, req.params.id))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const token = await createApiToken(db, req.params.id, req.body);
+        await audit(auditActor(req), 'api_token.create', { targetType: 'user', targetId: req.params.id, details: { tokenId: token.id, name: token.name, expiresAt: token.expiresAt } });
+        res.status(201).json(token);
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.get('/api/diagnostics', allow(ANALYSTS), (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not ready' });
     }
@@ -1180,7 +1238,8 @@ app.get('/api/diagnostics', (req, res) => {
         { name: 'universities', query: 'SELECT COUNT(*) as count FROM universities' },
         { name: 'journals', query: 'SELECT COUNT(*) as count FROM journals' },
         { name: 'subscriptions', query: 'SELECT COUNT(*) as count FROM subscriptions' },
-        { name: 'browsing_history', query: 'SELECT COUNT(*) as count FROM browsing_history' }
+        { name: 'browsing_history', query: 'SELECT COUNT(*) as count FROM browsing_history' },
+        { name: 'counter_usage', query: 'SELECT COUNT(*) as count FROM counter_usage' }
     ];
 
     const results = {};
@@ -1197,7 +1256,7 @@ app.get('/api/diagnostics', (req, res) => {
     });
 });
 
-app.get('/api/universities', (req, res) => {
+app.get('/api/universities', allow(ANY_ROLE), (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not ready' });
     }
@@ -1207,119 +1266,1492 @@ app.get('/api/universities', (req, res) => {
             res.status(500).json({ error: err.message });
             return;
         }
-        res.json(rows);
+        res.json(rows.filter(university => inScope(req, university.id)).map(({ sushi_api_key, ...university }) => ({
+            ...university,
+            sushi_configured: !!(university.sushi_url && university.sushi_customer_id)
+        })));
     });
 });
 
-app.get('/api/dashboard', (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not ready' });
+// SUSHI credentials for a university
+app.put('/api/universities/:id/sushi', allow(ADMINS), async (req, res) => {
+    const { sushiUrl, requestorId, customerId, apiKey, harvestIntervalDays } = req.body;
+    
+    if (!sushiUrl || !customerId) {
+        return res.status(400).json({ error: 'sushiUrl and customerId are required' });
     }
     
-    db.get(`
-        SELECT 
-            COUNT(DISTINCT s.id) as total_subscriptions,
-            COUNT(DISTINCT s.university_id) as total_universities,
-            COUNT(DISTINCT s.journal_id) as total_journals,
-            SUM(s.annual_cost) as total_cost
-        FROM subscriptions s
-        WHERE s.status = 'active'
-    `, (err, row) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+    try {
+        const result = await run(db, `
+            UPDATE universities SET
+                sushi_url = ?, sushi_requestor_id = ?, sushi_customer_id = ?, sushi_api_key = ?,
+                sushi_harvest_interval_days = ?
+            WHERE id = ?
+        `, [sushiUrl, requestorId || null, customerId, apiKey || null, parseInt(harvestIntervalDays, 10) || 30, req.params.id]);
+        
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'University not found' });
         }
-        res.json({
-            totalSubscriptions: row.total_subscriptions || 0,
-            totalUniversities: row.total_universities || 0,
-            totalJournals: row.total_journals || 0,
-            revenuePotential: row.total_cost || 0
+        // The API key itself stays out of the log
+        await audit(auditActor(req), 'university.sushi.update', {
+            targetType: 'university',
+            targetId: req.params.id,
+            details: { sushiUrl, requestorId, customerId, apiKey: apiKey ? 'set' : 'none', harvestIntervalDays }
         });
-    });
+        res.json({ message: 'SUSHI credentials saved' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.get('/api/subscriptions', (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not ready' });
+// The university a name, alias, acronym or ROR ID refers to, with the other
+// candidates considered; only universities the user may see are candidates
+app.get('/api/universities/resolve', allow(ANY_ROLE), async (req, res) => {
+    if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+        return res.status(400).json({ error: 'q is required' });
     }
     
-    db.all(`
-        SELECT 
-            s.*,
-            u.name as university_name,
-            u.country,
-            j.title as journal_title,
-            j.publisher,
-            j.subject_area,
-            1 as current_year
-        FROM subscriptions s
-        JOIN universities u ON s.university_id = u.id
-        JOIN journals j ON s.journal_id = j.id
-        WHERE s.status = 'active'
-        ORDER BY s.annual_cost DESC
-        LIMIT 50
-    `, (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+    try {
+        const match = await resolveUniversity(db, req.query.q, { scope: req.user.scope });
+        if (!match) {
+            return res.status(404).json({ error: 'No university matches', query: req.query.q });
         }
-        res.json(rows);
-    });
+        res.json({ query: req.query.q, ...match });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Enhanced Chat Endpoint with Statistical Analysis
-app.post('/api/chat/send', async (req, res) => {
-    console.log('🤖 Statistical chat request received:', req.body);
+app.get('/api/universities/:id/aliases', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const university = await get(db, 'SELECT id, name FROM universities WHERE id = ?', [req.params.id]);
+        if (!university || !inScope(req, university.id)) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+        const aliases = await all(db, 'SELECT id, alias, kind, created_by, created_at FROM university_aliases WHERE university_id = ? ORDER BY kind, alias', [university.id]);
+        res.json({ ...university, aliases });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// body: alias, kind (acronym, native, former, variant or ror). ROR IDs may be
+// given as https://ror.org/... URLs and are stored bare.
+app.post('/api/universities/:id/aliases', allow(ANALYSTS), async (req, res) => {
+    const kind = req.body.kind || 'variant';
+    let alias = typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+    if (!alias) {
+        return res.status(400).json({ error: 'alias is required' });
+    }
+    if (!ALIAS_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${ALIAS_KINDS.join(', ')}` });
+    }
+    if (kind === 'ror') {
+        alias = rorId(alias);
+        if (!alias) {
+            return res.status(400).json({ error: 'Not a valid ROR ID' });
+        }
+    }
     
     try {
-        const { message, assistantType = 'general', universityFilter = 'all' } = req.body;
+        const university = await get(db, 'SELECT id, name FROM universities WHERE id = ?', [req.params.id]);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+        const normalized = kind === 'ror' ? alias : normalizeName(alias);
+        const result = await run(db, 'INSERT INTO university_aliases (university_id, alias, normalized, kind, created_by) VALUES (?, ?, ?, ?, ?)',
+            [university.id, alias, normalized, kind, requestedBy(req)]);
         
-        if (!message?.trim()) {
-            return res.status(400).json({ 
-                response: 'Please provide a message to analyze.'
-            });
+        // Other universities going by the same name make it ambiguous on its own
+        const sharedWith = await all(db, `
+            SELECT u.id, u.name FROM university_aliases a
+            JOIN universities u ON a.university_id = u.id
+            WHERE a.normalized = ? AND a.university_id != ?
+        `, [normalized, university.id]);
+        console.log(`🏷️ ${university.name} also known as "${alias}" (${kind})`);
+        await audit(auditActor(req), 'university.alias.add', { targetType: 'university', targetId: university.id, details: { alias, kind } });
+        res.status(201).json({ id: result.lastID, university_id: university.id, alias, kind, sharedWith });
+    } catch (error) {
+        if (/UNIQUE/.test(error.message)) {
+            return res.status(409).json({ error: `${alias} is already an alias of this university` });
         }
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Use enhanced statistical response generation
-        const aiResponse = await generateResponse(message, assistantType, universityFilter);
+app.delete('/api/universities/:id/aliases/:aliasId', allow(ANALYSTS), async (req, res) => {
+    try {
+        const alias = await get(db, 'SELECT alias, kind FROM university_aliases WHERE id = ? AND university_id = ?', [req.params.aliasId, req.params.id]);
+        if (!alias) {
+            return res.status(404).json({ error: 'Alias not found' });
+        }
+        await run(db, 'DELETE FROM university_aliases WHERE id = ?', [req.params.aliasId]);
+        await audit(auditActor(req), 'university.alias.delete', { targetType: 'university', targetId: req.params.id, details: alias });
+        res.json({ message: 'Alias deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        res.json({
-            response: aiResponse,
-            sessionId: `session_${Date.now()}`,
-            assistantType,
-            timestamp: new Date().toISOString(),
-            statisticalAnalysis: true
-        });
-        
+const describeMerge = result => ({
+    details: { kept: result.kept.title, merged: { id: result.merged.id, title: result.merged.title }, rowsMoved: result.rowsMoved }
+});
+
+function sendMergeError(res, error) {
+    if (error instanceof JournalMergeError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// Probable duplicate journals (status: pending, the default, or dismissed)
+app.get('/api/journals/duplicates', allow(ANALYSTS), async (req, res) => {
+    try {
+        res.json(await listDuplicates(db, req.query));
     } catch (error) {
-        console.error('❌ Statistical chat error:', error);
-        res.status(500).json({ 
-            response: 'I encountered an error processing your statistical analysis request. Please try again.'
-        });
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Force reprocess data folder
-app.post('/api/reprocess', (req, res) => {
-    console.log('🔄 Reprocessing data folder...');
-    
-    db.serialize(() => {
-        db.run("DELETE FROM browsing_history");
-        db.run("DELETE FROM subscriptions");
-        db.run("DELETE FROM journals");
-        db.run("DELETE FROM universities");
-        
-        processDataFolder();
-        res.json({ message: 'Data folder reprocessed successfully' });
-    });
+app.post('/api/journals/duplicates/scan', allow(ANALYSTS), async (req, res) => {
+    try {
+        res.json(await queueProbableDuplicates(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Handle 404
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+// Merges a queued pair. body: keep, the id of the journal to keep; by default
+// the one more rows point at
+app.post('/api/journals/duplicates/:id/merge', allow(ANALYSTS), async (req, res) => {
+    try {
+        const pair = await findDuplicate(db, req.params.id);
+        if (!pair || pair.status !== 'pending') {
+            return res.status(404).json({ error: 'No pending duplicate with that id' });
+        }
+        const keep = req.body.keep !== undefined ? Number(req.body.keep) : await preferredJournal(db, pair);
+        if (![pair.journal_id, pair.duplicate_id].includes(keep)) {
+            return res.status(400).json({ error: `keep must be ${pair.journal_id} or ${pair.duplicate_id}` });
+        }
+        const merge = keep === pair.journal_id ? pair.duplicate_id : pair.journal_id;
+        const result = await auditedChange(auditActor(req), 'journal.merge', { targetType: 'journal', targetId: keep, details: { duplicateId: pair.id } },
+            () => mergeJournals(db, keep, merge, { mergedBy: requestedBy(req) }), describeMerge);
+        console.log(`🔀 Merged journal "${result.merged.title}" into "${result.kept.title}"`);
+        res.json(result);
+    } catch (error) {
+        sendMergeError(res, error);
+    }
+});
+
+app.post('/api/journals/duplicates/:id/dismiss', allow(ANALYSTS), async (req, res) => {
+    try {
+        if (!await dismissDuplicate(db, req.params.id, requestedBy(req))) {
+            return res.status(404).json({ error: 'No pending duplicate with that id' });
+        }
+        await audit(auditActor(req), 'journal.duplicate.dismiss', { targetType: 'journal_duplicate', targetId: req.params.id });
+        res.json({ message: 'Marked as not a duplicate' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Start server
+// Merges journal :id into another one (body: into)
+app.post('/api/journals/:id/merge', allow(ANALYSTS), async (req, res) => {
+    if (!req.body.into) {
+        return res.status(400).json({ error: 'into is required' });
+    }
+    
+    try {
+        const result = await auditedChange(auditActor(req), 'journal.merge', { targetType: 'journal', targetId: req.body.into },
+            () => mergeJournals(db, req.body.into, req.params.id, { mergedBy: requestedBy(req) }), describeMerge);
+        console.log(`🔀 Merged journal "${result.merged.title}" into "${result.kept.title}"`);
+        res.json(result);
+    } catch (error) {
+        sendMergeError(res, error);
+    }
+});
+
+app.get('/api/journals/merges', allow(ANALYSTS), async (req, res) => {
+    try {
+        res.json(await listMerges(db, req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Journals in the catalogue with their coverage (?search=<title, ISSN or publisher>)
+app.get('/api/journals/catalogue', allow(ANY_ROLE), async (req, res) => {
+    try {
+        res.json(await listCatalogue(db, req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Subscription totals and COUNTER usage over each university's latest 12 months
+app.get('/api/dashboard', allow(ANY_ROLE), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not ready' });
+    }
+    
+    const scope = scopeCondition(req.user.scope, 's.university_id');
+    try {
+        const row = await get(db, `
+            SELECT 
+                COUNT(DISTINCT s.id) as total_subscriptions,
+                COUNT(DISTINCT s.university_id) as total_universities,
+                COUNT(DISTINCT s.journal_id) as total_journals,
+                SUM(s.annual_cost) as total_cost
+            FROM subscriptions s
+            WHERE s.status = 'active' ${scope.clause}
+        `, scope.params);
+        const usage = await usageSummary(db, { scope: req.user.scope });
+        res.json({
+            totalSubscriptions: row.total_subscriptions || 0,
+            totalUniversities: row.total_universities || 0,
+            totalJournals: row.total_journals || 0,
+            revenuePotential: row.total_cost || 0,
+            usage: {
+                totalItemRequests: usage.total_item_requests,
+                uniqueItemRequests: usage.unique_item_requests,
+                uniqueTitleInvestigations: usage.unique_title_investigations,
+                journalsWithUsage: usage.journals
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/subscriptions', allow(ANY_ROLE), (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not ready' });
+    }
+    
+    const scope = scopeCondition(req.user.scope, 's.university_id');
+    db.all(`
+        SELECT 
+            s.*,
+            u.name as university_name,
+            u.country,
+            j.title as journal_title,
+            j.publisher,
+            j.subject_area,
+            1 as current_year
+        FROM subscriptions s
+        JOIN universities u ON s.university_id = u.id
+        JOIN journals j ON s.journal_id = j.id
+        WHERE s.status = 'active' ${scope.clause}
+        ORDER BY s.annual_cost DESC
+        LIMIT 50
+    `, scope.params, async (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        // ?history=true adds each subscription's yearly terms
+        if (req.query.history === 'true') {
+            try {
+                const histories = new Map(subscriptionHistory(await loadTerms(db, { scope: req.user.scope }))
+                    .map(history => [`${history.university_id}:${history.journal_id}`, history.terms]));
+                rows.forEach(row => {
+                    row.history = histories.get(`${row.university_id}:${row.journal_id}`) || [];
+                });
+            } catch (error) {
+                return res.status(500).json({ error: error.message });
+            }
+        }
+        res.json(rows);
+    });
+});
+
+// Yearly subscription trajectory per university and journal, including
+// titles that have since lapsed
+app.get('/api/subscriptions/history', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const terms = await loadTerms(db, { university: req.query.university, journal: req.query.journal, scope: req.user.scope });
+        res.json(subscriptionHistory(terms));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Monthly COUNTER usage
+app.get('/api/analytics/usage', allow(ANY_ROLE), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not ready' });
+    }
+    
+    try {
+        res.json(await usageTimeseries(db, {
+            university: req.query.university,
+            months: parseInt(req.query.range, 10) || 12,
+            report: req.query.report,
+            scope: req.user.scope
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Retention, churn and win-back per year (from/to limit the years reported)
+app.get('/api/analytics/retention', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const terms = await loadTerms(db, { university: req.query.university, scope: req.user.scope });
+        res.json(retentionReport(terms, parseInt(req.query.from, 10) || null, parseInt(req.query.to, 10) || null));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Renewal-risk score, contributing factors and ranking per active subscription
+app.get('/api/analytics/renewal-risk', allow(STAFF), async (req, res) => {
+    try {
+        res.json(await renewalRiskReport(db, {
+            university: req.query.university,
+            level: req.query.level,
+            limit: req.query.limit,
+            scope: req.user.scope
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The research and sales assistants' analyses as structured results
+// (schemaVersion, dataAvailable, then the figures the reports are rendered from)
+app.get('/api/analytics/research', allow(ANY_ROLE), async (req, res) => {
+    try {
+        res.json(await buildResearchAnalysis(db, { university: req.query.university || 'all', scope: req.user.scope }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/analytics/sales', allow(STAFF), async (req, res) => {
+    try {
+        res.json(await buildSalesAnalysis(db, { university: req.query.university || 'all', scope: req.user.scope }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cost per use per subscription, journal, subject area and university, with
+// percentile benchmarks across all universities. format=csv exports one level
+// (level=subscriptions|journals|subjects|universities).
+app.get('/api/analytics/cost-per-use', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const report = await costPerUseReport(db, {
+            university: req.query.university,
+            threshold: req.query.threshold,
+            metric: req.query.metric,
+            scope: req.user.scope
+        });
+
+        if (req.query.format === 'csv') {
+            const level = req.query.level || 'subscriptions';
+            if (!['subscriptions', 'journals', 'subjects', 'universities'].includes(level)) {
+                return res.status(400).json({ error: 'level must be subscriptions, journals, subjects or universities' });
+            }
+            const rows = report[level].map(({ benchmark, ...row }) => (benchmark ? { ...row, ...benchmarkColumns(benchmark) } : row));
+            return sendCsv(res, rows, `cost-per-use-${level}`);
+        }
+
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Subscriptions with usage and cost-per-use figures
+app.get('/api/export/csv', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const scope = await universityCondition(db, req.query.university, 'u', req.user.scope);
+
+        const subscriptions = await all(db, `
+            SELECT 
+                s.id as subscription_id,
+                u.name as University,
+                u.country as Country,
+                j.title as Journal,
+                j.issn as ISSN,
+                j.publisher as Publisher,
+                j.subject_area as "Subject Area",
+                s.subscription_type as "Subscription Type",
+                s.start_date as "Start Date",
+                s.end_date as "End Date",
+                s.annual_cost as "Annual Cost",
+                s.status as Status
+            FROM subscriptions s
+            JOIN universities u ON s.university_id = u.id
+            JOIN journals j ON s.journal_id = j.id
+            WHERE 1 = 1 ${scope.clause}
+            ORDER BY u.name, j.title
+        `, scope.params);
+
+        if (subscriptions.length === 0) {
+            return res.status(404).json({ error: 'No data found' });
+        }
+
+        const costColumns = await costPerUseColumns(db, req.query.threshold);
+        const rows = subscriptions.map(({ subscription_id, ...row }) => ({ ...row, ...costColumns(subscription_id) }));
+        sendCsv(res, rows, 'publishing-data');
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// COUNTER R5 report upload (TR_J1, TR_J3, TR_B1 as Excel, TSV or JSON)
+app.post('/api/upload/counter', allow(ADMINS), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    let report;
+    try {
+        report = readCounterFile(req.file.path, req.file.originalname);
+    } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const file = req.file;
+        const university = req.body.university || report.institutionName || extractUniversityName(file.originalname);
+        const jobId = await importQueue.enqueue({
+            type: 'counter_import',
+            filename: file.originalname,
+            university,
+            requestedBy: requestedBy(req)
+        }, auditedJob(auditActor(req), 'upload.counter', {
+            targetType: 'university',
+            targetId: university,
+            sourceFile: file.originalname,
+            sourceHash: await fileHash(file.path),
+            details: { reportId: report.reportId }
+        }, async job => {
+            try {
+                await job.log(`COUNTER ${report.reportId}: ${report.items.length} title-months`);
+                const result = await processCounterReport(report, file.originalname, req.body.university || null, job.progress);
+                await job.counters(jobCounters(result));
+                await job.log(describeResult(result));
+                return result;
+            } finally {
+                fs.unlink(file.path, () => {});
+            }
+        }));
+        
+        res.status(202).json({ message: 'COUNTER import queued', jobId });
+    } catch (error) {
+        console.error('❌ COUNTER import error:', error);
+        fs.unlink(req.file.path, () => {});
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Journal catalogue upload: KBART (tab-separated) or ONIX for Serials (XML)
+app.post('/api/upload/catalogue', allow(ADMINS), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    let catalogue;
+    try {
+        catalogue = readCatalogueFile(req.file.path);
+    } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const file = req.file;
+        const jobId = await importQueue.enqueue({
+            type: 'catalogue_import',
+            filename: file.originalname,
+            requestedBy: requestedBy(req)
+        }, auditedJob(auditActor(req), 'upload.catalogue', {
+            sourceFile: file.originalname,
+            sourceHash: await fileHash(file.path),
+            details: { format: catalogue.format }
+        }, async job => {
+            try {
+                await job.log(`${catalogue.format.toUpperCase()} catalogue: ${catalogue.records.length} titles`);
+                const result = await importCatalogue(db, catalogue, job.progress);
+                console.log(`📚 Catalogue ${file.originalname}: ${describeResult(result)}`);
+                await queueJournalDuplicates();
+                await job.counters(jobCounters(result));
+                await job.log(describeResult(result));
+                return result;
+            } finally {
+                fs.unlink(file.path, () => {});
+            }
+        }));
+        
+        res.status(202).json({ message: 'Catalogue import queued', jobId });
+    } catch (error) {
+        console.error('❌ Catalogue import error:', error);
+        fs.unlink(req.file.path, () => {});
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Column-mapping profiles
+app.get('/api/mapping-profiles', allow(ANALYSTS), (req, res) => {
+    db.all(`
+        SELECT mp.*, u.name as university_name
+        FROM mapping_profiles mp
+        LEFT JOIN universities u ON mp.university_id = u.id
+        ORDER BY mp.name
+    `, (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        res.json(rows.map(parseProfile));
+    });
+});
+
+app.get('/api/mapping-profiles/:name', allow(ANALYSTS), async (req, res) => {
+    try {
+        const profile = await getMappingProfile(req.params.name);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        res.json(profile);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/mapping-profiles', allow(ADMINS), async (req, res) => {
+    const { name, universityId, vendor, mapping } = req.body;
+    
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    const errors = validateMapping(mapping);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid mapping', details: errors });
+    }
+    
+    try {
+        const result = await run(db,
+            "INSERT INTO mapping_profiles (name, university_id, vendor, mapping) VALUES (?, ?, ?, ?)",
+            [name, universityId || null, vendor || null, JSON.stringify(mapping)]
+        );
+        await audit(auditActor(req), 'mapping_profile.create', { targetType: 'mapping_profile', targetId: name, details: { universityId, vendor, mapping } });
+        res.status(201).json({ id: result.lastID, message: 'Mapping profile created' });
+    } catch (error) {
+        const status = /UNIQUE/.test(error.message) ? 409 : 500;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+app.put('/api/mapping-profiles/:name', allow(ADMINS), async (req, res) => {
+    const { universityId, vendor, mapping } = req.body;
+    
+    const errors = validateMapping(mapping);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid mapping', details: errors });
+    }
+    
+    try {
+        const result = await run(db, `
+            UPDATE mapping_profiles
+            SET university_id = ?, vendor = ?, mapping = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE name = ?
+        `, [universityId || null, vendor || null, JSON.stringify(mapping), req.params.name]);
+        
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        await audit(auditActor(req), 'mapping_profile.update', { targetType: 'mapping_profile', targetId: req.params.name, details: { universityId, vendor, mapping } });
+        res.json({ message: 'Mapping profile updated' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/mapping-profiles/:name', allow(ADMINS), async (req, res) => {
+    try {
+        const result = await run(db, "DELETE FROM mapping_profiles WHERE name = ?", [req.params.name]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        await audit(auditActor(req), 'mapping_profile.delete', { targetType: 'mapping_profile', targetId: req.params.name });
+        res.json({ message: 'Mapping profile deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Score a new file's headers and propose a mapping to save as a profile
+app.post('/api/mapping-profiles/propose', allow(ADMINS), upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    try {
+        const workbook = XLSX.readFile(req.file.path);
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const headers = sheetHeaders(worksheet);
+        const sample = XLSX.utils.sheet_to_json(worksheet).slice(0, 20);
+        
+        res.json({ headers, ...proposeMapping(headers, sample) });
+    } catch (error) {
+        res.status(400).json({ error: `Invalid Excel file: ${error.message}` });
+    } finally {
+        fs.unlink(req.file.path, () => {});
+    }
+});
+
+// Subscription workbook upload (dry run). Needs ?profile=<name> (or a mapping
+// in the form body); without one the proposed mapping is returned for review.
+// catalogueOnly=true skips journals that are not in the journal catalogue.
+// Nothing is written until POST /api/upload/excel/commit with the preview token.
+app.post('/api/upload/excel', allow(ADMINS), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    let keepFile = false;
+    try {
+        const workbook = XLSX.readFile(req.file.path);
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const profileName = req.query.profile || req.body.profile;
+        let mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+        
+        if (profileName) {
+            const profile = await getMappingProfile(profileName);
+            if (!profile) {
+                return res.status(404).json({ error: `Mapping profile "${profileName}" not found` });
+            }
+            mapping = profile.mapping;
+        }
+        
+        if (!mapping) {
+            const headers = sheetHeaders(worksheet);
+            return res.status(422).json({
+                error: 'No mapping profile given. Review the proposed mapping, save it as a profile and upload again with ?profile=<name>.',
+                headers,
+                proposal: proposeMapping(headers, XLSX.utils.sheet_to_json(worksheet).slice(0, 20))
+            });
+        }
+        
+        const errors = validateMapping(mapping);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid mapping', details: errors });
+        }
+        
+        const universityName = await importUniversityName(req.body.university || extractUniversityName(req.file.originalname));
+        const referenceYear = parseInt(req.query.year || req.body.year, 10) || termYear(req.file.originalname);
+        const catalogueOnly = (req.query.catalogueOnly || req.body.catalogueOnly) === 'true';
+        if (catalogueOnly && !(await get(db, "SELECT 1 FROM journals WHERE catalogue_source IS NOT NULL LIMIT 1"))) {
+            return res.status(400).json({ error: 'No journal catalogue loaded; upload one to /api/upload/catalogue first' });
+        }
+        
+        const report = await createImportPreview(req.file, workbook, mapping, universityName, profileName, referenceYear, catalogueOnly);
+        keepFile = true;
+        
+        res.json(report);
+    } catch (error) {
+        console.error('❌ Excel upload error:', error);
+        res.status(400).json({ error: error.message });
+    } finally {
+        if (!keepFile) {
+            fs.unlink(req.file.path, () => {});
+        }
+    }
+});
+
+app.get('/api/upload/excel/preview/:token', allow(ADMINS), async (req, res) => {
+    try {
+        const preview = await get(db, "SELECT report, committed_at FROM import_previews WHERE token = ?", [req.params.token]);
+        if (!preview) {
+            return res.status(404).json({ error: 'Preview not found or expired' });
+        }
+        res.json({ ...JSON.parse(preview.report), committedAt: preview.committed_at });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Apply a previewed import, provided the stored data has not changed since
+app.post('/api/upload/excel/commit', allow(ADMINS), async (req, res) => {
+    const { previewToken } = req.body;
+    if (!previewToken) {
+        return res.status(400).json({ error: 'previewToken is required' });
+    }
+    
+    try {
+        const preview = await get(db,
+            "SELECT *, expires_at < datetime('now') as expired FROM import_previews WHERE token = ?", [previewToken]);
+        
+        if (!preview || preview.expired) {
+            return res.status(404).json({ error: 'Preview not found or expired; upload the file again' });
+        }
+        if (preview.committed_at) {
+            return res.status(409).json({ error: `Preview already committed at ${preview.committed_at}` });
+        }
+        
+        const queued = await get(db,
+            "SELECT id FROM import_jobs WHERE source = ? AND status IN ('queued', 'running')", [previewToken]);
+        if (queued) {
+            return res.status(409).json({ error: `Preview is already being committed by job ${queued.id}`, jobId: queued.id });
+        }
+        
+        const jobId = await importQueue.enqueue({
+            type: 'excel_import',
+            filename: preview.filename,
+            university: preview.university_name,
+            requestedBy: requestedBy(req),
+            source: previewToken
+        }, auditedJob(auditActor(req), 'upload.subscriptions', {
+            targetType: 'university',
+            targetId: preview.university_name,
+            sourceFile: preview.filename,
+            sourceHash: preview.source_hash,
+            details: { previewToken, profile: preview.profile, referenceYear: preview.reference_year, catalogueOnly: !!preview.catalogue_only }
+        }, async job => {
+            try {
+                const workbook = XLSX.readFile(preview.file_path);
+                const result = await processExcelFile(workbook, preview.filename, {
+                    mapping: JSON.parse(preview.mapping),
+                    universityName: preview.university_name,
+                    referenceYear: preview.reference_year,
+                    expectedBaseline: preview.baseline_hash,
+                    catalogueOnly: !!preview.catalogue_only,
+                    onProgress: job.progress
+                });
+                
+                await job.counters(jobCounters(result));
+                await job.log(describeResult(result));
+                await run(db, "UPDATE import_previews SET committed_at = CURRENT_TIMESTAMP WHERE token = ?", [previewToken]);
+                fs.unlink(preview.file_path, () => {});
+                return result;
+            } catch (error) {
+                if (error instanceof StaleImportError) {
+                    throw new StaleImportError(`${error.message}; upload the file again for a fresh preview`);
+                }
+                throw error;
+            }
+        }));
+        
+        res.status(202).json({ message: 'Import queued', jobId });
+    } catch (error) {
+        console.error('❌ Import commit error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Harvest now: one university (optionally a backfill range) or all configured
+app.post('/api/sushi/harvest', allow(ADMINS), async (req, res) => {
+    const { universityId, from, to, months, reports, force } = req.body;
+    const options = { from, to, months: parseInt(months, 10) || undefined, reports, force: !!force };
+    
+    try {
+        if (universityId) {
+            const university = await get(db, "SELECT * FROM universities WHERE id = ?", [universityId]);
+            if (!university) {
+                return res.status(404).json({ error: 'University not found' });
+            }
+            
+            const summary = await auditedChange(auditActor(req), 'sushi.harvest', { targetType: 'university', targetId: university.id, details: options },
+                () => harvestUniversity(db, university, options));
+            await run(db, "UPDATE universities SET sushi_last_harvested_at = CURRENT_TIMESTAMP WHERE id = ?", [university.id]);
+            return res.json(summary);
+        }
+        
+        res.json(await auditedChange(auditActor(req), 'sushi.harvest', { details: options }, () => harvestAll(db, options)));
+    } catch (error) {
+        console.error('❌ SUSHI harvest error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/sushi/log', allow(ANALYSTS), async (req, res) => {
+    try {
+        const scope = await universityCondition(db, req.query.university);
+        let whereClause = `WHERE 1 = 1 ${scope.clause}`;
+        const params = [...scope.params];
+        
+        if (req.query.status) {
+            whereClause += ' AND l.status = ?';
+            params.push(req.query.status);
+        }
+        
+        res.json(await all(db, `
+            SELECT l.*, u.name as university_name
+            FROM sushi_harvest_log l
+            JOIN universities u ON l.university_id = u.id
+            ${whereClause}
+            ORDER BY u.name, l.report_id, l.month DESC
+        `, params));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// A librarian's chat is about their own university whatever the client sends:
+// the library persona, their university as the filter, and only the tools and
+// template analyses below (no sales pipeline, leads or renewal risk)
+const PORTAL_TOOLS = ['subscriptions_for_university', 'cost_per_use', 'usage_timeseries'];
+const PORTAL_INTENTS = ['subscriptions', 'universities', 'research_statistics', 'business_strategy', 'overview'];
+
+function chatInput(req, input) {
+    if (req.user.role !== 'librarian') {
+        return { ...input, scope: req.user.scope };
+    }
+    return {
+        ...input,
+        assistantType: 'library',
+        universityFilter: req.user.university ? req.user.university.name : 'none',
+        scope: req.user.scope,
+        tools: PORTAL_TOOLS,
+        intents: PORTAL_INTENTS
+    };
+}
+
+// The caller's session to continue (sessionId), or a new one. null when
+// sessionId is not one of theirs.
+async function openChatSession(req, { message, assistantType, universityFilter, sessionId }) {
+    const owner = requestedBy(req);
+    return sessionId
+        ? findSession(db, owner, sessionId)
+        : createSession(db, owner, { title: message, assistantType, universityFilter });
+}
+
+// Answers one chat message and stores the turn in the session: configured
+// model first, statistical templates as fallback. The earlier turns go back to
+// the model with the question. With onToken the model's answer is streamed,
+// and with onSection each template section as soon as it is written;
+// onFallback hears why the templates are answering instead.
+async function answerChat(session, { message, assistantType = 'general', universityFilter = 'all', scope = null, tools = null, intents = null }, callbacks = {}) {
+    const history = await sessionHistory(db, session);
+
+    // The configured model answers by calling the analytics tools; the
+    // statistical templates answer when there is no client or the call fails
+    let aiResponse = null;
+    let model = null;
+    let toolCalls = [];
+    if (openai) {
+        try {
+            const university = await universityInMessage(message, scope) || universityFilter;
+            ({ content: aiResponse, model, toolCalls } = await runAgent(openai, db, {
+                message,
+                history,
+                assistantType,
+                university,
+                scope,
+                tools,
+                onToken: callbacks.onToken,
+                onToolCall: callbacks.onToolCall
+            }));
+            console.log(`✅ Response generated by ${model} (${toolCalls.length} tool calls)`);
+        } catch (error) {
+            console.error('❌ OpenAI chat failed, using statistical analysis:', error.message);
+            aiResponse = null;
+            if (callbacks.onFallback) callbacks.onFallback(error.message);
+        }
+    }
+    
+    const usingOpenAI = !!aiResponse;
+    const trace = {};
+    if (!usingOpenAI) {
+        const sections = [];
+        for await (const section of followUpSections(message, assistantType, universityFilter, history, trace, scope, intents)) {
+            if (callbacks.onSection) callbacks.onSection(section, sections.length);
+            sections.push(section);
+        }
+        aiResponse = sections.join('\n\n');
+    }
+
+    await appendTurn(db, session, { message, response: aiResponse, assistantType, universityFilter, model, toolCalls });
+
+    return {
+        response: aiResponse,
+        usingOpenAI,
+        model,
+        toolCalls,
+        analysis: usingOpenAI ? null : trace.analysis,
+        analysisResult: usingOpenAI ? null : trace.result || null,
+        intent: usingOpenAI ? null : trace.intent || null,
+        dataSources: usingOpenAI ? Array.from(new Set(toolCalls.map(call => call.tool))) : trace.dataSources || []
+    };
+}
+
+// Chat endpoint. Turns are stored in the caller's session (sessionId, or a
+// new one).
+app.post('/api/chat/send', allow(ANY_ROLE), async (req, res) => {
+    console.log('🤖 Statistical chat request received:', req.body);
+    
+    try {
+        const input = chatInput(req, req.body);
+        const { message, assistantType = 'general', sessionId } = input;
+        
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ 
+                response: 'Please provide a message to analyze.'
+            });
+        }
+
+        const session = await openChatSession(req, input);
+        if (!session) {
+            return res.status(404).json({ response: 'Chat session not found.', sessionId });
+        }
+
+        const answer = await answerChat(session, input);
+
+        res.json({
+            response: answer.response,
+            sessionId: session.session_id,
+            assistantType,
+            timestamp: new Date().toISOString(),
+            usingOpenAI: answer.usingOpenAI,
+            model: answer.model,
+            toolCalls: answer.toolCalls,
+            dataSources: answer.dataSources,
+            analysisResult: answer.analysisResult,
+            intent: answer.intent,
+            statisticalAnalysis: !answer.usingOpenAI
+        });
+        
+    } catch (error) {
+        console.error('❌ Statistical chat error:', error);
+        res.status(500).json({ 
+            response: 'I encountered an error processing your statistical analysis request. Please try again.'
+        });
+    }
+});
+
+// Streaming chat over Server-Sent Events. Events, in order:
+//   session  { sessionId, assistantType }
+//   tool     a tool call once it has run (model answers)
+//   token    { content } as the model writes (model answers)
+//   fallback { reason } - the model failed; discard its tokens, sections follow
+//   section  { index, content } per section of a statistical report, as it is written
+//   done     { sessionId, assistantType, usingOpenAI, model, analysis,
+//              analysisResult, intent, dataSources, toolCalls,
+//              timing { firstOutputMs, totalMs } }
+//   error    { message }
+// GET takes the chat fields as query parameters (for EventSource), POST as a body.
+async function streamChat(req, res, fields) {
+    const startedAt = Date.now();
+    let firstOutputAt = null;
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        const input = chatInput(req, fields);
+        const { message, assistantType = 'general', sessionId } = input;
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Please provide a message to analyze.' });
+        }
+
+        const session = await openChatSession(req, input);
+        if (!session) {
+            return res.status(404).json({ error: 'Chat session not found', sessionId });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        send('session', { sessionId: session.session_id, assistantType });
+
+        const answer = await answerChat(session, input, {
+            onToken: content => {
+                firstOutputAt = firstOutputAt || Date.now();
+                send('token', { content });
+            },
+            onToolCall: call => send('tool', call),
+            onFallback: reason => send('fallback', { reason }),
+            onSection: (content, index) => {
+                firstOutputAt = firstOutputAt || Date.now();
+                send('section', { index, content });
+            }
+        });
+
+        send('done', {
+            sessionId: session.session_id,
+            assistantType,
+            usingOpenAI: answer.usingOpenAI,
+            model: answer.model,
+            analysis: answer.analysis,
+            analysisResult: answer.analysisResult,
+            intent: answer.intent,
+            dataSources: answer.dataSources,
+            toolCalls: answer.toolCalls,
+            timing: {
+                firstOutputMs: firstOutputAt ? firstOutputAt - startedAt : null,
+                totalMs: Date.now() - startedAt
+            }
+        });
+        res.end();
+    } catch (error) {
+        console.error('❌ Streaming chat error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: error.message });
+        }
+        send('error', { message: 'I encountered an error processing your request. Please try again.' });
+        res.end();
+    }
+}
+
+app.get('/api/chat/stream', allow(ANY_ROLE), (req, res) => streamChat(req, res, req.query));
+app.post('/api/chat/stream', allow(ANY_ROLE), (req, res) => streamChat(req, res, req.body));
+
+// Chat sessions of the caller, most recently used first
+app.get('/api/chat/sessions', allow(ANY_ROLE), async (req, res) => {
+    try {
+        res.json(await listSessions(db, requestedBy(req), req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/chat/sessions/:id', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const session = await sessionWithMessages(db, requestedBy(req), req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        res.json(session);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/chat/sessions/:id', allow(ANY_ROLE), async (req, res) => {
+    const { title } = req.body;
+    if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'title must be a non-empty string' });
+    }
+    
+    try {
+        if (!(await renameSession(db, requestedBy(req), req.params.id, title))) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        res.json(await sessionWithMessages(db, requestedBy(req), req.params.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/chat/sessions/:id', allow(ANY_ROLE), async (req, res) => {
+    try {
+        if (!(await deleteSession(db, requestedBy(req), req.params.id))) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        res.json({ deleted: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// How the chat router would classify a question (message, assistantType)
+app.get('/api/chat/intent', allow(ANY_ROLE), async (req, res) => {
+    try {
+        const { message, assistantType = 'general' } = req.query;
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'message must be a non-empty string' });
+        }
+        res.json(await classifyMessage(message, assistantType, req.user.scope));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/chat/intents', allow(ANY_ROLE), (req, res) => {
+    try {
+        const counts = intentClassifier.exampleCounts();
+        res.json(Object.entries(INTENTS).map(([intent, definition]) => ({
+            intent,
+            description: definition.description,
+            examples: counts[intent] || 0
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Teach the classifier a labelled question; kept for the next startup
+app.post('/api/chat/intents/examples', allow(ANALYSTS), async (req, res) => {
+    try {
+        const { intent, text } = req.body;
+        if (typeof intent !== 'string' || !Object.prototype.hasOwnProperty.call(INTENTS, intent)) {
+            return res.status(400).json({ error: `intent must be one of ${Object.keys(INTENTS).join(', ')}` });
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'text must be a non-empty string' });
+        }
+
+        const result = await run(db, 'INSERT OR IGNORE INTO intent_examples (intent, text, created_by) VALUES (?, ?, ?)',
+            [intent, text.trim(), requestedBy(req)]);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'This example is already stored' });
+        }
+        intentClassifier.train(intent, text.trim());
+        res.status(201).json({ id: result.lastID, intent, text: text.trim() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Natural-language query: the model writes SQL, which runs only after
+// validation (SELECT-only, whitelisted tables, row limit, timeout). save names
+// the query to keep it for reuse.
+function sendQueryError(res, error, extra = {}) {
+    if (error instanceof QueryError) {
+        return res.status(error.status).json({ error: error.message, ...extra });
+    }
+    console.error('❌ Query error:', error);
+    res.status(500).json({ error: error.message, ...extra });
+}
+
+async function saveQuery(req, { name, question, sql }) {
+    try {
+        const result = await run(db, 'INSERT INTO saved_queries (name, question, sql, created_by) VALUES (?, ?, ?, ?)',
+            [name, question || null, sql, requestedBy(req)]);
+        return get(db, 'SELECT * FROM saved_queries WHERE id = ?', [result.lastID]);
+    } catch (error) {
+        if (/UNIQUE/.test(error.message)) {
+            throw new QueryError(`A saved query named "${name}" already exists`, 409);
+        }
+        throw error;
+    }
+}
+
+app.post('/api/query/nl', allow(ANALYSTS), async (req, res) => {
+    const { question, limit, save } = req.body;
+    if (typeof question !== 'string' || !question.trim()) {
+        return res.status(400).json({ error: 'question must be a non-empty string' });
+    }
+    if (save !== undefined && save !== null && (typeof save !== 'string' || !save.trim())) {
+        return res.status(400).json({ error: 'save must be a non-empty string (the name to save the query under)' });
+    }
+    if (!openai) {
+        return res.status(503).json({ error: 'Natural-language queries need OPENAI_API_KEY' });
+    }
+    
+    let translation = null;
+    try {
+        translation = await translateQuestion(openai, db, question, chatModel());
+        const result = await queryRunner.execute(translation.sql, { limit });
+        const saved = save ? await saveQuery(req, { name: save.trim(), question, sql: result.sql }) : null;
+        
+        res.json({ question, explanation: translation.explanation, model: translation.model, ...result, saved });
+    } catch (error) {
+        sendQueryError(res, error, translation ? { sql: translation.sql } : {});
+    }
+});
+
+app.get('/api/query/saved', allow(ANALYSTS), async (req, res) => {
+    try {
+        res.json(await all(db, 'SELECT * FROM saved_queries ORDER BY name'));
+    } catch (error) {
+        sendQueryError(res, error);
+    }
+});
+
+// Save SQL directly (e.g. an edited translation); it is validated first
+app.post('/api/query/saved', allow(ANALYSTS), async (req, res) => {
+    const { name, question, sql } = req.body;
+    if (typeof name !== 'string' || !name.trim() || typeof sql !== 'string' || !sql.trim()) {
+        return res.status(400).json({ error: 'name and sql must be non-empty strings' });
+    }
+    if (question !== undefined && question !== null && typeof question !== 'string') {
+        return res.status(400).json({ error: 'question must be a string' });
+    }
+    
+    try {
+        const { sql: statement } = await queryRunner.validate(sql);
+        res.status(201).json(await saveQuery(req, { name: name.trim(), question, sql: statement }));
+    } catch (error) {
+        sendQueryError(res, error);
+    }
+});
+
+app.post('/api/query/saved/:id/run', allow(ANALYSTS), async (req, res) => {
+    try {
+        const saved = await get(db, 'SELECT * FROM saved_queries WHERE id = ?', [req.params.id]);
+        if (!saved) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+        
+        const result = await queryRunner.execute(saved.sql, { limit: req.body.limit });
+        await run(db, 'UPDATE saved_queries SET run_count = run_count + 1, last_run_at = CURRENT_TIMESTAMP WHERE id = ?', [saved.id]);
+        res.json({ name: saved.name, question: saved.question, ...result });
+    } catch (error) {
+        sendQueryError(res, error);
+    }
+});
+
+app.delete('/api/query/saved/:id', allow(ANALYSTS), async (req, res) => {
+    try {
+        const saved = await get(db, 'SELECT name, sql FROM saved_queries WHERE id = ?', [req.params.id]);
+        if (!saved) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+        await run(db, 'DELETE FROM saved_queries WHERE id = ?', [req.params.id]);
+        await audit(auditActor(req), 'saved_query.delete', { targetType: 'saved_query', targetId: req.params.id, details: saved });
+        res.json({ deleted: true });
+    } catch (error) {
+        sendQueryError(res, error);
+    }
+});
+
+// Force reprocess data folder: the subscriptions, yearly terms and COUNTER
+// usage the folder's files provide are cleared and reloaded. Universities and
+// journals are kept and matched by name and ISSN/title as the files load, so
+// what hangs off them (aliases, SUSHI settings and harvested usage, librarian
+// accounts, mapping profiles, catalogue data, coverage, merges) survives.
+// Clearing and reloading is one transaction, so a cancelled or failed
+// reprocess leaves the previous data in place.
+app.post('/api/reprocess', allow(ADMINS), async (req, res) => {
+    console.log('🔄 Reprocessing data folder...');
+    
+    const files = dataFolderFiles();
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No Excel files found in data folder' });
+    }
+    
+    try {
+        const jobId = await importQueue.enqueue({
+            type: 'reprocess',
+            filename: files.join(', '),
+            requestedBy: requestedBy(req)
+        }, auditedJob(auditActor(req), 'reprocess', {
+            sourceFile: files.join(', '),
+            details: { files: await dataFolderHashes(files) }
+        }, job => transaction(db, async () => {
+            const snapshot = await createSnapshot(db, {
+                name: 'Before reprocessing the data folder',
+                reason: 'reprocess',
+                createdBy: requestedBy(req)
+            });
+            await job.log(`Saved snapshot ${snapshot.id} of every university`);
+            await run(db, "DELETE FROM subscriptions");
+            await run(db, "DELETE FROM subscription_terms");
+            await run(db, "DELETE FROM counter_usage WHERE source_file IS NOT 'sushi'");
+            await job.log(`Cleared subscriptions, yearly terms and imported COUNTER usage; reloading ${files.length} files`);
+            
+            return processAllExcelFiles(files, job, { allOrNothing: true });
+        })));
+        
+        res.status(202).json({ message: 'Data folder reprocessing queued', jobId });
+    } catch (error) {
+        console.error('❌ Reprocess error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Snapshots of the university data (see snapshots.js), newest first
+// (university, reason, limit, offset)
+app.get('/api/snapshots', allow(ANALYSTS), async (req, res) => {
+    if (req.query.reason && !SNAPSHOT_REASONS.includes(req.query.reason)) {
+        return res.status(400).json({ error: `reason must be one of: ${SNAPSHOT_REASONS.join(', ')}` });
+    }
+    
+    try {
+        res.json(await listSnapshots(db, req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/snapshots/:id', allow(ANALYSTS), async (req, res) => {
+    try {
+        res.json(await getSnapshot(db, req.params.id));
+    } catch (error) {
+        sendSnapshotError(res, error);
+    }
+});
+
+// Changes from a snapshot to another (to=<id>) or to the current data (the
+// default), optionally for one university; limit caps the examples per kind
+app.get('/api/snapshots/:id/diff', allow(ANALYSTS), async (req, res) => {
+    const { to = 'current', university, limit } = req.query;
+    try {
+        res.json(await diffSnapshots(db, req.params.id, to, { university, limit }));
+    } catch (error) {
+        sendSnapshotError(res, error);
+    }
+});
+
+// Takes a snapshot now. body: name, universityId (every university if left out)
+app.post('/api/snapshots', allow(ADMINS), async (req, res) => {
+    const { name, universityId } = req.body;
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    
+    try {
+        const snapshot = await createSnapshot(db, { name, reason: 'manual', universityId: universityId || null, createdBy: requestedBy(req) });
+        await audit(auditActor(req), 'snapshot.create', { targetType: 'snapshot', targetId: snapshot.id, details: snapshot });
+        res.status(201).json(snapshot);
+    } catch (error) {
+        sendSnapshotError(res, error);
+    }
+});
+
+// Queues a restore of one university's data from a snapshot. body:
+// university, required for a snapshot of every university
+app.post('/api/snapshots/:id/restore', allow(ADMINS), async (req, res) => {
+    try {
+        const { snapshot, universityName } = await checkRestore(db, req.params.id, req.body.university);
+        const jobId = await importQueue.enqueue({
+            type: 'restore',
+            filename: `snapshot ${snapshot.id}`,
+            university: universityName,
+            requestedBy: requestedBy(req),
+            source: String(snapshot.id)
+        }, auditedJob(auditActor(req), 'snapshot.restore', {
+            targetType: 'university',
+            targetId: universityName,
+            details: { snapshotId: snapshot.id, snapshotName: snapshot.name, snapshotTakenAt: snapshot.created_at }
+        }, async job => {
+            const result = await restoreSnapshot(db, snapshot.id, { university: universityName, createdBy: requestedBy(req) });
+            await job.counters(jobCounters(result));
+            await job.log(describeResult(result));
+            return result;
+        }));
+        
+        res.status(202).json({ message: 'Restore queued', jobId });
+    } catch (error) {
+        sendSnapshotError(res, error);
+    }
+});
+
+function sendSnapshotError(res, error) {
+    if (error instanceof SnapshotError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// Database backups (see backup.js), newest first. Restoring one replaces the
+// database file, so it is done with `npm run restore` while the server is
+// stopped.
+app.get('/api/backups', allow(ADMINS), (req, res) => {
+    try {
+        res.json(listBackups().map(({ file, ...backup }) => backup));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Takes an online backup, verifies it and rotates old ones
+app.post('/api/backups', allow(ADMINS), async (req, res) => {
+    try {
+        const { file, ...backup } = await createBackup();
+        await audit(auditActor(req), 'backup.create', { targetType: 'backup', targetId: backup.name, details: backup });
+        res.status(201).json(backup);
+    } catch (error) {
+        await audit(auditActor(req), 'backup.create', { outcome: 'failed', error: error.message });
+        sendBackupError(res, error);
+    }
+});
+
+// Runs integrity_check on a backup
+app.post('/api/backups/:name/verify', allow(ADMINS), async (req, res) => {
+    try {
+        const { file, ...result } = await verifyBackup(req.params.name);
+        res.json(result);
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+function sendBackupError(res, error) {
+    if (error instanceof BackupError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// Audit log, newest first (action, actor, outcome, targetType, targetId,
+// from, to, limit, offset); format=csv exports the matching entries
+app.get('/api/audit', allow(ADMINS), async (req, res) => {
+    if (req.query.outcome && !OUTCOMES.includes(req.query.outcome)) {
+        return res.status(400).json({ error: `outcome must be one of: ${OUTCOMES.join(', ')}` });
+    }
+    
+    try {
+        if (req.query.format === 'csv') {
+            const { entries } = await listAudit(db, { ...req.query, limit: req.query.limit || 10000 });
+            return sendCsv(res, auditCsvRows(entries), 'audit-log');
+        }
+        res.json(await listAudit(db, req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import job history
+app.get('/api/imports', allow(ANALYSTS), async (req, res) => {
+    if (req.query.status && !STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    
+    try {
+        res.json(await importQueue.list(req.query));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/imports/:id', allow(ANALYSTS), async (req, res) => {
+    try {
+        const job = await importQueue.find(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        res.json(job);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/imports/:id/cancel', allow(ADMINS), async (req, res) => {
+    try {
+        const outcome = await importQueue.cancel(parseInt(req.params.id, 10));
+        if (!outcome) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        if (outcome !== 'cancelled' && outcome !== 'cancelling') {
+            return res.status(409).json({ error: `Job already ${outcome}` });
+        }
+        await audit(auditActor(req), 'import.cancel', { targetType: 'import_job', targetId: req.params.id, jobId: parseInt(req.params.id, 10) });
+        res.status(outcome === 'cancelled' ? 200 : 202).json({ jobId: parseInt(req.params.id, 10), status: outcome });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Handle 404
+app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Start server, holding the database so a restore cannot replace it underneath
+let releaseDatabase;
+try {
+    releaseDatabase = lockDatabase(databasePath(), 'server');
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+process.on('exit', releaseDatabase);
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(0)));
+
 app.listen(PORT, () => {
     console.log(`🚀 Enhanced Publishing Intelligence Platform running on port ${PORT}`);
     console.log(`📊 Dashboard: http://localhost:${PORT}`);
@@ -6,6 +6,7 @@ const multer = require('multer');
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
+const { migrateUp } = require('./migrate');
 require('dotenv').config();
 
 const app = express();
@@ -31,56 +32,9 @@ const db = new sqlite3.Database('./publishing_data.db', (err) => {
 
 // Initialize database tables
 function initializeDatabase() {
-    const tables = [
-        `CREATE TABLE IF NOT EXISTS universities (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            code TEXT UNIQUE,
-            name TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS journal_subscriptions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_title TEXT NOT NULL,
-            journal_abbreviation TEXT,
-            current_year INTEGER DEFAULT 0,
-            previous_year INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS journal_usage (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_title TEXT NOT NULL,
-            publisher TEXT,
-            usage_date TEXT,
-            total_requests INTEGER DEFAULT 0,
-            unique_requests INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS books_purchased (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            book_code TEXT,
-            book_title TEXT NOT NULL,
-            year INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`
-    ];
-
-    tables.forEach(sql => {
-        db.run(sql, (err) => {
-            if (err) console.error('Error creating table:', err);
-        });
-    });
-    
-    // Insert default universities
-    insertDefaultUniversities();
+    migrateUp(db)
+        .then(() => insertDefaultUniversities())
+        .catch(err => console.error('Error migrating database:', err));
 }
 
 function insertDefaultUniversities() {
@@ -332,7 +286,7 @@ User question: ${message}
 Provide a helpful, specific answer based on the publishing data. Focus on actionable insights for revenue opportunities, subscription patterns, and market gaps.`;
 
         const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+            model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
             messages: [{ role: "user", content: prompt }],
             max_tokens: 500,
             temperature: 0.7,
@@ -7,6 +7,9 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
+const { migrateUp } = require('./migrate');
+const { costPerUseColumns } = require('./cost-per-use');
+const { sendCsv } = require('./csv');
 require('dotenv').config();
 
 const app = express();
@@ -52,86 +55,9 @@ const db = new sqlite3.Database('./publishing_data.db', (err) => {
 });
 
 function initializeDatabase() {
-    const tables = [
-        `CREATE TABLE IF NOT EXISTS universities (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT UNIQUE NOT NULL,
-            country TEXT,
-            type TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS journals (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            issn TEXT,
-            publisher TEXT,
-            subject_area TEXT,
-            impact_factor REAL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS subscriptions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_id INTEGER,
-            subscription_type TEXT,
-            start_date DATE,
-            end_date DATE,
-            annual_cost REAL,
-            usage_count INTEGER DEFAULT 0,
-            last_used DATE,
-            status TEXT DEFAULT 'active',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id),
-            FOREIGN KEY (journal_id) REFERENCES journals (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS usage_analytics (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            subscription_id INTEGER,
-            month TEXT,
-            downloads INTEGER DEFAULT 0,
-            views INTEGER DEFAULT 0,
-            searches INTEGER DEFAULT 0,
-            unique_users INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (subscription_id) REFERENCES subscriptions (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS publications (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_id INTEGER,
-            title TEXT,
-            authors TEXT,
-            publish_date DATE,
-            citation_count INTEGER DEFAULT 0,
-            doi TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id),
-            FOREIGN KEY (journal_id) REFERENCES journals (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS chat_sessions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            session_id TEXT UNIQUE,
-            messages TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`
-    ];
-
-    tables.forEach(tableSQL => {
-        db.run(tableSQL, (err) => {
-            if (err) {
-                console.error('Error creating table:', err);
-            }
-        });
-    });
-    
-    // Insert sample data if tables are empty
-    insertSampleData();
+    migrateUp(db)
+        .then(() => insertSampleData())
+        .catch(err => console.error('Error migrating database:', err));
 }
 
 function insertSampleData() {
@@ -174,73 +100,11 @@ function insertSampleData() {
             journals.forEach(journal => journalStmt.run(journal));
             journalStmt.finalize();
             
-            // Generate sample subscriptions and usage data
-            generateSampleSubscriptions();
+            // Subscriptions and usage come from imported files, never generated
         }
     });
 }
 
-function generateSampleSubscriptions() {
-    // Generate random subscriptions for each university
-    db.all("SELECT id FROM universities", (err, universities) => {
-        if (err) return console.error(err);
-        
-        db.all("SELECT id FROM journals", (err, journals) => {
-            if (err) return console.error(err);
-            
-            const subscriptionStmt = db.prepare(`
-                INSERT INTO subscriptions (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, usage_count, status) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            const usageStmt = db.prepare(`
-                INSERT INTO usage_analytics (subscription_id, month, downloads, views, searches, unique_users) 
-                VALUES (?, ?, ?, ?, ?, ?)
-            `);
-            
-            universities.forEach((uni, uniIndex) => {
-                // Each university subscribes to random journals
-                const numSubscriptions = Math.floor(Math.random() * 5) + 3; // 3-7 subscriptions
-                const selectedJournals = journals.sort(() => 0.5 - Math.random()).slice(0, numSubscriptions);
-                
-                selectedJournals.forEach((journal, subIndex) => {
-                    const subscriptionId = uniIndex * 10 + subIndex + 1;
-                    const cost = Math.floor(Math.random() * 50000) + 10000; // $10k-$60k
-                    const usageCount = Math.floor(Math.random() * 1000) + 100;
-                    
-                    subscriptionStmt.run([
-                        uni.id, 
-                        journal.id, 
-                        'institutional',
-                        '2024-01-01',
-                        '2024-12-31',
-                        cost,
-                        usageCount,
-                        'active'
-                    ]);
-                    
-                    // Generate monthly usage data for the last 12 months
-                    for (let month = 1; month <= 12; month++) {
-                        const monthStr = `2024-${month.toString().padStart(2, '0')}`;
-                        usageStmt.run([
-                            subscriptionId,
-                            monthStr,
-                            Math.floor(Math.random() * 500) + 50,  // downloads
-                            Math.floor(Math.random() * 1000) + 200, // views
-                            Math.floor(Math.random() * 200) + 30,   // searches
-                            Math.floor(Math.random() * 100) + 20    // unique users
-                        ]);
-                    }
-                });
-            });
-            
-            subscriptionStmt.finalize();
-            usageStmt.finalize();
-            console.log('Sample data inserted successfully');
-        });
-    });
-}
-
 // API Routes
 
 // Debug route to list all endpoints
@@ -533,7 +397,7 @@ User Query: ${message}
                 `;
                 
                 const completion = await openai.chat.completions.create({
-                    model: 'gpt-3.5-turbo',
+                    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
                     messages: [
                         { role: 'system', content: systemPrompt },
                         { role: 'user', content: conversationContext }
@@ -1074,6 +938,7 @@ app.get('/api/export/csv', (req, res) => {
     
     const query = `
         SELECT 
+            s.id as subscription_id,
             u.name as University,
             u.country as Country,
             j.title as Journal,
@@ -1096,35 +961,29 @@ app.get('/api/export/csv', (req, res) => {
         ORDER BY u.name, j.title
     `;
     
-    db.all(query, params, (err, rows) => {
+    db.all(query, params, async (err, subscriptionRows) => {
         if (err) {
             res.status(500).json({ error: err.message });
             return;
         }
         
         // Convert to CSV format
-        if (rows.length === 0) {
+        if (subscriptionRows.length === 0) {
             res.status(404).json({ error: 'No data found' });
             return;
         }
         
-        const headers = Object.keys(rows[0]);
-        let csv = headers.join(',') + '\n';
-        
-        rows.forEach(row => {
-            const values = headers.map(header => {
-                let value = row[header];
-                if (typeof value === 'string' && value.includes(',')) {
-                    value = `"${value}"`;
-                }
-                return value || '';
-            });
-            csv += values.join(',') + '\n';
-        });
+        // Same cost-per-use figures as /api/analytics/cost-per-use
+        let costColumns;
+        try {
+            costColumns = await costPerUseColumns(db, req.query.threshold);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+            return;
+        }
+        const rows = subscriptionRows.map(({ subscription_id, ...row }) => ({ ...row, ...costColumns(subscription_id) }));
         
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename=publishing-data-${new Date().toISOString().split('T')[0]}.csv`);
-        res.send(csv);
+        sendCsv(res, rows, 'publishing-data');
     });
 });
 
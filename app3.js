@@ -7,6 +7,9 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
+const { migrateUp } = require('./migrate');
+const { costPerUseColumns } = require('./cost-per-use');
+const { sendCsv } = require('./csv');
 require('dotenv').config();
 
 const app = express();
@@ -52,86 +55,9 @@ const db = new sqlite3.Database('./publishing_data.db', (err) => {
 });
 
 function initializeDatabase() {
-    const tables = [
-        `CREATE TABLE IF NOT EXISTS universities (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT UNIQUE NOT NULL,
-            country TEXT,
-            type TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS journals (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            issn TEXT,
-            publisher TEXT,
-            subject_area TEXT,
-            impact_factor REAL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS subscriptions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_id INTEGER,
-            subscription_type TEXT,
-            start_date DATE,
-            end_date DATE,
-            annual_cost REAL,
-            usage_count INTEGER DEFAULT 0,
-            last_used DATE,
-            status TEXT DEFAULT 'active',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id),
-            FOREIGN KEY (journal_id) REFERENCES journals (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS usage_analytics (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            subscription_id INTEGER,
-            month TEXT,
-            downloads INTEGER DEFAULT 0,
-            views INTEGER DEFAULT 0,
-            searches INTEGER DEFAULT 0,
-            unique_users INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (subscription_id) REFERENCES subscriptions (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS publications (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_id INTEGER,
-            title TEXT,
-            authors TEXT,
-            publish_date DATE,
-            citation_count INTEGER DEFAULT 0,
-            doi TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id),
-            FOREIGN KEY (journal_id) REFERENCES journals (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS chat_sessions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            session_id TEXT UNIQUE,
-            messages TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`
-    ];
-
-    tables.forEach(tableSQL => {
-        db.run(tableSQL, (err) => {
-            if (err) {
-                console.error('Error creating table:', err);
-            }
-        });
-    });
-    
-    // Insert sample data if tables are empty
-    insertSampleData();
+    migrateUp(db)
+        .then(() => insertSampleData())
+        .catch(err => console.error('Error migrating database:', err));
 }
 
 function insertSampleData() {
@@ -174,8 +100,7 @@ function insertSampleData() {
             journals.forEach(journal => journalStmt.run(journal));
             journalStmt.finalize();
             
-            // Generate sample subscriptions and usage data
-            generateSampleSubscriptions();
+            // Subscriptions and usage come from imported files, never generated
         }
     });
 }
@@ -275,126 +200,11 @@ function insertSampleData() {
             journals.forEach(journal => journalStmt.run(journal));
             journalStmt.finalize();
             
-            // Generate comprehensive sample data
-            setTimeout(() => {
-                generateEnhancedSampleData();
-            }, 1000);
+            // Subscriptions and usage come from imported files, never generated
         }
     });
 }
 
-function generateEnhancedSampleData() {
-    db.all("SELECT id, name FROM universities", (err, universities) => {
-        if (err) return console.error(err);
-        
-        db.all("SELECT id, title, subject_area FROM journals", (err, journals) => {
-            if (err) return console.error(err);
-            
-            // Generate subscriptions (only some journals are subscribed)
-            const subscriptionStmt = db.prepare(`
-                INSERT INTO subscriptions (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, usage_count, status) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            // Generate browsing history (many more journals are browsed than subscribed)
-            const browsingStmt = db.prepare(`
-                INSERT INTO browsing_history (university_id, journal_id, view_date, view_count, session_duration, pages_viewed, downloaded_samples, requested_trial) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            // Generate research trends
-            const trendsStmt = db.prepare(`
-                INSERT INTO research_trends (university_id, subject_area, keyword, trend_score, year, publication_count, citation_count) 
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            universities.forEach((uni, uniIndex) => {
-                // Each university subscribes to 40-60% of available journals
-                const subscriptionRate = 0.4 + Math.random() * 0.2;
-                const numSubscriptions = Math.floor(journals.length * subscriptionRate);
-                const subscribedJournals = journals.sort(() => 0.5 - Math.random()).slice(0, numSubscriptions);
-                
-                // Generate subscriptions
-                subscribedJournals.forEach((journal, subIndex) => {
-                    const subscriptionId = uniIndex * 20 + subIndex + 1;
-                    const cost = Math.floor(Math.random() * 50000) + 10000;
-                    const usageCount = Math.floor(Math.random() * 1000) + 100;
-                    
-                    subscriptionStmt.run([
-                        uni.id, 
-                        journal.id, 
-                        'institutional',
-                        '2020-01-01',
-                        '2025-12-31',
-                        cost,
-                        usageCount,
-                        'active'
-                    ]);
-                });
-                
-                // Generate browsing history for ALL journals (including non-subscribed)
-                journals.forEach(journal => {
-                    // Generate random browsing events over the past 2 years
-                    const numBrowsingEvents = Math.floor(Math.random() * 20) + 5; // 5-25 browsing events per journal
-                    
-                    for (let i = 0; i < numBrowsingEvents; i++) {
-                        const daysAgo = Math.floor(Math.random() * 730); // Past 2 years
-                        const viewDate = new Date();
-                        viewDate.setDate(viewDate.getDate() - daysAgo);
-                        
-                        const isSubscribed = subscribedJournals.some(sub => sub.id === journal.id);
-                        const baseEngagement = isSubscribed ? 2 : 1; // Subscribed journals get more engagement
-                        
-                        browsingStmt.run([
-                            uni.id,
-                            journal.id,
-                            viewDate.toISOString().split('T')[0],
-                            Math.floor(Math.random() * 10 * baseEngagement) + 1,
-                            Math.floor(Math.random() * 1800 * baseEngagement) + 30, // 30 seconds to 30 minutes
-                            Math.floor(Math.random() * 20 * baseEngagement) + 1,
-                            Math.floor(Math.random() * 5 * baseEngagement), // Downloads
-                            Math.random() < (isSubscribed ? 0.1 : 0.3) ? 1 : 0 // Trial requests more likely for non-subscribed
-                        ]);
-                    }
-                });
-                
-                // Generate research trends for each university
-                const subjectAreas = ['Business Strategy', 'Artificial Intelligence', 'Medicine', 'Computer Science', 'Multidisciplinary'];
-                const keywords = [
-                    'AI strategy', 'digital transformation', 'machine learning', 'business intelligence',
-                    'competitive advantage', 'innovation management', 'data analytics', 'automation',
-                    'strategic planning', 'technology adoption', 'AI implementation', 'business models'
-                ];
-                
-                subjectAreas.forEach(subject => {
-                    keywords.forEach(keyword => {
-                        for (let year = 2020; year <= 2024; year++) {
-                            const relevanceScore = Math.random();
-                            if (relevanceScore > 0.3) { // Only include relevant trends
-                                trendsStmt.run([
-                                    uni.id,
-                                    subject,
-                                    keyword,
-                                    relevanceScore,
-                                    year,
-                                    Math.floor(Math.random() * 50) + 1,
-                                    Math.floor(Math.random() * 500) + 10
-                                ]);
-                            }
-                        }
-                    });
-                });
-            });
-            
-            subscriptionStmt.finalize();
-            browsingStmt.finalize();
-            trendsStmt.finalize();
-            
-            console.log('✅ Enhanced sample data with browsing history and trends inserted successfully');
-        });
-    });
-}
-
 // API Routes
 
 // Debug route to list all endpoints
@@ -687,7 +497,7 @@ User Query: ${message}
                 `;
                 
                 const completion = await openai.chat.completions.create({
-                    model: 'gpt-3.5-turbo',
+                    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
                     messages: [
                         { role: 'system', content: systemPrompt },
                         { role: 'user', content: conversationContext }
@@ -1228,6 +1038,7 @@ app.get('/api/export/csv', (req, res) => {
     
     const query = `
         SELECT 
+            s.id as subscription_id,
             u.name as University,
             u.country as Country,
             j.title as Journal,
@@ -1250,35 +1061,29 @@ app.get('/api/export/csv', (req, res) => {
         ORDER BY u.name, j.title
     `;
     
-    db.all(query, params, (err, rows) => {
+    db.all(query, params, async (err, subscriptionRows) => {
         if (err) {
             res.status(500).json({ error: err.message });
             return;
         }
         
         // Convert to CSV format
-        if (rows.length === 0) {
+        if (subscriptionRows.length === 0) {
             res.status(404).json({ error: 'No data found' });
             return;
         }
         
-        const headers = Object.keys(rows[0]);
-        let csv = headers.join(',') + '\n';
-        
-        rows.forEach(row => {
-            const values = headers.map(header => {
-                let value = row[header];
-                if (typeof value === 'string' && value.includes(',')) {
-                    value = `"${value}"`;
-                }
-                return value || '';
-            });
-            csv += values.join(',') + '\n';
-        });
+        // Same cost-per-use figures as /api/analytics/cost-per-use
+        let costColumns;
+        try {
+            costColumns = await costPerUseColumns(db, req.query.threshold);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+            return;
+        }
+        const rows = subscriptionRows.map(({ subscription_id, ...row }) => ({ ...row, ...costColumns(subscription_id) }));
         
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename=publishing-data-${new Date().toISOString().split('T')[0]}.csv`);
-        res.send(csv);
+        sendCsv(res, rows, 'publishing-data');
     });
 });
 
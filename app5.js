@@ -7,6 +7,7 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
+const { migrateUp } = require('./migrate');
 require('dotenv').config();
 
 const app = express();
@@ -60,83 +61,12 @@ function initializeDatabase() {
         }
         console.log('✅ Connected to SQLite database');
         
-        // Create all tables in a single serialized operation
-        db.serialize(() => {
-            console.log('📊 Creating database schema...');
-            
-            // Create universities table
-            db.run(`CREATE TABLE IF NOT EXISTS universities (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL,
-                country TEXT,
-                type TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create journals table with enhanced fields
-            db.run(`CREATE TABLE IF NOT EXISTS journals (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                issn TEXT,
-                publisher TEXT,
-                subject_area TEXT,
-                impact_factor REAL,
-                keywords TEXT,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create subscriptions table
-            db.run(`CREATE TABLE IF NOT EXISTS subscriptions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                subscription_type TEXT,
-                start_date DATE,
-                end_date DATE,
-                annual_cost REAL,
-                usage_count INTEGER DEFAULT 0,
-                last_used DATE,
-                status TEXT DEFAULT 'active',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create browsing history table
-            db.run(`CREATE TABLE IF NOT EXISTS browsing_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                view_date DATE,
-                view_count INTEGER DEFAULT 1,
-                session_duration INTEGER DEFAULT 0,
-                pages_viewed INTEGER DEFAULT 1,
-                downloaded_samples INTEGER DEFAULT 0,
-                requested_trial INTEGER DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create usage analytics table
-            db.run(`CREATE TABLE IF NOT EXISTS usage_analytics (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                subscription_id INTEGER,
-                month TEXT,
-                downloads INTEGER DEFAULT 0,
-                views INTEGER DEFAULT 0,
-                searches INTEGER DEFAULT 0,
-                unique_users INTEGER DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // After all tables are created, insert sample data
-            db.run("SELECT 1", (err) => {
-                if (err) {
-                    console.error('❌ Database verification failed:', err);
-                } else {
-                    console.log('✅ Database schema created successfully');
-                    insertSampleData();
-                }
-            });
-        });
+        migrateUp(db)
+            .then(() => {
+                console.log('✅ Database schema up to date');
+                insertSampleData();
+            })
+            .catch(err => console.error('❌ Error migrating database:', err));
     });
 }
 
@@ -283,7 +213,6 @@ async function processUniversityExcelFile(workbook, filename) {
                 
                 // Clear existing data for this university
                 db.run("DELETE FROM subscriptions WHERE university_id = ?", [universityId]);
-                db.run("DELETE FROM browsing_history WHERE university_id = ?", [universityId]);
                 
                 data.forEach((row, index) => {
                     // Dynamically find column values
@@ -342,7 +271,7 @@ async function processUniversityExcelFile(workbook, filename) {
                         let journalId;
                         if (journal) {
                             journalId = journal.id;
-                            insertSubscriptionAndBrowsing();
+                            insertSubscription();
                         } else {
                             // Create new journal
                             db.run(`
@@ -364,54 +293,25 @@ async function processUniversityExcelFile(workbook, filename) {
                                 }
                                 journalId = this.lastID;
                                 journalsCreated++;
-                                insertSubscriptionAndBrowsing();
+                                insertSubscription();
                             });
                         }
                         
-                        function insertSubscriptionAndBrowsing() {
+                        function insertSubscription() {
                             // Insert current year subscription if subscribed
                             if (isCurrentlySubscribed) {
                                 db.run(`
                                     INSERT INTO subscriptions 
-                                    (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, status, usage_count) 
-                                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                                    (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, status) 
+                                    VALUES (?, ?, ?, ?, ?, ?, ?)
                                 `, [
                                     universityId,
                                     journalId,
                                     'institutional',
                                     '2024-01-01',
                                     '2024-12-31',
-                                    parseFloat(cost) || Math.floor(Math.random() * 40000) + 15000,
-                                    'active',
-                                    Math.floor(Math.random() * 1000) + 200
-                                ]);
-                            }
-                            
-                            // Create browsing history for all journals (subscribed and non-subscribed)
-                            const numBrowsingSessions = isCurrentlySubscribed ? 
-                                Math.floor(Math.random() * 10) + 5 :  // Less browsing for subscribed
-                                Math.floor(Math.random() * 25) + 10;  // More browsing for non-subscribed
-                            
-                            for (let i = 0; i < numBrowsingSessions; i++) {
-                                const daysAgo = Math.floor(Math.random() * 365);
-                                const viewDate = new Date();
-                                viewDate.setDate(viewDate.getDate() - daysAgo);
-                                
-                                const baseEngagement = isCurrentlySubscribed ? 1.5 : 1;
-                                
-                                db.run(`
-                                    INSERT INTO browsing_history 
-                                    (university_id, journal_id, view_date, view_count, session_duration, pages_viewed, downloaded_samples, requested_trial) 
-                                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                                `, [
-                                    universityId,
-                                    journalId,
-                                    viewDate.toISOString().split('T')[0],
-                                    Math.floor(Math.random() * 8 * baseEngagement) + 1,
-                                    Math.floor(Math.random() * 1500 * baseEngagement) + 60,
-                                    Math.floor(Math.random() * 15 * baseEngagement) + 1,
-                                    Math.floor(Math.random() * 4 * baseEngagement),
-                                    Math.random() < (isCurrentlySubscribed ? 0.05 : 0.25) ? 1 : 0
+                                    parseFloat(cost) || 0,
+                                    'active'
                                 ]);
                             }
                             
@@ -466,89 +366,14 @@ function insertFallbackSampleData() {
         ['Aalborg University', 'Denmark', 'Public']
     ];
     
-    const universityStmt = db.prepare("INSERT INTO universities (name, country, type) VALUES (?, ?, ?)");
+    // OR IGNORE: the database may already have these universities
+    const universityStmt = db.prepare("INSERT OR IGNORE INTO universities (name, country, type) VALUES (?, ?, ?)");
     universities.forEach(uni => universityStmt.run(uni));
     universityStmt.finalize();
     
     console.log('⚠️ Using sample data. Place your Excel files in ./data/ folder for real data analysis.');
 }
 
-function generateSampleData() {
-    console.log('📊 Generating sample subscriptions and browsing data...');
-    
-    db.all("SELECT id, name FROM universities", (err, universities) => {
-        if (err) return console.error(err);
-        
-        db.all("SELECT id, title, subject_area FROM journals", (err, journals) => {
-            if (err) return console.error(err);
-            
-            const subscriptionStmt = db.prepare(`
-                INSERT INTO subscriptions (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, usage_count, status) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            const browsingStmt = db.prepare(`
-                INSERT INTO browsing_history (university_id, journal_id, view_date, view_count, session_duration, pages_viewed, downloaded_samples, requested_trial) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            universities.forEach((uni, uniIndex) => {
-                // Each university subscribes to 50-70% of journals
-                const subscriptionRate = 0.5 + Math.random() * 0.2;
-                const numSubscriptions = Math.floor(journals.length * subscriptionRate);
-                const subscribedJournals = journals.sort(() => 0.5 - Math.random()).slice(0, numSubscriptions);
-                
-                // Generate subscriptions
-                subscribedJournals.forEach((journal) => {
-                    const cost = Math.floor(Math.random() * 50000) + 15000;
-                    const usageCount = Math.floor(Math.random() * 1000) + 200;
-                    
-                    subscriptionStmt.run([
-                        uni.id, 
-                        journal.id, 
-                        'institutional',
-                        '2020-01-01',
-                        '2025-12-31',
-                        cost,
-                        usageCount,
-                        'active'
-                    ]);
-                });
-                
-                // Generate browsing history for ALL journals (including non-subscribed)
-                journals.forEach(journal => {
-                    const isSubscribed = subscribedJournals.some(sub => sub.id === journal.id);
-                    const numBrowsingEvents = Math.floor(Math.random() * 15) + 5;
-                    
-                    for (let i = 0; i < numBrowsingEvents; i++) {
-                        const daysAgo = Math.floor(Math.random() * 365);
-                        const viewDate = new Date();
-                        viewDate.setDate(viewDate.getDate() - daysAgo);
-                        
-                        const baseEngagement = isSubscribed ? 2 : 1;
-                        
-                        browsingStmt.run([
-                            uni.id,
-                            journal.id,
-                            viewDate.toISOString().split('T')[0],
-                            Math.floor(Math.random() * 8 * baseEngagement) + 1,
-                            Math.floor(Math.random() * 1200 * baseEngagement) + 60,
-                            Math.floor(Math.random() * 15 * baseEngagement) + 1,
-                            Math.floor(Math.random() * 3 * baseEngagement),
-                            Math.random() < (isSubscribed ? 0.1 : 0.25) ? 1 : 0
-                        ]);
-                    }
-                });
-            });
-            
-            subscriptionStmt.finalize();
-            browsingStmt.finalize();
-            
-            console.log('✅ Sample data generation completed successfully');
-        });
-    });
-}
-
 // API Routes
 
 // Health check
@@ -663,7 +488,7 @@ app.post('/api/chat/send', async (req, res) => {
                 const systemPrompt = systemPrompts[assistantType] || systemPrompts.general;
                 
                 const completion = await openai.chat.completions.create({
-                    model: 'gpt-3.5-turbo',
+                    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
                     messages: [
                         { role: 'system', content: systemPrompt },
                         { role: 'user', content: message }
@@ -728,7 +553,7 @@ app.post('/api/chat/send', async (req, res) => {
                 const systemPrompt = systemPrompts[assistantType] || systemPrompts.general;
                 
                 const completion = await openai.chat.completions.create({
-                    model: 'gpt-3.5-turbo',
+                    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
                     messages: [
                         { role: 'system', content: `${systemPrompt}\n\nReal Data Context: ${JSON.stringify(context)}` },
                         { role: 'user', content: message }
@@ -1591,32 +1416,6 @@ async function processRealExcelData(workbook, filename) {
                                     });
                                 }
                                 
-                                // Track browsing history for non-subscribed journals
-                                if (!isCurrentlySubscribed) {
-                                    // Generate browsing history for journals that are viewed but not subscribed
-                                    const browsingSessions = Math.floor(Math.random() * 20) + 5;
-                                    for (let i = 0; i < browsingSessions; i++) {
-                                        const daysAgo = Math.floor(Math.random() * 365);
-                                        const viewDate = new Date();
-                                        viewDate.setDate(viewDate.getDate() - daysAgo);
-                                        
-                                        db.run(`
-                                            INSERT INTO browsing_history 
-                                            (university_id, journal_id, view_date, view_count, session_duration, pages_viewed, downloaded_samples, requested_trial) 
-                                            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                                        `, [
-                                            universityId,
-                                            journalId,
-                                            viewDate.toISOString().split('T')[0],
-                                            Math.floor(Math.random() * 5) + 1,
-                                            Math.floor(Math.random() * 1800) + 120,
-                                            Math.floor(Math.random() * 10) + 1,
-                                            Math.floor(Math.random() * 3),
-                                            Math.random() < 0.3 ? 1 : 0
-                                        ]);
-                                    }
-                                }
-                                
                                 processed++;
                                 
                                 // Check if all rows are processed
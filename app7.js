@@ -7,6 +7,7 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
+const { migrateUp } = require('./migrate');
 require('dotenv').config();
 
 const app = express();
@@ -63,69 +64,12 @@ function initializeDatabase() {
         }
         console.log('✅ Connected to SQLite database');
         
-        db.serialize(() => {
-            console.log('📊 Creating database schema...');
-            
-            // Create universities table
-            db.run(`CREATE TABLE IF NOT EXISTS universities (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL,
-                country TEXT,
-                type TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create journals table
-            db.run(`CREATE TABLE IF NOT EXISTS journals (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                issn TEXT,
-                publisher TEXT,
-                subject_area TEXT,
-                impact_factor REAL,
-                keywords TEXT,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create subscriptions table
-            db.run(`CREATE TABLE IF NOT EXISTS subscriptions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                subscription_type TEXT,
-                start_date DATE,
-                end_date DATE,
-                annual_cost REAL,
-                usage_count INTEGER DEFAULT 0,
-                last_used DATE,
-                status TEXT DEFAULT 'active',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            // Create browsing history table
-            db.run(`CREATE TABLE IF NOT EXISTS browsing_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                view_date DATE,
-                view_count INTEGER DEFAULT 1,
-                session_duration INTEGER DEFAULT 0,
-                pages_viewed INTEGER DEFAULT 1,
-                downloaded_samples INTEGER DEFAULT 0,
-                requested_trial INTEGER DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run("SELECT 1", (err) => {
-                if (err) {
-                    console.error('❌ Database verification failed:', err);
-                } else {
-                    console.log('✅ Database schema created successfully');
-                    insertSampleData();
-                }
-            });
-        });
+        migrateUp(db)
+            .then(() => {
+                console.log('✅ Database schema up to date');
+                insertSampleData();
+            })
+            .catch(err => console.error('❌ Error migrating database:', err));
     });
 }
 
@@ -177,7 +121,8 @@ function insertFallbackSampleData() {
         ['Aalborg University', 'Denmark', 'Public']
     ];
     
-    const universityStmt = db.prepare("INSERT INTO universities (name, country, type) VALUES (?, ?, ?)");
+    // OR IGNORE: the database may already have these universities
+    const universityStmt = db.prepare("INSERT OR IGNORE INTO universities (name, country, type) VALUES (?, ?, ?)");
     universities.forEach(uni => universityStmt.run(uni));
     universityStmt.finalize();
     
@@ -189,8 +134,12 @@ function insertFallbackSampleData() {
         ['Engineering Advances', 'Engineering', 'Technical Media']
     ];
     
-    const journalStmt = db.prepare("INSERT INTO journals (title, subject_area, publisher) VALUES (?, ?, ?)");
-    journals.forEach(journal => journalStmt.run(journal));
+    // Journal titles are not unique in the schema, so skip the ones already there
+    const journalStmt = db.prepare(`
+        INSERT INTO journals (title, subject_area, publisher)
+        SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM journals WHERE title = ?)
+    `);
+    journals.forEach(journal => journalStmt.run([...journal, journal[0]]));
     journalStmt.finalize();
     
     console.log('⚠️ Using sample data. Place your Excel files in ./data/ folder for real data analysis.');
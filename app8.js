@@ -6,6 +6,7 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
+const { migrateUp } = require('./migrate');
 require('dotenv').config();
 
 const app = express();
@@ -57,57 +58,12 @@ function initializeDatabase() {
         }
         console.log('✅ Connected to SQLite database');
         
-        db.serialize(() => {
-            // Create tables
-            db.run(`CREATE TABLE IF NOT EXISTS universities (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL,
-                country TEXT,
-                type TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run(`CREATE TABLE IF NOT EXISTS journals (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                issn TEXT,
-                publisher TEXT,
-                subject_area TEXT,
-                impact_factor REAL,
-                keywords TEXT,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run(`CREATE TABLE IF NOT EXISTS subscriptions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                subscription_type TEXT,
-                start_date DATE,
-                end_date DATE,
-                annual_cost REAL,
-                usage_count INTEGER DEFAULT 0,
-                status TEXT DEFAULT 'active',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            db.run(`CREATE TABLE IF NOT EXISTS browsing_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                university_id INTEGER,
-                journal_id INTEGER,
-                view_date DATE,
-                view_count INTEGER DEFAULT 1,
-                session_duration INTEGER DEFAULT 0,
-                pages_viewed INTEGER DEFAULT 1,
-                downloaded_samples INTEGER DEFAULT 0,
-                requested_trial INTEGER DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-            
-            console.log('✅ Database schema created');
-            processDataFolder();
-        });
+        migrateUp(db)
+            .then(() => {
+                console.log('✅ Database schema up to date');
+                processDataFolder();
+            })
+            .catch(err => console.error('❌ Error migrating database:', err));
     });
 }
 
@@ -209,7 +165,6 @@ async function processExcelFile(workbook, filename) {
                 
                 // Clear existing data for this university
                 db.run("DELETE FROM subscriptions WHERE university_id = ?", [universityId]);
-                db.run("DELETE FROM browsing_history WHERE university_id = ?", [universityId]);
                 
                 data.forEach((row, index) => {
                     // Find journal title column
@@ -232,7 +187,7 @@ async function processExcelFile(workbook, filename) {
                     // Other fields
                     const publisher = findValue(row, ['publisher', 'company']) || 'Unknown';
                     const subject = findValue(row, ['subject', 'category', 'area']) || 'General';
-                    const cost = parseFloat(findValue(row, ['cost', 'price', 'amount'])) || Math.floor(Math.random() * 30000) + 20000;
+                    const cost = parseFloat(findValue(row, ['cost', 'price', 'amount'])) || 0;
                     
                     console.log(`📝 ${journalTitle}: ${isSubscribed ? 'Subscribed' : 'Not Subscribed'}`);
                     
@@ -273,28 +228,6 @@ async function processExcelFile(workbook, filename) {
                                 );
                             }
                             
-                            // Create browsing history
-                            const sessions = isSubscribed ? Math.floor(Math.random() * 5) + 2 : Math.floor(Math.random() * 15) + 5;
-                            
-                            for (let i = 0; i < sessions; i++) {
-                                const daysAgo = Math.floor(Math.random() * 365);
-                                const viewDate = new Date();
-                                viewDate.setDate(viewDate.getDate() - daysAgo);
-                                
-                                db.run(`INSERT INTO browsing_history 
-                                    (university_id, journal_id, view_date, view_count, session_duration, pages_viewed, requested_trial) 
-                                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                                    [
-                                        universityId, journalId, 
-                                        viewDate.toISOString().split('T')[0],
-                                        Math.floor(Math.random() * 5) + 1,
-                                        Math.floor(Math.random() * 1200) + 180,
-                                        Math.floor(Math.random() * 10) + 1,
-                                        isSubscribed ? 0 : Math.random() < 0.3 ? 1 : 0
-                                    ]
-                                );
-                            }
-                            
                             processed++;
                             if (processed >= data.length) {
                                 resolve();
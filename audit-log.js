@@ -0,0 +1,164 @@
+// Append-only audit trail: who (user, role, IP) did what (action, target,
+// outcome) and when, for uploads, reprocessing, merges, deletions and settings
+// changes. Imports also record the source file's SHA-256 and the row counts of
+// the data tables before and after. Triggers refuse UPDATE and DELETE on
+// audit_log (migration 016).
+const crypto = require('crypto');
+const fs = require('fs');
+const { run, get, all } = require('./db-utils');
+
+const OUTCOMES = ['succeeded', 'failed', 'cancelled'];
+
+// Tables whose row counts are recorded around a data change
+const COUNTED_TABLES = [
+    'universities',
+    'journals',
+    'subscriptions',
+    'subscription_terms',
+    'counter_usage',
+    'browsing_history',
+    'journal_coverage'
+];
+
+const MAX_ROWS = 10000;
+
+async function tableCounts(db) {
+    const counts = {};
+    for (const table of COUNTED_TABLES) {
+        counts[table] = (await get(db, `SELECT COUNT(*) as count FROM ${table}`)).count;
+    }
+    return counts;
+}
+
+function fileHash(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+const json = value => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// entry: actor, role, ip, action, targetType, targetId, outcome, jobId,
+// sourceFile, sourceHash, countsBefore, countsAfter, details, error
+async function recordAudit(db, entry) {
+    const result = await run(db, `
+        INSERT INTO audit_log (
+            actor, actor_role, ip, action, target_type, target_id, outcome, job_id,
+            source_file, source_hash, counts_before, counts_after, details, error
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        entry.actor || 'system',
+        entry.role || null,
+        entry.ip || null,
+        entry.action,
+        entry.targetType || null,
+        entry.targetId !== undefined && entry.targetId !== null ? String(entry.targetId) : null,
+        entry.outcome || 'succeeded',
+        entry.jobId || null,
+        entry.sourceFile || null,
+        entry.sourceHash || null,
+        json(entry.countsBefore),
+        json(entry.countsAfter),
+        json(entry.details),
+        entry.error || null
+    ]);
+    return result.lastID;
+}
+
+// Per table: after - before, for the tables that changed
+function countChanges(before, after) {
+    if (!before || !after) return null;
+    const changes = {};
+    Object.keys(after).forEach(table => {
+        const change = after[table] - (before[table] || 0);
+        if (change !== 0) changes[table] = change;
+    });
+    return changes;
+}
+
+function auditEntry(row) {
+    const countsBefore = row.counts_before ? JSON.parse(row.counts_before) : null;
+    const countsAfter = row.counts_after ? JSON.parse(row.counts_after) : null;
+    return {
+        ...row,
+        counts_before: countsBefore,
+        counts_after: countsAfter,
+        count_changes: countChanges(countsBefore, countsAfter),
+        details: row.details ? JSON.parse(row.details) : null
+    };
+}
+
+// filters: action (exact, or a prefix such as "upload" for upload.*), actor,
+// outcome, targetType, targetId, from and to (dates or timestamps, UTC),
+// limit, offset. Newest first; returns { total, entries }.
+async function listAudit(db, filters = {}) {
+    let whereClause = 'WHERE 1 = 1';
+    const params = [];
+
+    if (filters.action) {
+        whereClause += " AND (action = ? OR action LIKE ? || '.%')";
+        params.push(filters.action, filters.action);
+    }
+    if (filters.actor) {
+        whereClause += ' AND actor = ?';
+        params.push(filters.actor);
+    }
+    if (filters.outcome) {
+        whereClause += ' AND outcome = ?';
+        params.push(filters.outcome);
+    }
+    if (filters.targetType) {
+        whereClause += ' AND target_type = ?';
+        params.push(filters.targetType);
+    }
+    if (filters.targetId) {
+        whereClause += ' AND target_id = ?';
+        params.push(String(filters.targetId));
+    }
+    // A bare date as "to" includes the whole day
+    if (filters.from) {
+        whereClause += ' AND occurred_at >= datetime(?)';
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        whereClause += /^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+            ? " AND occurred_at < datetime(?, '+1 day')"
+            : ' AND occurred_at <= datetime(?)';
+        params.push(filters.to);
+    }
+
+    const { total } = await get(db, `SELECT COUNT(*) as total FROM audit_log ${whereClause}`, params);
+    const rows = await all(db, `SELECT * FROM audit_log ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, Math.min(parseInt(filters.limit, 10) || 100, MAX_ROWS), parseInt(filters.offset, 10) || 0]);
+    return { total, entries: rows.map(auditEntry) };
+}
+
+// Entries flattened for a CSV export: one column per counted table's change
+function auditCsvRows(entries) {
+    return entries.map(entry => ({
+        id: entry.id,
+        occurred_at: entry.occurred_at,
+        actor: entry.actor,
+        actor_role: entry.actor_role,
+        ip: entry.ip,
+        action: entry.action,
+        target_type: entry.target_type,
+        target_id: entry.target_id,
+        outcome: entry.outcome,
+        job_id: entry.job_id,
+        source_file: entry.source_file,
+        source_hash: entry.source_hash,
+        ...Object.fromEntries(COUNTED_TABLES.map(table => [
+            `${table}_before_after`,
+            entry.counts_before && entry.counts_after ? `${entry.counts_before[table]} -> ${entry.counts_after[table]}` : ''
+        ])),
+        details: entry.details ? JSON.stringify(entry.details) : '',
+        error: entry.error
+    }));
+}
+
+module.exports = { OUTCOMES, COUNTED_TABLES, tableCounts, fileHash, recordAudit, listAudit, auditCsvRows };
@@ -0,0 +1,364 @@
+// Online backups of publishing_data.db with SQLite's backup API: the copy is
+// read through its own connection a few pages at a time, so the server keeps
+// running and the copy is consistent. Every backup is checked with
+// PRAGMA integrity_check before it takes its final name, and older ones are
+// rotated out by the retention policy below.
+//
+//   npm run backup                  take a backup (also POST /api/backups)
+//   npm run backup -- list
+//   npm run backup -- verify [name]
+//   npm run restore -- [name]       the latest backup if no name is given
+//
+// Restore with the server stopped: it builds a fresh file from the backup,
+// verifies it and renames it over the database in one step, after backing up
+// the database it replaces. The server holds a lock on the database while it
+// runs, and a restore refuses to start without it.
+//
+// The database is DATABASE_PATH, and the settings below are read from the
+// environment (or .env) when used.
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { get, all, tableExists, databasePath } = require('./db-utils');
+
+const backupDir = () => process.env.BACKUP_DIR || './backups';
+const BACKUP_NAME = /^publishing_data-(\d{8})-(\d{6})(?:-(\d+))?\.db$/;
+
+// Kept: the newest `last` backups, plus the newest backup of each of the
+// latest `daily` days, `weekly` weeks and `monthly` months (UTC)
+const retention = () => ({
+    last: parseInt(process.env.BACKUP_KEEP_LAST, 10) || 3,
+    daily: parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7,
+    weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4,
+    monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY, 10) || 12
+});
+
+// Pages copied per backup step, and the pause between steps that lets the
+// server's writes through
+const STEP_PAGES = 256;
+const STEP_PAUSE_MS = 5;
+const BUSY_TIMEOUT_MS = 5000;
+
+class BackupError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+    }
+}
+
+function openDatabase(file, mode) {
+    return new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(file, mode, err => (err ? reject(err) : resolve(connection)));
+    });
+}
+
+const closeDatabase = connection => new Promise(resolve => connection.close(() => resolve()));
+
+// Copies sourceFile into destFile (created or overwritten) with the backup API
+async function copyDatabase(sourceFile, destFile) {
+    const source = await openDatabase(sourceFile, sqlite3.OPEN_READONLY);
+    source.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+    try {
+        await new Promise((resolve, reject) => {
+            const backup = source.backup(destFile, 'main', 'main', true, err => {
+                if (err) return finish(err);
+                step();
+            });
+            const step = () => backup.step(STEP_PAGES, err => {
+                if (err) return finish(err);
+                if (backup.failed) return finish(new Error('SQLite backup failed'));
+                if (backup.completed) return finish(null);
+                setTimeout(step, STEP_PAUSE_MS);
+            });
+            const finish = error => backup.finish(() => (error ? reject(error) : resolve()));
+        });
+    } finally {
+        await closeDatabase(source);
+    }
+}
+
+// integrity_check of a database file: { ok, problems, schemaVersion }
+async function checkDatabase(file) {
+    const connection = await openDatabase(file, sqlite3.OPEN_READONLY);
+    try {
+        const rows = await all(connection, 'PRAGMA integrity_check');
+        const problems = rows.map(row => row.integrity_check).filter(message => message !== 'ok');
+        const schemaVersion = await tableExists(connection, 'schema_migrations')
+            ? (await get(connection, 'SELECT MAX(version) as version FROM schema_migrations')).version
+            : null;
+        return { ok: problems.length === 0, problems, schemaVersion };
+    } finally {
+        await closeDatabase(connection);
+    }
+}
+
+function backupTime(name) {
+    const [, date, time] = name.match(BACKUP_NAME);
+    return new Date(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}Z`);
+}
+
+// Second and later backups taken within one second are numbered -2, -3, ...
+const backupCopy = name => parseInt(name.match(BACKUP_NAME)[3], 10) || 1;
+
+// Backups in the backup folder, newest first
+function listBackups(dir = backupDir()) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => BACKUP_NAME.test(name))
+        .map(name => {
+            const file = path.join(dir, name);
+            return { name, file, size: fs.statSync(file).size, takenAt: backupTime(name).toISOString() };
+        })
+        .sort((a, b) => b.takenAt.localeCompare(a.takenAt) || backupCopy(b.name) - backupCopy(a.name));
+}
+
+// A backup by name (the latest if none), refusing anything but a backup file
+function findBackup(name = null, dir = backupDir()) {
+    if (name && !BACKUP_NAME.test(path.basename(name))) {
+        throw new BackupError(`${name} is not a backup file name`);
+    }
+    const backups = listBackups(dir);
+    const backup = name ? backups.find(candidate => candidate.name === path.basename(name)) : backups[0];
+    if (!backup) {
+        throw new BackupError(name ? `No backup ${name} in ${dir}` : `No backups in ${dir}`, 404);
+    }
+    return backup;
+}
+
+function isoWeek(date) {
+    const monday = new Date(date);
+    monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+}
+
+// Names of the backups the retention policy keeps (backups newest first)
+function retainedBackups(backups, policy = retention()) {
+    const keep = new Set(backups.slice(0, policy.last).map(backup => backup.name));
+    const periods = {
+        daily: takenAt => takenAt.slice(0, 10),
+        weekly: takenAt => isoWeek(new Date(takenAt)),
+        monthly: takenAt => takenAt.slice(0, 7)
+    };
+
+    Object.entries(periods).forEach(([period, bucketOf]) => {
+        const seen = new Set();
+        backups.forEach(backup => {
+            const bucket = bucketOf(backup.takenAt);
+            if (seen.has(bucket) || seen.size >= policy[period]) return;
+            seen.add(bucket);
+            keep.add(backup.name);
+        });
+    });
+    return keep;
+}
+
+function rotateBackups(dir = backupDir(), policy = retention()) {
+    const backups = listBackups(dir);
+    const keep = retainedBackups(backups, policy);
+    const removed = backups.filter(backup => !keep.has(backup.name));
+    removed.forEach(backup => fs.unlinkSync(backup.file));
+    return removed.map(backup => backup.name);
+}
+
+function newBackupName(dir, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    let name = `publishing_data-${stamp}.db`;
+    for (let copy = 2; fs.existsSync(path.join(dir, name)); copy++) {
+        name = `publishing_data-${stamp}-${copy}.db`;
+    }
+    return name;
+}
+
+// Takes a verified backup of the database and rotates old ones. The copy is
+// written under a .partial name and only renamed once integrity_check passes.
+// rotate: false leaves old backups alone.
+async function createBackup(options = {}) {
+    const { source = databasePath(), dir = backupDir(), policy = retention(), rotate = true } = options;
+    if (!fs.existsSync(source)) {
+        throw new BackupError(`${source} does not exist`, 404);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    const name = newBackupName(dir);
+    const file = path.join(dir, name);
+    const partial = `${file}.partial`;
+    try {
+        await copyDatabase(source, partial);
+        const check = await checkDatabase(partial);
+        if (!check.ok) {
+            throw new BackupError(`Backup failed integrity_check: ${check.problems.slice(0, 5).join('; ')}`, 500);
+        }
+        fs.renameSync(partial, file);
+
+        const rotated = rotate ? rotateBackups(dir, policy) : [];
+        console.log(`💾 Backup ${name} (${fs.statSync(file).size} bytes, schema ${check.schemaVersion})${rotated.length ? `, removed ${rotated.length} old` : ''}`);
+        return { name, file, size: fs.statSync(file).size, takenAt: backupTime(name).toISOString(), schemaVersion: check.schemaVersion, rotated };
+    } finally {
+        if (fs.existsSync(partial)) fs.unlinkSync(partial);
+    }
+}
+
+async function verifyBackup(name = null, dir = backupDir()) {
+    const backup = findBackup(name, dir);
+    return { ...backup, ...await checkDatabase(backup.file) };
+}
+
+const processAlive = pid => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+// Takes <database>.lock for this process: the server holds it while it runs
+// and a restore while it replaces the file, so neither starts while the other
+// has the database. A lock left by a process that has gone is taken over.
+// Returns the function that releases it.
+function lockDatabase(file = databasePath(), holder = 'process') {
+    const lockFile = `${file}.lock`;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, holder }), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        let lock = null;
+        try {
+            lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+        }
+        if (!lock || !Number.isInteger(lock.pid)) {
+            throw new BackupError(`${lockFile} is unreadable: remove it if nothing has ${file} open`, 409);
+        }
+        if (processAlive(lock.pid)) {
+            throw new BackupError(`${file} is in use by the ${lock.holder} (pid ${lock.pid})`, 409);
+        }
+        fs.rmSync(lockFile, { force: true });
+    }
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        fs.rmSync(lockFile, { force: true });
+    };
+}
+
+// Replaces the database with a backup. The backup is verified, copied into a
+// fresh file next to the database, verified again there and renamed over the
+// database, so the database is either the old file or the complete restored
+// one. The database being replaced is backed up first. Refused while the
+// server holds the database.
+async function restoreBackup(name = null, options = {}) {
+    const { target = databasePath(), dir = backupDir() } = options;
+    const backup = findBackup(name, dir);
+    const release = lockDatabase(target, 'restore');
+    try {
+        return await replaceDatabase(backup, target, dir);
+    } finally {
+        release();
+    }
+}
+
+async function replaceDatabase(backup, target, dir) {
+    const check = await checkDatabase(backup.file);
+    if (!check.ok) {
+        throw new BackupError(`${backup.name} failed integrity_check: ${check.problems.slice(0, 5).join('; ')}`);
+    }
+    // A rollback journal or WAL next to the database belongs to an open
+    // transaction (or a crash) and would be applied to the restored file
+    for (const suffix of ['-journal', '-wal']) {
+        if (fs.existsSync(`${target}${suffix}`)) {
+            throw new BackupError(`${target}${suffix} exists: stop the server (or open the database once to recover it) before restoring`, 409);
+        }
+    }
+
+    // Not rotated, which could remove the backup being restored
+    const previous = fs.existsSync(target) ? await createBackup({ source: target, dir, rotate: false }) : null;
+
+    const fresh = `${target}.restoring`;
+    try {
+        if (fs.existsSync(fresh)) fs.unlinkSync(fresh);
+        await copyDatabase(backup.file, fresh);
+        const restored = await checkDatabase(fresh);
+        if (!restored.ok) {
+            throw new BackupError(`Restored copy failed integrity_check: ${restored.problems.slice(0, 5).join('; ')}`, 500);
+        }
+        fs.renameSync(fresh, target);
+    } finally {
+        if (fs.existsSync(fresh)) fs.unlinkSync(fresh);
+    }
+
+    console.log(`♻️ Restored ${target} from ${backup.name} (schema ${check.schemaVersion})${previous ? `; the replaced database is ${previous.name}` : ''}`);
+    return { restored: backup.name, schemaVersion: check.schemaVersion, previous: previous ? previous.name : null };
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const [command = 'create', name] = process.argv.slice(2);
+
+    const commands = {
+        create: () => createBackup(),
+        list: async () => listBackups().forEach(backup => {
+            console.log(`${backup.name.padEnd(36)} ${String(backup.size).padStart(12)} bytes  ${backup.takenAt}`);
+        }),
+        verify: async () => {
+            const result = await verifyBackup(name);
+            if (!result.ok) {
+                throw new BackupError(`${result.name} failed integrity_check:\n${result.problems.join('\n')}`);
+            }
+            console.log(`✅ ${result.name}: integrity_check ok (schema ${result.schemaVersion})`);
+        },
+        restore: async () => {
+            const { recordAudit } = require('./audit-log');
+            const result = await restoreBackup(name);
+
+            // The restored database's audit log, if it has one, records the restore
+            const db = await openDatabase(databasePath(), sqlite3.OPEN_READWRITE);
+            try {
+                if (await tableExists(db, 'audit_log')) {
+                    await recordAudit(db, {
+                        actor: process.env.USER || 'system',
+                        action: 'backup.restore',
+                        targetType: 'backup',
+                        targetId: result.restored,
+                        details: result
+                    });
+                }
+            } finally {
+                await closeDatabase(db);
+            }
+        }
+    };
+
+    if (!commands[command]) {
+        console.error(`Usage: npm run backup -- [${Object.keys(commands).join('|')}] [name]`);
+        process.exit(1);
+    }
+
+    commands[command]()
+        .catch(error => {
+            console.error(`❌ ${command} failed:`, error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    backupDir,
+    retention,
+    BackupError,
+    lockDatabase,
+    listBackups,
+    retainedBackups,
+    rotateBackups,
+    createBackup,
+    verifyBackup,
+    restoreBackup
+};
@@ -0,0 +1,423 @@
+// Journal catalogue import from KBART holdings files (tab-separated, one row
+// per title and coverage range) and ONIX for Serials XML (SPS product lists
+// and SOH holdings). The catalogue is the authority on the journals it lists:
+// their ISSNs, publisher, subject, coverage and price come from it. Journals
+// already in the database are found the way imports find them (journal-
+// matching.js) and updated; the rest are added.
+const fs = require('fs');
+const { all, get, prepare, transaction } = require('./db-utils');
+const { normalizeIssn, storedIssn, cleanTitle, titleKey, loadJournalMatcher } = require('./journal-matching');
+const { generateJournalKeywords } = require('./import-pipeline');
+
+// KBART columns a holdings file must have
+const KBART_REQUIRED = ['publication_title', 'print_identifier', 'online_identifier'];
+
+// ONIX elements that each describe one serial, outermost first
+const ONIX_RECORDS = ['Product', 'SerialItem', 'Serial', 'SerialWork'];
+
+// ONIX identifier type for an ISSN, and the product forms of online versions
+const ONIX_ISSN_TYPE = '07';
+const ONIX_ONLINE_FORMS = ['JD', 'JE'];
+
+// YYYY, YYYY-MM or YYYY-MM-DD (ONIX also writes YYYYMM and YYYYMMDD)
+function catalogueDate(value) {
+    const text = String(value || '').trim();
+    const match = text.match(/^(\d{4})(?:-?(\d{2})(?:-?(\d{2}))?)?$/);
+    if (!match) return null;
+    return [match[1], match[2], match[3]].filter(Boolean).join('-');
+}
+
+// Records for one serial are merged: KBART lists a title once per coverage
+// range, and ONIX may describe it in several places
+function addRecord(records, record) {
+    const key = normalizeIssn(record.eissn) || normalizeIssn(record.issn) || `title:${titleKey(record.title)}`;
+    const existing = records.get(key);
+    if (!existing) {
+        records.set(key, { ...record, coverage: [...record.coverage] });
+        return;
+    }
+    Object.keys(record).forEach(field => {
+        if (field === 'coverage') existing.coverage.push(...record.coverage);
+        else if (existing[field] === null || existing[field] === undefined) existing[field] = record[field];
+    });
+}
+
+function parseKbart(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headings = lines[0].split('\t').map(heading => heading.trim().toLowerCase());
+    const missing = KBART_REQUIRED.filter(column => !headings.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Not a KBART file: no ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`);
+    }
+
+    const records = new Map();
+    const skipped = [];
+    lines.slice(1).forEach((line, index) => {
+        if (!line.trim()) return;
+        const row = index + 2;
+        const cells = line.split('\t');
+        const cell = name => {
+            const value = headings.includes(name) ? (cells[headings.indexOf(name)] || '').trim() : '';
+            return value || null;
+        };
+
+        const type = cell('publication_type');
+        if (type && type.toLowerCase() !== 'serial') {
+            skipped.push({ row, reason: `Not a serial (${type})` });
+            return;
+        }
+        const title = cleanTitle(cell('publication_title'));
+        if (!title) {
+            skipped.push({ row, reason: 'No publication_title' });
+            return;
+        }
+
+        addRecord(records, {
+            row,
+            title,
+            issn: cell('print_identifier'),
+            eissn: cell('online_identifier'),
+            publisher: cell('publisher_name'),
+            subject: null,
+            titleId: cell('title_id'),
+            url: cell('title_url'),
+            price: null,
+            currency: null,
+            coverage: [{
+                start_date: catalogueDate(cell('date_first_issue_online')),
+                start_volume: cell('num_first_vol_online'),
+                start_issue: cell('num_first_issue_online'),
+                end_date: catalogueDate(cell('date_last_issue_online')),
+                end_volume: cell('num_last_vol_online'),
+                end_issue: cell('num_last_issue_online'),
+                embargo: cell('embargo_info'),
+                coverage_depth: cell('coverage_depth')
+            }]
+        });
+    });
+
+    return { format: 'kbart', records: [...records.values()], skipped };
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+    });
+}
+
+// Just enough XML for ONIX: elements (namespace prefixes dropped), text and
+// CDATA. Attributes, comments, processing instructions and the DOCTYPE are
+// skipped. Returns the root { name, children, text }.
+function parseXml(xml) {
+    const root = { name: null, children: [], text: '' };
+    const stack = [root];
+    const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/\s*([\w.:-]+)\s*>|<([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const localName = name => name.replace(/^[\w.-]+:/, '');
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        const [, cdata, closing, opening, , selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closing) {
+            if (stack.length === 1 || current.name !== localName(closing)) {
+                throw new Error(`Invalid XML: unexpected </${closing}>`);
+            }
+            stack.pop();
+        } else if (opening) {
+            const element = { name: localName(opening), children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (text) {
+            current.text += decodeXml(text);
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    if (root.children.length === 0) {
+        throw new Error('Invalid XML: no root element');
+    }
+    return root.children[0];
+}
+
+// Every element named name below node, in document order
+function descendants(node, name) {
+    return node.children.flatMap(child => [...(child.name === name ? [child] : []), ...descendants(child, name)]);
+}
+
+function childText(node, name) {
+    const child = node.children.find(element => element.name === name);
+    return child ? child.text.trim() || null : null;
+}
+
+function firstText(node, name) {
+    const [element] = descendants(node, name);
+    return element ? element.text.trim() || null : null;
+}
+
+// The elements describing one serial each, outermost ones only
+function onixRecordElements(node) {
+    return node.children.flatMap(child => (ONIX_RECORDS.includes(child.name) ? [child] : onixRecordElements(child)));
+}
+
+// ISSNs of an ONIX record: identifiers of type 07 or written NNNN-NNNC. The
+// version's product form tells print (JB) from online (JD, JE); ISSNs with no
+// form fill the print ISSN first.
+function onixIssns(node) {
+    const issns = { issn: null, eissn: null, unplaced: [] };
+    const visit = (element, form) => {
+        const productForm = childText(element, 'ProductForm') || form;
+        const value = childText(element, 'IDValue');
+        const type = element.children.find(child => /IDType$/.test(child.name));
+        if (value && ((type && type.text.trim() === ONIX_ISSN_TYPE) || /^\d{4}-\d{3}[\dX]$/i.test(value))) {
+            if (ONIX_ONLINE_FORMS.includes(productForm)) issns.eissn = issns.eissn || value;
+            else if (productForm) issns.issn = issns.issn || value;
+            else issns.unplaced.push(value);
+        }
+        element.children.forEach(child => visit(child, productForm));
+    };
+    visit(node, null);
+
+    issns.unplaced.filter(value => value !== issns.issn && value !== issns.eissn).forEach(value => {
+        if (!issns.issn) issns.issn = value;
+        else if (!issns.eissn) issns.eissn = value;
+    });
+    return { issn: issns.issn, eissn: issns.eissn };
+}
+
+// A Coverage element as one range: its earliest date to its latest. A range
+// with a single date runs from it with no end.
+function onixCoverage(node) {
+    const dates = [];
+    const visit = element => {
+        if (/Date$/.test(element.name)) {
+            const date = catalogueDate(element.text);
+            if (date) dates.push(date);
+        }
+        element.children.forEach(visit);
+    };
+    visit(node);
+    if (dates.length === 0) return null;
+
+    dates.sort();
+    return {
+        start_date: dates[0],
+        start_volume: null,
+        start_issue: null,
+        end_date: dates.length > 1 ? dates[dates.length - 1] : null,
+        end_volume: null,
+        end_issue: null,
+        embargo: null,
+        coverage_depth: null
+    };
+}
+
+function parseOnix(xml) {
+    const root = parseXml(xml.replace(/^\uFEFF/, ''));
+    const elements = onixRecordElements(root);
+    if (elements.length === 0) {
+        throw new Error(`Not an ONIX for Serials file: no ${ONIX_RECORDS.join(', ')} elements`);
+    }
+
+    const records = new Map();
+    const skipped = [];
+    elements.forEach((element, index) => {
+        const record = index + 1;
+        const titles = descendants(element, 'Title');
+        const distinctive = titles.find(title => childText(title, 'TitleType') === '01') || titles[0];
+        const title = cleanTitle((distinctive && firstText(distinctive, 'TitleText')) || firstText(element, 'TitleText'));
+        if (!title) {
+            skipped.push({ record, reason: `No title in <${element.name}>` });
+            return;
+        }
+
+        const publishers = descendants(element, 'Publisher');
+        const publisher = publishers.find(entry => childText(entry, 'PublishingRole') === '01') || publishers[0];
+        const subject = descendants(element, 'Subject')
+            .map(entry => childText(entry, 'SubjectHeadingText') || childText(entry, 'SubjectCode'))
+            .find(Boolean);
+        const price = descendants(element, 'Price')
+            .map(entry => ({ amount: parseFloat(childText(entry, 'PriceAmount')), currency: childText(entry, 'CurrencyCode') }))
+            .find(entry => !isNaN(entry.amount));
+        const identifiers = descendants(element, 'ProductIdentifier')
+            .filter(entry => childText(entry, 'ProductIDType') === '01');
+
+        addRecord(records, {
+            record,
+            title,
+            ...onixIssns(element),
+            publisher: publisher ? childText(publisher, 'PublisherName') : null,
+            subject: subject || null,
+            titleId: identifiers.length > 0 ? childText(identifiers[0], 'IDValue') : null,
+            url: firstText(element, 'WebsiteLink'),
+            price: price ? price.amount : null,
+            currency: price ? price.currency : null,
+            coverage: descendants(element, 'Coverage').map(onixCoverage).filter(Boolean)
+        });
+    });
+
+    return { format: 'onix', records: [...records.values()], skipped };
+}
+
+// Read a catalogue file: ONIX when it is XML, KBART otherwise
+function readCatalogueFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return text.replace(/^\uFEFF/, '').trimStart().startsWith('<') ? parseOnix(text) : parseKbart(text);
+}
+
+// Store a parsed catalogue in one transaction. A journal the catalogue lists
+// gets every detail the catalogue gives it, and its coverage is replaced by
+// the catalogue's when the catalogue has any.
+async function importCatalogue(db, catalogue, onProgress = null) {
+    return transaction(db, async () => {
+        const journals = await loadJournalMatcher(db);
+        const statements = {
+            insertJournal: prepare(db, `
+                INSERT INTO journals (title, issn, eissn, publisher, subject_area, keywords, description, catalogue_source,
+                    catalogue_title_id, title_url, list_price, price_currency, catalogue_updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`),
+            updateJournal: prepare(db, `
+                UPDATE journals SET
+                    issn = COALESCE(?, issn),
+                    eissn = COALESCE(?, eissn),
+                    publisher = COALESCE(?, publisher),
+                    subject_area = COALESCE(?, subject_area),
+                    catalogue_source = ?,
+                    catalogue_title_id = COALESCE(?, catalogue_title_id),
+                    title_url = COALESCE(?, title_url),
+                    list_price = COALESCE(?, list_price),
+                    price_currency = COALESCE(?, price_currency),
+                    catalogue_updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?`),
+            deleteCoverage: prepare(db, 'DELETE FROM journal_coverage WHERE journal_id = ?'),
+            insertCoverage: prepare(db, `
+                INSERT INTO journal_coverage (journal_id, source, start_date, start_volume, start_issue, end_date, end_volume,
+                    end_issue, embargo, coverage_depth)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        };
+
+        const result = {
+            format: catalogue.format,
+            records: catalogue.records.length,
+            inserted: 0,
+            updated: 0,
+            coverageRanges: 0,
+            skipped: [...catalogue.skipped]
+        };
+        const seen = new Map();
+
+        try {
+            for (const [index, record] of catalogue.records.entries()) {
+                const identifiers = { title: record.title, issn: record.issn, eissn: record.eissn };
+                const match = journals.find(identifiers);
+                const where = record.row ? { row: record.row } : { record: record.record };
+                let journalId = match ? match.id : null;
+
+                if (match && seen.has(match.id)) {
+                    result.skipped.push({ ...where, title: record.title, reason: `Same journal as "${seen.get(match.id)}"` });
+                    continue;
+                }
+                if (match) {
+                    await statements.updateJournal.run([
+                        normalizeIssn(record.issn), normalizeIssn(record.eissn), record.publisher, record.subject,
+                        catalogue.format, record.titleId, record.url, record.price, record.currency, match.id
+                    ]);
+                    result.updated++;
+                } else {
+                    journalId = (await statements.insertJournal.run([
+                        record.title,
+                        storedIssn(record.issn),
+                        storedIssn(record.eissn),
+                        record.publisher,
+                        record.subject,
+                        generateJournalKeywords(record.title, record.subject),
+                        `Journal from the ${catalogue.format.toUpperCase()} catalogue`,
+                        catalogue.format,
+                        record.titleId,
+                        record.url,
+                        record.price,
+                        record.currency
+                    ])).lastID;
+                    journals.add({ id: journalId, ...identifiers });
+                    result.inserted++;
+                }
+
+                if (record.coverage.length > 0) {
+                    await statements.deleteCoverage.run([journalId]);
+                    for (const range of record.coverage) {
+                        await statements.insertCoverage.run([
+                            journalId, catalogue.format, range.start_date, range.start_volume, range.start_issue,
+                            range.end_date, range.end_volume, range.end_issue, range.embargo, range.coverage_depth
+                        ]);
+                        result.coverageRanges++;
+                    }
+                }
+                seen.set(journalId, record.title);
+                if (onProgress) await onProgress(index + 1, catalogue.records.length);
+            }
+        } finally {
+            await Promise.all(Object.values(statements).map(statement => statement.finalize()));
+        }
+        return result;
+    });
+}
+
+// Ids of the journals in the catalogue
+async function catalogueJournalIds(db) {
+    const rows = await all(db, 'SELECT id FROM journals WHERE catalogue_source IS NOT NULL');
+    return new Set(rows.map(row => row.id));
+}
+
+// Catalogue journals with their coverage. filters: search (title, ISSN or
+// publisher), limit, offset
+async function listCatalogue(db, filters = {}) {
+    let whereClause = 'WHERE j.catalogue_source IS NOT NULL';
+    const params = [];
+    if (filters.search) {
+        whereClause += ' AND (j.title LIKE ? OR j.issn = ? OR j.eissn = ? OR j.publisher LIKE ?)';
+        const issn = storedIssn(filters.search);
+        params.push(`%${filters.search}%`, issn, issn, `%${filters.search}%`);
+    }
+
+    const { total } = await get(db, `SELECT COUNT(*) as total FROM journals j ${whereClause}`, params);
+    const journals = await all(db, `
+        SELECT j.id, j.title, j.issn, j.eissn, j.publisher, j.subject_area, j.catalogue_source, j.catalogue_title_id,
+               j.title_url, j.list_price, j.price_currency, j.catalogue_updated_at
+        FROM journals j
+        ${whereClause}
+        ORDER BY j.title
+        LIMIT ? OFFSET ?
+    `, [...params, Math.min(parseInt(filters.limit, 10) || 50, 500), parseInt(filters.offset, 10) || 0]);
+
+    const coverage = journals.length > 0 ? await all(db, `
+        SELECT journal_id, start_date, start_volume, start_issue, end_date, end_volume, end_issue, embargo, coverage_depth
+        FROM journal_coverage
+        WHERE journal_id IN (${journals.map(() => '?').join(', ')})
+        ORDER BY journal_id, start_date
+    `, journals.map(journal => journal.id)) : [];
+
+    return {
+        total,
+        journals: journals.map(journal => ({
+            ...journal,
+            coverage: coverage.filter(range => range.journal_id === journal.id).map(({ journal_id, ...range }) => range)
+        }))
+    };
+}
+
+module.exports = {
+    parseKbart,
+    parseOnix,
+    parseXml,
+    readCatalogueFile,
+    importCatalogue,
+    catalogueJournalIds,
+    listCatalogue
+};
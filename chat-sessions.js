@@ -0,0 +1,119 @@
+// Chat sessions and their turns. Each session belongs to the user who opened
+// it; every lookup takes the owner so one user cannot read or change another's
+// sessions. Sessions are addressed by their public session_id.
+const crypto = require('crypto');
+const { run, get, all, transaction } = require('./db-utils');
+
+// Earlier messages fed back to the model with a new question
+const HISTORY_MESSAGES = 12;
+const TITLE_LENGTH = 80;
+
+function titleFor(message) {
+    const title = message.trim().replace(/\s+/g, ' ');
+    return title.length > TITLE_LENGTH ? `${title.slice(0, TITLE_LENGTH - 3)}...` : title;
+}
+
+function sessionSummary(row) {
+    return {
+        sessionId: row.session_id,
+        title: row.title,
+        assistantType: row.assistant_type,
+        universityFilter: row.university_filter,
+        messageCount: row.message_count || 0,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function messageRow(row) {
+    return {
+        id: row.id,
+        role: row.role,
+        content: row.content,
+        assistantType: row.assistant_type,
+        model: row.model,
+        toolCalls: row.tool_calls ? JSON.parse(row.tool_calls) : [],
+        createdAt: row.created_at
+    };
+}
+
+async function createSession(db, owner, { title, assistantType, universityFilter } = {}) {
+    const sessionId = `session_${crypto.randomBytes(12).toString('hex')}`;
+    await run(db, 'INSERT INTO chat_sessions (session_id, owner, title, assistant_type, university_filter) VALUES (?, ?, ?, ?, ?)',
+        [sessionId, owner, title ? titleFor(title) : null, assistantType || null, universityFilter || null]);
+    return findSession(db, owner, sessionId);
+}
+
+// The session row, or null when it does not exist or belongs to someone else
+async function findSession(db, owner, sessionId) {
+    const row = await get(db, 'SELECT * FROM chat_sessions WHERE session_id = ? AND owner IS ?', [sessionId, owner]);
+    return row || null;
+}
+
+async function listSessions(db, owner, { limit = 50, offset = 0 } = {}) {
+    const rows = await all(db, `
+        SELECT cs.*, COUNT(cm.id) as message_count
+        FROM chat_sessions cs
+        LEFT JOIN chat_messages cm ON cm.session_id = cs.id
+        WHERE cs.owner IS ?
+        GROUP BY cs.id
+        ORDER BY cs.updated_at DESC, cs.id DESC
+        LIMIT ? OFFSET ?
+    `, [owner, Math.min(parseInt(limit, 10) || 50, 200), parseInt(offset, 10) || 0]);
+    return rows.map(sessionSummary);
+}
+
+async function sessionWithMessages(db, owner, sessionId) {
+    const session = await findSession(db, owner, sessionId);
+    if (!session) return null;
+
+    const messages = await all(db, 'SELECT * FROM chat_messages WHERE session_id = ? ORDER BY id', [session.id]);
+    return {
+        ...sessionSummary({ ...session, message_count: messages.length }),
+        messages: messages.map(messageRow)
+    };
+}
+
+// The latest turns as { role, content }, oldest first, ready for the model
+async function sessionHistory(db, session, limit = HISTORY_MESSAGES) {
+    const rows = await all(db, 'SELECT role, content FROM chat_messages WHERE session_id = ? ORDER BY id DESC LIMIT ?', [session.id, limit]);
+    return rows.reverse();
+}
+
+// Stores a question and its answer together
+async function appendTurn(db, session, { message, response, assistantType, universityFilter, model = null, toolCalls = [] }) {
+    await transaction(db, async () => {
+        await run(db, 'INSERT INTO chat_messages (session_id, role, content, assistant_type) VALUES (?, ?, ?, ?)',
+            [session.id, 'user', message, assistantType]);
+        await run(db, 'INSERT INTO chat_messages (session_id, role, content, assistant_type, model, tool_calls) VALUES (?, ?, ?, ?, ?, ?)',
+            [session.id, 'assistant', response, assistantType, model, toolCalls.length > 0 ? JSON.stringify(toolCalls) : null]);
+        await run(db, `
+            UPDATE chat_sessions
+            SET title = COALESCE(title, ?), assistant_type = ?, university_filter = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [titleFor(message), assistantType, universityFilter, session.id]);
+    });
+}
+
+async function renameSession(db, owner, sessionId, title) {
+    const result = await run(db, 'UPDATE chat_sessions SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ? AND owner IS ?',
+        [titleFor(title), sessionId, owner]);
+    return result.changes > 0;
+}
+
+async function deleteSession(db, owner, sessionId) {
+    const result = await run(db, 'DELETE FROM chat_sessions WHERE session_id = ? AND owner IS ?', [sessionId, owner]);
+    return result.changes > 0;
+}
+
+module.exports = {
+    HISTORY_MESSAGES,
+    createSession,
+    findSession,
+    listSessions,
+    sessionWithMessages,
+    sessionHistory,
+    appendTurn,
+    renameSession,
+    deleteSession
+};
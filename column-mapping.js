@@ -0,0 +1,374 @@
+// Column-mapping profiles for subscription workbooks: which header feeds which
+// field, how values are coerced, and header scoring to propose a mapping
+const FIELDS = {
+    journal_title: {
+        type: 'string',
+        required: true,
+        synonyms: ['journal title', 'journal', 'title', 'journal name', 'publication title', 'publication'],
+        excludes: ['publisher', 'abbreviation', 'abbrev', 'issn', 'subject', 'id', 'code']
+    },
+    publisher: {
+        type: 'string',
+        synonyms: ['publisher', 'publisher name', 'company', 'provider', 'publishing house']
+    },
+    subject_area: {
+        type: 'string',
+        synonyms: ['subject area', 'subject', 'category', 'discipline', 'field', 'research area']
+    },
+    issn: {
+        type: 'string',
+        synonyms: ['issn', 'print issn', 'p issn', 'pissn']
+    },
+    eissn: {
+        type: 'string',
+        synonyms: ['eissn', 'e issn', 'online issn', 'electronic issn']
+    },
+    annual_cost: {
+        type: 'number',
+        synonyms: ['annual cost', 'cost', 'price', 'amount', 'fee', 'subscription cost', 'list price']
+    },
+    current_year: {
+        type: 'boolean',
+        synonyms: ['current year', 'current', 'subscribed', 'current subscription', 'this year', 'active']
+    },
+    previous_year: {
+        type: 'boolean',
+        synonyms: ['previous year', 'previous', 'last year', 'prev', 'previous subscription']
+    },
+    subscription_type: {
+        type: 'string',
+        synonyms: ['subscription type', 'license type', 'licence type', 'access type']
+    },
+    start_date: {
+        type: 'date',
+        synonyms: ['start date', 'start', 'begin date', 'from']
+    },
+    end_date: {
+        type: 'date',
+        synonyms: ['end date', 'end', 'expiry date', 'expiry', 'to']
+    }
+};
+
+const TYPES = ['string', 'number', 'boolean', 'date'];
+const DEFAULT_TRUE_VALUES = ['1', 'yes', 'y', 'true', 'x', 'subscribed', 'active'];
+const DEFAULT_FALSE_VALUES = ['0', 'no', 'n', 'false', '', 'cancelled', 'inactive'];
+const MIN_SCORE = 0.35;
+
+// Year columns: "2023", "FY2023", "2023 Subscribed"; per-year cost columns:
+// "2023 Cost", "Cost 2023", "Price FY2023"
+const YEAR_HEADER = /^(?:fy\s*)?((?:19|20)\d{2})(?:\s*(?:subscribed|subscription|sub))?$/i;
+const YEAR_COST_HEADER = /^(?:(?:annual\s+)?(?:cost|price|amount|fee)\s*(?:fy\s*)?((?:19|20)\d{2})|(?:fy\s*)?((?:19|20)\d{2})\s*(?:annual\s+)?(?:cost|price|amount|fee))$/i;
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Profiles may use the shorthand { field: 'Header' } or the full rule form
+function normalizeRule(field, rule) {
+    const full = typeof rule === 'string' ? { column: rule } : { ...rule };
+    full.type = full.type || FIELDS[field].type;
+    return full;
+}
+
+// A year entry is the flag column, or { column, cost, trueValues, ... } where
+// cost names that year's cost column
+function normalizeYearRule(rule) {
+    const full = typeof rule === 'string' ? { column: rule } : { ...rule };
+    full.type = 'boolean';
+    return full;
+}
+
+function fieldEntries(mapping) {
+    return Object.entries(mapping).filter(([field]) => field !== 'years');
+}
+
+// Every sheet column a mapping reads
+function mappedColumns(mapping) {
+    const columns = fieldEntries(mapping).map(([field, rule]) => normalizeRule(field, rule).column);
+    Object.values(mapping.years || {}).forEach(rule => {
+        const full = normalizeYearRule(rule);
+        columns.push(full.column);
+        if (full.cost) columns.push(full.cost);
+    });
+    return columns;
+}
+
+// Check a profile's mapping, returning a list of problems (empty when valid)
+function validateMapping(mapping) {
+    const errors = [];
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return ['mapping must be an object of field -> column'];
+    }
+
+    if (mapping.years !== undefined) {
+        if (!mapping.years || typeof mapping.years !== 'object' || Array.isArray(mapping.years)) {
+            errors.push('years must be an object of year -> column');
+        } else {
+            Object.entries(mapping.years).forEach(([year, rule]) => {
+                if (!/^\d{4}$/.test(year)) errors.push(`Year "${year}" is not a four-digit year`);
+                if (!normalizeYearRule(rule).column) errors.push(`Year "${year}" has no column`);
+            });
+        }
+    }
+
+    fieldEntries(mapping).forEach(([field, rule]) => {
+        if (!FIELDS[field]) {
+            errors.push(`Unknown field "${field}" (known: ${Object.keys(FIELDS).join(', ')})`);
+            return;
+        }
+        const full = normalizeRule(field, rule);
+        if (!full.column) errors.push(`Field "${field}" has no column`);
+        if (!TYPES.includes(full.type)) errors.push(`Field "${field}" has unknown type "${full.type}"`);
+    });
+
+    Object.entries(FIELDS)
+        .filter(([field, definition]) => definition.required && !mapping[field])
+        .forEach(([field]) => errors.push(`Required field "${field}" is not mapped`));
+
+    return errors;
+}
+
+function coerceValue(value, rule) {
+    const empty = value === undefined || value === null || String(value).trim() === '';
+    if (empty) {
+        return { value: rule.default !== undefined ? rule.default : null };
+    }
+
+    switch (rule.type) {
+        case 'number': {
+            const cleaned = String(value).replace(/[^0-9,.-]/g, '');
+            const normalized = rule.decimalSeparator === ','
+                ? cleaned.replace(/\./g, '').replace(',', '.')
+                : cleaned.replace(/,/g, '');
+            const number = parseFloat(normalized);
+            return isNaN(number) ? { value: null, error: `"${value}" is not a number` } : { value: number };
+        }
+        case 'boolean': {
+            const text = String(value).toLowerCase().trim();
+            const trueValues = (rule.trueValues || DEFAULT_TRUE_VALUES).map(v => String(v).toLowerCase());
+            const falseValues = (rule.falseValues || DEFAULT_FALSE_VALUES).map(v => String(v).toLowerCase());
+            if (trueValues.includes(text)) return { value: true };
+            if (falseValues.includes(text)) return { value: false };
+            return { value: null, error: `"${value}" is not a recognised yes/no value` };
+        }
+        case 'date': {
+            if (typeof value === 'number') {
+                // Excel serial date
+                const date = new Date(Math.round((value - 25569) * 86400 * 1000));
+                return { value: date.toISOString().split('T')[0] };
+            }
+            const date = new Date(value);
+            return isNaN(date) ? { value: null, error: `"${value}" is not a date` } : { value: date.toISOString().split('T')[0] };
+        }
+        default:
+            return { value: String(value).trim() };
+    }
+}
+
+// Apply a mapping to one sheet row. With year columns mapped, record.terms
+// holds one { year, subscribed, annual_cost } per year.
+function applyMapping(row, mapping) {
+    const record = {};
+    const errors = [];
+
+    fieldEntries(mapping).forEach(([field, rule]) => {
+        const full = normalizeRule(field, rule);
+        const result = coerceValue(row[full.column], full);
+        record[field] = result.value;
+        if (result.error) {
+            errors.push({ field, column: full.column, value: row[full.column], message: result.error });
+        }
+    });
+
+    if (mapping.years) {
+        record.terms = Object.entries(mapping.years).map(([year, rule]) => {
+            const full = normalizeYearRule(rule);
+            const flag = coerceValue(row[full.column], full);
+            if (flag.error) {
+                errors.push({ field: `years.${year}`, column: full.column, value: row[full.column], message: flag.error });
+            }
+
+            const term = { year: parseInt(year, 10), subscribed: flag.value, annual_cost: null };
+            if (full.cost) {
+                const cost = coerceValue(row[full.cost], { type: 'number', decimalSeparator: full.decimalSeparator });
+                if (cost.error) {
+                    errors.push({ field: `years.${year}`, column: full.cost, value: row[full.cost], message: cost.error });
+                }
+                term.annual_cost = cost.value;
+            }
+            return term;
+        });
+    }
+
+    return { record, errors };
+}
+
+// A record's yearly terms, oldest first. Workbooks without year columns only
+// say "current" and "previous", which become referenceYear and the year
+// before. A subscribed latest term falls back to the record's annual cost.
+function subscriptionTerms(record, referenceYear) {
+    let terms = record.terms;
+    if (!terms) {
+        terms = [];
+        if (record.previous_year !== undefined && record.previous_year !== null) {
+            terms.push({ year: referenceYear - 1, subscribed: record.previous_year, annual_cost: null });
+        }
+        if (record.current_year !== undefined && record.current_year !== null) {
+            terms.push({ year: referenceYear, subscribed: record.current_year, annual_cost: null });
+        }
+    }
+
+    terms = terms
+        .filter(term => term.subscribed !== null)
+        .map(term => ({ ...term }))
+        .sort((a, b) => a.year - b.year);
+
+    const latest = terms[terms.length - 1];
+    if (latest && latest.subscribed && latest.annual_cost === null && record.annual_cost !== undefined) {
+        latest.annual_cost = record.annual_cost;
+    }
+    return terms;
+}
+
+// Year flag columns and their cost columns, keyed by year
+function detectYearColumns(headers) {
+    const years = {};
+    headers.forEach(header => {
+        const match = String(header).trim().match(YEAR_HEADER);
+        if (match) years[match[1]] = { column: header };
+    });
+    headers.forEach(header => {
+        const match = String(header).trim().match(YEAR_COST_HEADER);
+        const year = match && (match[1] || match[2]);
+        if (year && years[year]) years[year].cost = header;
+    });
+    return years;
+}
+
+function typeFit(type, samples) {
+    const values = samples.filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+    if (values.length === 0 || type === 'string') return 1;
+
+    const fits = values.filter(value => !coerceValue(value, { type }).error).length;
+    return fits / values.length;
+}
+
+function scoreHeader(field, header, samples) {
+    const definition = FIELDS[field];
+    const normalized = normalizeHeader(header);
+    const tokens = normalized.split(' ');
+    let score = 0;
+
+    definition.synonyms.forEach(synonym => {
+        if (normalized === synonym) {
+            score = Math.max(score, 1);
+        } else if (` ${normalized} `.includes(` ${synonym} `)) {
+            // Whole-word containment, weighted by how much of the header it explains
+            score = Math.max(score, 0.3 + 0.5 * (synonym.split(' ').length / tokens.length));
+        }
+    });
+
+    if ((definition.excludes || []).some(exclude => tokens.includes(exclude))) {
+        score *= 0.2;
+    }
+
+    // A column whose sample values do not fit the field type is a poor match
+    return score * (0.3 + 0.7 * typeFit(definition.type, samples));
+}
+
+// The substring match findValue used to apply silently; now only a fallback
+// suggestion for fields the scorer could not place
+function legacyMatch(headers, field) {
+    const keywords = {
+        journal_title: ['journal', 'title', 'publication', 'name', 'journal_title'],
+        current_year: ['current', 'current_year', '2024', 'subscribed'],
+        publisher: ['publisher', 'company'],
+        subject_area: ['subject', 'category', 'area'],
+        annual_cost: ['cost', 'price', 'amount']
+    }[field] || [];
+
+    for (const header of headers) {
+        const lowerHeader = String(header).toLowerCase();
+        if (keywords.some(keyword => lowerHeader.includes(keyword))) {
+            return header;
+        }
+    }
+    return null;
+}
+
+// Propose a mapping for a new file by scoring every header against every field
+function proposeMapping(headers, sampleRows = []) {
+    const candidates = [];
+    const scores = {};
+
+    // Year columns are recognised by name and kept away from the field scorer
+    const years = detectYearColumns(headers);
+    const yearColumns = new Set(mappedColumns({ years }));
+    const fieldHeaders = headers.filter(header => !yearColumns.has(header));
+
+    Object.keys(FIELDS).forEach(field => {
+        scores[field] = fieldHeaders
+            .map(header => ({
+                column: header,
+                score: Number(scoreHeader(field, header, sampleRows.map(row => row[header])).toFixed(3))
+            }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+        scores[field].forEach(candidate => candidates.push({ field, ...candidate }));
+    });
+
+    // Greedy assignment: best-scoring pairs first, each header used once
+    const mapping = {};
+    const confidence = {};
+    const usedHeaders = new Set(yearColumns);
+    if (Object.keys(years).length > 0) {
+        mapping.years = years;
+        confidence.years = { score: 1, source: 'year columns' };
+    }
+    candidates
+        .filter(candidate => candidate.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .forEach(candidate => {
+            if (mapping[candidate.field] || usedHeaders.has(candidate.column)) return;
+            mapping[candidate.field] = { column: candidate.column, type: FIELDS[candidate.field].type };
+            confidence[candidate.field] = { score: candidate.score, source: 'scored' };
+            usedHeaders.add(candidate.column);
+        });
+
+    Object.keys(FIELDS).forEach(field => {
+        if (mapping[field]) return;
+        // Year columns already say which years were subscribed
+        if (mapping.years && (field === 'current_year' || field === 'previous_year')) return;
+        const column = legacyMatch(headers.filter(header => !usedHeaders.has(header)), field);
+        if (column) {
+            mapping[field] = { column, type: FIELDS[field].type };
+            confidence[field] = { score: 0, source: 'heuristic' };
+            usedHeaders.add(column);
+        }
+    });
+
+    return {
+        mapping,
+        confidence,
+        candidates: scores,
+        unmappedColumns: headers.filter(header => !usedHeaders.has(header)),
+        errors: validateMapping(mapping)
+    };
+}
+
+function parseProfile(row) {
+    return row ? { ...row, mapping: JSON.parse(row.mapping) } : null;
+}
+
+module.exports = {
+    FIELDS,
+    validateMapping,
+    mappedColumns,
+    coerceValue,
+    applyMapping,
+    subscriptionTerms,
+    detectYearColumns,
+    proposeMapping,
+    parseProfile
+};
@@ -0,0 +1,337 @@
+// Cost per use: annual_cost divided by the last 12 months of usage, per
+// subscription and rolled up per journal, subject area and university, with
+// percentile benchmarks across every university in the database. A user who
+// only sees some universities gets the benchmarks anonymized (see
+// anonymousBenchmark).
+//
+// Usage comes from COUNTER (TR_J1, else TR_J3) when the university has COUNTER
+// data, then from usage_analytics downloads, then from subscriptions.usage_count.
+const { all } = require('./db-utils');
+const { resolveUniversity } = require('./university-resolver');
+
+const METRICS = {
+    unique: 'unique_item_requests',
+    total: 'total_item_requests'
+};
+
+const CSV_COLUMNS = ['Uses (12 months)', 'Usage Source', 'Cost Per Use', 'Cost Per Use Percentile', 'Subject Percentile', 'Cost Per Use Flag'];
+
+// Read when a report is built, so a .env loaded after this module still counts
+const defaultThreshold = () => parseFloat(process.env.COST_PER_USE_THRESHOLD) || 50;
+
+// Fewest universities an anonymized benchmark or percentile pools
+const benchmarkMinUniversities = () => parseInt(process.env.BENCHMARK_MIN_UNIVERSITIES, 10) || 5;
+
+// Cost-per-use band edges an anonymized benchmark reports instead of figures
+const COST_BANDS = [1, 2, 5, 10, 20, 50, 100, 200, 500];
+
+const round = value => (value === null ? null : Number(value.toFixed(2)));
+
+// Linear interpolation between the closest ranks of a sorted array
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+// Share of the values below value (ties count half), 0-1
+function percentileRank(sorted, value) {
+    if (sorted.length === 0) return null;
+    const below = sorted.filter(other => other < value).length;
+    const equal = sorted.filter(other => other === value).length;
+    return (below + equal / 2) / sorted.length;
+}
+
+function benchmark(values) {
+    const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        p10: round(percentile(sorted, 0.1)),
+        p25: round(percentile(sorted, 0.25)),
+        p50: round(percentile(sorted, 0.5)),
+        p75: round(percentile(sorted, 0.75)),
+        p90: round(percentile(sorted, 0.9))
+    };
+}
+
+// The band a cost per use falls in: { from, to }, to null above the last edge
+function costBand(value) {
+    if (value === null) return null;
+    const upper = COST_BANDS.findIndex(edge => value < edge);
+    if (upper === -1) return { from: COST_BANDS[COST_BANDS.length - 1], to: null };
+    return { from: upper === 0 ? 0 : COST_BANDS[upper - 1], to: COST_BANDS[upper] };
+}
+
+// A benchmark for a user who only sees some universities. With few
+// universities behind it a benchmark gives their figures away (the spread of a
+// journal two universities take is both their costs), so below
+// BENCHMARK_MIN_UNIVERSITIES it is withheld. Otherwise it gives the bands the
+// quartiles fall in, not the quartiles themselves.
+function anonymousBenchmark(values, universities) {
+    if (universities < benchmarkMinUniversities()) {
+        return { universities, withheld: true };
+    }
+    const { p25, p50, p75 } = benchmark(values);
+    return { universities, lower: costBand(p25), median: costBand(p50), upper: costBand(p75) };
+}
+
+async function loadCounterUsage(db, metric) {
+    const rows = await all(db, `
+        WITH latest AS (
+            SELECT university_id, MAX(month) as month
+            FROM counter_usage
+            WHERE journal_id IS NOT NULL
+            GROUP BY university_id
+        )
+        SELECT cu.university_id, cu.journal_id, cu.report_id, SUM(cu.${METRICS[metric]}) as uses, latest.month as through
+        FROM counter_usage cu
+        JOIN latest ON latest.university_id = cu.university_id
+        WHERE cu.journal_id IS NOT NULL
+          AND cu.report_id IN ('TR_J1', 'TR_J3')
+          AND cu.month > substr(date(latest.month || '-01', '-12 months'), 1, 7)
+        GROUP BY cu.university_id, cu.journal_id, cu.report_id
+    `);
+
+    const usage = new Map();
+    const through = new Map();
+    rows.forEach(row => {
+        const key = `${row.university_id}:${row.journal_id}`;
+        if (!usage.has(key) || row.report_id === 'TR_J1') usage.set(key, row.uses);
+        through.set(row.university_id, row.through);
+    });
+    return { usage, through };
+}
+
+async function loadAnalyticsUsage(db) {
+    const rows = await all(db, `
+        SELECT subscription_id, SUM(downloads) as uses
+        FROM usage_analytics
+        WHERE month > (SELECT substr(date(MAX(month) || '-01', '-12 months'), 1, 7) FROM usage_analytics)
+        GROUP BY subscription_id
+    `);
+    return new Map(rows.map(row => [row.subscription_id, row.uses]));
+}
+
+// Every active subscription with its uses and cost per use
+async function loadSubscriptionCosts(db, metric = 'unique') {
+    const subscriptions = await all(db, `
+        SELECT s.id as subscription_id, s.university_id, s.journal_id, s.annual_cost, s.usage_count,
+               u.name as university_name, j.title as journal_title, j.issn,
+               COALESCE(j.subject_area, 'Unknown') as subject_area
+        FROM subscriptions s
+        JOIN universities u ON s.university_id = u.id
+        JOIN journals j ON s.journal_id = j.id
+        WHERE s.status = 'active'
+    `);
+
+    const counter = await loadCounterUsage(db, metric);
+    const analytics = await loadAnalyticsUsage(db);
+
+    return subscriptions.map(subscription => {
+        let uses;
+        let usageSource;
+        if (counter.through.has(subscription.university_id)) {
+            uses = counter.usage.get(`${subscription.university_id}:${subscription.journal_id}`) || 0;
+            usageSource = `COUNTER to ${counter.through.get(subscription.university_id)}`;
+        } else if (analytics.has(subscription.subscription_id)) {
+            uses = analytics.get(subscription.subscription_id) || 0;
+            usageSource = 'usage analytics';
+        } else {
+            uses = subscription.usage_count || 0;
+            usageSource = 'usage count';
+        }
+
+        const { usage_count, ...row } = subscription;
+        return {
+            ...row,
+            annual_cost: subscription.annual_cost || 0,
+            uses,
+            usage_source: usageSource,
+            cost_per_use: uses > 0 ? round((subscription.annual_cost || 0) / uses) : null
+        };
+    });
+}
+
+function flagFor(row, threshold) {
+    if (row.uses === 0 && row.annual_cost > 0) return 'no_usage';
+    if (row.cost_per_use !== null && row.cost_per_use > threshold) return 'above_threshold';
+    return null;
+}
+
+// Rank a cost per use against a sorted distribution, as a 0-100 percentile.
+// Paid titles with no use rank at 100.
+function rankIn(sorted, row) {
+    if (row.cost_per_use === null) return row.annual_cost > 0 ? 100 : null;
+    return Math.round(percentileRank(sorted, row.cost_per_use) * 100);
+}
+
+function rollUp(rows, keyOf, describe) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, { ...describe(row), subscriptions: 0, annual_cost: 0, uses: 0, members: [] });
+        const group = groups.get(key);
+        group.subscriptions += 1;
+        group.annual_cost += row.annual_cost;
+        group.uses += row.uses;
+        group.members.push(row);
+    });
+    return Array.from(groups.values()).map(group => ({
+        ...group,
+        annual_cost: round(group.annual_cost),
+        cost_per_use: group.uses > 0 ? round(group.annual_cost / group.uses) : null
+    }));
+}
+
+// Highest cost per use first, paid rows without use ahead of everything
+function byCostPerUse(a, b) {
+    const [x, y] = [a, b].map(row => (row.cost_per_use === null ? Infinity : row.cost_per_use));
+    if (x === y) return 0;
+    return x > y ? -1 : 1;
+}
+
+const sortedCosts = rows => rows
+    .map(row => row.cost_per_use)
+    .filter(value => value !== null)
+    .sort((a, b) => a - b);
+
+// filters: university (name or alias, see university-resolver.js), threshold,
+// metric (unique|total), scope (university ids the user may see; with it the
+// benchmarks are anonymized)
+async function costPerUseReport(db, filters = {}) {
+    const metric = METRICS[filters.metric] ? filters.metric : 'unique';
+    const threshold = parseFloat(filters.threshold) || defaultThreshold();
+    const everything = await loadSubscriptionCosts(db, metric);
+    const describeBenchmark = filters.scope ? anonymousBenchmark : values => benchmark(values);
+    const universityCount = rows => new Set(rows.map(row => row.university_id)).size;
+    // Percentiles are withheld with their benchmark: a rank among too few
+    // universities gives their costs away as well
+    const rankAmong = (sorted, row, universities) => (
+        filters.scope && universities < benchmarkMinUniversities() ? null : rankIn(sorted, row)
+    );
+
+    // Benchmarks always cover every university; the filter only narrows the rows
+    const levels = {
+        journals: {
+            key: row => row.journal_id,
+            describe: row => ({ journal_id: row.journal_id, journal_title: row.journal_title, issn: row.issn, subject_area: row.subject_area })
+        },
+        subjects: {
+            key: row => row.subject_area,
+            describe: row => ({ subject_area: row.subject_area })
+        },
+        universities: {
+            key: row => row.university_id,
+            describe: row => ({ university_id: row.university_id, university_name: row.university_name })
+        }
+    };
+
+    const allSubscriptions = sortedCosts(everything);
+    const levelCosts = {};
+    const peerCosts = {};
+    const peerUniversities = {};
+    ['journals', 'subjects', 'universities'].forEach(level => {
+        levelCosts[level] = sortedCosts(rollUp(everything, levels[level].key, levels[level].describe));
+        peerCosts[level] = new Map();
+        peerUniversities[level] = new Map();
+        everything.forEach(row => {
+            const key = levels[level].key(row);
+            if (!peerCosts[level].has(key)) {
+                peerCosts[level].set(key, []);
+                peerUniversities[level].set(key, new Set());
+            }
+            if (row.cost_per_use !== null) peerCosts[level].get(key).push(row.cost_per_use);
+            peerUniversities[level].get(key).add(row.university_id);
+        });
+        peerCosts[level].forEach(costs => costs.sort((a, b) => a - b));
+    });
+
+    // A university that does not resolve to one keeps the partial name match
+    let rows = filters.scope ? everything.filter(row => filters.scope.includes(row.university_id)) : everything;
+    if (filters.university && filters.university !== 'all') {
+        const match = await resolveUniversity(db, filters.university);
+        const partial = filters.university.toLowerCase();
+        rows = match && !match.ambiguous
+            ? rows.filter(row => row.university_id === match.id)
+            : rows.filter(row => row.university_name.toLowerCase().includes(partial));
+    }
+
+    const subscriptions = rows.map(row => ({
+        ...row,
+        percentile: rankAmong(allSubscriptions, row, universityCount(everything)),
+        subject_percentile: rankAmong(peerCosts.subjects.get(row.subject_area), row,
+            peerUniversities.subjects.get(row.subject_area).size),
+        flag: flagFor(row, threshold)
+    }));
+
+    // Each group ranks against the same grouping across all universities, and
+    // carries the spread of its subscriptions' cost per use (for a journal: what
+    // each university pays per use).
+    const groupRows = level => rollUp(rows, levels[level].key, levels[level].describe)
+        .map(({ members, ...group }) => ({
+            ...group,
+            percentile: rankAmong(levelCosts[level], group, universityCount(everything)),
+            benchmark: describeBenchmark(
+                peerCosts[level].get(levels[level].key(members[0])),
+                peerUniversities[level].get(levels[level].key(members[0])).size
+            ),
+            flagged: members.filter(member => flagFor(member, threshold)).length,
+            flag: flagFor(group, threshold)
+        }))
+        .sort(byCostPerUse);
+
+    const totalCost = rows.reduce((sum, row) => sum + row.annual_cost, 0);
+    const totalUses = rows.reduce((sum, row) => sum + row.uses, 0);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        metric: METRICS[metric],
+        threshold,
+        benchmarks: {
+            subscriptions: describeBenchmark(allSubscriptions, universityCount(everything)),
+            journals: describeBenchmark(levelCosts.journals, universityCount(everything)),
+            subjects: describeBenchmark(levelCosts.subjects, universityCount(everything)),
+            universities: describeBenchmark(levelCosts.universities, universityCount(everything))
+        },
+        summary: {
+            subscriptions: rows.length,
+            annual_cost: round(totalCost),
+            uses: totalUses,
+            cost_per_use: totalUses > 0 ? round(totalCost / totalUses) : null,
+            above_threshold: subscriptions.filter(row => row.flag === 'above_threshold').length,
+            no_usage: subscriptions.filter(row => row.flag === 'no_usage').length
+        },
+        subscriptions: subscriptions.sort(byCostPerUse),
+        journals: groupRows('journals'),
+        subjects: groupRows('subjects'),
+        universities: groupRows('universities')
+    };
+}
+
+// A group's benchmark as CSV columns: its quartiles, or for an anonymized one
+// the bands they fall in ("5-10", "500+"; blank when withheld)
+function benchmarkColumns(benchmark) {
+    if (benchmark.p50 !== undefined) {
+        return { benchmark_p25: benchmark.p25, benchmark_p50: benchmark.p50, benchmark_p75: benchmark.p75 };
+    }
+    const label = band => (band ? `${band.from}${band.to === null ? '+' : `-${band.to}`}` : null);
+    return { benchmark_lower: label(benchmark.lower), benchmark_median: label(benchmark.median), benchmark_upper: label(benchmark.upper) };
+}
+
+// Cost-per-use columns for the CSV export: returns subscription id -> columns
+// (blank for subscriptions that are not active)
+async function costPerUseColumns(db, threshold) {
+    const report = await costPerUseReport(db, { threshold });
+    const columns = new Map(report.subscriptions.map(row => [row.subscription_id, [
+        row.uses, row.usage_source, row.cost_per_use, row.percentile, row.subject_percentile, row.flag
+    ]]));
+
+    return subscriptionId => {
+        const values = columns.get(subscriptionId) || [];
+        return Object.fromEntries(CSV_COLUMNS.map((column, index) => [column, values[index]]));
+    };
+}
+
+module.exports = { defaultThreshold, percentile, percentileRank, loadSubscriptionCosts, costPerUseReport, costPerUseColumns, benchmarkColumns };
@@ -0,0 +1,292 @@
+// COUNTER Release 5 usage report importer (TR_J1, TR_J3, TR_B1)
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { run, prepare, transaction } = require('./db-utils');
+const { cleanTitle, storedIssn, loadJournalMatcher } = require('./journal-matching');
+
+const SUPPORTED_REPORTS = ['TR_J1', 'TR_J3', 'TR_B1'];
+
+// Metrics we keep, mapped to their counter_usage columns
+const METRIC_COLUMNS = {
+    Total_Item_Requests: 'total_item_requests',
+    Unique_Item_Requests: 'unique_item_requests',
+    Unique_Title_Investigations: 'unique_title_investigations'
+};
+
+const MONTHS = {
+    jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+    jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// Parse a month column header into YYYY-MM, plus the metric when it is part of
+// the header (e.g. "Jan_2024_Total_Item_Requests"). Accepts "Jan-2024",
+// "Jan 2024", "Jan_2024", "Jan-24", "2024-01" and Excel date serials.
+function parseUsageColumn(key) {
+    if (typeof key === 'number') {
+        if (key < 20000) return null;
+        const date = XLSX.SSF.parse_date_code(key);
+        return date ? { month: `${date.y}-${String(date.m).padStart(2, '0')}`, metric: null } : null;
+    }
+
+    const text = String(key).trim();
+    let match = text.match(/^([A-Za-z]{3})[A-Za-z]*[-_ ](\d{4}|\d{2})(?:_(.+))?$/);
+    if (match && MONTHS[match[1].toLowerCase()]) {
+        const year = match[2].length === 2 ? `20${match[2]}` : match[2];
+        return { month: `${year}-${MONTHS[match[1].toLowerCase()]}`, metric: match[3] || null };
+    }
+
+    match = text.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+    if (match) {
+        return { month: `${match[1]}-${match[2]}`, metric: null };
+    }
+
+    return null;
+}
+
+function normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function cleanIdentifier(value) {
+    const text = String(value || '').trim();
+    return text || null;
+}
+
+// Merge one month of metrics for an item into the report, summing rows that
+// only differ by Access_Type or YOP (TR_J3 / TR_B1 split usage that way)
+function addUsage(items, item, month, metric, count) {
+    const column = METRIC_COLUMNS[metric];
+    if (!column || !month) return;
+
+    const value = parseInt(count, 10) || 0;
+    const itemKey = item.onlineIssn || item.printIssn || item.isbn || normalizeTitle(item.title);
+    const key = `${itemKey}|${month}`;
+
+    if (!items.has(key)) {
+        items.set(key, {
+            ...item,
+            itemKey,
+            month,
+            total_item_requests: 0,
+            unique_item_requests: 0,
+            unique_title_investigations: 0
+        });
+    }
+    items.get(key)[column] += value;
+}
+
+// Tabular form: a header block of "Key | Value" rows, a blank row, then the
+// column headings and one row per title and metric. defaults fills in header
+// values a sheet without the header block lacks (e.g. { reportId: 'TR_J1' }).
+function parseTabularReport(rows, defaults = {}) {
+    const headingIndex = rows.findIndex(row =>
+        row && row.some(cell => String(cell).trim() === 'Title') &&
+        row.some(cell => String(cell).trim() === 'Metric_Type' || (parseUsageColumn(cell) || {}).metric)
+    );
+
+    if (headingIndex === -1) {
+        throw new Error('No COUNTER column headings (Title, Metric_Type) found');
+    }
+
+    const header = {};
+    rows.slice(0, headingIndex).forEach(row => {
+        if (row && row[0]) header[String(row[0]).trim()] = row[1] !== undefined ? String(row[1]).trim() : '';
+    });
+
+    const headings = rows[headingIndex].map(cell => (typeof cell === 'number' ? cell : String(cell || '').trim()));
+    const columnIndex = name => headings.indexOf(name);
+    const monthColumns = headings
+        .map((heading, index) => ({ index, parsed: parseUsageColumn(heading) }))
+        .filter(column => column.parsed);
+
+    const report = {
+        reportId: header.Report_ID || defaults.reportId,
+        reportName: header.Report_Name || defaults.reportName,
+        institutionName: header.Institution_Name || defaults.institutionName,
+        customerId: header.Customer_ID || null,
+        items: []
+    };
+
+    const items = new Map();
+    rows.slice(headingIndex + 1).forEach(row => {
+        if (!row || !row[columnIndex('Title')]) return;
+
+        const cell = name => (columnIndex(name) === -1 ? null : row[columnIndex(name)]);
+        const item = {
+            title: String(cell('Title')).trim(),
+            publisher: cell('Publisher') ? String(cell('Publisher')).trim() : null,
+            platform: cell('Platform') ? String(cell('Platform')).trim() : null,
+            printIssn: cleanIdentifier(cell('Print_ISSN')),
+            onlineIssn: cleanIdentifier(cell('Online_ISSN')),
+            isbn: cleanIdentifier(cell('ISBN')),
+            dataType: report.reportId === 'TR_B1' ? 'Book' : 'Journal'
+        };
+        const rowMetric = cell('Metric_Type') ? String(cell('Metric_Type')).trim() : null;
+
+        monthColumns.forEach(({ index, parsed }) => {
+            addUsage(items, item, parsed.month, parsed.metric || rowMetric, row[index]);
+        });
+    });
+
+    report.items = Array.from(items.values());
+    return report;
+}
+
+// JSON form as returned by the COUNTER_SUSHI5 API
+function parseJsonReport(json) {
+    const header = json.Report_Header || {};
+    const report = {
+        reportId: header.Report_ID,
+        reportName: header.Report_Name,
+        institutionName: header.Institution_Name,
+        customerId: header.Customer_ID || null,
+        items: []
+    };
+
+    const items = new Map();
+    (json.Report_Items || []).forEach(reportItem => {
+        const identifiers = {};
+        (reportItem.Item_ID || []).forEach(id => {
+            identifiers[id.Type] = id.Value;
+        });
+
+        const item = {
+            title: String(reportItem.Title || '').trim(),
+            publisher: reportItem.Publisher || null,
+            platform: reportItem.Platform || null,
+            printIssn: cleanIdentifier(identifiers.Print_ISSN),
+            onlineIssn: cleanIdentifier(identifiers.Online_ISSN),
+            isbn: cleanIdentifier(identifiers.ISBN),
+            dataType: reportItem.Data_Type || (report.reportId === 'TR_B1' ? 'Book' : 'Journal')
+        };
+        if (!item.title) return;
+
+        (reportItem.Performance || []).forEach(performance => {
+            const parsed = parseUsageColumn(String(performance.Period?.Begin_Date || '').slice(0, 7));
+            (performance.Instance || []).forEach(instance => {
+                addUsage(items, item, parsed?.month, instance.Metric_Type, instance.Count);
+            });
+        });
+    });
+
+    report.items = Array.from(items.values());
+    return report;
+}
+
+function isCounterWorkbook(workbook) {
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, range: 0 }).slice(0, 15);
+    return rows.some(row => row && String(row[0]).trim() === 'Report_ID');
+}
+
+function parseCounterWorkbook(workbook) {
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return parseTabularReport(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }));
+}
+
+// Read a COUNTER report from .json, .tsv/.csv/.txt or an Excel workbook
+function readCounterFile(filePath, originalName = filePath) {
+    const ext = path.extname(originalName).toLowerCase();
+    const text = ext === '.json' || ext === '.tsv' || ext === '.txt' || ext === '.csv'
+        ? fs.readFileSync(filePath, 'utf8')
+        : null;
+
+    if (ext === '.json' || (text && text.trim().startsWith('{'))) {
+        return parseJsonReport(JSON.parse(text));
+    }
+
+    if (ext === '.csv') {
+        return parseCounterWorkbook(XLSX.read(text, { type: 'string' }));
+    }
+
+    if (text) {
+        return parseTabularReport(text.split(/\r?\n/).map(line => line.split('\t')));
+    }
+
+    return parseCounterWorkbook(XLSX.readFile(filePath));
+}
+
+// journals: a journal matcher (journal-matching.js); new journals are added
+// to it so later items find them
+async function findOrCreateJournal(db, journals, item) {
+    const identifiers = { title: cleanTitle(item.title), issn: item.printIssn, eissn: item.onlineIssn };
+    const match = journals.find(identifiers);
+    if (match) return match.id;
+
+    const result = await run(db,
+        'INSERT INTO journals (title, issn, eissn, publisher, description) VALUES (?, ?, ?, ?, ?)',
+        [identifiers.title, storedIssn(item.printIssn), storedIssn(item.onlineIssn), item.publisher,
+            `Journal from COUNTER usage (${item.platform || 'unknown platform'})`]
+    );
+    journals.add({ id: result.lastID, ...identifiers });
+    return result.lastID;
+}
+
+// Store a parsed report for one university in a single transaction.
+// Re-importing the same report and month overwrites the earlier figures
+// rather than double counting them.
+async function importCounterReport(db, report, universityId, sourceFile = null, onProgress = null) {
+    if (!SUPPORTED_REPORTS.includes(report.reportId)) {
+        throw new Error(`Unsupported COUNTER report: ${report.reportId || 'unknown'} (supported: ${SUPPORTED_REPORTS.join(', ')})`);
+    }
+
+    const journalIds = new Map();
+    const months = new Set();
+
+    await transaction(db, async () => {
+        const journals = await loadJournalMatcher(db);
+        const upsertUsage = prepare(db, `
+            INSERT INTO counter_usage
+            (university_id, journal_id, report_id, item_key, title, publisher, platform, print_issn, online_issn, isbn,
+             data_type, month, total_item_requests, unique_item_requests, unique_title_investigations, source_file)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (university_id, report_id, item_key, month) DO UPDATE SET
+                journal_id = excluded.journal_id,
+                total_item_requests = excluded.total_item_requests,
+                unique_item_requests = excluded.unique_item_requests,
+                unique_title_investigations = excluded.unique_title_investigations,
+                source_file = excluded.source_file
+        `);
+
+        try {
+            for (const [index, item] of report.items.entries()) {
+                let journalId = null;
+                if (item.dataType === 'Journal') {
+                    if (!journalIds.has(item.itemKey)) {
+                        journalIds.set(item.itemKey, await findOrCreateJournal(db, journals, item));
+                    }
+                    journalId = journalIds.get(item.itemKey);
+                }
+
+                await upsertUsage.run([
+                    universityId, journalId, report.reportId, item.itemKey, item.title, item.publisher, item.platform,
+                    item.printIssn, item.onlineIssn, item.isbn, item.dataType, item.month,
+                    item.total_item_requests, item.unique_item_requests, item.unique_title_investigations, sourceFile
+                ]);
+                months.add(item.month);
+                if (onProgress) await onProgress(index + 1, report.items.length);
+            }
+        } finally {
+            await upsertUsage.finalize();
+        }
+    });
+
+    return {
+        reportId: report.reportId,
+        rows: report.items.length,
+        titles: new Set(report.items.map(item => item.itemKey)).size,
+        months: Array.from(months).sort()
+    };
+}
+
+module.exports = {
+    SUPPORTED_REPORTS,
+    parseUsageColumn,
+    parseTabularReport,
+    parseJsonReport,
+    isCounterWorkbook,
+    parseCounterWorkbook,
+    readCounterFile,
+    importCounterReport
+};
@@ -0,0 +1,24 @@
+// CSV output for the export endpoints
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of objects; headers default to the first row's keys
+function toCsv(rows, headers = null) {
+    const columns = headers || (rows.length > 0 ? Object.keys(rows[0]) : []);
+    const lines = [columns.map(csvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvValue(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function sendCsv(res, rows, name, headers = null) {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${name}-${new Date().toISOString().split('T')[0]}.csv`);
+    res.send(toCsv(rows, headers));
+}
+
+module.exports = { toCsv, sendCsv };
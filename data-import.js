@@ -2,11 +2,14 @@ const sqlite3 = require('sqlite3').verbose();
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
+const { parseTabularReport, importCounterReport } = require('./counter-import');
+const { migrateUp } = require('./migrate');
 
 const db = new sqlite3.Database('./publishing_data.db');
 
 async function importExcelFiles() {
     console.log('Starting data import...');
+    await migrateUp(db);
     
     const dataFiles = {
         'nus': 'Export_National_University_of_Singapore_20250908_034106.xlsx',
@@ -41,6 +44,7 @@ async function processFile(filePath, universityCode) {
 
             const universityId = university.id;
             const workbook = XLSX.readFile(filePath);
+            const usageImports = [];
             let totalRecords = 0;
 
             workbook.SheetNames.forEach(sheetName => {
@@ -53,7 +57,7 @@ async function processFile(filePath, universityCode) {
                     importSubscriptions(data, universityId);
                     totalRecords += data.length;
                 } else if (sheetName.toLowerCase().includes('usage')) {
-                    importUsage(data, universityId);
+                    usageImports.push(importUsage(sheet, universityId, path.basename(filePath)));
                     totalRecords += data.length;
                 } else if (sheetName.toLowerCase().includes('book')) {
                     importBooks(data, universityId);
@@ -61,8 +65,12 @@ async function processFile(filePath, universityCode) {
                 }
             });
 
-            console.log(`Imported ${totalRecords} records for ${universityCode}`);
-            resolve();
+            Promise.all(usageImports)
+                .then(() => {
+                    console.log(`Imported ${totalRecords} records for ${universityCode}`);
+                    resolve();
+                })
+                .catch(reject);
         });
     });
 }
@@ -87,33 +95,15 @@ function importSubscriptions(data, universityId) {
     stmt.finalize();
 }
 
-function importUsage(data, universityId) {
-    const stmt = db.prepare(`
-        INSERT OR REPLACE INTO journal_usage 
-        (university_id, journal_title, publisher, usage_date, total_requests, unique_requests)
-        VALUES (?, ?, ?, ?, ?, ?)
-    `);
-
-    data.forEach(row => {
-        Object.keys(row).forEach(key => {
-            if (key.includes('Total_Item_Requests')) {
-                const month = key.split('_')[0];
-                const year = key.split('_')[1];
-                const date = `${month}_${year}`;
-                
-                stmt.run([
-                    universityId,
-                    row.Title || row.title || '',
-                    row.Publisher || row.publisher || '',
-                    date,
-                    row[key] || 0,
-                    row[key.replace('Total', 'Unique')] || 0
-                ]);
-            }
-        });
-    });
-
-    stmt.finalize();
+// Usage sheets hold COUNTER rows, either with a Metric_Type column and plain
+// month columns or with the metric in each month heading
+// ("Jan_2024_Unique_Item_Requests"). Both are read by the COUNTER importer,
+// which keeps every metric and stores them in counter_usage, where the
+// dashboards read usage. A sheet without the COUNTER header block is a TR_J1.
+async function importUsage(sheet, universityId, sourceFile) {
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+    const report = parseTabularReport(rows, { reportId: 'TR_J1' });
+    return importCounterReport(db, report, universityId, sourceFile);
 }
 
 function importBooks(data, universityId) {
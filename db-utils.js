@@ -0,0 +1,198 @@
+// Promise wrappers around the sqlite3 callback API
+const { AsyncLocalStorage } = require('async_hooks');
+
+// sqlite3 shares one connection, so a write issued while a transaction is open
+// would join it and be rolled back with it. The transaction's own work carries
+// it in its async context; writes from anywhere else (other requests, timers)
+// wait until it has committed or rolled back. Reads are not held up and see
+// the open transaction's rows.
+const transactionScope = new AsyncLocalStorage();
+const openTransactions = new WeakMap();
+
+// The open transaction a write from here has to wait for, if any. Callers
+// check it and issue their statement without an await in between, so a
+// transaction cannot begin in the gap.
+function blockingTransaction(db) {
+    const open = openTransactions.get(db);
+    return open && transactionScope.getStore() !== open ? open : null;
+}
+
+async function run(db, sql, params = []) {
+    let open;
+    while ((open = blockingTransaction(db))) await open.done;
+    return execute(db, sql, params);
+}
+
+function execute(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(row);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
+
+// Prepared statement with promise-returning run/get/all; run waits like run()
+function prepare(db, sql) {
+    const statement = db.prepare(sql);
+    const execute = (method, params) => new Promise((resolve, reject) => {
+        statement[method](params, function(err, result) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    });
+
+    return {
+        run: async (params = []) => {
+            let open;
+            while ((open = blockingTransaction(db))) await open.done;
+            return execute('run', params);
+        },
+        get: (params = []) => execute('get', params),
+        all: (params = []) => execute('all', params),
+        finalize: () => new Promise(resolve => statement.finalize(() => resolve()))
+    };
+}
+
+// Run fn inside BEGIN IMMEDIATE ... COMMIT, rolling back if it throws.
+// Nested calls from fn become savepoints, so an import can run inside a larger
+// transaction (e.g. a full reprocess). A transaction started elsewhere while
+// one is open waits for it, like any other write.
+async function transaction(db, fn) {
+    const open = openTransactions.get(db);
+    if (open && transactionScope.getStore() === open) {
+        const savepoint = `sp_${open.depth++}`;
+        await execute(db, `SAVEPOINT ${savepoint}`);
+        try {
+            const result = await fn();
+            await execute(db, `RELEASE ${savepoint}`);
+            return result;
+        } catch (error) {
+            await execute(db, `ROLLBACK TO ${savepoint}`).catch(() => {});
+            await execute(db, `RELEASE ${savepoint}`).catch(() => {});
+            throw error;
+        } finally {
+            open.depth--;
+        }
+    }
+
+    let blocking;
+    while ((blocking = openTransactions.get(db))) await blocking.done;
+    let finished;
+    const current = { depth: 0, done: new Promise(resolve => { finished = resolve; }) };
+    openTransactions.set(db, current);
+    try {
+        return await transactionScope.run(current, async () => {
+            await execute(db, 'BEGIN IMMEDIATE');
+            try {
+                const result = await fn();
+                await execute(db, 'COMMIT');
+                return result;
+            } catch (error) {
+                await execute(db, 'ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    } finally {
+        openTransactions.delete(db);
+        finished();
+    }
+}
+
+// ALTER TABLE ADD COLUMN has no IF NOT EXISTS in SQLite
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await all(db, `PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+async function tableExists(db, table) {
+    return !!(await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]));
+}
+
+// Create a table, or bring an existing one to the given definition. SQLite
+// cannot add constraints to an existing table, so it is rebuilt: create the
+// new shape, copy shared columns, drop, rename. Columns the definition does
+// not know about are kept. Needs PRAGMA foreign_keys = OFF (see migrate.js).
+async function createOrRebuildTable(db, table, definition) {
+    if (!(await tableExists(db, table))) {
+        await run(db, `CREATE TABLE ${table} (${definition})`);
+        return;
+    }
+
+    const existing = await all(db, `PRAGMA table_info(${table})`);
+    await run(db, `DROP TABLE IF EXISTS ${table}__new`);
+    await run(db, `CREATE TABLE ${table}__new (${definition})`);
+
+    const wanted = new Set((await all(db, `PRAGMA table_info(${table}__new)`)).map(column => column.name));
+    for (const column of existing.filter(column => !wanted.has(column.name))) {
+        const defaultClause = column.dflt_value !== null ? ` DEFAULT ${column.dflt_value}` : '';
+        await run(db, `ALTER TABLE ${table}__new ADD COLUMN ${column.name} ${column.type}${defaultClause}`);
+    }
+
+    const columns = existing.map(column => column.name).join(', ');
+    await run(db, `INSERT INTO ${table}__new (${columns}) SELECT ${columns} FROM ${table}`);
+    await run(db, `DROP TABLE ${table}`);
+    await run(db, `ALTER TABLE ${table}__new RENAME TO ${table}`);
+}
+
+// Before a foreign key is enforced on existing data: delete rows pointing at a
+// missing parent, or with setNull clear the reference instead
+async function clearOrphans(db, table, column, parentTable, setNull = false) {
+    const orphaned = `${column} IS NOT NULL AND ${column} NOT IN (SELECT id FROM ${parentTable})`;
+    const result = setNull
+        ? await run(db, `UPDATE ${table} SET ${column} = NULL WHERE ${orphaned}`)
+        : await run(db, `DELETE FROM ${table} WHERE ${orphaned}`);
+
+    if (result.changes > 0) {
+        console.log(`⚠️ ${setNull ? 'Cleared' : 'Removed'} ${result.changes} ${table} rows with no matching ${parentTable} row`);
+    }
+    return result.changes;
+}
+
+// The database file every entry point opens (DATABASE_PATH in .env)
+const databasePath = () => process.env.DATABASE_PATH || './publishing_data.db';
+
+module.exports = {
+    databasePath,
+    run,
+    get,
+    all,
+    prepare,
+    transaction,
+    addColumnIfMissing,
+    tableExists,
+    createOrRebuildTable,
+    clearOrphans
+};
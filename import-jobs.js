@@ -0,0 +1,266 @@
+// Import job queue: uploads and folder reprocessing run one at a time in the
+// background, with status, progress, row counters and log lines kept in
+// import_jobs / import_job_logs
+const { run, get, all } = require('./db-utils');
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const COUNTERS = ['rows_total', 'rows_processed', 'inserted', 'updated', 'deleted', 'skipped', 'errors'];
+
+class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+    }
+}
+
+function createJobQueue(db) {
+    const handlers = new Map();
+    const cancelled = new Set();
+    const pending = [];
+    // Queued and running jobs: their row and log lines live here and are
+    // written to the database when the job starts and finishes, never from
+    // inside its transaction (where they would be rolled back with it)
+    const active = new Map();
+    let running = null;
+
+    async function insertLog(jobId, line) {
+        await run(db, 'INSERT INTO import_job_logs (job_id, level, message, created_at) VALUES (?, ?, ?, ?)',
+            [jobId, line.level, line.message, line.created_at]);
+    }
+
+    async function writeRow(jobId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+        await run(db,
+            `UPDATE import_jobs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), jobId]
+        );
+    }
+
+    async function log(jobId, message, level = 'info') {
+        const line = { level, message, created_at: new Date().toISOString() };
+        const job = active.get(jobId);
+        if (job) {
+            job.logs.push(line);
+            job.unsavedLogs.push(line);
+            return;
+        }
+        await insertLog(jobId, line);
+    }
+
+    async function update(jobId, fields) {
+        const job = active.get(jobId);
+        if (job) {
+            Object.assign(job.row, fields);
+            Object.assign(job.unsaved, fields);
+            return;
+        }
+        await writeRow(jobId, fields);
+    }
+
+    // Writes what changed in memory since the last save
+    async function save(jobId) {
+        const job = active.get(jobId);
+        if (!job) return;
+        const fields = job.unsaved;
+        const lines = job.unsavedLogs.splice(0);
+        job.unsaved = {};
+        await writeRow(jobId, fields);
+        for (const line of lines) {
+            await insertLog(jobId, line);
+        }
+    }
+
+    async function finish(jobId) {
+        try {
+            await save(jobId);
+        } finally {
+            active.delete(jobId);
+        }
+    }
+
+    // What a handler gets to report back through
+    function jobContext(jobId) {
+        let lastPercent = -1;
+
+        const throwIfCancelled = () => {
+            if (cancelled.has(jobId)) throw new JobCancelledError(jobId);
+        };
+
+        return {
+            id: jobId,
+            log: (message, level) => log(jobId, message, level),
+            throwIfCancelled,
+            async progress(done, total) {
+                throwIfCancelled();
+                const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    await update(jobId, { progress: percent });
+                }
+            },
+            async counters(values) {
+                const fields = {};
+                COUNTERS.forEach(counter => {
+                    if (values[counter] !== undefined) fields[counter] = values[counter];
+                });
+                await update(jobId, fields);
+            }
+        };
+    }
+
+    async function runNext() {
+        if (running || pending.length === 0) return;
+
+        const jobId = pending.shift();
+        running = jobId;
+        const { handler } = handlers.get(jobId);
+        handlers.delete(jobId);
+
+        const startedAt = Date.now();
+        try {
+            if (cancelled.has(jobId)) throw new JobCancelledError(jobId);
+
+            await update(jobId, { status: 'running', started_at: new Date().toISOString() });
+            await save(jobId);
+            const result = await handler(jobContext(jobId));
+
+            await update(jobId, {
+                status: 'succeeded',
+                progress: 100,
+                result: JSON.stringify(result || null),
+                finished_at: new Date().toISOString(),
+                duration_ms: Date.now() - startedAt
+            });
+            await log(jobId, 'Job finished');
+        } catch (error) {
+            const status = error instanceof JobCancelledError ? 'cancelled' : 'failed';
+            await update(jobId, {
+                status,
+                cancel_requested: status === 'cancelled' ? 1 : 0,
+                error: status === 'failed' ? error.message : null,
+                finished_at: new Date().toISOString(),
+                duration_ms: Date.now() - startedAt
+            }).catch(() => {});
+            await log(jobId, status === 'cancelled' ? 'Job cancelled; changes rolled back' : `Job failed: ${error.message}`,
+                status === 'cancelled' ? 'warn' : 'error').catch(() => {});
+            if (status === 'failed') console.error(`❌ Import job ${jobId} failed:`, error.message);
+        } finally {
+            await finish(jobId).catch(error => console.error(`❌ Could not save import job ${jobId}:`, error.message));
+            cancelled.delete(jobId);
+            running = null;
+            setImmediate(runNext);
+        }
+    }
+
+    // Jobs that were queued or running when the server stopped can't resume
+    async function recoverInterrupted() {
+        const interrupted = await all(db, "SELECT id FROM import_jobs WHERE status IN ('queued', 'running')");
+        for (const job of interrupted) {
+            await update(job.id, { status: 'failed', error: 'Interrupted by server restart', finished_at: new Date().toISOString() });
+            await log(job.id, 'Interrupted by server restart', 'error');
+        }
+    }
+
+    // meta: { type, filename, university, requestedBy, source }; handler(job) does
+    // the work. source identifies what is being imported (e.g. a preview token).
+    async function enqueue(meta, handler) {
+        const row = {
+            type: meta.type,
+            filename: meta.filename || null,
+            university: meta.university || null,
+            requested_by: meta.requestedBy || null,
+            source: meta.source || null,
+            status: 'queued',
+            created_at: new Date().toISOString()
+        };
+        const columns = Object.keys(row);
+        const result = await run(db,
+            `INSERT INTO import_jobs (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => row[column])
+        );
+
+        const jobId = result.lastID;
+        active.set(jobId, { row: { id: jobId, ...row }, unsaved: {}, logs: [], unsavedLogs: [] });
+        handlers.set(jobId, { handler });
+        pending.push(jobId);
+        await log(jobId, `Queued ${meta.type}${meta.filename ? ` of ${meta.filename}` : ''}`);
+        setImmediate(runNext);
+        return jobId;
+    }
+
+    async function cancel(jobId) {
+        const job = active.has(jobId) ? active.get(jobId).row : await get(db, 'SELECT status FROM import_jobs WHERE id = ?', [jobId]);
+        if (!job) return null;
+        if (job.status !== 'queued' && job.status !== 'running') return job.status;
+
+        cancelled.add(jobId);
+        await update(jobId, { cancel_requested: 1 });
+        await log(jobId, 'Cancellation requested', 'warn');
+
+        // Still waiting: drop it from the queue. Otherwise the handler stops at
+        // its next progress report and its transaction rolls back.
+        const index = pending.indexOf(jobId);
+        if (index !== -1) {
+            pending.splice(index, 1);
+            handlers.delete(jobId);
+            cancelled.delete(jobId);
+            await update(jobId, { status: 'cancelled', finished_at: new Date().toISOString() });
+            // Saved once any running transaction is over; no need to wait
+            finish(jobId).catch(error => console.error(`❌ Could not save import job ${jobId}:`, error.message));
+            return 'cancelled';
+        }
+        return 'cancelling';
+    }
+
+    // listJobs / getJob, with queued and running jobs as they are in memory
+    const current = job => {
+        const live = active.get(job.id);
+        return live ? { ...job, ...live.row, result: live.row.result ? JSON.parse(live.row.result) : null } : job;
+    };
+
+    async function list(filters = {}) {
+        return (await listJobs(db, filters)).map(current);
+    }
+
+    async function find(jobId) {
+        const job = await getJob(db, jobId);
+        if (!job) return null;
+        return active.has(job.id) ? { ...current(job), logs: active.get(job.id).logs } : job;
+    }
+
+    return { enqueue, cancel, recoverInterrupted, list, find };
+}
+
+async function listJobs(db, filters = {}) {
+    let whereClause = 'WHERE 1 = 1';
+    const params = [];
+
+    if (filters.status) {
+        whereClause += ' AND status = ?';
+        params.push(filters.status);
+    }
+    if (filters.type) {
+        whereClause += ' AND type = ?';
+        params.push(filters.type);
+    }
+    if (filters.university) {
+        whereClause += ' AND university LIKE ?';
+        params.push(`%${filters.university}%`);
+    }
+
+    params.push(Math.min(parseInt(filters.limit, 10) || 50, 500), parseInt(filters.offset, 10) || 0);
+    const jobs = await all(db, `SELECT * FROM import_jobs ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`, params);
+    return jobs.map(job => ({ ...job, result: job.result ? JSON.parse(job.result) : null }));
+}
+
+async function getJob(db, jobId) {
+    const job = await get(db, 'SELECT * FROM import_jobs WHERE id = ?', [jobId]);
+    if (!job) return null;
+
+    job.result = job.result ? JSON.parse(job.result) : null;
+    job.logs = await all(db, 'SELECT level, message, created_at FROM import_job_logs WHERE job_id = ? ORDER BY id', [jobId]);
+    return job;
+}
+
+module.exports = { STATUSES, JobCancelledError, createJobQueue, listJobs, getJob };
@@ -0,0 +1,211 @@
+// Subscription workbook import executed as one SQLite transaction: the same
+// plan the dry-run preview reports, applied with prepared statements. An
+// existing university's data is snapshotted first (see snapshots.js).
+const { all, prepare, transaction } = require('./db-utils');
+const { buildImportPlan, baselineHash } = require('./import-preview');
+const { applyMapping } = require('./column-mapping');
+const { cleanTitle, storedIssn, loadJournalMatcher } = require('./journal-matching');
+const { createSnapshot } = require('./snapshots');
+
+class StaleImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StaleImportError';
+    }
+}
+
+class ImportRowError extends Error {
+    constructor(row, cause) {
+        super(`Row ${row}: ${cause.message}`);
+        this.name = 'ImportRowError';
+        this.row = row;
+    }
+}
+
+function generateJournalKeywords(title, subject) {
+    const keywords = [];
+
+    if (title) keywords.push(title.toLowerCase());
+    if (subject) keywords.push(subject.toLowerCase());
+
+    const titleLower = title.toLowerCase();
+    if (titleLower.includes('business') || titleLower.includes('strategy')) {
+        keywords.push('business strategy', 'management', 'strategic planning');
+    }
+
+    if (titleLower.includes('ai') || titleLower.includes('artificial intelligence')) {
+        keywords.push('artificial intelligence', 'machine learning', 'AI strategy');
+    }
+
+    if (titleLower.includes('technology') || titleLower.includes('digital')) {
+        keywords.push('technology strategy', 'digital transformation', 'innovation');
+    }
+
+    return keywords.join(', ');
+}
+
+// A university's stored subscriptions, the journal matcher and the ids of
+// the journals in the catalogue
+async function loadState(db, universityId) {
+    const current = universityId ? await all(db, `
+        SELECT s.id, s.journal_id, s.annual_cost, s.status, s.start_date, s.end_date, j.title as journal_title
+        FROM subscriptions s
+        JOIN journals j ON s.journal_id = j.id
+        WHERE s.university_id = ?
+    `, [universityId]) : [];
+
+    const catalogue = await all(db, 'SELECT id FROM journals WHERE catalogue_source IS NOT NULL');
+    return { current, journals: await loadJournalMatcher(db), catalogue: new Set(catalogue.map(journal => journal.id)) };
+}
+
+// options: universityName, country, data (sheet rows), headers, mapping,
+// referenceYear (the year "current year" flags refer to), sourceFile,
+// expectedBaseline (from a preview; the import aborts if the data changed),
+// catalogueOnly (skip journals not in the catalogue rather than create them),
+// onProgress(done, total) called as rows are applied
+async function importSubscriptions(db, options) {
+    const {
+        universityName, country, data, headers, mapping, referenceYear, sourceFile, expectedBaseline, catalogueOnly, onProgress
+    } = options;
+    const recordsByRow = new Map(data.map((row, index) => [index + 2, applyMapping(row, mapping).record]));
+
+    return transaction(db, async () => {
+        const statements = {
+            findUniversity: prepare(db, 'SELECT id FROM universities WHERE name = ?'),
+            insertUniversity: prepare(db, 'INSERT INTO universities (name, country, type) VALUES (?, ?, ?)'),
+            insertJournal: prepare(db, `INSERT INTO journals (title, issn, eissn, publisher, subject_area, keywords, description)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`),
+            insertSubscription: prepare(db, `INSERT INTO subscriptions
+                (university_id, journal_id, subscription_type, start_date, end_date, annual_cost, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`),
+            updateSubscription: prepare(db, 'UPDATE subscriptions SET annual_cost = ?, status = ?, start_date = ?, end_date = ? WHERE id = ?'),
+            deleteSubscription: prepare(db, 'DELETE FROM subscriptions WHERE id = ?'),
+            deleteTerms: prepare(db, 'DELETE FROM subscription_terms WHERE university_id = ? AND year = ?'),
+            insertTerm: prepare(db, `INSERT INTO subscription_terms
+                (university_id, journal_id, year, subscribed, annual_cost, source_file)
+                VALUES (?, ?, ?, ?, ?, ?)`)
+        };
+
+        try {
+            const university = await statements.findUniversity.get([universityName]);
+            const state = await loadState(db, university ? university.id : null);
+
+            if (expectedBaseline && baselineHash(state.current) !== expectedBaseline) {
+                throw new StaleImportError(`Subscriptions for ${universityName} changed since the preview was made`);
+            }
+
+            const snapshot = university
+                ? await createSnapshot(db, {
+                    name: `Before import of ${sourceFile || 'a workbook'}`,
+                    reason: 'import',
+                    universityId: university.id,
+                    sourceFile
+                })
+                : null;
+
+            const plan = buildImportPlan(data, headers, mapping, state.current, state.journals, referenceYear,
+                catalogueOnly ? state.catalogue : null);
+            const universityId = university
+                ? university.id
+                : (await statements.insertUniversity.run([universityName, country, 'Public'])).lastID;
+
+            const total = plan.changes.insert.length + plan.changes.update.length + plan.changes.delete.length + plan.terms.length;
+            let done = 0;
+            const progress = async () => {
+                done++;
+                if (onProgress) await onProgress(done, total);
+            };
+
+            let journalsCreated = 0;
+            const journalFor = async (title, record) => {
+                const identifiers = { title, issn: record.issn, eissn: record.eissn };
+                const match = state.journals.find(identifiers);
+                if (match) return match.id;
+
+                const subject = record.subject_area || 'General';
+                const journalId = (await statements.insertJournal.run([
+                    title,
+                    storedIssn(record.issn),
+                    storedIssn(record.eissn),
+                    record.publisher || 'Unknown',
+                    subject,
+                    generateJournalKeywords(title, subject),
+                    `Journal from ${universityName}`
+                ])).lastID;
+                state.journals.add({ id: journalId, ...identifiers });
+                journalsCreated++;
+                return journalId;
+            };
+
+            for (const change of plan.changes.insert) {
+                const record = recordsByRow.get(change.row);
+                try {
+                    const journalId = await journalFor(change.journal_title, record);
+                    await statements.insertSubscription.run([
+                        universityId,
+                        journalId,
+                        record.subscription_type || 'institutional',
+                        change.start_date,
+                        change.end_date,
+                        change.annual_cost,
+                        'active'
+                    ]);
+                } catch (error) {
+                    throw new ImportRowError(change.row, error);
+                }
+                await progress();
+            }
+
+            for (const change of plan.changes.update) {
+                try {
+                    const { annual_cost, status, start_date, end_date } = change.after;
+                    await statements.updateSubscription.run([annual_cost, status, start_date, end_date, change.subscription_id]);
+                } catch (error) {
+                    throw new ImportRowError(change.row, error);
+                }
+                await progress();
+            }
+
+            for (const change of plan.changes.delete) {
+                await statements.deleteSubscription.run([change.subscription_id]);
+                await progress();
+            }
+
+            // The workbook is the record for the years it covers
+            for (const year of plan.summary.years) {
+                await statements.deleteTerms.run([universityId, year]);
+            }
+            for (const term of plan.terms) {
+                try {
+                    const journalId = await journalFor(term.journal_title, recordsByRow.get(term.row));
+                    await statements.insertTerm.run([
+                        universityId, journalId, term.year, term.subscribed ? 1 : 0, term.annual_cost, sourceFile || null
+                    ]);
+                } catch (error) {
+                    throw new ImportRowError(term.row, error);
+                }
+                await progress();
+            }
+
+            return {
+                university: universityName,
+                universityId,
+                rows: data.length,
+                inserted: plan.summary.insert,
+                updated: plan.summary.update,
+                deleted: plan.summary.delete,
+                unchanged: plan.summary.unchanged,
+                terms: plan.summary.terms,
+                years: plan.summary.years,
+                skipped: plan.skipped,
+                errors: plan.typeErrors,
+                journalsCreated,
+                snapshotId: snapshot ? snapshot.id : null
+            };
+        } finally {
+            await Promise.all(Object.values(statements).map(statement => statement.finalize()));
+        }
+    });
+}
+
+module.exports = { importSubscriptions, loadState, generateJournalKeywords, StaleImportError, ImportRowError };
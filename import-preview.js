@@ -0,0 +1,149 @@
+// Dry-run planning for subscription workbook imports: what an import would
+// insert, update and delete, which rows it would skip and why
+const crypto = require('crypto');
+const { applyMapping, mappedColumns, subscriptionTerms } = require('./column-mapping');
+const { cleanTitle, titleKey } = require('./journal-matching');
+
+// Header row is row 1 in the spreadsheet, so data row i is row i + 2
+const sheetRow = index => index + 2;
+
+// Fingerprint of a university's stored subscriptions, so a commit can detect
+// that the data changed after the preview was made
+function baselineHash(current) {
+    const rows = current
+        .map(sub => `${sub.journal_id}|${sub.annual_cost}|${sub.status}`)
+        .sort();
+    return crypto.createHash('sha256').update(rows.join('\n')).digest('hex');
+}
+
+// data: sheet rows; current: the university's stored subscriptions with
+// journal_title; journals: a journal matcher (journal-matching.js) finding
+// existing journals by ISSN, eISSN or normalized title; referenceYear: the
+// year "current year" flags refer to; catalogue: when given, the ids of the
+// catalogue journals, and rows for any other journal are skipped
+function buildImportPlan(data, headers, mapping, current, journals, referenceYear = new Date().getFullYear(), catalogue = null) {
+    const known = new Set(mappedColumns(mapping));
+    const plan = {
+        summary: {
+            rows: data.length, insert: 0, update: 0, delete: 0, unchanged: 0, skipped: 0, typeErrors: 0, newJournals: 0,
+            terms: 0, years: []
+        },
+        unknownColumns: headers.filter(header => !known.has(header)),
+        skipped: [],
+        typeErrors: [],
+        changes: { insert: [], update: [], delete: [], unchanged: [] },
+        terms: []
+    };
+    const years = new Set();
+
+    const currentByJournal = new Map(current.map(sub => [sub.journal_id, sub]));
+    const seenJournals = new Map();
+    const keptJournalIds = new Set();
+    const newJournals = new Set();
+
+    data.forEach((row, index) => {
+        const { record, errors } = applyMapping(row, mapping);
+        errors.forEach(error => plan.typeErrors.push({ row: sheetRow(index), ...error }));
+
+        const title = cleanTitle(record.journal_title);
+        if (!title) {
+            plan.skipped.push({ row: sheetRow(index), reason: 'No journal title' });
+            return;
+        }
+
+        // A value that does not read as its type (a cost of "abc") would be
+        // stored as null, and a null cost reads as free, so the row is skipped
+        if (errors.length > 0) {
+            const columns = Array.from(new Set(errors.map(error => error.column)));
+            plan.skipped.push({ row: sheetRow(index), reason: `Invalid value in ${columns.join(', ')}`, journal_title: title });
+            return;
+        }
+
+        // Two rows for one journal, by ISSN or title spelling, are duplicates
+        const match = journals.find({ title, issn: record.issn, eissn: record.eissn });
+        const journalId = match ? match.id : null;
+        const journalKey = journalId ? `id:${journalId}` : `title:${titleKey(title)}`;
+        if (seenJournals.has(journalKey)) {
+            plan.skipped.push({ row: sheetRow(index), reason: `Duplicate of row ${seenJournals.get(journalKey)}` });
+            return;
+        }
+        seenJournals.set(journalKey, sheetRow(index));
+
+        if (catalogue && !catalogue.has(journalId)) {
+            plan.skipped.push({ row: sheetRow(index), reason: 'Not in the journal catalogue', journal_title: title });
+            return;
+        }
+
+        // Yearly history is kept for any title the university ever subscribed
+        // to, or that is already known
+        const terms = subscriptionTerms(record, referenceYear);
+        if (journalId || terms.some(term => term.subscribed)) {
+            terms.forEach(term => {
+                plan.terms.push({ row: sheetRow(index), journal_title: title, ...term });
+                years.add(term.year);
+            });
+        }
+
+        const latest = terms[terms.length - 1];
+        if (!latest || latest.subscribed !== true) {
+            const reason = latest ? `Not subscribed in ${latest.year}` : 'No subscription year given';
+            plan.skipped.push({ row: sheetRow(index), reason, journal_title: title });
+            if (!journalId && terms.some(term => term.subscribed)) newJournals.add(journalKey);
+            return;
+        }
+
+        if (!journalId) newJournals.add(journalKey);
+
+        const existing = journalId ? currentByJournal.get(journalId) : null;
+        const after = {
+            annual_cost: latest.annual_cost,
+            status: 'active',
+            start_date: record.start_date || `${latest.year}-01-01`,
+            end_date: record.end_date || `${latest.year}-12-31`
+        };
+
+        if (!existing) {
+            plan.changes.insert.push({ row: sheetRow(index), journal_title: title, newJournal: !journalId, year: latest.year, ...after });
+            return;
+        }
+
+        keptJournalIds.add(journalId);
+        const before = {
+            annual_cost: existing.annual_cost,
+            status: existing.status,
+            start_date: existing.start_date,
+            end_date: existing.end_date
+        };
+        const changed = Object.keys(after).filter(field => before[field] !== after[field]);
+        if (changed.length > 0) {
+            plan.changes.update.push({ row: sheetRow(index), journal_title: title, subscription_id: existing.id, changed, before, after });
+        } else {
+            plan.changes.unchanged.push({ row: sheetRow(index), journal_title: title, subscription_id: existing.id });
+        }
+    });
+
+    // The import replaces the university's subscriptions, so anything stored
+    // that the workbook does not list as subscribed goes away
+    current
+        .filter(sub => !keptJournalIds.has(sub.journal_id))
+        .forEach(sub => plan.changes.delete.push({
+            subscription_id: sub.id,
+            journal_title: sub.journal_title,
+            annual_cost: sub.annual_cost,
+            status: sub.status
+        }));
+
+    plan.summary.insert = plan.changes.insert.length;
+    plan.summary.update = plan.changes.update.length;
+    plan.summary.delete = plan.changes.delete.length;
+    plan.summary.unchanged = plan.changes.unchanged.length;
+    plan.summary.skipped = plan.skipped.length;
+    plan.summary.typeErrors = plan.typeErrors.length;
+    plan.summary.newJournals = newJournals.size;
+    plan.summary.terms = plan.terms.length;
+    plan.summary.years = Array.from(years).sort();
+
+    return plan;
+}
+
+module.exports = { buildImportPlan, baselineHash };
@@ -0,0 +1,296 @@
+// Chat intent classification: a multinomial naive Bayes model over the words
+// and word pairs of labelled example questions, so routing no longer depends
+// on substrings ("ai" inside "maintain" or "Mahidol"). classify() returns the
+// intent, a confidence (the posterior probability), the runners-up and the
+// entities the question names. More examples can be added at runtime.
+const { findInText } = require('./university-resolver');
+const INTENTS = {
+    renewal_risk: {
+        description: 'Subscriptions at risk of not renewing',
+        examples: [
+            'Which subscriptions are at risk of cancellation?',
+            'Show renewal risk for NUS',
+            'Which accounts might churn this year?',
+            'What renewals are coming up that we could lose?',
+            'List high risk renewals',
+            'Who is likely to cancel their subscription?',
+            'Churn risk by university',
+            'Which journals will not be renewed?'
+        ]
+    },
+    research_statistics: {
+        description: 'Research engagement, usage and subject-area statistics',
+        examples: [
+            'Show me research statistics',
+            'Give me a research analysis of usage',
+            'How engaged are researchers with our journals?',
+            'Usage statistics by subject area',
+            'What is the browsing engagement per journal?',
+            'Analyze research activity and session duration',
+            'Which subscriptions are underutilized?',
+            'Cost per use of our journals',
+            'Research data metrics for the portfolio',
+            'Which subject areas get the most research activity?'
+        ]
+    },
+    sales_statistics: {
+        description: 'Revenue, pipeline, conversion and territory performance',
+        examples: [
+            'Give me sales analysis',
+            'What is our revenue this year?',
+            'Show the sales pipeline and conversion rate',
+            'How many hot leads do we have?',
+            'Sales performance by territory',
+            'Revenue statistics and deal sizes',
+            'What is the conversion funnel?',
+            'Top sales opportunities',
+            'Which prospects should sales prioritise?',
+            'Pipeline value and qualified leads'
+        ]
+    },
+    business_strategy: {
+        description: 'Journal recommendations for business strategy and artificial intelligence',
+        examples: [
+            'Recommend journals for business strategy using AI',
+            'Which AI journals should we recommend?',
+            'Suggest journals on artificial intelligence in business',
+            'Recommend titles about machine learning and strategy',
+            'What business strategy journals would suit us?',
+            'Recommendations for AI and management journals'
+        ]
+    },
+    subscriptions: {
+        description: 'Current subscriptions and their costs',
+        examples: [
+            'List our subscriptions',
+            'Which journals are we subscribed to?',
+            'Show the most expensive subscriptions',
+            'What journals does NTU subscribe to?',
+            'Subscription costs for Mahidol',
+            'How many active subscriptions are there?',
+            'Show journal subscriptions and end dates'
+        ]
+    },
+    universities: {
+        description: 'Comparison of universities and their portfolios',
+        examples: [
+            'Compare the universities',
+            'Which university spends the most?',
+            'University comparison of subscriptions',
+            'How do the institutions compare?',
+            'List all universities and their spend',
+            'Rank customers by number of subscriptions'
+        ]
+    },
+    browsing: {
+        description: 'Browsing activity and titles browsed but not subscribed',
+        examples: [
+            'What are people browsing?',
+            'Which journals are browsed but not subscribed?',
+            'Show browsing gaps',
+            'Most viewed journals without a subscription',
+            'Browsing activity versus purchases',
+            'Which titles were visited but not purchased?'
+        ]
+    },
+    overview: {
+        description: 'Greeting, help and an overview of the data',
+        examples: [
+            'Hello',
+            'Hi there',
+            'What can you do?',
+            'Help',
+            'Give me an overview of the database',
+            'What data do you have?',
+            'Good morning'
+        ]
+    }
+};
+
+// Each persona makes its own intents more likely: "show me the analysis" is
+// research for the research assistant and sales for the sales assistant
+const PERSONA_INTENTS = {
+    research: ['research_statistics', 'browsing'],
+    sales: ['sales_statistics', 'renewal_risk'],
+    marketing: ['browsing', 'business_strategy']
+};
+const PERSONA_BOOST = Math.log(3);
+
+// Additive smoothing for words an intent's examples never used
+const SMOOTHING = 0.2;
+
+// Read per classification rather than at load time: app.js requires this
+// module before .env is loaded
+const minConfidence = () => parseFloat(process.env.INTENT_MIN_CONFIDENCE) || 0.45;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'by', 'with', 'at', 'from', 'is', 'are', 'was',
+    'be', 'do', 'does', 'did', 'me', 'my', 'our', 'we', 'us', 'you', 'your', 'i', 'it', 'this', 'that', 'these',
+    'there', 'what', 'which', 'who', 'how', 'can', 'could', 'would', 'should', 'please', 'show', 'give', 'tell',
+    'list', 'get', 'about', 'have', 'has', 'any', 'all', 'some', 'their', 'them', 'they', 'now', 'than', 'year'
+]);
+
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+// Words (stemmed, without stopwords) and adjacent word pairs
+function tokenize(text) {
+    const words = text.toLowerCase()
+        .replace(/'s\b/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(stem);
+    const pairs = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+    return [...words, ...pairs];
+}
+
+// Whole-word, case-insensitive match of a phrase
+function mentions(text, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i').test(text);
+}
+
+// Entities named in a question. known.universities is a university directory
+// (university-resolver.js loadDirectory); subjects and publishers are lists
+// of names to look for.
+function extractEntities(text, known = {}) {
+    const years = (text.match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+    const longestFirst = list => [...(list || [])].filter(Boolean).sort((a, b) => b.length - a.length);
+    const university = findInText(known.universities || [], text);
+
+    return {
+        university: university ? university.name : null,
+        subject: longestFirst(known.subjects).find(subject => mentions(text, subject)) || null,
+        year: years.length > 0 ? years[0] : null,
+        publisher: longestFirst(known.publishers).find(publisher => mentions(text, publisher)) || null
+    };
+}
+
+function createIntentClassifier(intents = INTENTS) {
+    const counts = {};     // intent -> token -> count
+    const totals = {};     // intent -> tokens seen
+    const documents = {};  // intent -> examples seen
+    const vocabulary = new Set();
+
+    function train(intent, text) {
+        if (!counts[intent]) {
+            counts[intent] = new Map();
+            totals[intent] = 0;
+            documents[intent] = 0;
+        }
+        documents[intent]++;
+        tokenize(text).forEach(token => {
+            counts[intent].set(token, (counts[intent].get(token) || 0) + 1);
+            totals[intent]++;
+            vocabulary.add(token);
+        });
+    }
+
+    Object.entries(intents).forEach(([intent, definition]) => definition.examples.forEach(example => train(intent, example)));
+
+    // options.assistantType favours that persona's intents
+    function classify(text, options = {}) {
+        const tokens = tokenize(text).filter(token => vocabulary.has(token));
+        const totalDocuments = Object.values(documents).reduce((sum, count) => sum + count, 0);
+        const favoured = PERSONA_INTENTS[options.assistantType] || [];
+
+        const scores = Object.keys(counts).map(intent => {
+            let score = Math.log(documents[intent] / totalDocuments);
+            if (favoured.includes(intent)) score += PERSONA_BOOST;
+            tokens.forEach(token => {
+                score += Math.log(((counts[intent].get(token) || 0) + SMOOTHING) / (totals[intent] + SMOOTHING * vocabulary.size));
+            });
+            return { intent, score };
+        });
+
+        // Posterior probabilities, normalised in log space
+        const best = Math.max(...scores.map(entry => entry.score));
+        const sum = scores.reduce((total, entry) => total + Math.exp(entry.score - best), 0);
+        const ranked = scores
+            .map(entry => ({ intent: entry.intent, confidence: Number((Math.exp(entry.score - best) / sum).toFixed(3)) }))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        // Without a single known word the prior is all there is
+        const confidence = tokens.length > 0 ? ranked[0].confidence : 0;
+        return {
+            intent: ranked[0].intent,
+            confidence,
+            confident: confidence >= minConfidence(),
+            alternatives: ranked.slice(1, 3),
+            entities: extractEntities(text, options.known),
+            source: 'local'
+        };
+    }
+
+    function intentNames() {
+        return Object.keys(counts);
+    }
+
+    function exampleCounts() {
+        return { ...documents };
+    }
+
+    return { train, classify, intentNames, exampleCounts };
+}
+
+// Asks the chat model to pick the intent; the local classifier supplies the
+// entities. Throws when the reply is not one of the intents.
+async function classifyWithModel(openai, model, text, local) {
+    const completion = await openai.chat.completions.create({
+        model,
+        messages: [
+            {
+                role: 'system',
+                content: 'Classify the analyst\'s question into one of these intents:\n' +
+                    Object.entries(INTENTS).map(([intent, definition]) => `- ${intent}: ${definition.description}`).join('\n') +
+                    '\nReply with JSON only: {"intent": "...", "confidence": 0.0-1.0}.'
+            },
+            { role: 'user', content: text }
+        ],
+        max_tokens: 60,
+        temperature: 0
+    });
+
+    const content = completion.choices?.[0]?.message?.content || '';
+    const parsed = JSON.parse((content.match(/\{[\s\S]*\}/) || ['{}'])[0]);
+    if (!INTENTS[parsed.intent]) {
+        throw new Error(`Model returned an unknown intent: ${parsed.intent}`);
+    }
+    const confidence = Math.min(Math.max(parseFloat(parsed.confidence) || 0, 0), 1);
+    return {
+        ...local,
+        intent: parsed.intent,
+        confidence,
+        confident: confidence >= minConfidence(),
+        source: 'model'
+    };
+}
+
+// Text asking the user to pick between the likeliest intents
+// intents limits the suggestions to the analyses the user may ask for
+function clarificationFor(classification, intents = null) {
+    const candidates = [classification, ...classification.alternatives]
+        .filter(option => option.intent !== 'overview' && (!intents || intents.includes(option.intent)));
+    const options = (candidates.length > 0 || !intents
+        ? candidates
+        : intents.filter(intent => intent !== 'overview').map(intent => ({ intent }))).slice(0, 3);
+    return `I'm not sure which analysis you're after. Did you mean:
+${options.map((option, index) => `${index + 1}. ${INTENTS[option.intent].description}, e.g. "${INTENTS[option.intent].examples[0]}"`).join('\n')}
+
+Rephrase your question or pick one of the examples above.`;
+}
+
+module.exports = {
+    INTENTS,
+    minConfidence,
+    tokenize,
+    extractEntities,
+    createIntentClassifier,
+    classifyWithModel,
+    clarificationFor
+};
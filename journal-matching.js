@@ -0,0 +1,451 @@
+// Journal matching and deduplication. Imports find a journal by ISSN or eISSN
+// first and only then by normalized title, so "J. of Applied Physics",
+// "Journal of Applied Physics" and "Journal of Applied Physics " are one
+// journal. Journals that already exist twice are queued in journal_duplicates
+// for review, and merging one into another re-points every row that uses it.
+const { run, get, all, transaction } = require('./db-utils');
+const { editDistance, similarity } = require('./university-resolver');
+
+// Titles at least this similar (after normalization) and at most this many
+// edits apart are probable duplicates: a typo, not "Biomathematics" for
+// "Mathematics"
+const SIMILAR_TITLE_SCORE = 0.9;
+const MAX_TITLE_EDITS = 2;
+
+// Words in more titles than this ("j", "res") do not pair titles up
+const MAX_WORD_TITLES = 200;
+
+// "A" is left in: "Journal of Physics A" is a section, not an article
+const STOPWORDS = new Set(['of', 'the', 'and', 'for', 'in', 'on']);
+
+// Title words reduced to their ISO 4 abbreviation, so abbreviated and full
+// titles compare equal
+const ABBREVIATIONS = {
+    journal: 'j', journals: 'j', jnl: 'j', jour: 'j',
+    international: 'int', intl: 'int',
+    review: 'rev', reviews: 'rev',
+    research: 'res',
+    science: 'sci', sciences: 'sci', scientific: 'sci',
+    applied: 'appl',
+    physics: 'phys', physical: 'phys',
+    chemistry: 'chem', chemical: 'chem',
+    mathematics: 'math', mathematical: 'math',
+    engineering: 'eng',
+    medicine: 'med', medical: 'med',
+    management: 'manag',
+    economics: 'econ', economic: 'econ',
+    technology: 'technol', technological: 'technol',
+    american: 'am',
+    european: 'eur',
+    transactions: 'trans',
+    proceedings: 'proc',
+    letters: 'lett',
+    quarterly: 'q',
+    annals: 'ann',
+    bulletin: 'bull',
+    society: 'soc', social: 'soc',
+    studies: 'stud',
+    computer: 'comput', computing: 'comput', computational: 'comput',
+    biology: 'biol', biological: 'biol',
+    education: 'educ', educational: 'educ',
+    advances: 'adv',
+    communications: 'commun',
+    systems: 'syst',
+    analysis: 'anal',
+    operations: 'oper', operational: 'oper',
+    information: 'inf',
+    business: 'bus',
+    financial: 'financ', finance: 'financ'
+};
+
+// Edition markers that do not make a different journal
+const EDITION_MARKERS = /\((?:online|print|electronic|e-?only)\)/gi;
+
+// NNNN-NNNC with a valid check digit, or null
+function normalizeIssn(value) {
+    const digits = String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+    if (!/^\d{7}[\dX]$/.test(digits)) return null;
+
+    const sum = [...digits.slice(0, 7)].reduce((total, digit, index) => total + Number(digit) * (8 - index), 0);
+    const check = (11 - (sum % 11)) % 11;
+    if ((check === 10 ? 'X' : String(check)) !== digits[7]) return null;
+    return `${digits.slice(0, 4)}-${digits.slice(4)}`;
+}
+
+// ISSN as stored: normalized when valid, else trimmed as given
+function storedIssn(value) {
+    const text = String(value || '').trim();
+    return normalizeIssn(text) || text || null;
+}
+
+// Title whitespace tidied for storage
+function cleanTitle(title) {
+    return String(title || '').replace(/\s+/g, ' ').trim();
+}
+
+// The comparable form of a title: lower case, no accents, punctuation,
+// edition markers or stopwords, words abbreviated (unless abbreviate is false)
+function titleKey(title, abbreviate = true) {
+    return String(title || '')
+        .replace(EDITION_MARKERS, ' ')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(word => (abbreviate && ABBREVIATIONS[word]) || word)
+        .join(' ');
+}
+
+function issnsOf(journal) {
+    return [journal.issn, journal.eissn].map(normalizeIssn).filter(Boolean);
+}
+
+// Two records of different journals: both have a print ISSN, or both an
+// eISSN, and it is not one the other has. A print ISSN on one side and an
+// eISSN on the other says nothing.
+function conflictingIssns(a, b) {
+    const issnsB = issnsOf(b);
+    const conflict = field => {
+        const mine = normalizeIssn(a[field]);
+        return mine && normalizeIssn(b[field]) && !issnsB.includes(mine);
+    };
+    return !!(conflict('issn') || conflict('eissn'));
+}
+
+// In-memory lookup over journals ({ id, title, issn, eissn }). find() returns
+// { id, how } with how 'issn' or 'title', or null. A title match is refused
+// when the ISSNs conflict: that is another journal with the same name.
+function createJournalMatcher(journals = []) {
+    const byIssn = new Map();
+    const byTitle = new Map();
+    const records = new Map();
+
+    function add(journal) {
+        if (!records.has(journal.id)) records.set(journal.id, journal);
+        issnsOf(journal).forEach(issn => {
+            if (!byIssn.has(issn)) byIssn.set(issn, journal.id);
+        });
+        const key = titleKey(journal.title);
+        if (key && !byTitle.has(key)) byTitle.set(key, journal.id);
+    }
+
+    function find(record) {
+        const byIdentifier = issnsOf(record).map(issn => byIssn.get(issn)).find(Boolean);
+        if (byIdentifier) return { id: byIdentifier, how: 'issn' };
+
+        const id = byTitle.get(titleKey(record.title));
+        if (!id || conflictingIssns(record, records.get(id))) return null;
+        return { id, how: 'title' };
+    }
+
+    journals.forEach(add);
+    return { add, find };
+}
+
+// Every journal, then the titles and ISSNs of journals merged into them
+async function loadJournalMatcher(db) {
+    const [journals, merges] = await Promise.all([
+        all(db, 'SELECT id, title, issn, eissn FROM journals ORDER BY id'),
+        all(db, 'SELECT kept_id as id, merged_title as title, merged_issn as issn, merged_eissn as eissn FROM journal_merges ORDER BY id')
+    ]);
+    return createJournalMatcher([...journals, ...merges]);
+}
+
+// Sets of titles that only differ by a section letter or volume number
+// ("Journal of Physics A" and "B") are different journals
+function differsByEdition(a, b) {
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    const different = [...wordsA].filter(word => !wordsB.has(word)).concat([...wordsB].filter(word => !wordsA.has(word)));
+    return different.length > 0 && different.every(word => word.length === 1 || /^\d+$/.test(word) || /^[ivx]+$/.test(word));
+}
+
+// Pairs of existing journals that are probably one journal:
+// [{ journal_id, duplicate_id, reason, score }] with journal_id < duplicate_id
+function probableDuplicates(journals) {
+    const pairs = new Map();
+    const addPair = (a, b, reason, score) => {
+        const [first, second] = a.id < b.id ? [a, b] : [b, a];
+        const key = `${first.id}:${second.id}`;
+        if (!pairs.has(key) || pairs.get(key).score < score) {
+            pairs.set(key, { journal_id: first.id, duplicate_id: second.id, reason, score: Number(score.toFixed(3)) });
+        }
+    };
+
+    const byIssn = new Map();
+    journals.forEach(journal => issnsOf(journal).forEach(issn => {
+        if (!byIssn.has(issn)) byIssn.set(issn, []);
+        byIssn.get(issn).push(journal);
+    }));
+    byIssn.forEach(group => group.slice(1).forEach(journal => addPair(group[0], journal, 'issn', 1)));
+
+    // Titles are only compared when they share a word that few titles have,
+    // which keeps a large catalogue from being compared pair by pair
+    const keyed = journals.map(journal => ({
+        journal,
+        key: titleKey(journal.title),
+        words: titleKey(journal.title, false)
+    }));
+    const byWord = new Map();
+    keyed.forEach((entry, index) => new Set(entry.key.split(' ')).forEach(word => {
+        if (word.length < 3) return;
+        if (!byWord.has(word)) byWord.set(word, []);
+        byWord.get(word).push(index);
+    }));
+
+    const compared = new Set();
+    const compare = (a, b) => {
+        if (!a.key || !b.key) return;
+
+        if (conflictingIssns(a.journal, b.journal)) return;
+
+        if (a.key === b.key) {
+            addPair(a.journal, b.journal, 'title', 0.95);
+        } else if (Math.min(a.key.length, b.key.length) >= 8 && !differsByEdition(a.key, b.key)) {
+            // Misspellings show best in the words as written ("Aplied")
+            const score = Math.max(similarity(a.key, b.key), similarity(a.words, b.words));
+            if (score >= SIMILAR_TITLE_SCORE && editDistance(a.words, b.words) <= MAX_TITLE_EDITS) {
+                addPair(a.journal, b.journal, 'similar_title', score * 0.9);
+            }
+        }
+    };
+
+    const byKey = new Map();
+    keyed.forEach(entry => {
+        if (!byKey.has(entry.key)) byKey.set(entry.key, []);
+        byKey.get(entry.key).push(entry);
+    });
+    byKey.forEach(group => group.slice(1).forEach(entry => compare(group[0], entry)));
+
+    byWord.forEach(indexes => {
+        if (indexes.length > MAX_WORD_TITLES) return;
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                const pair = `${indexes[i]}:${indexes[j]}`;
+                if (compared.has(pair)) continue;
+                compared.add(pair);
+                if (keyed[indexes[i]].key !== keyed[indexes[j]].key) compare(keyed[indexes[i]], keyed[indexes[j]]);
+            }
+        }
+    });
+    return [...pairs.values()];
+}
+
+// Adds newly found probable duplicates to the review queue. Pairs already
+// queued or dismissed are left alone. Returns { found, added }.
+async function queueProbableDuplicates(db) {
+    const journals = await all(db, 'SELECT id, title, issn, eissn FROM journals ORDER BY id');
+    const pairs = probableDuplicates(journals);
+
+    let added = 0;
+    for (const pair of pairs) {
+        const result = await run(db, `
+            INSERT OR IGNORE INTO journal_duplicates (journal_id, duplicate_id, reason, score)
+            VALUES (?, ?, ?, ?)
+        `, [pair.journal_id, pair.duplicate_id, pair.reason, pair.score]);
+        added += result.changes;
+    }
+    return { found: pairs.length, added };
+}
+
+// Rows pointing at a journal, per table
+async function journalUsage(db, journalId) {
+    const row = await get(db, `
+        SELECT
+            (SELECT COUNT(*) FROM subscriptions WHERE journal_id = ?) as subscriptions,
+            (SELECT COUNT(*) FROM subscription_terms WHERE journal_id = ?) as subscription_terms,
+            (SELECT COUNT(*) FROM browsing_history WHERE journal_id = ?) as browsing_history,
+            (SELECT COUNT(*) FROM counter_usage WHERE journal_id = ?) as counter_usage,
+            (SELECT COUNT(*) FROM publications WHERE journal_id = ?) as publications
+    `, [journalId, journalId, journalId, journalId, journalId]);
+    return row;
+}
+
+// The review queue with both journals and how much data each holds.
+// filters: status (pending by default, or dismissed), limit, offset
+async function listDuplicates(db, filters = {}) {
+    const status = filters.status === 'dismissed' ? 'dismissed' : 'pending';
+    const rows = await all(db, `
+        SELECT d.*,
+               a.title as journal_title, a.issn as journal_issn, a.eissn as journal_eissn, a.publisher as journal_publisher,
+               b.title as duplicate_title, b.issn as duplicate_issn, b.eissn as duplicate_eissn, b.publisher as duplicate_publisher
+        FROM journal_duplicates d
+        JOIN journals a ON d.journal_id = a.id
+        JOIN journals b ON d.duplicate_id = b.id
+        WHERE d.status = ?
+        ORDER BY d.score DESC, d.id
+        LIMIT ? OFFSET ?
+    `, [status, Math.min(parseInt(filters.limit, 10) || 50, 200), parseInt(filters.offset, 10) || 0]);
+
+    const describe = async (row, prefix, id) => ({
+        id,
+        title: row[`${prefix}_title`],
+        issn: row[`${prefix}_issn`],
+        eissn: row[`${prefix}_eissn`],
+        publisher: row[`${prefix}_publisher`],
+        rows: await journalUsage(db, id)
+    });
+
+    const duplicates = [];
+    for (const row of rows) {
+        duplicates.push({
+            id: row.id,
+            reason: row.reason,
+            score: row.score,
+            status: row.status,
+            reviewedBy: row.reviewed_by,
+            reviewedAt: row.reviewed_at,
+            createdAt: row.created_at,
+            journals: [await describe(row, 'journal', row.journal_id), await describe(row, 'duplicate', row.duplicate_id)]
+        });
+    }
+    return duplicates;
+}
+
+async function findDuplicate(db, duplicateId) {
+    return (await get(db, 'SELECT * FROM journal_duplicates WHERE id = ?', [duplicateId])) || null;
+}
+
+async function dismissDuplicate(db, duplicateId, reviewedBy) {
+    const result = await run(db, `
+        UPDATE journal_duplicates SET status = 'dismissed', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+    `, [reviewedBy, duplicateId]);
+    return result.changes > 0;
+}
+
+// Of a queued pair, the journal to keep: the one more rows point at, else the
+// older one
+async function preferredJournal(db, pair) {
+    const total = usage => Object.values(usage).reduce((sum, count) => sum + count, 0);
+    const [first, second] = await Promise.all([journalUsage(db, pair.journal_id), journalUsage(db, pair.duplicate_id)]);
+    return total(second) > total(first) ? pair.duplicate_id : pair.journal_id;
+}
+
+class JournalMergeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JournalMergeError';
+        this.status = status;
+    }
+}
+
+// Merges journal mergeId into keepId in one transaction: subscriptions,
+// yearly terms, browsing, COUNTER usage and publications are re-pointed,
+// details keepId lacks (catalogue coverage included) are copied over, and
+// mergeId is deleted. A yearly term
+// both journals have for the same university and year becomes one: subscribed
+// if either was, keepId's cost unless it has none.
+async function mergeJournals(db, keepId, mergeId, { mergedBy = null } = {}) {
+    if (Number(keepId) === Number(mergeId)) {
+        throw new JournalMergeError('A journal cannot be merged into itself');
+    }
+
+    return transaction(db, async () => {
+        const keep = await get(db, 'SELECT * FROM journals WHERE id = ?', [keepId]);
+        const merge = await get(db, 'SELECT * FROM journals WHERE id = ?', [mergeId]);
+        if (!keep || !merge) {
+            throw new JournalMergeError(`Journal ${!keep ? keepId : mergeId} not found`, 404);
+        }
+
+        const moved = {};
+        await run(db, `
+            UPDATE subscription_terms AS kept
+            SET subscribed = MAX(kept.subscribed, other.subscribed),
+                annual_cost = COALESCE(kept.annual_cost, other.annual_cost)
+            FROM subscription_terms AS other
+            WHERE kept.journal_id = ? AND other.journal_id = ?
+              AND other.university_id = kept.university_id AND other.year = kept.year
+        `, [keep.id, merge.id]);
+        moved.subscription_terms_combined = (await run(db, `
+            DELETE FROM subscription_terms
+            WHERE journal_id = ? AND EXISTS (
+                SELECT 1 FROM subscription_terms kept
+                WHERE kept.journal_id = ? AND kept.university_id = subscription_terms.university_id AND kept.year = subscription_terms.year
+            )
+        `, [merge.id, keep.id])).changes;
+
+        for (const table of ['subscriptions', 'subscription_terms', 'browsing_history', 'counter_usage', 'publications']) {
+            moved[table] = (await run(db, `UPDATE ${table} SET journal_id = ? WHERE journal_id = ?`, [keep.id, merge.id])).changes;
+        }
+
+        moved.journal_coverage = (await run(db, `
+            UPDATE journal_coverage SET journal_id = ?
+            WHERE journal_id = ? AND NOT EXISTS (SELECT 1 FROM journal_coverage WHERE journal_id = ?)
+        `, [keep.id, merge.id, keep.id])).changes;
+
+        // A university subscribed to both now has two subscriptions to one journal
+        const doubled = await get(db, `
+            SELECT COUNT(*) as count FROM (
+                SELECT university_id FROM subscriptions WHERE journal_id = ? GROUP BY university_id HAVING COUNT(*) > 1
+            )
+        `, [keep.id]);
+
+        const missing = (value, placeholder) => value === null || value === undefined || value === '' || value === placeholder;
+        await run(db, `
+            UPDATE journals SET issn = ?, eissn = ?, publisher = ?, subject_area = ?, impact_factor = ?, keywords = ?, description = ?,
+                catalogue_source = ?, catalogue_title_id = ?, title_url = ?, list_price = ?, price_currency = ?, catalogue_updated_at = ?
+            WHERE id = ?
+        `, [
+            missing(keep.issn) ? merge.issn : keep.issn,
+            missing(keep.eissn) ? merge.eissn : keep.eissn,
+            missing(keep.publisher, 'Unknown') ? merge.publisher : keep.publisher,
+            missing(keep.subject_area, 'General') ? merge.subject_area : keep.subject_area,
+            missing(keep.impact_factor) ? merge.impact_factor : keep.impact_factor,
+            missing(keep.keywords) ? merge.keywords : keep.keywords,
+            missing(keep.description) ? merge.description : keep.description,
+            ...(missing(keep.catalogue_source)
+                ? [merge.catalogue_source, merge.catalogue_title_id, merge.title_url, merge.list_price, merge.price_currency, merge.catalogue_updated_at]
+                : [keep.catalogue_source, keep.catalogue_title_id, keep.title_url, keep.list_price, keep.price_currency, keep.catalogue_updated_at]),
+            keep.id
+        ]);
+
+        // Earlier merges into the merged journal now point at the kept one
+        await run(db, 'UPDATE journal_merges SET kept_id = ? WHERE kept_id = ?', [keep.id, merge.id]);
+        const result = await run(db, `
+            INSERT INTO journal_merges (kept_id, merged_id, merged_title, merged_issn, merged_eissn, rows_moved, merged_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [keep.id, merge.id, merge.title, merge.issn, merge.eissn, JSON.stringify(moved), mergedBy]);
+
+        await run(db, 'DELETE FROM journals WHERE id = ?', [merge.id]);
+
+        return {
+            mergeId: result.lastID,
+            kept: { id: keep.id, title: keep.title },
+            merged: { id: merge.id, title: merge.title },
+            rowsMoved: moved,
+            universitiesWithTwoSubscriptions: doubled.count
+        };
+    });
+}
+
+async function listMerges(db, { limit = 50, offset = 0 } = {}) {
+    const rows = await all(db, `
+        SELECT m.*, j.title as kept_title
+        FROM journal_merges m
+        JOIN journals j ON m.kept_id = j.id
+        ORDER BY m.id DESC
+        LIMIT ? OFFSET ?
+    `, [Math.min(parseInt(limit, 10) || 50, 200), parseInt(offset, 10) || 0]);
+    return rows.map(row => ({ ...row, rows_moved: row.rows_moved ? JSON.parse(row.rows_moved) : {} }));
+}
+
+module.exports = {
+    SIMILAR_TITLE_SCORE,
+    normalizeIssn,
+    storedIssn,
+    cleanTitle,
+    titleKey,
+    createJournalMatcher,
+    loadJournalMatcher,
+    probableDuplicates,
+    queueProbableDuplicates,
+    listDuplicates,
+    findDuplicate,
+    dismissDuplicate,
+    preferredJournal,
+    JournalMergeError,
+    mergeJournals,
+    listMerges
+};
@@ -0,0 +1,149 @@
+// LLM-backed chat: the question and the assistant persona go to the
+// configured OpenAI-compatible model (OPENAI_MODEL), which looks data up by
+// calling the analytics tools. Every call is recorded so an answer can be
+// audited. Callers fall back to the statistical templates when this throws.
+const { toolDefinitions, runTool } = require('./analytics-tools');
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+const PERSONAS = {
+    research: 'You are a Research Assistant for a scientific publishing platform. Focus on usage, engagement, subject coverage and the value universities get from their journal subscriptions.',
+    sales: 'You are a Sales Assistant for a scientific publishing platform. Focus on revenue, renewals at risk, upsell leads and which accounts to prioritise.',
+    marketing: 'You are a Marketing Assistant for a scientific publishing platform. Focus on market analysis, subject-area demand and campaign targeting.',
+    library: "You are a Library Assistant in a publisher's portal for a university library. Focus on the library's own subscriptions, their usage and cost per use. Comparisons with other universities are anonymous benchmarks; never guess which universities are behind them.",
+    general: 'You are an AI assistant for a scientific publishing intelligence platform with access to university subscription and usage data.'
+};
+
+const GROUNDING = `Look figures up with the tools instead of guessing, and only state numbers the tools returned. Name the universities and journals they refer to, and say plainly when the data does not answer the question. Plain text, no markdown tables.`;
+
+const MAX_STEPS = 5;
+// Tool results beyond this many characters are cut before going to the model
+const MAX_RESULT_CHARS = 12000;
+
+function chatModel() {
+    return process.env.OPENAI_MODEL || DEFAULT_MODEL;
+}
+
+function systemPrompt(assistantType, university) {
+    const scope = university && university !== 'all'
+        ? `University in scope: ${university}. Pass it as the university argument unless the question names another.`
+        : 'No university selected; the question may name one.';
+    return `${PERSONAS[assistantType] || PERSONAS.general}\n\n${GROUNDING}\n\n${scope}\nToday: ${new Date().toISOString().slice(0, 10)}`;
+}
+
+function parseArguments(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+// One completion. With onToken the reply is streamed: content deltas are
+// passed on as they arrive and tool-call fragments are put back together.
+async function complete(openai, request, onToken) {
+    if (!onToken) {
+        const completion = await openai.chat.completions.create(request);
+        return { reply: completion.choices?.[0]?.message, model: completion.model };
+    }
+
+    const stream = await openai.chat.completions.create({ ...request, stream: true });
+    const reply = { role: 'assistant', content: '', tool_calls: [] };
+    let model = null;
+    for await (const chunk of stream) {
+        model = chunk.model || model;
+        const delta = chunk.choices?.[0]?.delta || {};
+        if (delta.content) {
+            reply.content += delta.content;
+            onToken(delta.content);
+        }
+        (delta.tool_calls || []).forEach(part => {
+            const call = reply.tool_calls[part.index] || (reply.tool_calls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.function.name += part.function.name;
+            if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+    }
+    if (reply.tool_calls.length === 0) delete reply.tool_calls;
+    return { reply, model };
+}
+
+// Runs the tool-calling loop. history holds earlier turns of the session as
+// { role, content }, so follow-up questions keep their context. onToken streams
+// the answer; onToolCall hears about each tool call once it has run. scope
+// limits every tool to the universities the user may see, and tools (names)
+// to the tools they may use. Returns
+// { content, model, toolCalls } where each tool call is
+// { tool, arguments, ok, rows, error, durationMs }.
+async function runAgent(openai, db, { message, history = [], assistantType = 'general', university = null, scope = null, tools: allowedTools = null, maxTokens = 1000, onToken = null, onToolCall = null }) {
+    const model = chatModel();
+    const tools = toolDefinitions(allowedTools);
+    const toolCalls = [];
+    const messages = [
+        { role: 'system', content: systemPrompt(assistantType, university) },
+        ...history.map(turn => ({ role: turn.role, content: turn.content })),
+        { role: 'user', content: message }
+    ];
+
+    for (let step = 0; step < MAX_STEPS; step++) {
+        const { reply, model: replyModel } = await complete(openai, {
+            model,
+            messages,
+            tools,
+            // On the last step the model has to answer with what it has
+            tool_choice: step === MAX_STEPS - 1 ? 'none' : 'auto',
+            max_tokens: maxTokens,
+            temperature: 0.3
+        }, onToken);
+
+        if (!reply) {
+            throw new Error('Model returned no message');
+        }
+
+        if (!reply.tool_calls || reply.tool_calls.length === 0) {
+            const content = reply.content?.trim();
+            if (!content) {
+                throw new Error('Model returned an empty response');
+            }
+            return { content, model: replyModel || model, toolCalls };
+        }
+
+        messages.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls });
+
+        for (const call of reply.tool_calls) {
+            const args = parseArguments(call.function.arguments);
+            const startedAt = Date.now();
+            let outcome;
+            if (args === null) {
+                outcome = { error: 'Arguments are not valid JSON' };
+            } else if (allowedTools && !allowedTools.includes(call.function.name)) {
+                outcome = { error: `Unknown tool ${call.function.name}` };
+            } else {
+                outcome = await runTool(db, call.function.name, args, scope);
+            }
+
+            const result = outcome.result;
+            const record = {
+                tool: call.function.name,
+                arguments: args === null ? call.function.arguments : args,
+                ok: !outcome.error,
+                rows: Array.isArray(result) ? result.length : undefined,
+                error: outcome.error,
+                durationMs: Date.now() - startedAt
+            };
+            toolCalls.push(record);
+            if (onToolCall) onToolCall(record);
+
+            messages.push({
+                role: 'tool',
+                tool_call_id: call.id,
+                content: JSON.stringify(outcome.error ? { error: outcome.error } : result).slice(0, MAX_RESULT_CHARS)
+            });
+        }
+    }
+
+    throw new Error(`No answer after ${MAX_STEPS} steps`);
+}
+
+module.exports = { DEFAULT_MODEL, PERSONAS, chatModel, runAgent };
@@ -0,0 +1,223 @@
+// Local OpenAI-compatible stand-in so the LLM chat path can be exercised
+// without network access or an API key. Point OPENAI_BASE_URL at
+// http://localhost:3091/v1; answers are deterministic and echo what the model
+// was given. When tools are offered it first calls the ones the question's
+// keywords suggest, then answers from their results; SQL translation and
+// intent classification prompts get canned answers.
+const express = require('express');
+
+// question keywords -> tool
+const TOOL_KEYWORDS = [
+    [/risk|renew|churn|cancel/, 'renewal_risk'],
+    [/cost|per use|value|expensive/, 'cost_per_use'],
+    [/lead|brows|opportunit|unsubscribed|prospect/, 'top_browsed_unsubscribed'],
+    [/usage|trend|month|download/, 'usage_timeseries'],
+    [/revenue|sales|pipeline/, 'sales_pipeline'],
+    [/subscri|journal/, 'subscriptions_for_university']
+];
+
+function errorBody(message, type, code) {
+    return { error: { message, type, code } };
+}
+
+function toolCallsFor(question, system, offered) {
+    const scope = system && system.content.match(/University in scope: ([^.\n]+)/);
+    const args = scope ? { university: scope[1] } : {};
+    const lower = question.toLowerCase();
+
+    let names = TOOL_KEYWORDS
+        .filter(([pattern, name]) => pattern.test(lower) && offered.includes(name))
+        .map(([, name]) => name);
+    if (names.length === 0 && offered.length > 0) {
+        names = [offered.includes('sales_pipeline') ? 'sales_pipeline' : offered[0]];
+    }
+
+    return names.map((name, index) => ({
+        id: `call_mock_${index + 1}`,
+        type: 'function',
+        function: { name, arguments: JSON.stringify(args) }
+    }));
+}
+
+function summarise(result) {
+    if (Array.isArray(result)) return `${result.length} rows`;
+    if (result && typeof result === 'object') {
+        if (result.error) return `error: ${result.error}`;
+        return Object.entries(result)
+            .map(([key, value]) => (Array.isArray(value) ? `${key}: ${value.length} rows` : `${key}: ${typeof value === 'object' ? 'object' : value}`))
+            .join(', ');
+    }
+    return String(result);
+}
+
+// Intent classification prompts: question keywords -> intent
+const INTENT_KEYWORDS = [
+    [/risk|renew|churn|cancel/, 'renewal_risk'],
+    [/recommend|suggest/, 'business_strategy'],
+    [/revenue|sales|lead|pipeline/, 'sales_statistics'],
+    [/research|usage|cost|engage/, 'research_statistics'],
+    [/brows|visit/, 'browsing'],
+    [/universit|compare/, 'universities'],
+    [/subscri|journal/, 'subscriptions']
+];
+
+function intentAnswer(question) {
+    const match = INTENT_KEYWORDS.find(([pattern]) => pattern.test(question.toLowerCase()));
+    return JSON.stringify(match ? { intent: match[1], confidence: 0.9 } : { intent: 'overview', confidence: 0.5 });
+}
+
+// Natural-language -> SQL prompts: a canned query picked by keyword
+const SQL_ANSWERS = [
+    [/cost|spend|revenue/, {
+        sql: 'SELECT u.name AS university, SUM(s.annual_cost) AS annual_cost FROM subscriptions s JOIN universities u ON u.id = s.university_id WHERE s.status = \'active\' GROUP BY u.id ORDER BY annual_cost DESC',
+        explanation: 'Total annual cost of active subscriptions per university.'
+    }],
+    [/subscri/, {
+        sql: 'SELECT u.name AS university, COUNT(*) AS active_subscriptions FROM subscriptions s JOIN universities u ON u.id = s.university_id WHERE s.status = \'active\' GROUP BY u.id ORDER BY active_subscriptions DESC',
+        explanation: 'Number of active subscriptions per university.'
+    }],
+    [/journal/, {
+        sql: 'SELECT title, publisher, subject_area FROM journals ORDER BY title',
+        explanation: 'All journals with their publisher and subject.'
+    }]
+];
+
+function sqlAnswer(question) {
+    const lower = question.toLowerCase();
+    const match = SQL_ANSWERS.find(([pattern]) => pattern.test(lower));
+    return JSON.stringify(match ? match[1] : {
+        sql: 'SELECT name AS university, country FROM universities ORDER BY name',
+        explanation: 'Universities and their countries.'
+    });
+}
+
+// Summarise the request so a test can see the persona, question and tool results arrived
+function mockAnswer(model, messages) {
+    const system = messages.find(message => message.role === 'system');
+    const user = [...messages].reverse().find(message => message.role === 'user');
+    const persona = system ? system.content.split('.')[0] : 'No system prompt';
+
+    const calls = new Map();
+    messages
+        .filter(message => message.role === 'assistant' && Array.isArray(message.tool_calls))
+        .forEach(message => message.tool_calls.forEach(call => calls.set(call.id, call.function.name)));
+
+    const lines = [
+        `[${model}] ${persona}.`,
+        `Question: ${user ? user.content : '(none)'}`
+    ];
+    const earlier = messages.filter(message => message.role === 'user').length - 1;
+    if (earlier > 0) lines.push(`Earlier questions in this conversation: ${earlier}`);
+    messages.filter(message => message.role === 'tool').forEach(message => {
+        let result;
+        try {
+            result = JSON.parse(message.content);
+        } catch (error) {
+            result = '(truncated result)';
+        }
+        lines.push(`${calls.get(message.tool_call_id) || message.tool_call_id}: ${summarise(result)}`);
+    });
+    return lines.join('\n');
+}
+
+function completion(model, message, finishReason) {
+    return {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, message, finish_reason: finishReason }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+}
+
+// stream: true answers as server-sent chunks, the content a few words at a time
+async function streamCompletion(res, model, message, finishReason) {
+    const id = `chatcmpl-mock-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const chunk = (delta, finish = null) => `data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finish }]
+    })}\n\n`;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write(chunk({ role: 'assistant', content: '' }));
+    if (message.tool_calls) {
+        res.write(chunk({ tool_calls: message.tool_calls.map((call, index) => ({ index, ...call })) }));
+    } else {
+        const pieces = message.content.match(/\S+\s*/g) || [];
+        for (let i = 0; i < pieces.length; i += 3) {
+            res.write(chunk({ content: pieces.slice(i, i + 3).join('') }));
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+    res.write(chunk({}, finishReason));
+    res.end('data: [DONE]\n\n');
+}
+
+// options.apiKey: required bearer token (any when unset)
+// options.failWith: HTTP status to answer every completion with
+function createMockLlmServer(options = {}) {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+
+    const authorized = req => !options.apiKey || req.get('authorization') === `Bearer ${options.apiKey}`;
+
+    app.get(['/v1/models', '/models'], (req, res) => {
+        res.json({ object: 'list', data: [{ id: 'mock-model', object: 'model', owned_by: 'mock' }] });
+    });
+
+    app.post(['/v1/chat/completions', '/chat/completions'], (req, res) => {
+        if (!authorized(req)) {
+            return res.status(401).json(errorBody('Invalid API key', 'invalid_request_error', 'invalid_api_key'));
+        }
+        if (options.failWith) {
+            return res.status(options.failWith).json(errorBody('Mock failure', 'server_error', null));
+        }
+
+        const { model, messages, stream } = req.body || {};
+        const reply = (message, finishReason) => (stream
+            ? streamCompletion(res, model, message, finishReason)
+            : res.json(completion(model, message, finishReason)));
+        if (!model || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json(errorBody('model and messages are required', 'invalid_request_error', null));
+        }
+
+        const system = messages.find(message => message.role === 'system');
+        const lastUser = messages.map(message => message.role).lastIndexOf('user');
+        const question = lastUser === -1 ? '' : messages[lastUser].content;
+        if (system && system.content.includes('read-only SQLite query')) {
+            return reply({ role: 'assistant', content: sqlAnswer(question) }, 'stop');
+        }
+        if (system && system.content.startsWith('Classify the analyst\'s question')) {
+            return reply({ role: 'assistant', content: intentAnswer(question) }, 'stop');
+        }
+
+        // Call tools until the conversation has results for the latest question
+        const answered = messages.slice(lastUser).some(message => message.role === 'tool');
+        const offered = (req.body.tools || []).map(tool => tool.function && tool.function.name).filter(Boolean);
+        if (offered.length > 0 && !answered && req.body.tool_choice !== 'none') {
+            const toolCalls = toolCallsFor(question, system, offered);
+            return reply({ role: 'assistant', content: null, tool_calls: toolCalls }, 'tool_calls');
+        }
+
+        reply({ role: 'assistant', content: mockAnswer(model, messages) }, 'stop');
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.LLM_MOCK_PORT || 3091;
+    const failWith = parseInt(process.env.LLM_MOCK_FAIL_STATUS, 10) || null;
+
+    createMockLlmServer({ apiKey: process.env.LLM_MOCK_API_KEY, failWith }).listen(port, () => {
+        console.log(`🧪 Mock OpenAI-compatible server running on http://localhost:${port}/v1`);
+        if (failWith) console.log(`   Answering every completion with HTTP ${failWith}`);
+    });
+}
+
+module.exports = { createMockLlmServer };
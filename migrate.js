@@ -0,0 +1,171 @@
+// Versioned schema migrations. Each file in migrations/ is NNN_name.js
+// exporting up(db) and, when it can be undone, down(db). Applied versions are
+// recorded in schema_migrations.
+//
+//   npm run migrate status
+//   npm run migrate up [version]
+//   npm run migrate down [steps]
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { run, get, all, transaction, databasePath } = require('./db-utils');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+    await run(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function appliedVersions(db) {
+    const rows = await all(db, 'SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => row.version));
+}
+
+// Each migration runs in its own transaction with foreign keys off (SQLite
+// ignores the pragma inside a transaction, and table rebuilds need it off),
+// then has to pass foreign_key_check before it commits
+async function applyMigration(db, migration, direction) {
+    await transaction(db, async () => {
+        const applied = await appliedVersions(db);
+        if (direction === 'up' && applied.has(migration.version)) return;
+        if (direction === 'down' && !applied.has(migration.version)) return;
+
+        await migration[direction](db);
+
+        const violations = await all(db, 'PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+            const sample = violations.slice(0, 5).map(v => `${v.table} row ${v.rowid} -> ${v.parent}`).join('; ');
+            throw new Error(`Migration ${migration.version} leaves ${violations.length} foreign key violations (${sample})`);
+        }
+
+        if (direction === 'up') {
+            await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+    });
+}
+
+async function withForeignKeysOff(db, fn) {
+    await run(db, 'PRAGMA foreign_keys = OFF');
+    try {
+        return await fn();
+    } finally {
+        await run(db, 'PRAGMA foreign_keys = ON');
+    }
+}
+
+// Apply pending migrations up to options.to (default: latest) and leave
+// foreign key enforcement on for this connection. Every server variant calls
+// this on startup, so it has to be safe against any existing database.
+async function migrateUp(db, options = {}) {
+    db.configure('busyTimeout', 10000);
+    await ensureMigrationsTable(db);
+
+    const applied = await appliedVersions(db);
+    const pending = loadMigrations()
+        .filter(migration => !applied.has(migration.version))
+        .filter(migration => !options.to || migration.version <= options.to);
+
+    await withForeignKeysOff(db, async () => {
+        for (const migration of pending) {
+            console.log(`⬆️ Migration ${migration.version} ${migration.name}`);
+            await applyMigration(db, migration, 'up');
+        }
+    });
+
+    return pending.map(migration => migration.version);
+}
+
+// Undo the most recent applied migrations
+async function migrateDown(db, steps = 1) {
+    db.configure('busyTimeout', 10000);
+    await ensureMigrationsTable(db);
+
+    const applied = await appliedVersions(db);
+    const targets = loadMigrations()
+        .filter(migration => applied.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+
+    const irreversible = targets.find(migration => typeof migration.down !== 'function');
+    if (irreversible) {
+        throw new Error(`Migration ${irreversible.version} ${irreversible.name} cannot be rolled back`);
+    }
+
+    await withForeignKeysOff(db, async () => {
+        for (const migration of targets) {
+            console.log(`⬇️ Migration ${migration.version} ${migration.name}`);
+            await applyMigration(db, migration, 'down');
+        }
+    });
+
+    return targets.map(migration => migration.version);
+}
+
+async function migrationStatus(db) {
+    await ensureMigrationsTable(db);
+    const rows = await all(db, 'SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        reversible: typeof migration.down === 'function',
+        applied_at: appliedAt.get(migration.version) || null
+    }));
+}
+
+async function currentVersion(db) {
+    await ensureMigrationsTable(db);
+    const row = await get(db, 'SELECT MAX(version) as version FROM schema_migrations');
+    return row.version || 0;
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const [command = 'status', argument] = process.argv.slice(2);
+    const db = new sqlite3.Database(databasePath());
+
+    const commands = {
+        up: () => migrateUp(db, { to: argument ? parseInt(argument, 10) : undefined })
+            .then(versions => console.log(versions.length ? `✅ Applied ${versions.join(', ')}` : '✅ Already up to date')),
+        down: () => migrateDown(db, argument ? parseInt(argument, 10) : 1)
+            .then(versions => console.log(versions.length ? `✅ Rolled back ${versions.join(', ')}` : '✅ Nothing to roll back')),
+        status: () => migrationStatus(db).then(migrations => {
+            migrations.forEach(migration => {
+                const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+                console.log(`${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(24)} ${state}${migration.reversible ? '' : ' (irreversible)'}`);
+            });
+        })
+    };
+
+    if (!commands[command]) {
+        console.error(`Usage: npm run migrate [${Object.keys(commands).join('|')}]`);
+        process.exit(1);
+    }
+
+    commands[command]()
+        .catch(error => {
+            console.error('❌ Migration failed:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus, currentVersion };
@@ -0,0 +1,182 @@
+// Baseline: one shape for every table the server variants (app.js - app8.js,
+// setup.js, data-import.js) created on their own, with foreign keys and
+// indices. Existing databases are rebuilt into this shape, and rows pointing
+// at missing parents are dropped so the constraints hold.
+const { run, get, createOrRebuildTable, clearOrphans } = require('../db-utils');
+
+const TABLES = {
+    universities: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT,
+        name TEXT UNIQUE NOT NULL,
+        country TEXT,
+        type TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    journals: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        issn TEXT,
+        publisher TEXT,
+        subject_area TEXT,
+        impact_factor REAL,
+        keywords TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    subscriptions: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        journal_id INTEGER REFERENCES journals (id),
+        subscription_type TEXT,
+        start_date DATE,
+        end_date DATE,
+        annual_cost REAL,
+        usage_count INTEGER DEFAULT 0,
+        last_used DATE,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    browsing_history: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        journal_id INTEGER REFERENCES journals (id) ON DELETE CASCADE,
+        view_date DATE,
+        view_count INTEGER DEFAULT 1,
+        session_duration INTEGER DEFAULT 0,
+        pages_viewed INTEGER DEFAULT 1,
+        downloaded_samples INTEGER DEFAULT 0,
+        requested_trial INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    usage_analytics: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscription_id INTEGER REFERENCES subscriptions (id) ON DELETE CASCADE,
+        month TEXT,
+        downloads INTEGER DEFAULT 0,
+        views INTEGER DEFAULT 0,
+        searches INTEGER DEFAULT 0,
+        unique_users INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    publications: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        journal_id INTEGER REFERENCES journals (id) ON DELETE CASCADE,
+        title TEXT,
+        authors TEXT,
+        publish_date DATE,
+        citation_count INTEGER DEFAULT 0,
+        doi TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    chat_sessions: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT UNIQUE,
+        messages TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    // Title-based tables used by app1.js, setup.js and data-import.js
+    journal_subscriptions: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        journal_title TEXT NOT NULL,
+        journal_abbreviation TEXT,
+        current_year INTEGER DEFAULT 0,
+        previous_year INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    journal_usage: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        journal_title TEXT NOT NULL,
+        publisher TEXT,
+        usage_date TEXT,
+        total_requests INTEGER DEFAULT 0,
+        unique_requests INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    books_purchased: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        book_code TEXT,
+        book_title TEXT NOT NULL,
+        year INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+
+    insights: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        priority TEXT DEFAULT 'Medium',
+        university_id INTEGER REFERENCES universities (id) ON DELETE CASCADE,
+        data_source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`
+};
+
+// child table, column, parent table
+const REFERENCES = [
+    ['subscriptions', 'university_id', 'universities'],
+    ['subscriptions', 'journal_id', 'journals'],
+    ['browsing_history', 'university_id', 'universities'],
+    ['browsing_history', 'journal_id', 'journals'],
+    ['usage_analytics', 'subscription_id', 'subscriptions'],
+    ['publications', 'university_id', 'universities'],
+    ['publications', 'journal_id', 'journals'],
+    ['journal_subscriptions', 'university_id', 'universities'],
+    ['journal_usage', 'university_id', 'universities'],
+    ['books_purchased', 'university_id', 'universities'],
+    ['insights', 'university_id', 'universities']
+];
+
+const INDICES = [
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_universities_code ON universities (code)',
+    'CREATE INDEX IF NOT EXISTS idx_journals_title ON journals (title)',
+    'CREATE INDEX IF NOT EXISTS idx_journals_issn ON journals (issn)',
+    'CREATE INDEX IF NOT EXISTS idx_subscriptions_university ON subscriptions (university_id)',
+    'CREATE INDEX IF NOT EXISTS idx_subscriptions_journal ON subscriptions (journal_id)',
+    'CREATE INDEX IF NOT EXISTS idx_browsing_history_university ON browsing_history (university_id, view_date)',
+    'CREATE INDEX IF NOT EXISTS idx_browsing_history_journal ON browsing_history (journal_id)',
+    'CREATE INDEX IF NOT EXISTS idx_usage_analytics_subscription ON usage_analytics (subscription_id, month)',
+    'CREATE INDEX IF NOT EXISTS idx_publications_university ON publications (university_id)',
+    'CREATE INDEX IF NOT EXISTS idx_publications_journal ON publications (journal_id)',
+    'CREATE INDEX IF NOT EXISTS idx_journal_subscriptions_university ON journal_subscriptions (university_id)',
+    'CREATE INDEX IF NOT EXISTS idx_journal_usage_university ON journal_usage (university_id, usage_date)',
+    'CREATE INDEX IF NOT EXISTS idx_books_purchased_university ON books_purchased (university_id)',
+    'CREATE INDEX IF NOT EXISTS idx_insights_university ON insights (university_id)'
+];
+
+// The codes app1.js and setup.js seed, for databases created by app.js
+const UNIVERSITY_CODES = {
+    nus: 'National University of Singapore',
+    ntu: 'Nanyang Technological University',
+    mahidol: 'Mahidol University',
+    aalborg: 'Aalborg University'
+};
+
+async function up(db) {
+    for (const [table, definition] of Object.entries(TABLES)) {
+        await createOrRebuildTable(db, table, definition);
+    }
+
+    for (const [table, column, parent] of REFERENCES) {
+        await clearOrphans(db, table, column, parent);
+    }
+
+    for (const [code, name] of Object.entries(UNIVERSITY_CODES)) {
+        const taken = await get(db, 'SELECT id FROM universities WHERE code = ?', [code]);
+        if (!taken) {
+            await run(db, 'UPDATE universities SET code = ? WHERE name = ? AND code IS NULL', [code, name]);
+        }
+    }
+
+    for (const sql of INDICES) {
+        await run(db, sql);
+    }
+}
+
+// No down: rolling back the baseline would mean dropping every table
+
+module.exports = { up };
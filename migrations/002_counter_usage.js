@@ -0,0 +1,34 @@
+// COUNTER R5 monthly usage per title (journal_id is NULL for books)
+const { run, createOrRebuildTable, clearOrphans } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'counter_usage', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER NOT NULL REFERENCES universities (id) ON DELETE CASCADE,
+        journal_id INTEGER REFERENCES journals (id) ON DELETE SET NULL,
+        report_id TEXT NOT NULL,
+        item_key TEXT NOT NULL,
+        title TEXT NOT NULL,
+        publisher TEXT,
+        platform TEXT,
+        print_issn TEXT,
+        online_issn TEXT,
+        isbn TEXT,
+        data_type TEXT,
+        month TEXT NOT NULL,
+        total_item_requests INTEGER DEFAULT 0,
+        unique_item_requests INTEGER DEFAULT 0,
+        unique_title_investigations INTEGER DEFAULT 0,
+        source_file TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (university_id, report_id, item_key, month)`);
+    await clearOrphans(db, 'counter_usage', 'university_id', 'universities');
+    await clearOrphans(db, 'counter_usage', 'journal_id', 'journals', true);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_counter_usage_journal ON counter_usage (journal_id, month)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS counter_usage');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// SUSHI credentials and schedule on the university row, plus one log row per
+// university, report and month harvested
+const { run, all, addColumnIfMissing, createOrRebuildTable, clearOrphans } = require('../db-utils');
+
+const UNIVERSITY_COLUMNS = {
+    sushi_url: 'TEXT',
+    sushi_requestor_id: 'TEXT',
+    sushi_customer_id: 'TEXT',
+    sushi_api_key: 'TEXT',
+    sushi_harvest_interval_days: 'INTEGER DEFAULT 30',
+    sushi_last_harvested_at: 'DATETIME'
+};
+
+async function up(db) {
+    for (const [column, definition] of Object.entries(UNIVERSITY_COLUMNS)) {
+        await addColumnIfMissing(db, 'universities', column, definition);
+    }
+
+    await createOrRebuildTable(db, 'sushi_harvest_log', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER NOT NULL REFERENCES universities (id) ON DELETE CASCADE,
+        report_id TEXT NOT NULL,
+        month TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        rows_imported INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        harvested_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (university_id, report_id, month)`);
+    await clearOrphans(db, 'sushi_harvest_log', 'university_id', 'universities');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS sushi_harvest_log');
+
+    const existing = (await all(db, 'PRAGMA table_info(universities)')).map(column => column.name);
+    for (const column of Object.keys(UNIVERSITY_COLUMNS).filter(column => existing.includes(column))) {
+        await run(db, `ALTER TABLE universities DROP COLUMN ${column}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Named header -> field mappings for subscription workbooks
+const { run, createOrRebuildTable, clearOrphans } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'mapping_profiles', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        university_id INTEGER REFERENCES universities (id) ON DELETE SET NULL,
+        vendor TEXT,
+        mapping TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
+    await clearOrphans(db, 'mapping_profiles', 'university_id', 'universities', true);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_mapping_profiles_university ON mapping_profiles (university_id)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS mapping_profiles');
+}
+
+module.exports = { up, down };
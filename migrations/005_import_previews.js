@@ -0,0 +1,24 @@
+// Dry-run import reports awaiting an explicit commit
+const { run, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'import_previews', `
+        token TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        university_name TEXT NOT NULL,
+        profile TEXT,
+        mapping TEXT NOT NULL,
+        baseline_hash TEXT NOT NULL,
+        report TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        committed_at DATETIME`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_import_previews_expires ON import_previews (expires_at)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS import_previews');
+}
+
+module.exports = { up, down };
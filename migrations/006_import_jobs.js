@@ -0,0 +1,45 @@
+// Uploads and folder reprocessing, run one at a time in the background
+const { run, createOrRebuildTable, clearOrphans } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'import_jobs', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        filename TEXT,
+        university TEXT,
+        requested_by TEXT,
+        source TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        progress INTEGER DEFAULT 0,
+        rows_total INTEGER DEFAULT 0,
+        rows_processed INTEGER DEFAULT 0,
+        inserted INTEGER DEFAULT 0,
+        updated INTEGER DEFAULT 0,
+        deleted INTEGER DEFAULT 0,
+        skipped INTEGER DEFAULT 0,
+        errors INTEGER DEFAULT 0,
+        result TEXT,
+        error TEXT,
+        cancel_requested INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME,
+        duration_ms INTEGER`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_import_jobs_status ON import_jobs (status, created_at)');
+
+    await createOrRebuildTable(db, 'import_job_logs', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL REFERENCES import_jobs (id) ON DELETE CASCADE,
+        level TEXT DEFAULT 'info',
+        message TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
+    await clearOrphans(db, 'import_job_logs', 'job_id', 'import_jobs');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_import_job_logs_job ON import_job_logs (job_id)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS import_job_logs');
+    await run(db, 'DROP TABLE IF EXISTS import_jobs');
+}
+
+module.exports = { up, down };
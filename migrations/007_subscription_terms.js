@@ -0,0 +1,44 @@
+// Subscriptions as yearly terms per university and journal, so retention,
+// churn and win-back can be computed. Existing subscriptions become the term
+// for the year they start in.
+const { run, all, addColumnIfMissing, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'subscription_terms', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER NOT NULL REFERENCES universities (id) ON DELETE CASCADE,
+        journal_id INTEGER NOT NULL REFERENCES journals (id) ON DELETE CASCADE,
+        year INTEGER NOT NULL,
+        subscribed INTEGER NOT NULL DEFAULT 1,
+        annual_cost REAL,
+        source_file TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (university_id, journal_id, year)`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_subscription_terms_year ON subscription_terms (year, university_id)');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_subscription_terms_journal ON subscription_terms (journal_id)');
+
+    await run(db, `
+        INSERT OR IGNORE INTO subscription_terms (university_id, journal_id, year, subscribed, annual_cost, source_file)
+        SELECT university_id, journal_id,
+               CAST(strftime('%Y', COALESCE(start_date, created_at)) AS INTEGER),
+               CASE WHEN status = 'active' THEN 1 ELSE 0 END,
+               annual_cost,
+               'subscriptions'
+        FROM subscriptions
+        WHERE university_id IS NOT NULL AND journal_id IS NOT NULL
+    `);
+
+    // A preview is committed with the same reference year it was made with
+    await addColumnIfMissing(db, 'import_previews', 'reference_year', 'INTEGER');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS subscription_terms');
+
+    const columns = await all(db, 'PRAGMA table_info(import_previews)');
+    if (columns.some(column => column.name === 'reference_year')) {
+        await run(db, 'ALTER TABLE import_previews DROP COLUMN reference_year');
+    }
+}
+
+module.exports = { up, down };
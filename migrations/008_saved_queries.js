@@ -0,0 +1,20 @@
+// Natural-language queries saved with their validated SQL for reuse
+const { run, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'saved_queries', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        question TEXT,
+        sql TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        run_count INTEGER DEFAULT 0,
+        last_run_at DATETIME`);
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS saved_queries');
+}
+
+module.exports = { up, down };
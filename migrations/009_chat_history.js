@@ -0,0 +1,69 @@
+// Chat sessions per user with one row per turn, so earlier turns can be fed
+// back to the assistant. Turns stored as a JSON array in chat_sessions.messages
+// (app2.js, app3.js) are copied into chat_messages; the column itself stays.
+// Copied sessions predate owners and are not listed for anyone.
+const { run, all, addColumnIfMissing, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'chat_sessions', 'owner', 'TEXT');
+    await addColumnIfMissing(db, 'chat_sessions', 'title', 'TEXT');
+    await addColumnIfMissing(db, 'chat_sessions', 'assistant_type', 'TEXT');
+    await addColumnIfMissing(db, 'chat_sessions', 'university_filter', 'TEXT');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_chat_sessions_owner ON chat_sessions (owner, updated_at)');
+
+    await createOrRebuildTable(db, 'chat_messages', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL REFERENCES chat_sessions (id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+        content TEXT NOT NULL,
+        assistant_type TEXT,
+        model TEXT,
+        tool_calls TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages (session_id, id)');
+
+    const sessions = await all(db, `
+        SELECT id, messages FROM chat_sessions
+        WHERE messages IS NOT NULL AND id NOT IN (SELECT session_id FROM chat_messages)
+    `);
+    for (const session of sessions) {
+        let turns;
+        try {
+            turns = JSON.parse(session.messages);
+        } catch (error) {
+            console.log(`⚠️ Chat session ${session.id} has unreadable messages; not copied`);
+            continue;
+        }
+        if (!Array.isArray(turns)) continue;
+
+        for (const turn of turns) {
+            const createdAt = turn.timestamp ? turn.timestamp.replace('T', ' ').slice(0, 19) : null;
+            if (turn.user) {
+                await run(db, 'INSERT INTO chat_messages (session_id, role, content, assistant_type, created_at) VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+                    [session.id, 'user', turn.user, turn.assistantType || null, createdAt]);
+            }
+            if (turn.assistant) {
+                await run(db, 'INSERT INTO chat_messages (session_id, role, content, assistant_type, created_at) VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+                    [session.id, 'assistant', turn.assistant, turn.assistantType || null, createdAt]);
+            }
+        }
+        if (turns.length > 0 && turns[0].user) {
+            await run(db, 'UPDATE chat_sessions SET title = COALESCE(title, ?), assistant_type = COALESCE(assistant_type, ?) WHERE id = ?',
+                [turns[0].user.slice(0, 80), turns[0].assistantType || null, session.id]);
+        }
+    }
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS chat_messages');
+    await run(db, 'DROP INDEX IF EXISTS idx_chat_sessions_owner');
+
+    const columns = await all(db, 'PRAGMA table_info(chat_sessions)');
+    for (const column of ['owner', 'title', 'assistant_type', 'university_filter']) {
+        if (columns.some(existing => existing.name === column)) {
+            await run(db, `ALTER TABLE chat_sessions DROP COLUMN ${column}`);
+        }
+    }
+}
+
+module.exports = { up, down };
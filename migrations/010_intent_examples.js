@@ -0,0 +1,19 @@
+// Labelled chat questions added at runtime; the intent classifier trains on
+// them at startup in addition to its built-in examples
+const { run, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'intent_examples', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        intent TEXT NOT NULL,
+        text TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (intent, text)`);
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS intent_examples');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,68 @@
+// Other names a university goes by: acronyms, native-language and former
+// names, and its ROR ID. The resolver matches questions, filenames and
+// "university" parameters against these as well as the name itself.
+// Known aliases are added for the universities already in the database. The
+// same alias may belong to several universities (acronyms often do).
+const { run, get, createOrRebuildTable } = require('../db-utils');
+
+const KNOWN_ALIASES = {
+    'National University of Singapore': [
+        ['NUS', 'acronym'],
+        ['University of Singapore', 'former'],
+        ['01tgyzw49', 'ror']
+    ],
+    'Nanyang Technological University': [
+        ['NTU', 'acronym'],
+        ['NTU Singapore', 'variant'],
+        ['Nanyang Technological Institute', 'former'],
+        ['02e7b5302', 'ror']
+    ],
+    'Mahidol University': [
+        ['MU', 'acronym'],
+        ['มหาวิทยาลัยมหิดล', 'native'],
+        ['University of Medical Sciences', 'former'],
+        ['01znkr924', 'ror']
+    ],
+    'Aalborg University': [
+        ['AAU', 'acronym'],
+        ['Aalborg Universitet', 'native'],
+        ['Aalborg Universitetscenter', 'former'],
+        ['04m5j1k67', 'ror']
+    ]
+};
+
+// Same rules as normalizeName in university-resolver.js, kept here so the
+// migration does not change when the resolver does
+function normalize(text) {
+    return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/&/g, ' and ').replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim()
+        .replace(/^the /, '');
+}
+
+async function up(db) {
+    await createOrRebuildTable(db, 'university_aliases', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        university_id INTEGER NOT NULL REFERENCES universities (id) ON DELETE CASCADE,
+        alias TEXT NOT NULL,
+        normalized TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'variant' CHECK (kind IN ('acronym', 'native', 'former', 'variant', 'ror')),
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (university_id, normalized)`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_university_aliases_normalized ON university_aliases (normalized)');
+
+    for (const [name, aliases] of Object.entries(KNOWN_ALIASES)) {
+        const university = await get(db, 'SELECT id FROM universities WHERE name = ?', [name]);
+        if (!university) continue;
+        for (const [alias, kind] of aliases) {
+            await run(db, 'INSERT OR IGNORE INTO university_aliases (university_id, alias, normalized, kind) VALUES (?, ?, ?, ?)',
+                [university.id, alias, normalize(alias), kind]);
+        }
+    }
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS university_aliases');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// Journals are matched on ISSN or eISSN before their title, so eISSNs get a
+// column of their own and ISSNs are stored as NNNN-NNNC. journal_duplicates
+// is the review queue of probable duplicates; journal_merges records every
+// merge, and the merged title and ISSNs keep matching the journal it went into.
+const { run, all, addColumnIfMissing, createOrRebuildTable } = require('../db-utils');
+
+function formatIssn(value) {
+    const digits = String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+    return /^\d{7}[\dX]$/.test(digits) ? `${digits.slice(0, 4)}-${digits.slice(4)}` : null;
+}
+
+async function up(db) {
+    await addColumnIfMissing(db, 'journals', 'eissn', 'TEXT');
+    await run(db, "UPDATE journals SET issn = NULL WHERE TRIM(issn) = ''");
+
+    const journals = await all(db, 'SELECT id, issn FROM journals WHERE issn IS NOT NULL');
+    for (const journal of journals) {
+        const issn = formatIssn(journal.issn);
+        if (issn && issn !== journal.issn) {
+            await run(db, 'UPDATE journals SET issn = ? WHERE id = ?', [issn, journal.id]);
+        }
+    }
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_journals_eissn ON journals (eissn)');
+
+    await createOrRebuildTable(db, 'journal_duplicates', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journal_id INTEGER NOT NULL REFERENCES journals (id) ON DELETE CASCADE,
+        duplicate_id INTEGER NOT NULL REFERENCES journals (id) ON DELETE CASCADE,
+        reason TEXT NOT NULL,
+        score REAL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed')),
+        reviewed_by TEXT,
+        reviewed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (journal_id < duplicate_id),
+        UNIQUE (journal_id, duplicate_id)`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_journal_duplicates_status ON journal_duplicates (status)');
+
+    await createOrRebuildTable(db, 'journal_merges', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kept_id INTEGER NOT NULL REFERENCES journals (id) ON DELETE CASCADE,
+        merged_id INTEGER NOT NULL,
+        merged_title TEXT NOT NULL,
+        merged_issn TEXT,
+        merged_eissn TEXT,
+        rows_moved TEXT,
+        merged_by TEXT,
+        merged_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_journal_merges_kept ON journal_merges (kept_id)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS journal_merges');
+    await run(db, 'DROP TABLE IF EXISTS journal_duplicates');
+    await run(db, 'DROP INDEX IF EXISTS idx_journals_eissn');
+
+    const columns = await all(db, 'PRAGMA table_info(journals)');
+    if (columns.some(column => column.name === 'eissn')) {
+        await run(db, 'ALTER TABLE journals DROP COLUMN eissn');
+    }
+}
+
+module.exports = { up, down };
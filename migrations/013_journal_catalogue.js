@@ -0,0 +1,53 @@
+// The journal catalogue, loaded from KBART and ONIX for Serials files. Journals
+// it lists record where their details came from, their title id and URL at
+// the provider and their list price; journal_coverage holds the date ranges
+// (and volumes and issues, where given) they are available for. A subscription
+// import can be limited to catalogue journals (import_previews.catalogue_only).
+const { run, all, addColumnIfMissing, createOrRebuildTable } = require('../db-utils');
+
+const JOURNAL_COLUMNS = {
+    catalogue_source: 'TEXT',
+    catalogue_title_id: 'TEXT',
+    title_url: 'TEXT',
+    list_price: 'REAL',
+    price_currency: 'TEXT',
+    catalogue_updated_at: 'DATETIME'
+};
+
+async function up(db) {
+    for (const [column, definition] of Object.entries(JOURNAL_COLUMNS)) {
+        await addColumnIfMissing(db, 'journals', column, definition);
+    }
+
+    await createOrRebuildTable(db, 'journal_coverage', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journal_id INTEGER NOT NULL REFERENCES journals (id) ON DELETE CASCADE,
+        source TEXT NOT NULL,
+        start_date TEXT,
+        start_volume TEXT,
+        start_issue TEXT,
+        end_date TEXT,
+        end_volume TEXT,
+        end_issue TEXT,
+        embargo TEXT,
+        coverage_depth TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_journal_coverage_journal ON journal_coverage (journal_id)');
+
+    await addColumnIfMissing(db, 'import_previews', 'catalogue_only', 'INTEGER NOT NULL DEFAULT 0');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS journal_coverage');
+
+    const drop = async (table, names) => {
+        const columns = await all(db, `PRAGMA table_info(${table})`);
+        for (const name of names.filter(name => columns.some(column => column.name === name))) {
+            await run(db, `ALTER TABLE ${table} DROP COLUMN ${name}`);
+        }
+    };
+    await drop('journals', Object.keys(JOURNAL_COLUMNS));
+    await drop('import_previews', ['catalogue_only']);
+}
+
+module.exports = { up, down };
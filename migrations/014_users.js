@@ -0,0 +1,50 @@
+// User accounts for the API: a role each (admin, analyst, sales, read_only),
+// the countries a sales rep covers, sign-in sessions and long-lived API
+// tokens. Only hashes of passwords and tokens are stored.
+const { run, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'users', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        display_name TEXT,
+        password_hash TEXT,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'analyst', 'sales', 'read_only')),
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME`);
+
+    await createOrRebuildTable(db, 'user_territories', `
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        country TEXT NOT NULL,
+        PRIMARY KEY (user_id, country)`);
+
+    await createOrRebuildTable(db, 'user_sessions', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME,
+        expires_at DATETIME NOT NULL`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions (expires_at)');
+
+    await createOrRebuildTable(db, 'api_tokens', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        expires_at DATETIME,
+        revoked_at DATETIME`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (user_id)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS api_tokens');
+    await run(db, 'DROP TABLE IF EXISTS user_sessions');
+    await run(db, 'DROP TABLE IF EXISTS user_territories');
+    await run(db, 'DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Librarian accounts for the university portal: a librarian belongs to one
+// university (users.university_id) and only ever sees its data. The users
+// table is rebuilt for the new role in its CHECK constraint.
+const { run, createOrRebuildTable } = require('../db-utils');
+
+const USERS = roles => `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        display_name TEXT,
+        password_hash TEXT,
+        role TEXT NOT NULL CHECK (role IN (${roles.map(role => `'${role}'`).join(', ')})),
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME`;
+
+async function up(db) {
+    await createOrRebuildTable(db, 'users', `${USERS(['admin', 'analyst', 'sales', 'read_only', 'librarian'])},
+        university_id INTEGER REFERENCES universities (id) ON DELETE SET NULL`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_users_university ON users (university_id)');
+}
+
+async function down(db) {
+    // Foreign keys are off while migrating, so nothing cascades
+    const librarians = "SELECT id FROM users WHERE role = 'librarian'";
+    for (const table of ['user_sessions', 'api_tokens', 'user_territories']) {
+        await run(db, `DELETE FROM ${table} WHERE user_id IN (${librarians})`);
+    }
+    await run(db, "DELETE FROM users WHERE role = 'librarian'");
+    await run(db, 'DROP INDEX IF EXISTS idx_users_university');
+    await createOrRebuildTable(db, 'users', USERS(['admin', 'analyst', 'sales', 'read_only']));
+    await run(db, 'ALTER TABLE users DROP COLUMN university_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// Audit trail of data changes, uploads, reprocessing and settings changes (see
+// audit-log.js). Triggers make audit_log append-only. Previews remember the
+// SHA-256 of their workbook so the commit can record it.
+const { run, addColumnIfMissing, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'audit_log', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        occurred_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        actor TEXT NOT NULL,
+        actor_role TEXT,
+        ip TEXT,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        outcome TEXT NOT NULL DEFAULT 'succeeded' CHECK (outcome IN ('succeeded', 'failed', 'cancelled')),
+        job_id INTEGER,
+        source_file TEXT,
+        source_hash TEXT,
+        counts_before TEXT,
+        counts_after TEXT,
+        details TEXT,
+        error TEXT`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_audit_log_occurred ON audit_log (occurred_at)');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action)');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor)');
+
+    await run(db, `
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    await run(db, `
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+
+    await addColumnIfMissing(db, 'import_previews', 'source_hash', 'TEXT');
+}
+
+async function down(db) {
+    await run(db, 'DROP TRIGGER IF EXISTS audit_log_no_update');
+    await run(db, 'DROP TRIGGER IF EXISTS audit_log_no_delete');
+    await run(db, 'DROP TABLE IF EXISTS audit_log');
+    await run(db, 'ALTER TABLE import_previews DROP COLUMN source_hash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Point-in-time copies of the university data (see snapshots.js), taken
+// before every import and reprocess so a mistake can be diffed and undone.
+// A snapshot keeps the university's name and rows even after the university
+// itself is deleted.
+const { run, createOrRebuildTable } = require('../db-utils');
+
+async function up(db) {
+    await createOrRebuildTable(db, 'snapshots', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        reason TEXT NOT NULL CHECK (reason IN ('import', 'reprocess', 'restore', 'manual')),
+        university_id INTEGER REFERENCES universities (id) ON DELETE SET NULL,
+        university_name TEXT,
+        source_file TEXT,
+        created_by TEXT,
+        row_counts TEXT,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_snapshots_university ON snapshots (university_name, created_at)');
+
+    await createOrRebuildTable(db, 'snapshot_rows', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snapshot_id INTEGER NOT NULL REFERENCES snapshots (id) ON DELETE CASCADE,
+        university_name TEXT,
+        table_name TEXT NOT NULL,
+        data TEXT NOT NULL`);
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_snapshot_rows_snapshot ON snapshot_rows (snapshot_id, university_name, table_name)');
+}
+
+async function down(db) {
+    await run(db, 'DROP TABLE IF EXISTS snapshot_rows');
+    await run(db, 'DROP TABLE IF EXISTS snapshots');
+}
+
+module.exports = { up, down };
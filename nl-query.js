@@ -0,0 +1,255 @@
+// Natural-language questions answered with read-only SQL. The model writes a
+// query against the described schema; it only runs after validation:
+//   - one SELECT (or WITH ... SELECT) statement, no comments
+//   - SQLite's compiled program for it may only read whitelisted tables and
+//     columns (checked from EXPLAIN, so subqueries, views and CTEs can't hide
+//     a table), and may not write or open virtual tables
+//   - results are capped at a row limit and the query is interrupted after a
+//     timeout, on a separate read-only connection
+const sqlite3 = require('sqlite3').verbose();
+const { all } = require('./db-utils');
+
+const ALLOWED_TABLES = [
+    'universities',
+    'journals',
+    'subscriptions',
+    'subscription_terms',
+    'browsing_history',
+    'counter_usage',
+    'usage_analytics',
+    'publications',
+    'journal_subscriptions',
+    'journal_usage',
+    'books_purchased'
+];
+
+// Credentials and the like stay out of the schema and out of results
+const HIDDEN_COLUMNS = {
+    universities: ['sushi_url', 'sushi_requestor_id', 'sushi_customer_id', 'sushi_api_key']
+};
+
+const SCHEMA_NOTES = [
+    'subscriptions holds the current term per university and journal; status is \'active\' or \'inactive\'.',
+    'subscription_terms has one row per university, journal and year; subscribed is 1 or 0. A title "dropped" in year Y was subscribed in Y-1 and not in Y.',
+    'counter_usage.month is text YYYY-MM; report_id is TR_J1, TR_J3 or TR_B1; journal_id is NULL for books.',
+    'browsing_history.requested_trial is 1 when the visit asked for a trial.',
+    'universities.country holds the country name, e.g. \'Denmark\'. journals.subject_area holds the subject, e.g. \'Physics\'.'
+];
+
+const MAX_ROWS = 1000;
+const DEFAULT_ROWS = 200;
+// NL_QUERY_TIMEOUT_MS is looked up per query; at require time .env has not
+// been loaded yet
+const defaultTimeoutMs = () => parseInt(process.env.NL_QUERY_TIMEOUT_MS, 10) || 5000;
+
+const FORBIDDEN_WORDS = /\b(insert|update|delete|drop|alter|create|attach|detach|pragma|vacuum|reindex|analyze|begin|commit|rollback|savepoint|release|load_extension)\b/i;
+
+class QueryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'QueryError';
+        this.status = status;
+    }
+}
+
+// Schema text for the prompt: allowed tables, visible columns, foreign keys
+async function describeSchema(db) {
+    const lines = [];
+    for (const table of ALLOWED_TABLES) {
+        const columns = await all(db, `PRAGMA table_info(${table})`);
+        if (columns.length === 0) continue;
+
+        const hidden = HIDDEN_COLUMNS[table] || [];
+        const references = await all(db, `PRAGMA foreign_key_list(${table})`);
+        const visible = columns
+            .filter(column => !hidden.includes(column.name))
+            .map(column => {
+                const reference = references.find(ref => ref.from === column.name);
+                return `${column.name} ${column.type || 'TEXT'}${reference ? ` -> ${reference.table}.${reference.to || 'id'}` : ''}`;
+            });
+        lines.push(`${table}(${visible.join(', ')})`);
+    }
+    return `${lines.join('\n')}\n\nNotes:\n${SCHEMA_NOTES.map(note => `- ${note}`).join('\n')}`;
+}
+
+// Text outside string literals and quoted identifiers
+function unquoted(sql) {
+    return sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]/g, ' ');
+}
+
+function normalizeSql(sql) {
+    if (typeof sql !== 'string' || !sql.trim()) {
+        throw new QueryError('No SQL to run');
+    }
+    const trimmed = sql.trim().replace(/;\s*$/, '');
+    const bare = unquoted(trimmed);
+
+    if (/--|\/\*/.test(bare)) throw new QueryError('Comments are not allowed in queries');
+    if (bare.includes(';')) throw new QueryError('Only one statement is allowed');
+    if (!/^\s*(select|with)\b/i.test(bare)) throw new QueryError('Only SELECT queries are allowed');
+    const forbidden = bare.match(FORBIDDEN_WORDS);
+    if (forbidden) throw new QueryError(`"${forbidden[1].toUpperCase()}" is not allowed in queries`);
+
+    return trimmed;
+}
+
+const query = (connection, sql, params = []) => new Promise((resolve, reject) => {
+    connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// dbPath: the database to query; opened read-only on first use
+function createQueryRunner(dbPath, options = {}) {
+    let connection = null;
+
+    function open() {
+        if (!connection) {
+            connection = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY);
+            connection.configure('busyTimeout', 10000);
+        }
+        return connection;
+    }
+
+    // root page -> { table, columns }, where columns[i] is the name SQLite's
+    // Column opcode reads at index i on a cursor over that b-tree
+    async function btrees() {
+        const objects = await query(open(), "SELECT type, name, tbl_name, rootpage FROM sqlite_master WHERE rootpage > 0");
+        const pages = new Map([[1, { table: 'sqlite_master', columns: [] }]]);
+        for (const object of objects) {
+            const columns = object.type === 'table'
+                ? (await query(open(), `PRAGMA table_info("${object.name}")`)).map(column => column.name)
+                : (await query(open(), `PRAGMA index_info("${object.name}")`)).map(column => column.name);
+            pages.set(object.rootpage, { table: object.tbl_name, columns });
+        }
+        return pages;
+    }
+
+    async function validate(sql) {
+        const statement = normalizeSql(sql);
+
+        let program;
+        try {
+            program = await query(open(), `EXPLAIN ${statement}`);
+        } catch (error) {
+            throw new QueryError(`Invalid SQL: ${error.message}`);
+        }
+
+        const pages = await btrees();
+        const cursors = new Map();
+        const tables = new Set();
+        for (const op of program) {
+            if (op.opcode === 'OpenWrite') throw new QueryError('Queries may not write');
+            if (op.opcode === 'VOpen') throw new QueryError('Virtual tables and table-valued functions are not allowed');
+            if (op.opcode === 'OpenRead') {
+                const btree = pages.get(op.p2);
+                if (op.p3 !== 0 || !btree || !ALLOWED_TABLES.includes(btree.table)) {
+                    throw new QueryError(`Table ${btree ? btree.table : `#${op.p2}`} is not available for queries`);
+                }
+                cursors.set(op.p1, btree);
+                tables.add(btree.table);
+            }
+            if (op.opcode === 'Column' && cursors.has(op.p1)) {
+                const btree = cursors.get(op.p1);
+                const column = btree.columns[op.p2];
+                if ((HIDDEN_COLUMNS[btree.table] || []).includes(column)) {
+                    throw new QueryError(`Column ${btree.table}.${column} is not available for queries; list the columns you need instead of *`);
+                }
+            }
+        }
+
+        return { sql: statement, tables: Array.from(tables) };
+    }
+
+    // Validates, then runs with a row cap and a timeout
+    async function execute(sql, { limit } = {}) {
+        const { sql: statement, tables } = await validate(sql);
+        const rowLimit = Math.min(parseInt(limit, 10) || DEFAULT_ROWS, MAX_ROWS);
+        const connection = open();
+        const timeoutMs = options.timeoutMs || defaultTimeoutMs();
+
+        const startedAt = Date.now();
+        const timer = setTimeout(() => connection.interrupt(), timeoutMs);
+        let rows;
+        try {
+            rows = await query(connection, `SELECT * FROM (${statement}) LIMIT ?`, [rowLimit + 1]);
+        } catch (error) {
+            if (error.code === 'SQLITE_INTERRUPT') {
+                throw new QueryError(`Query exceeded the ${timeoutMs} ms time limit`, 408);
+            }
+            throw new QueryError(`Query failed: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const truncated = rows.length > rowLimit;
+        if (truncated) rows = rows.slice(0, rowLimit);
+        return {
+            sql: statement,
+            tables,
+            columns: rows.length > 0 ? Object.keys(rows[0]) : [],
+            rows,
+            rowCount: rows.length,
+            truncated,
+            limit: rowLimit,
+            durationMs: Date.now() - startedAt
+        };
+    }
+
+    function close() {
+        if (connection) connection.close();
+        connection = null;
+    }
+
+    return { validate, execute, close };
+}
+
+// Pull { sql, explanation } out of a model reply: JSON, fenced JSON or a fenced SQL block
+function parseTranslation(content) {
+    const text = (content || '').trim();
+    const fenced = text.match(/```(?:json|sql)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1].trim() : text;
+
+    try {
+        const parsed = JSON.parse(body);
+        if (parsed && typeof parsed.sql === 'string') {
+            return { sql: parsed.sql, explanation: parsed.explanation || null };
+        }
+    } catch (error) {
+        // not JSON; fall through
+    }
+    if (/^\s*(select|with)\b/i.test(body)) {
+        return { sql: body, explanation: null };
+    }
+    throw new QueryError('The model did not return a SQL query', 502);
+}
+
+async function translateQuestion(openai, db, question, model) {
+    const schema = await describeSchema(db);
+    const completion = await openai.chat.completions.create({
+        model,
+        messages: [
+            {
+                role: 'system',
+                content: `You translate analysts' questions into one read-only SQLite query over this schema:\n\n${schema}\n\n` +
+                    'Rules: a single SELECT (WITH is fine), only the tables and columns listed, no comments, no SELECT *. ' +
+                    'Use readable column aliases. Relative dates are relative to today, ' +
+                    `${new Date().toISOString().slice(0, 10)}. ` +
+                    'Reply with JSON only: {"sql": "...", "explanation": "one sentence on what the query returns"}.'
+            },
+            { role: 'user', content: question }
+        ],
+        max_tokens: 800,
+        temperature: 0
+    });
+
+    return { ...parseTranslation(completion.choices?.[0]?.message?.content), model: completion.model || model };
+}
+
+module.exports = {
+    ALLOWED_TABLES,
+    HIDDEN_COLUMNS,
+    MAX_ROWS,
+    QueryError,
+    describeSchema,
+    createQueryRunner,
+    translateQuestion
+};
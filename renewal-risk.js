@@ -0,0 +1,229 @@
+// Renewal-risk scoring for active subscriptions. Each factor is a risk between
+// 0 and 1; the score is their weighted sum on a 0-100 scale. Factors without
+// data for a subscription are left out and the remaining weights rescaled.
+const { all, get } = require('./db-utils');
+const { percentileRank, loadSubscriptionCosts } = require('./cost-per-use');
+const { universityCondition } = require('./university-resolver');
+
+const WEIGHTS = {
+    usageTrend: 0.3,
+    costPerUse: 0.3,
+    peerCancellations: 0.2,
+    renewalProximity: 0.2
+};
+
+const LEVELS = [
+    { level: 'high', min: 60 },
+    { level: 'medium', min: 35 },
+    { level: 'low', min: 0 }
+];
+
+const clamp = value => Math.max(0, Math.min(1, value));
+
+function addMonths(month, count) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + count, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+// Requests in the latest six months against the six before, per
+// university:journal, measured back from the latest month with COUNTER data
+async function loadUsageWindows(db) {
+    const latest = await get(db, 'SELECT MAX(month) as month FROM counter_usage WHERE journal_id IS NOT NULL');
+    if (!latest || !latest.month) return { latestMonth: null, usage: new Map() };
+
+    const recentFrom = addMonths(latest.month, -5);
+    const priorFrom = addMonths(latest.month, -11);
+    const rows = await all(db, `
+        SELECT university_id, journal_id,
+               SUM(CASE WHEN month >= ? THEN total_item_requests ELSE 0 END) as recent,
+               SUM(CASE WHEN month < ? THEN total_item_requests ELSE 0 END) as prior,
+               COUNT(DISTINCT CASE WHEN month < ? THEN month END) as prior_months
+        FROM counter_usage
+        WHERE journal_id IS NOT NULL AND month >= ? AND month <= ?
+        GROUP BY university_id, journal_id
+    `, [recentFrom, recentFrom, recentFrom, priorFrom, latest.month]);
+
+    return {
+        latestMonth: latest.month,
+        usage: new Map(rows.map(row => [`${row.university_id}:${row.journal_id}`, row]))
+    };
+}
+
+// Per journal: universities that subscribed the year before the latest term
+// year, and how many of them did not renew
+async function loadPeerCancellations(db) {
+    const latest = await get(db, 'SELECT MAX(year) as year FROM subscription_terms');
+    if (!latest || !latest.year) return { year: null, byJournal: new Map() };
+
+    const rows = await all(db, `
+        SELECT prev.journal_id, prev.university_id, COALESCE(cur.subscribed, 0) as renewed
+        FROM subscription_terms prev
+        LEFT JOIN subscription_terms cur
+            ON cur.journal_id = prev.journal_id AND cur.university_id = prev.university_id AND cur.year = ?
+        WHERE prev.year = ? AND prev.subscribed = 1
+          AND prev.university_id IN (SELECT university_id FROM subscription_terms WHERE year = ?)
+    `, [latest.year, latest.year - 1, latest.year]);
+
+    const byJournal = new Map();
+    rows.forEach(row => {
+        if (!byJournal.has(row.journal_id)) byJournal.set(row.journal_id, []);
+        byJournal.get(row.journal_id).push(row);
+    });
+    return { year: latest.year, byJournal };
+}
+
+// Days to the end date; negative once it has passed. A term that ended
+// recently is an overdue renewal and keeps full risk for OVERDUE_GRACE_DAYS,
+// then the risk fades to 0 a year after the end date: a term that ended long
+// ago is not a renewal coming up.
+const OVERDUE_GRACE_DAYS = 90;
+
+function proximityRisk(days) {
+    if (days < -365) return 0;
+    if (days < -OVERDUE_GRACE_DAYS) return (365 + days) / (365 - OVERDUE_GRACE_DAYS);
+    if (days <= 90) return 1;
+    if (days <= 180) return 0.6;
+    if (days <= 365) return 0.3;
+    return 0.1;
+}
+
+function scoreSubscription(subscription, context) {
+    const key = `${subscription.university_id}:${subscription.journal_id}`;
+    const usage = context.usage.get(key);
+    const factors = [];
+
+    if (usage && usage.prior_months > 0 && usage.prior > 0) {
+        const change = (usage.recent - usage.prior) / usage.prior;
+        factors.push({
+            factor: 'usageTrend',
+            risk: clamp(-change),
+            value: Number((change * 100).toFixed(1)),
+            detail: `Requests ${change < 0 ? 'down' : 'up'} ${Math.abs(change * 100).toFixed(0)}% (last 6 months ${usage.recent} vs ${usage.prior})`
+        });
+    }
+
+    if (subscription.costPerUse !== null) {
+        factors.push({
+            factor: 'costPerUse',
+            risk: subscription.costPerUse === Infinity ? 1 : clamp(percentileRank(context.costPerUse, subscription.costPerUse)),
+            value: subscription.costPerUse === Infinity ? null : subscription.costPerUse,
+            detail: subscription.costPerUse === Infinity
+                ? 'No recorded use in the last 12 months'
+                : `$${subscription.costPerUse.toFixed(2)} per use (${subscription.usageSource})`
+        });
+    }
+
+    const peers = (context.peers.byJournal.get(subscription.journal_id) || [])
+        .filter(peer => peer.university_id !== subscription.university_id);
+    if (peers.length > 0) {
+        const cancelled = peers.filter(peer => !peer.renewed).length;
+        factors.push({
+            factor: 'peerCancellations',
+            risk: cancelled / peers.length,
+            value: cancelled,
+            detail: `${cancelled} of ${peers.length} peer universities did not renew for ${context.peers.year}`
+        });
+    }
+
+    if (subscription.end_date) {
+        const days = Math.round((new Date(subscription.end_date) - context.today) / 86400000);
+        factors.push({
+            factor: 'renewalProximity',
+            risk: proximityRisk(days),
+            value: days,
+            detail: days < 0 ? `Term ended ${-days} days ago` : `Renewal due in ${days} days`
+        });
+    }
+
+    const totalWeight = factors.reduce((sum, factor) => sum + WEIGHTS[factor.factor], 0);
+    factors.forEach(factor => {
+        factor.weight = totalWeight > 0 ? Number((WEIGHTS[factor.factor] / totalWeight).toFixed(3)) : 0;
+        factor.contribution = Number((factor.risk * factor.weight * 100).toFixed(1));
+        factor.risk = Number(factor.risk.toFixed(3));
+    });
+
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.contribution, 0));
+    return {
+        subscription_id: subscription.id,
+        university_id: subscription.university_id,
+        university_name: subscription.university_name,
+        journal_id: subscription.journal_id,
+        journal_title: subscription.journal_title,
+        annual_cost: subscription.annual_cost,
+        end_date: subscription.end_date,
+        score,
+        level: LEVELS.find(level => score >= level.min).level,
+        factors: factors.sort((a, b) => b.contribution - a.contribution),
+        missingFactors: Object.keys(WEIGHTS).filter(name => !factors.some(factor => factor.factor === name))
+    };
+}
+
+// filters: university (name or alias, see university-resolver.js), level,
+// limit, scope (university ids the user may see)
+async function renewalRiskReport(db, filters = {}) {
+    const condition = await universityCondition(db, filters.university, 'u', filters.scope);
+
+    const subscriptions = await all(db, `
+        SELECT s.id, s.university_id, s.journal_id, s.annual_cost, s.end_date,
+               u.name as university_name, j.title as journal_title
+        FROM subscriptions s
+        JOIN universities u ON s.university_id = u.id
+        JOIN journals j ON s.journal_id = j.id
+        WHERE s.status = 'active' ${condition.clause}
+    `, condition.params);
+
+    const { latestMonth, usage } = await loadUsageWindows(db);
+    const peers = await loadPeerCancellations(db);
+
+    // Cost per use as reported by /api/analytics/cost-per-use
+    const costs = new Map((await loadSubscriptionCosts(db)).map(row => [row.subscription_id, row]));
+    subscriptions.forEach(subscription => {
+        const cost = costs.get(subscription.id);
+        subscription.usageSource = cost.usage_source;
+        subscription.costPerUse = cost.cost_per_use !== null ? cost.cost_per_use
+            : (cost.annual_cost > 0 ? Infinity : null);
+    });
+
+    const context = {
+        usage,
+        peers,
+        today: new Date(),
+        costPerUse: subscriptions
+            .filter(subscription => subscription.costPerUse !== null && subscription.costPerUse !== Infinity)
+            .map(subscription => subscription.costPerUse)
+            .sort((a, b) => a - b)
+    };
+
+    let ranked = subscriptions
+        .map(subscription => scoreSubscription(subscription, context))
+        .sort((a, b) => b.score - a.score || (b.annual_cost || 0) - (a.annual_cost || 0));
+
+    const summary = {
+        total: ranked.length,
+        high: ranked.filter(item => item.level === 'high').length,
+        medium: ranked.filter(item => item.level === 'medium').length,
+        low: ranked.filter(item => item.level === 'low').length,
+        revenueAtRisk: ranked
+            .filter(item => item.level === 'high')
+            .reduce((sum, item) => sum + (item.annual_cost || 0), 0)
+    };
+
+    if (filters.level) {
+        ranked = ranked.filter(item => item.level === filters.level);
+    }
+    ranked.forEach((item, index) => {
+        item.rank = index + 1;
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        weights: WEIGHTS,
+        usageThrough: latestMonth,
+        peerYear: peers.year,
+        summary,
+        subscriptions: ranked.slice(0, parseInt(filters.limit, 10) || ranked.length)
+    };
+}
+
+module.exports = { WEIGHTS, LEVELS, scoreSubscription, renewalRiskReport };
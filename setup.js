@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { migrateUp } = require('./migrate');
 
 console.log('Setting up Publishing Intelligence Platform...');
 
@@ -25,75 +26,15 @@ const db = new sqlite3.Database('./publishing_data.db', (err) => {
 });
 
 function initializeTables() {
-    const tables = [
-        `CREATE TABLE IF NOT EXISTS universities (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            code TEXT UNIQUE,
-            name TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS journal_subscriptions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_title TEXT NOT NULL,
-            journal_abbreviation TEXT,
-            current_year INTEGER DEFAULT 0,
-            previous_year INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS journal_usage (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            journal_title TEXT NOT NULL,
-            publisher TEXT,
-            usage_date TEXT,
-            total_requests INTEGER DEFAULT 0,
-            unique_requests INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS books_purchased (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            university_id INTEGER,
-            book_code TEXT,
-            book_title TEXT NOT NULL,
-            year INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS insights (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            type TEXT NOT NULL,
-            title TEXT NOT NULL,
-            description TEXT,
-            priority TEXT DEFAULT 'Medium',
-            university_id INTEGER,
-            data_source TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (university_id) REFERENCES universities (id)
-        )`
-    ];
-
-    let completed = 0;
-    tables.forEach((sql, index) => {
-        db.run(sql, (err) => {
-            if (err) {
-                console.error(`Error creating table ${index + 1}:`, err);
-            } else {
-                console.log(`Table ${index + 1} created successfully`);
-            }
-            
-            completed++;
-            if (completed === tables.length) {
-                insertSampleData();
-            }
+    migrateUp(db)
+        .then(versions => {
+            console.log(versions.length ? `Applied migrations: ${versions.join(', ')}` : 'Database schema up to date');
+            insertSampleData();
+        })
+        .catch(err => {
+            console.error('Error migrating database:', err);
+            process.exit(1);
         });
-    });
 }
 
 function insertSampleData() {
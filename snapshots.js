@@ -0,0 +1,383 @@
+// Point-in-time snapshots of the university data: a copy of a university's
+// (or every university's) subscriptions, yearly terms, browsing, COUNTER usage
+// and publications. Imports and reprocessing take one before they change
+// anything; snapshots can be listed, diffed against each other or the current
+// data, and a university restored from one. Rows carry their journal's title
+// and ISSNs, so a snapshot still applies after journals were merged or the
+// data folder was reloaded with new ids.
+const { run, get, all, prepare, transaction } = require('./db-utils');
+const { loadJournalMatcher } = require('./journal-matching');
+
+const REASONS = ['import', 'reprocess', 'restore', 'manual'];
+
+// Copied tables, each with what identifies one of its rows across snapshots
+const SNAPSHOT_TABLES = {
+    subscriptions: row => `${journalKey(row)}|${row.subscription_type}`,
+    subscription_terms: row => `${journalKey(row)}|${row.year}`,
+    browsing_history: row => `${journalKey(row)}|${row.view_date}`,
+    counter_usage: row => `${row.report_id}|${row.item_key}|${row.month}`,
+    publications: row => `${row.doi || row.title}|${journalKey(row)}`
+};
+
+// The journal of a row, as captured with it
+const JOURNAL_FIELDS = ['journal_title', 'journal_issn', 'journal_eissn', 'journal_publisher', 'journal_subject_area'];
+
+// Not compared in a diff: ids change on reload, created_at on restore
+const IGNORED_FIELDS = ['id', 'university_id', 'journal_id', 'created_at', ...JOURNAL_FIELDS];
+
+// Automatic snapshots kept per university (and for the whole dataset);
+// manual ones are never pruned. Read when pruning, so a .env loaded after this
+// module still counts.
+const snapshotRetention = () => parseInt(process.env.SNAPSHOT_RETENTION, 10) || 30;
+
+const MAX_LIST = 500;
+
+class SnapshotError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SnapshotError';
+        this.status = status;
+    }
+}
+
+function journalKey(row) {
+    return row.journal_issn || row.journal_eissn || (row.journal_title || '').toLowerCase();
+}
+
+// Live rows of the given universities: [{ university_name, table_name, data }]
+async function captureRows(db, universities) {
+    const rows = [];
+    for (const university of universities) {
+        rows.push({ university_name: university.name, table_name: 'universities', data: university });
+        for (const table of Object.keys(SNAPSHOT_TABLES)) {
+            const tableRows = await all(db, `
+                SELECT t.*, j.title as journal_title, j.issn as journal_issn, j.eissn as journal_eissn,
+                       j.publisher as journal_publisher, j.subject_area as journal_subject_area
+                FROM ${table} t
+                LEFT JOIN journals j ON t.journal_id = j.id
+                WHERE t.university_id = ?
+                ORDER BY t.id
+            `, [university.id]);
+            tableRows.forEach(data => rows.push({ university_name: university.name, table_name: table, data }));
+        }
+    }
+    return rows;
+}
+
+function rowCounts(rows) {
+    const counts = Object.fromEntries(Object.keys(SNAPSHOT_TABLES).map(table => [table, 0]));
+    rows.forEach(row => {
+        if (row.table_name in counts) counts[row.table_name]++;
+    });
+    return counts;
+}
+
+// The university columns a snapshot keeps; SUSHI credentials stay out
+const UNIVERSITY_COLUMNS = 'id, code, name, country, type';
+
+// options: name, reason, universityId (null for every university),
+// sourceFile, createdBy. Runs in the caller's transaction if there is one.
+async function createSnapshot(db, options) {
+    const { name, reason, universityId = null, sourceFile = null, createdBy = null } = options;
+    if (!REASONS.includes(reason)) {
+        throw new SnapshotError(`reason must be one of: ${REASONS.join(', ')}`);
+    }
+
+    return transaction(db, async () => {
+        const universities = universityId
+            ? await all(db, `SELECT ${UNIVERSITY_COLUMNS} FROM universities WHERE id = ?`, [universityId])
+            : await all(db, `SELECT ${UNIVERSITY_COLUMNS} FROM universities ORDER BY id`);
+        if (universityId && universities.length === 0) {
+            throw new SnapshotError('University not found', 404);
+        }
+
+        const rows = await captureRows(db, universities);
+        const counts = rowCounts(rows);
+        const universityName = universityId ? universities[0].name : null;
+        const { lastID } = await run(db, `
+            INSERT INTO snapshots (name, reason, university_id, university_name, source_file, created_by, row_counts)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [name, reason, universityId, universityName, sourceFile, createdBy, JSON.stringify(counts)]);
+
+        const insertRow = prepare(db, 'INSERT INTO snapshot_rows (snapshot_id, university_name, table_name, data) VALUES (?, ?, ?, ?)');
+        try {
+            for (const row of rows) {
+                await insertRow.run([lastID, row.university_name, row.table_name, JSON.stringify(row.data)]);
+            }
+        } finally {
+            await insertRow.finalize();
+        }
+
+        await pruneSnapshots(db, universityName);
+        return { id: lastID, name, reason, university: universityName, rowCounts: counts };
+    });
+}
+
+// Drops the automatic snapshots of a university beyond the newest
+// SNAPSHOT_RETENTION
+async function pruneSnapshots(db, universityName) {
+    const stale = await all(db, `
+        SELECT id FROM snapshots
+        WHERE university_name IS ? AND reason != 'manual'
+        ORDER BY id DESC
+        LIMIT -1 OFFSET ?
+    `, [universityName, snapshotRetention()]);
+    for (const { id } of stale) {
+        await run(db, 'DELETE FROM snapshot_rows WHERE snapshot_id = ?', [id]);
+        await run(db, 'DELETE FROM snapshots WHERE id = ?', [id]);
+    }
+}
+
+function snapshotSummary(row) {
+    return { ...row, row_counts: row.row_counts ? JSON.parse(row.row_counts) : null };
+}
+
+// filters: university (snapshots of it, including whole-dataset ones),
+// reason, limit, offset. Newest first; returns { total, snapshots }.
+async function listSnapshots(db, filters = {}) {
+    let whereClause = 'WHERE 1 = 1';
+    const params = [];
+
+    if (filters.university) {
+        whereClause += ' AND (university_name = ? OR university_name IS NULL)';
+        params.push(filters.university);
+    }
+    if (filters.reason) {
+        whereClause += ' AND reason = ?';
+        params.push(filters.reason);
+    }
+
+    const { total } = await get(db, `SELECT COUNT(*) as total FROM snapshots ${whereClause}`, params);
+    const rows = await all(db, `SELECT * FROM snapshots ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, Math.min(parseInt(filters.limit, 10) || 50, MAX_LIST), parseInt(filters.offset, 10) || 0]);
+    return { total, snapshots: rows.map(snapshotSummary) };
+}
+
+async function findSnapshot(db, snapshotId) {
+    const snapshot = await get(db, 'SELECT * FROM snapshots WHERE id = ?', [snapshotId]);
+    if (!snapshot) {
+        throw new SnapshotError(`Snapshot ${snapshotId} not found`, 404);
+    }
+    return snapshot;
+}
+
+// A snapshot with its row counts per university
+async function getSnapshot(db, snapshotId) {
+    const snapshot = snapshotSummary(await findSnapshot(db, snapshotId));
+    const counts = await all(db, `
+        SELECT university_name, table_name, COUNT(*) as count
+        FROM snapshot_rows
+        WHERE snapshot_id = ? AND table_name != 'universities'
+        GROUP BY university_name, table_name
+    `, [snapshot.id]);
+    const names = await all(db, "SELECT university_name FROM snapshot_rows WHERE snapshot_id = ? AND table_name = 'universities'", [snapshot.id]);
+
+    snapshot.universities = names.map(({ university_name }) => ({
+        name: university_name,
+        rows: Object.fromEntries(Object.keys(SNAPSHOT_TABLES).map(table => [
+            table,
+            (counts.find(count => count.university_name === university_name && count.table_name === table) || { count: 0 }).count
+        ]))
+    }));
+    return snapshot;
+}
+
+// Rows of a snapshot, or of the current data for source 'current', keyed by
+// university, table and row identity
+async function keyedRows(db, source, universityName) {
+    let rows;
+    if (source === 'current') {
+        const universities = universityName
+            ? await all(db, `SELECT ${UNIVERSITY_COLUMNS} FROM universities WHERE name = ?`, [universityName])
+            : await all(db, `SELECT ${UNIVERSITY_COLUMNS} FROM universities ORDER BY id`);
+        rows = await captureRows(db, universities);
+    } else {
+        const saved = await all(db, `
+            SELECT university_name, table_name, data FROM snapshot_rows
+            WHERE snapshot_id = ? AND (? IS NULL OR university_name = ?)
+            ORDER BY id
+        `, [source, universityName, universityName]);
+        rows = saved.map(row => ({ ...row, data: JSON.parse(row.data) }));
+    }
+
+    const keyed = new Map();
+    rows.filter(row => row.table_name in SNAPSHOT_TABLES).forEach(row => {
+        const base = `${row.university_name}|${row.table_name}|${SNAPSHOT_TABLES[row.table_name](row.data)}`;
+        let key = base;
+        for (let copy = 2; keyed.has(key); copy++) key = `${base}#${copy}`;
+        keyed.set(key, row);
+    });
+    return keyed;
+}
+
+function comparable(data) {
+    return Object.fromEntries(Object.entries(data).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+}
+
+function sameValues(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+    return Object.keys({ ...left, ...right }).every(field => (left[field] ?? null) === (right[field] ?? null));
+}
+
+// What changed from snapshot `from` to snapshot `to` ('current' for the data
+// as it is now), for one university (by default the one a snapshot is of):
+// per table the number of rows added, removed, changed and unchanged, with up
+// to `limit` examples of each
+async function diffSnapshots(db, from, to = 'current', options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 20, MAX_LIST);
+    const snapshots = {
+        from: snapshotSummary(await findSnapshot(db, from)),
+        to: to === 'current' ? 'current' : snapshotSummary(await findSnapshot(db, to))
+    };
+    const university = options.university || snapshots.from.university_name || snapshots.to.university_name || null;
+
+    const before = await keyedRows(db, snapshots.from.id, university);
+    const after = await keyedRows(db, to === 'current' ? 'current' : snapshots.to.id, university);
+
+    const tables = Object.fromEntries(Object.keys(SNAPSHOT_TABLES).map(table => [table, {
+        added: 0, removed: 0, changed: 0, unchanged: 0, examples: { added: [], removed: [], changed: [] }
+    }]));
+    const example = (table, kind, value) => {
+        if (tables[table].examples[kind].length < limit) tables[table].examples[kind].push(value);
+    };
+    const describe = row => ({ university: row.university_name, ...comparable(row.data), journal: row.data.journal_title || null });
+
+    for (const [key, row] of before) {
+        const table = tables[row.table_name];
+        const match = after.get(key);
+        if (!match) {
+            table.removed++;
+            example(row.table_name, 'removed', describe(row));
+        } else if (sameValues(row.data, match.data)) {
+            table.unchanged++;
+        } else {
+            table.changed++;
+            example(row.table_name, 'changed', { before: describe(row), after: describe(match) });
+        }
+    }
+    for (const [key, row] of after) {
+        if (!before.has(key)) {
+            tables[row.table_name].added++;
+            example(row.table_name, 'added', describe(row));
+        }
+    }
+
+    return { from: snapshots.from, to: snapshots.to, university, tables };
+}
+
+// The snapshot and university a restore would use, or a SnapshotError
+async function checkRestore(db, snapshotId, university = null) {
+    const snapshot = await findSnapshot(db, snapshotId);
+    const universityName = university || snapshot.university_name;
+    if (!universityName) {
+        throw new SnapshotError('This snapshot covers every university; say which one to restore');
+    }
+
+    const saved = await get(db, `
+        SELECT data FROM snapshot_rows WHERE snapshot_id = ? AND university_name = ? AND table_name = 'universities'
+    `, [snapshot.id, universityName]);
+    if (!saved) {
+        throw new SnapshotError(`${universityName} is not in snapshot ${snapshot.id}`, 404);
+    }
+    return { snapshot, universityName, universityRow: JSON.parse(saved.data) };
+}
+
+// Replaces a university's rows with the ones in a snapshot, in one
+// transaction. The current rows are snapshotted first, so a restore can be
+// undone the same way. A university deleted since (e.g. by reprocessing) is
+// created again; journals are found by id, then by title and ISSN (following
+// merges), and added if they no longer exist.
+async function restoreSnapshot(db, snapshotId, options = {}) {
+    const { snapshot, universityName, universityRow } = await checkRestore(db, snapshotId, options.university);
+
+    return transaction(db, async () => {
+        const existing = await get(db, 'SELECT id FROM universities WHERE name = ?', [universityName]);
+        const before = existing
+            ? await createSnapshot(db, {
+                name: `Before restoring snapshot ${snapshot.id}`,
+                reason: 'restore',
+                universityId: existing.id,
+                createdBy: options.createdBy
+            })
+            : null;
+        const universityId = existing
+            ? existing.id
+            : (await run(db, 'INSERT INTO universities (name, country, type) VALUES (?, ?, ?)',
+                [universityName, universityRow.country, universityRow.type])).lastID;
+
+        const removed = {};
+        for (const table of Object.keys(SNAPSHOT_TABLES)) {
+            removed[table] = (await run(db, `DELETE FROM ${table} WHERE university_id = ?`, [universityId])).changes;
+        }
+
+        const journals = await loadJournalMatcher(db);
+        const journalIds = new Set((await all(db, 'SELECT id FROM journals')).map(journal => journal.id));
+        const resolved = new Map();
+        const journalFor = async data => {
+            if (data.journal_id === null || data.journal_id === undefined) return null;
+            if (resolved.has(data.journal_id)) return resolved.get(data.journal_id);
+
+            let journalId = journalIds.has(data.journal_id) ? data.journal_id : null;
+            if (!journalId && data.journal_title) {
+                const identifiers = { title: data.journal_title, issn: data.journal_issn, eissn: data.journal_eissn };
+                const match = journals.find(identifiers);
+                journalId = match
+                    ? match.id
+                    : (await run(db, 'INSERT INTO journals (title, issn, eissn, publisher, subject_area) VALUES (?, ?, ?, ?, ?)', [
+                        data.journal_title, data.journal_issn, data.journal_eissn, data.journal_publisher, data.journal_subject_area
+                    ])).lastID;
+                if (!match) journals.add({ id: journalId, ...identifiers });
+            }
+            resolved.set(data.journal_id, journalId);
+            return journalId;
+        };
+
+        const saved = await all(db, `
+            SELECT table_name, data FROM snapshot_rows
+            WHERE snapshot_id = ? AND university_name = ? AND table_name != 'universities'
+            ORDER BY id
+        `, [snapshot.id, universityName]);
+
+        const columns = {};
+        for (const table of Object.keys(SNAPSHOT_TABLES)) {
+            columns[table] = (await all(db, `PRAGMA table_info(${table})`))
+                .map(column => column.name)
+                .filter(column => !['id', 'university_id', 'journal_id'].includes(column));
+        }
+
+        // OR IGNORE: two journals merged since the snapshot can leave two rows
+        // for one yearly term or usage month; the first is kept
+        const restored = Object.fromEntries(Object.keys(SNAPSHOT_TABLES).map(table => [table, 0]));
+        for (const row of saved) {
+            const data = JSON.parse(row.data);
+            const tableColumns = columns[row.table_name].filter(column => column in data);
+            const result = await run(db, `
+                INSERT OR IGNORE INTO ${row.table_name} (university_id, journal_id, ${tableColumns.join(', ')})
+                VALUES (?, ?, ${tableColumns.map(() => '?').join(', ')})
+            `, [universityId, await journalFor(data), ...tableColumns.map(column => data[column])]);
+            restored[row.table_name] += result.changes;
+        }
+
+        return {
+            snapshotId: snapshot.id,
+            university: universityName,
+            universityId,
+            restored,
+            removed,
+            before: before ? before.id : null
+        };
+    });
+}
+
+module.exports = {
+    REASONS,
+    SNAPSHOT_TABLES,
+    SnapshotError,
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    diffSnapshots,
+    checkRestore,
+    restoreSnapshot
+};
@@ -0,0 +1,674 @@
+// Research and sales analyses as structured results with a stable schema
+// (SCHEMA_VERSION), and the prose reports the chat assistants show, rendered
+// from those results. Bump SCHEMA_VERSION when a field is renamed or removed.
+const { researchEngagement, salesPipeline, leadInterest } = require('./analytics-tools');
+const { costPerUseReport } = require('./cost-per-use');
+
+const SCHEMA_VERSION = 1;
+
+const round = (value, digits = 2) => (value === null || value === undefined || !isFinite(value) ? null : Number(value.toFixed(digits)));
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+const percent = (part, whole) => round(whole > 0 ? part / whole * 100 : null, 1);
+const fixed = (value, digits = 1) => (value === null ? 'N/A' : value.toFixed(digits));
+const money = value => (value === null ? 'N/A' : value.toLocaleString());
+
+// Statistical calculation helpers
+function calculateStatistics(data, field) {
+    const values = data.map(item => parseFloat(item[field]) || 0).filter(val => !isNaN(val));
+    if (values.length === 0) return null;
+
+    values.sort((a, b) => a - b);
+
+    const sum = values.reduce((acc, val) => acc + val, 0);
+    const mean = sum / values.length;
+    const median = values.length % 2 === 0
+        ? (values[values.length/2 - 1] + values[values.length/2]) / 2
+        : values[Math.floor(values.length/2)];
+
+    const variance = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length;
+    const stdDev = Math.sqrt(variance);
+
+    return {
+        count: values.length,
+        sum,
+        mean,
+        median,
+        min: values[0],
+        max: values[values.length - 1],
+        stdDev,
+        q1: values[Math.floor(values.length * 0.25)],
+        q3: values[Math.floor(values.length * 0.75)]
+    };
+}
+
+function calculateCorrelation(data, field1, field2) {
+    if (!data || data.length < 2) return null;
+
+    const pairs = data.map(item => ({
+        x: parseFloat(item[field1]) || 0,
+        y: parseFloat(item[field2]) || 0
+    })).filter(pair => pair.x > 0 && pair.y > 0);
+
+    if (pairs.length < 2) return null;
+
+    const n = pairs.length;
+    const sumX = pairs.reduce((acc, pair) => acc + pair.x, 0);
+    const sumY = pairs.reduce((acc, pair) => acc + pair.y, 0);
+    const sumXY = pairs.reduce((acc, pair) => acc + pair.x * pair.y, 0);
+    const sumX2 = pairs.reduce((acc, pair) => acc + pair.x * pair.x, 0);
+    const sumY2 = pairs.reduce((acc, pair) => acc + pair.y * pair.y, 0);
+
+    const correlation = (n * sumXY - sumX * sumY) /
+        Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
+
+    return isNaN(correlation) ? null : correlation;
+}
+
+// calculateStatistics with every figure rounded, for the structured results
+function roundedStatistics(data, field) {
+    const stats = calculateStatistics(data, field);
+    return stats ? Object.fromEntries(Object.entries(stats).map(([key, value]) => [key, round(value)])) : null;
+}
+
+function header(type, university) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        type,
+        generatedAt: new Date().toISOString(),
+        university: university || 'all',
+        dataAvailable: true
+    };
+}
+
+// Research: COUNTER usage, browsing engagement, subject areas, utilization and
+// underused subscriptions. data: researchEngagement rows; costs: a
+// costPerUseReport, when available.
+function researchAnalysis(data, costs = null, university = 'all') {
+    if (data.length === 0) {
+        return { ...header('research', university), dataAvailable: false };
+    }
+
+    // Subject area analysis
+    const subjectStats = {};
+    data.forEach(row => {
+        const subject = row.subject_area || 'Other';
+        if (!subjectStats[subject]) {
+            subjectStats[subject] = {
+                journals: 0,
+                totalBrowsing: 0,
+                uniqueItemRequests: 0,
+                subscribed: 0,
+                totalCost: 0,
+                countries: new Set(),
+                publishers: new Set()
+            };
+        }
+        subjectStats[subject].journals++;
+        subjectStats[subject].totalBrowsing += row.browsing_sessions || 0;
+        subjectStats[subject].uniqueItemRequests += row.unique_item_requests || 0;
+        subjectStats[subject].subscribed += row.is_subscribed;
+        subjectStats[subject].totalCost += row.annual_cost || 0;
+        if (row.country) subjectStats[subject].countries.add(row.country);
+        if (row.publisher) subjectStats[subject].publishers.add(row.publisher);
+    });
+
+    const subjects = Object.entries(subjectStats)
+        .map(([subject, stats]) => ({
+            subject,
+            journals: stats.journals,
+            subscribed: stats.subscribed,
+            subscriptionRate: percent(stats.subscribed, stats.journals),
+            totalBrowsing: stats.totalBrowsing,
+            avgBrowsingPerJournal: round(stats.totalBrowsing / stats.journals, 1),
+            uniqueItemRequests: stats.uniqueItemRequests,
+            annualCost: round(stats.totalCost),
+            publishers: stats.publishers.size,
+            countries: stats.countries.size
+        }))
+        .sort((a, b) => b.uniqueItemRequests - a.uniqueItemRequests || b.totalBrowsing - a.totalBrowsing);
+
+    // COUNTER usage, when any has been imported; otherwise usage below means
+    // browsing sessions
+    const used = data.filter(d => d.unique_item_requests > 0);
+    const usageField = used.length > 0 ? 'unique_item_requests' : 'browsing_sessions';
+    const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const usage = used.length > 0 ? {
+        months: 12,
+        totalItemRequests: sum(data, 'total_item_requests'),
+        uniqueItemRequests: sum(data, 'unique_item_requests'),
+        uniqueTitleInvestigations: sum(data, 'investigations'),
+        journalsWithUsage: used.length,
+        perJournal: roundedStatistics(used, 'unique_item_requests'),
+        subscribedShare: percent(sum(used.filter(d => d.is_subscribed), 'unique_item_requests'), sum(used, 'unique_item_requests'))
+    } : null;
+
+    // Research engagement metrics (journals with browsing)
+    const browsed = data.filter(d => d.browsing_sessions > 0);
+    const engagementStats = calculateStatistics(browsed, 'browsing_sessions');
+    const sessionDurationStats = calculateStatistics(browsed, 'avg_session_duration');
+
+    // Research productivity correlation
+    const usageCostCorrelation = calculateCorrelation(
+        data.filter(d => d.is_subscribed),
+        usageField,
+        'annual_cost'
+    );
+
+    // Subscription efficiency analysis
+    const subscribedJournals = data.filter(d => d.is_subscribed);
+    const nonSubscribedJournals = data.filter(d => !d.is_subscribed);
+    const sessions = rows => rows.reduce((sum, j) => sum + (j.browsing_sessions || 0), 0);
+
+    // 15 sessions per subscribed journal counts as full utilization
+    const utilizationRate = ratio(sessions(subscribedJournals), subscribedJournals.length * 15);
+    const utilization = subscribedJournals.length > 0 && browsed.length > 0 ? {
+        avgBrowsingSubscribed: round(sessions(subscribedJournals) / subscribedJournals.length),
+        avgBrowsingNonSubscribed: round(ratio(sessions(nonSubscribedJournals), nonSubscribedJournals.length)),
+        utilizationRate: round(utilizationRate, 4),
+        rating: utilizationRate > 0.7 ? 'excellent' : utilizationRate > 0.5 ? 'moderate' : 'low'
+    } : null;
+
+    // Research impact analysis
+    const topJournals = [...data]
+        .sort((a, b) => (b.unique_item_requests || 0) - (a.unique_item_requests || 0) ||
+            (b.browsing_sessions || 0) - (a.browsing_sessions || 0))
+        .slice(0, 5)
+        .map(journal => ({
+            title: journal.title,
+            uniqueItemRequests: journal.unique_item_requests || 0,
+            browsingSessions: journal.browsing_sessions || 0,
+            subscribed: !!journal.is_subscribed,
+            annualCost: journal.is_subscribed ? journal.annual_cost || 0 : null,
+            trialRequests: journal.trial_requests || 0
+        }));
+
+    // Underused subscriptions: by cost per use when there is a report, else
+    // journals used less than half as much as the average
+    let underutilized = null;
+    const flaggedCosts = costs ? costs.subscriptions.filter(s => s.flag) : [];
+    const usageStats = calculateStatistics(data.filter(d => d[usageField] > 0), usageField);
+    const belowAverage = subscribedJournals.filter(j => (j[usageField] || 0) < (usageStats?.mean || 0) / 2);
+    if (flaggedCosts.length > 0) {
+        underutilized = {
+            basis: 'cost_per_use',
+            threshold: costs.threshold,
+            count: flaggedCosts.length,
+            noUsage: costs.summary.no_usage,
+            annualCost: round(flaggedCosts.reduce((sum, s) => sum + s.annual_cost, 0)),
+            // An anonymized report has only the band (or nothing, when withheld)
+            medianCostPerUse: costs.benchmarks.subscriptions.p50 ?? null,
+            medianCostPerUseBand: costs.benchmarks.subscriptions.median ?? null,
+            subscriptions: flaggedCosts.slice(0, 5).map(s => ({
+                journalTitle: s.journal_title,
+                universityName: s.university_name,
+                costPerUse: s.cost_per_use,
+                percentile: s.percentile
+            }))
+        };
+    } else if (belowAverage.length > 0) {
+        underutilized = {
+            basis: 'below_average_usage',
+            threshold: null,
+            count: belowAverage.length,
+            noUsage: null,
+            annualCost: round(belowAverage.reduce((sum, j) => sum + (j.annual_cost || 0), 0)),
+            medianCostPerUse: null,
+            subscriptions: []
+        };
+    }
+
+    return {
+        ...header('research', university),
+        portfolio: {
+            journals: data.length,
+            subscribed: subscribedJournals.length,
+            subscribedPercent: percent(subscribedJournals.length, data.length),
+            subjectAreas: subjects.length,
+            countries: new Set(data.map(d => d.country).filter(c => c)).size
+        },
+        usage,
+        engagement: engagementStats ? roundedStatistics(browsed, 'browsing_sessions') : null,
+        sessionDurationMinutes: sessionDurationStats ? {
+            mean: round(sessionDurationStats.mean / 60),
+            median: round(sessionDurationStats.median / 60),
+            max: round(sessionDurationStats.max / 60)
+        } : null,
+        subscriptionCost: roundedStatistics(subscribedJournals, 'annual_cost'),
+        subjects,
+        costUsageCorrelation: usageCostCorrelation === null ? null : {
+            basis: usageField,
+            value: round(usageCostCorrelation, 4),
+            interpretation: usageCostCorrelation > 0.3 ? 'positive' : usageCostCorrelation < -0.3 ? 'negative' : 'weak'
+        },
+        utilization,
+        topJournals,
+        underutilized,
+        summary: {
+            activityStdDev: engagementStats ? round(engagementStats.stdDev) : null,
+            portfolioEfficiencyScore: utilization ? Math.round(utilizationRate * 100) : null,
+            subjectDiversificationIndex: round(subjects.length / data.length * 10)
+        }
+    };
+}
+
+// Sales: revenue, pipeline, funnel, territories and the best opportunities.
+// data: salesPipeline rows. Interest is browsing sessions plus COUNTER
+// investigations (leadInterest).
+function salesAnalysis(rows, university = 'all') {
+    if (rows.length === 0) {
+        return { ...header('sales', university), dataAvailable: false };
+    }
+    const data = rows.map(row => ({ ...row, interest: leadInterest(row) }));
+
+    // Revenue analysis
+    const subscribedJournals = data.filter(d => d.is_subscribed);
+    const unsubscribedJournals = data.filter(d => !d.is_subscribed);
+
+    const revenueStats = calculateStatistics(subscribedJournals, 'annual_cost');
+    const interestStats = calculateStatistics(data, 'interest');
+    const totalAnnualRevenue = subscribedJournals.reduce((sum, j) => sum + (j.annual_cost || 0), 0);
+
+    // Conversion analysis
+    const totalLeads = unsubscribedJournals.length;
+    const qualifiedLeads = unsubscribedJournals.filter(j => j.interest > 5).length;
+    const hotLeads = unsubscribedJournals.filter(j => (j.trial_requests || 0) > 0).length;
+    const conversionMetrics = {
+        totalLeads,
+        qualifiedLeads,
+        hotLeads,
+        currentCustomers: subscribedJournals.length,
+        conversionRate: percent(subscribedJournals.length, data.length),
+        qualifiedLeadRate: percent(qualifiedLeads, totalLeads),
+        hotLeadRate: percent(hotLeads, totalLeads)
+    };
+
+    // Revenue opportunity analysis: qualified leads convert at 30%, hot leads at 60%
+    const avgSubscriptionValue = revenueStats ? revenueStats.mean : 25000;
+    const totalOpportunity = (qualifiedLeads * 0.3 + hotLeads * 0.6) * avgSubscriptionValue;
+    const potentialRevenue = {
+        avgSubscriptionValue: round(avgSubscriptionValue),
+        qualifiedLeads: round(qualifiedLeads * avgSubscriptionValue * 0.3),
+        hotLeads: round(hotLeads * avgSubscriptionValue * 0.6),
+        totalOpportunity: round(totalOpportunity),
+        pipelineToRevenueRatio: round(ratio(totalOpportunity, totalAnnualRevenue), 1)
+    };
+
+    // Territory analysis
+    const territories = {};
+    data.forEach(row => {
+        const territory = row.country || 'Unknown';
+        if (!territories[territory]) {
+            territories[territory] = {
+                leads: 0,
+                customers: 0,
+                revenue: 0,
+                engagement: 0,
+                universities: new Set()
+            };
+        }
+        territories[territory].leads++;
+        if (row.is_subscribed) {
+            territories[territory].customers++;
+            territories[territory].revenue += row.annual_cost || 0;
+        }
+        territories[territory].engagement += row.interest;
+        if (row.university) territories[territory].universities.add(row.university);
+    });
+
+    const territoryStats = Object.entries(territories)
+        .map(([territory, stats]) => ({
+            territory,
+            leads: stats.leads,
+            customers: stats.customers,
+            revenue: round(stats.revenue),
+            conversionRate: percent(stats.customers, stats.leads) || 0,
+            avgEngagement: round(stats.engagement / stats.leads, 1),
+            universities: stats.universities.size,
+            avgRevenuePerCustomer: round(stats.customers > 0 ? stats.revenue / stats.customers : 0)
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
+
+    // Sales funnel analysis
+    const funnel = {
+        awareness: data.length,
+        interest: data.filter(d => d.interest > 2).length,
+        consideration: data.filter(d => d.interest > 5).length,
+        intent: data.filter(d => (d.trial_requests || 0) > 0).length,
+        purchase: subscribedJournals.length
+    };
+
+    // Top opportunities analysis
+    const topOpportunities = unsubscribedJournals
+        .map(j => ({
+            title: j.title,
+            university: j.university || null,
+            browsingSessions: j.browsing_sessions || 0,
+            investigations: j.investigations || 0,
+            trialRequests: j.trial_requests || 0,
+            opportunityScore: round(j.interest * 2 + (j.trial_requests || 0) * 5 + (j.total_pages || 0) * 0.1, 1),
+            estimatedValue: round(avgSubscriptionValue),
+            winProbability: j.trial_requests > 0 ? 0.6 : j.interest > 10 ? 0.4 : 0.2
+        }))
+        .sort((a, b) => b.opportunityScore - a.opportunityScore)
+        .slice(0, 10);
+
+    return {
+        ...header('sales', university),
+        revenue: {
+            annualRevenue: round(totalAnnualRevenue),
+            activeCustomers: subscribedJournals.length,
+            avgCustomerValue: subscribedJournals.length > 0 ? round(totalAnnualRevenue / subscribedJournals.length) : null,
+            avgCustomerEngagement: subscribedJournals.length > 0
+                ? round(subscribedJournals.reduce((sum, j) => sum + j.interest, 0) / subscribedJournals.length)
+                : null,
+            distribution: roundedStatistics(subscribedJournals, 'annual_cost')
+        },
+        conversionMetrics,
+        funnel,
+        funnelEfficiency: {
+            interestToConsideration: percent(funnel.consideration, funnel.interest),
+            considerationToIntent: percent(funnel.intent, funnel.consideration),
+            intentToPurchase: percent(funnel.purchase, funnel.intent)
+        },
+        potentialRevenue,
+        territoryStats,
+        topOpportunities,
+        kpis: {
+            pipelineHealth: funnel.consideration > funnel.intent * 3 ? 'healthy' : 'attention_needed',
+            conversionEfficiency: conversionMetrics.conversionRate > 15 ? 'above_average' : 'below_average',
+            revenueConcentration: revenueStats ? (revenueStats.stdDev / revenueStats.mean > 0.5 ? 'high_variance' : 'well_distributed') : null
+        },
+        insights: {
+            avgDealVelocityDays: interestStats ? Math.round(interestStats.mean * 7) : null,
+            leadQualityScore: totalLeads > 0 ? Math.round(qualifiedLeads / totalLeads * 100) : null,
+            marketPenetration: percent(subscribedJournals.length, data.length)
+        },
+        recommendations: {
+            hotLeads,
+            qualifiedLeads,
+            focusTerritory: territoryStats[0]?.territory || null,
+            targetSessions: interestStats ? Math.round(interestStats.mean) : null
+        }
+    };
+}
+
+// scope: the university ids the asking user may see (null for all)
+async function buildResearchAnalysis(db, { university = 'all', scope = null } = {}) {
+    const rows = await researchEngagement(db, { university, scope });
+    const costs = rows.length > 0 ? await costPerUseReport(db, { university, scope }).catch(() => null) : null;
+    return researchAnalysis(rows, costs, university);
+}
+
+async function buildSalesAnalysis(db, { university = 'all', scope = null } = {}) {
+    return salesAnalysis(await salesPipeline(db, { university, scope }), university);
+}
+
+function renderResearchFallback(result) {
+    return `RESEARCH ANALYTICS REPORT
+
+Status: Limited data available for statistical analysis
+Filter Applied: ${result.university}
+
+Recommendations:
+1. Import COUNTER usage reports (TR_J1, or TR_J3 for investigations) for each university
+2. Verify journal metadata includes subject areas and publisher information
+3. Check subscription status indicators are in proper 1/0 format
+4. Confirm university affiliations are properly mapped
+
+Available Analysis: Basic subscription counts and university-level summaries`;
+}
+
+function renderSalesFallback(result) {
+    return `SALES PERFORMANCE ANALYTICS
+
+Status: Insufficient data for comprehensive sales analysis
+Filter Applied: ${result.university}
+
+Required Data Elements:
+1. COUNTER usage reports with investigations (TR_J3), or browsing session counts
+2. Trial request indicators and conversion data
+3. Subscription costs, start dates, and renewal information
+4. University/customer demographic and geographic data
+
+Basic Metrics Available: Total subscriptions, revenue summaries, university counts
+
+Recommendation: Enhance data collection for detailed sales analytics and forecasting.`;
+}
+
+const CORRELATION_TEXT = {
+    positive: 'Positive correlation - higher cost journals show higher usage',
+    negative: 'Negative correlation - review high-cost, low-usage journals',
+    weak: 'Weak correlation - usage not strongly tied to cost'
+};
+
+function medianText({ medianCostPerUse, medianCostPerUseBand: band }) {
+    if (medianCostPerUse !== null) return `$${medianCostPerUse}`;
+    if (band) return band.to === null ? `over $${band.from}` : `$${band.from}-${band.to}`;
+    return 'N/A';
+}
+
+const UTILIZATION_TEXT = {
+    excellent: 'Excellent utilization',
+    moderate: 'Moderate utilization - room for improvement',
+    low: 'Low utilization - review subscription value'
+};
+
+// The report one section at a time (sections are joined by blank lines), so
+// the streaming chat can send each as it is written
+function* researchReportSections(result) {
+    if (!result.dataAvailable) {
+        yield renderResearchFallback(result);
+        return;
+    }
+
+    const { portfolio, usage, engagement, sessionDurationMinutes, costUsageCorrelation, utilization, underutilized, summary } = result;
+    yield 'RESEARCH ANALYTICS REPORT';
+
+    yield `Portfolio Overview:
+Total Journals Analyzed: ${portfolio.journals}
+Subscribed Journals: ${portfolio.subscribed} (${fixed(portfolio.subscribedPercent)}%)
+Subject Areas Covered: ${portfolio.subjectAreas}
+Countries Represented: ${portfolio.countries}`;
+
+    if (usage) {
+        yield `COUNTER Usage (Last ${usage.months} Months):
+Total Item Requests: ${usage.totalItemRequests.toLocaleString()}
+Unique Item Requests: ${usage.uniqueItemRequests.toLocaleString()}
+Unique Title Investigations: ${usage.uniqueTitleInvestigations.toLocaleString()}
+Journals with Use: ${usage.journalsWithUsage}
+- Mean Unique Requests per Journal: ${usage.perJournal.mean.toFixed(1)}
+- Median Unique Requests: ${usage.perJournal.median.toFixed(1)}
+- Most Used Journal: ${usage.perJournal.max} unique requests
+- Subscribed Journals' Share: ${fixed(usage.subscribedShare)}%`;
+    }
+
+    let section = 'Research Engagement Metrics:';
+    if (engagement) {
+        section += `
+Browsing Activity Analysis:
+- Mean Sessions per Journal: ${engagement.mean.toFixed(1)}
+- Median Sessions: ${engagement.median.toFixed(1)}
+- Standard Deviation: ${engagement.stdDev.toFixed(1)}
+- Most Active Journal: ${engagement.max} sessions
+- Range (Q1-Q3): ${engagement.q1} - ${engagement.q3} sessions`;
+    }
+    yield section;
+
+    if (sessionDurationMinutes) {
+        yield `Research Depth Analysis:
+- Average Session Duration: ${sessionDurationMinutes.mean.toFixed(1)} minutes
+- Median Duration: ${sessionDurationMinutes.median.toFixed(1)} minutes
+- Longest Session: ${sessionDurationMinutes.max.toFixed(1)} minutes`;
+    }
+
+    section = 'Subject Area Performance Analysis:';
+    result.subjects.slice(0, 5).forEach((stats, index) => {
+        section += `
+${index + 1}. ${stats.subject}
+   Journals: ${stats.journals} | Subscribed: ${stats.subscribed} (${fixed(stats.subscriptionRate)}%)${usage ? `
+   Unique Item Requests: ${stats.uniqueItemRequests}` : ''}
+   Total Research Activity: ${stats.totalBrowsing} sessions
+   Average Activity per Journal: ${fixed(stats.avgBrowsingPerJournal)}
+   Annual Investment: $${stats.annualCost.toLocaleString()}
+   Publishers: ${stats.publishers} | Countries: ${stats.countries}`;
+    });
+    yield section;
+
+    if (costUsageCorrelation) {
+        yield `Research Investment Efficiency:
+Correlation Analysis: ${costUsageCorrelation.basis === 'unique_item_requests' ? 'COUNTER usage' : 'Browsing'} vs Cost correlation: ${costUsageCorrelation.value.toFixed(3)}
+${CORRELATION_TEXT[costUsageCorrelation.interpretation]}`;
+    }
+
+    if (utilization) {
+        yield `Subscription Utilization Analysis:
+Subscribed Journals: ${fixed(utilization.avgBrowsingSubscribed)} avg sessions
+Non-Subscribed Journals: ${fixed(utilization.avgBrowsingNonSubscribed)} avg sessions
+Utilization Rate: ${(utilization.utilizationRate * 100).toFixed(1)}%
+${UTILIZATION_TEXT[utilization.rating]}`;
+    }
+
+    section = 'Top Performing Journals (by Research Activity):';
+    result.topJournals.forEach((journal, index) => {
+        section += `
+${index + 1}. ${journal.title}
+   ${usage ? `Unique Requests: ${journal.uniqueItemRequests} | ` : ''}Sessions: ${journal.browsingSessions} | Status: ${journal.subscribed ? 'Subscribed' : 'Not Subscribed'}
+   ${journal.subscribed ? `Cost: $${journal.annualCost.toLocaleString()}` : 'Trial Requests: ' + journal.trialRequests}`;
+    });
+    yield section;
+
+    if (underutilized && underutilized.basis === 'cost_per_use') {
+        yield `Underutilized Subscriptions (Cost per Use above $${underutilized.threshold} or No Use):
+Count: ${underutilized.count} subscriptions (${underutilized.noUsage} with no recorded use)
+Annual Cost: $${underutilized.annualCost.toLocaleString()}
+Median Cost per Use (all universities): ${medianText(underutilized)}
+Highest Cost per Use:
+${underutilized.subscriptions.map((s, i) => `${i + 1}. ${s.journalTitle} (${s.universityName}) - ${s.costPerUse === null ? 'no use' : `$${s.costPerUse} per use`}${s.percentile === null ? '' : `, percentile ${s.percentile}`}`).join('\n')}
+Recommendations: Review usage patterns and consider cancellation or renegotiation`;
+    } else if (underutilized) {
+        yield `Underutilized Subscriptions (Below Average Usage):
+Count: ${underutilized.count} journals
+Potential Savings: $${underutilized.annualCost.toLocaleString()}
+Recommendations: Review usage patterns and consider cancellation or renegotiation`;
+    }
+
+    yield `Statistical Summary:
+- Research Activity Distribution: ${summary.activityStdDev !== null ?
+  `Normal (σ=${summary.activityStdDev.toFixed(1)})` : 'Insufficient data'}
+- Portfolio Efficiency Score: ${summary.portfolioEfficiencyScore !== null ?
+  summary.portfolioEfficiencyScore + '/100' : 'N/A'}
+- Subject Diversification Index: ${summary.subjectDiversificationIndex.toFixed(2)}`;
+}
+
+function renderResearchReport(result) {
+    return [...researchReportSections(result)].join('\n\n');
+}
+
+function* salesReportSections(result) {
+    if (!result.dataAvailable) {
+        yield renderSalesFallback(result);
+        return;
+    }
+
+    const { revenue, conversionMetrics, funnel, funnelEfficiency, potentialRevenue, kpis, insights, recommendations } = result;
+    const distribution = revenue.distribution;
+    const ofAwareness = stage => fixed(percent(stage, funnel.awareness));
+
+    yield 'SALES PERFORMANCE ANALYTICS';
+
+    let section = `Revenue Overview:
+Current Annual Revenue: $${revenue.annualRevenue.toLocaleString()}
+Active Customers: ${revenue.activeCustomers}
+Average Customer Value: $${revenue.avgCustomerValue !== null ? revenue.avgCustomerValue.toLocaleString() : '0'}`;
+
+    if (distribution) {
+        section += `
+Revenue Distribution:
+- Median Deal Size: $${distribution.median.toLocaleString()}
+- Average Deal Size: $${distribution.mean.toLocaleString()}
+- Largest Deal: $${distribution.max.toLocaleString()}
+- Revenue Range (Q1-Q3): $${distribution.q1.toLocaleString()} - $${distribution.q3.toLocaleString()}
+- Revenue Standard Deviation: $${distribution.stdDev.toLocaleString()}`;
+    }
+    yield section;
+
+    yield `Sales Pipeline Analysis:
+Total Leads: ${conversionMetrics.totalLeads}
+Qualified Leads: ${conversionMetrics.qualifiedLeads} (${fixed(conversionMetrics.qualifiedLeadRate)}%)
+Hot Leads: ${conversionMetrics.hotLeads} (${fixed(conversionMetrics.hotLeadRate)}%)
+Overall Conversion Rate: ${fixed(conversionMetrics.conversionRate)}%`;
+
+    yield `Sales Funnel Performance:
+1. Awareness: ${funnel.awareness} prospects (100.0%)
+2. Interest: ${funnel.interest} (${ofAwareness(funnel.interest)}%)
+3. Consideration: ${funnel.consideration} (${ofAwareness(funnel.consideration)}%)
+4. Intent: ${funnel.intent} (${ofAwareness(funnel.intent)}%)
+5. Purchase: ${funnel.purchase} (${ofAwareness(funnel.purchase)}%)`;
+
+    yield `Conversion Funnel Efficiency:
+Interest-to-Consideration: ${fixed(funnelEfficiency.interestToConsideration ?? 0)}%
+Consideration-to-Intent: ${fixed(funnelEfficiency.considerationToIntent ?? 0)}%
+Intent-to-Purchase: ${fixed(funnelEfficiency.intentToPurchase ?? 0)}%`;
+
+    yield `Revenue Opportunity Analysis:
+Qualified Leads Potential: $${money(potentialRevenue.qualifiedLeads)} (30% conversion est.)
+Hot Leads Potential: $${money(potentialRevenue.hotLeads)} (60% conversion est.)
+Total Pipeline Value: $${money(potentialRevenue.totalOpportunity)}
+Pipeline-to-Revenue Ratio: ${fixed(potentialRevenue.pipelineToRevenueRatio)}x`;
+
+    section = 'Territory Performance:';
+    result.territoryStats.slice(0, 5).forEach((stats, index) => {
+        section += `
+${index + 1}. ${stats.territory}
+   Revenue: $${stats.revenue.toLocaleString()} | Customers: ${stats.customers}
+   Conversion Rate: ${fixed(stats.conversionRate)}% | Avg Engagement: ${fixed(stats.avgEngagement)}
+   Universities: ${stats.universities} | Avg Revenue/Customer: $${stats.avgRevenuePerCustomer.toLocaleString()}`;
+    });
+    yield section;
+
+    section = 'Top Sales Opportunities (Priority Leads):';
+    result.topOpportunities.slice(0, 5).forEach((opp, index) => {
+        section += `
+${index + 1}. ${opp.title}
+   University: ${opp.university || 'Multiple prospects'}
+   Engagement: ${opp.browsingSessions} sessions${opp.investigations ? `, ${opp.investigations} investigations` : ''} | Trial Requests: ${opp.trialRequests}
+   Opportunity Score: ${opp.opportunityScore.toFixed(1)}
+   Est. Value: $${money(opp.estimatedValue)}
+   Win Probability: ${Math.round(opp.winProbability * 100)}%`;
+    });
+    yield section;
+
+    yield `Key Performance Indicators:
+Pipeline Health: ${kpis.pipelineHealth === 'healthy' ? 'Healthy - Good funnel flow' : 'Attention needed - Conversion issues'}
+Conversion Efficiency: ${kpis.conversionEfficiency === 'above_average' ? 'Above average performance' : 'Below average - needs improvement'}
+Revenue Concentration: ${kpis.revenueConcentration === null ? 'N/A' : kpis.revenueConcentration === 'high_variance' ? 'High variance - diversify portfolio' : 'Well distributed'}`;
+
+    yield `Statistical Insights:
+Average Deal Velocity: ${insights.avgDealVelocityDays !== null ? insights.avgDealVelocityDays + ' days (estimated)' : 'N/A'}
+Lead Quality Score: ${insights.leadQualityScore ?? 'N/A'}/100
+Market Penetration: ${fixed(insights.marketPenetration)}%`;
+
+    yield `Sales Recommendations:
+1. Immediate Action: Focus on ${recommendations.hotLeads} hot leads with trial requests
+2. Short-term: Nurture ${recommendations.qualifiedLeads} qualified leads with targeted campaigns
+3. Territory Focus: Prioritize ${recommendations.focusTerritory || 'top-performing'} territory for expansion
+4. Product Strategy: Target journals with ${recommendations.targetSessions !== null ? recommendations.targetSessions + '+' : '10+'} sessions or investigations for best conversion`;
+}
+
+function renderSalesReport(result) {
+    return [...salesReportSections(result)].join('\n\n');
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    calculateStatistics,
+    calculateCorrelation,
+    researchAnalysis,
+    salesAnalysis,
+    buildResearchAnalysis,
+    buildSalesAnalysis,
+    researchReportSections,
+    salesReportSections,
+    renderResearchReport,
+    renderSalesReport
+};
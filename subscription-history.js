@@ -0,0 +1,130 @@
+// Year-over-year subscription metrics from subscription_terms: retention,
+// churn, new business and win-back (a title subscribed again after a lapse)
+const { all } = require('./db-utils');
+const { universityCondition } = require('./university-resolver');
+
+// filters: university, journal, scope (university ids the user may see)
+async function loadTerms(db, filters = {}) {
+    const condition = await universityCondition(db, filters.university, 'u', filters.scope);
+    let whereClause = `WHERE 1 = 1 ${condition.clause}`;
+    const params = [...condition.params];
+
+    if (filters.journal) {
+        whereClause += ' AND j.title LIKE ?';
+        params.push(`%${filters.journal}%`);
+    }
+
+    return all(db, `
+        SELECT t.university_id, t.journal_id, t.year, t.subscribed, t.annual_cost,
+               u.name as university_name, j.title as journal_title
+        FROM subscription_terms t
+        JOIN universities u ON t.university_id = u.id
+        JOIN journals j ON t.journal_id = j.id
+        ${whereClause}
+        ORDER BY t.university_id, t.journal_id, t.year
+    `, params);
+}
+
+const rate = (part, whole) => (whole > 0 ? Number((part / whole).toFixed(4)) : null);
+
+// terms: rows with university_id, journal_id, year, subscribed, annual_cost.
+// A year only has retention figures when the year before it has data.
+function retentionByYear(terms, from = null, to = null) {
+    const byYear = new Map();
+    terms.forEach(term => {
+        if (!byYear.has(term.year)) byYear.set(term.year, new Map());
+        if (term.subscribed) {
+            byYear.get(term.year).set(`${term.university_id}:${term.journal_id}`, term.annual_cost || 0);
+        }
+    });
+
+    const years = Array.from(byYear.keys()).sort((a, b) => a - b);
+    const everSubscribed = new Set();
+    const results = [];
+
+    years.forEach(year => {
+        const current = byYear.get(year);
+        const previous = byYear.get(year - 1);
+        const sum = keys => keys.reduce((total, key) => total + (current.get(key) || (previous && previous.get(key)) || 0), 0);
+
+        const result = {
+            year,
+            subscribed: current.size,
+            revenue: sum(Array.from(current.keys())),
+            retained: null,
+            churned: null,
+            new: null,
+            wonBack: null,
+            retentionRate: null,
+            churnRate: null,
+            churnedRevenue: null,
+            wonBackRevenue: null
+        };
+
+        if (previous) {
+            const retained = Array.from(current.keys()).filter(key => previous.has(key));
+            const churned = Array.from(previous.keys()).filter(key => !current.has(key));
+            const added = Array.from(current.keys()).filter(key => !previous.has(key));
+            const wonBack = added.filter(key => everSubscribed.has(key));
+
+            Object.assign(result, {
+                retained: retained.length,
+                churned: churned.length,
+                new: added.length - wonBack.length,
+                wonBack: wonBack.length,
+                retentionRate: rate(retained.length, previous.size),
+                churnRate: rate(churned.length, previous.size),
+                churnedRevenue: sum(churned),
+                wonBackRevenue: sum(wonBack)
+            });
+        }
+
+        Array.from(current.keys()).forEach(key => everSubscribed.add(key));
+        if ((!from || year >= from) && (!to || year <= to)) {
+            results.push(result);
+        }
+    });
+
+    return results;
+}
+
+// Overall figures plus one series per university
+function retentionReport(terms, from = null, to = null) {
+    const universities = new Map();
+    terms.forEach(term => {
+        if (!universities.has(term.university_id)) {
+            universities.set(term.university_id, { university_id: term.university_id, university_name: term.university_name, terms: [] });
+        }
+        universities.get(term.university_id).terms.push(term);
+    });
+
+    return {
+        overall: retentionByYear(terms, from, to),
+        universities: Array.from(universities.values()).map(university => ({
+            university_id: university.university_id,
+            university_name: university.university_name,
+            years: retentionByYear(university.terms, from, to)
+        }))
+    };
+}
+
+// One trajectory per university and journal: [{ year, subscribed, annual_cost }]
+function subscriptionHistory(terms) {
+    const histories = new Map();
+    terms.forEach(term => {
+        const key = `${term.university_id}:${term.journal_id}`;
+        if (!histories.has(key)) {
+            histories.set(key, {
+                university_id: term.university_id,
+                university_name: term.university_name,
+                journal_id: term.journal_id,
+                journal_title: term.journal_title,
+                terms: []
+            });
+        }
+        histories.get(key).terms.push({ year: term.year, subscribed: !!term.subscribed, annual_cost: term.annual_cost });
+    });
+    return Array.from(histories.values());
+}
+
+module.exports = { loadTerms, retentionByYear, retentionReport, subscriptionHistory };
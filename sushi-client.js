@@ -0,0 +1,271 @@
+// COUNTER_SUSHI5 harvesting client with a per-month retry/backfill log
+const { run, get, all } = require('./db-utils');
+const { parseJsonReport, importCounterReport } = require('./counter-import');
+const { createSnapshot } = require('./snapshots');
+
+const DEFAULT_REPORTS = ['TR_J1', 'TR_J3', 'TR_B1'];
+const MAX_ATTEMPTS = 5;
+const REQUEST_TIMEOUT_MS = 60000;
+
+// SUSHI exception codes that mean "nothing to import" vs "try again later"
+const NO_DATA_CODES = [3030, 3032];
+const RETRY_CODES = [1010, 1011, 1020, 3031];
+
+class SushiError extends Error {
+    constructor(message, code = null, retryable = true) {
+        super(message);
+        this.name = 'SushiError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+function formatMonth(date) {
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthsBetween(from, to) {
+    const months = [];
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const cursor = new Date(Date.UTC(fromYear, fromMonth - 1, 1));
+    while (formatMonth(cursor) <= to) {
+        months.push(formatMonth(cursor));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return months;
+}
+
+// The last `count` complete months, oldest first
+function recentMonths(count, now = new Date()) {
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (count - 1), 1));
+    return monthsBetween(formatMonth(start), formatMonth(end));
+}
+
+function lastDayOfMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+}
+
+// Exceptions come back either as the whole body or inside Report_Header
+function findExceptions(body) {
+    if (Array.isArray(body)) return body.filter(item => item && item.Code !== undefined);
+    if (body && body.Code !== undefined) return [body];
+    return (body && body.Report_Header && body.Report_Header.Exceptions) || [];
+}
+
+async function fetchReport(credentials, reportId, month) {
+    const url = new URL(`${credentials.sushi_url.replace(/\/+$/, '')}/reports/${reportId.toLowerCase()}`);
+    url.searchParams.set('customer_id', credentials.sushi_customer_id);
+    if (credentials.sushi_requestor_id) url.searchParams.set('requestor_id', credentials.sushi_requestor_id);
+    if (credentials.sushi_api_key) url.searchParams.set('api_key', credentials.sushi_api_key);
+    url.searchParams.set('begin_date', `${month}-01`);
+    url.searchParams.set('end_date', lastDayOfMonth(month));
+
+    let response;
+    try {
+        response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (error) {
+        throw new SushiError(`SUSHI request failed: ${error.message}`);
+    }
+
+    let body;
+    try {
+        body = await response.json();
+    } catch (error) {
+        throw new SushiError(`SUSHI server returned invalid JSON (HTTP ${response.status})`);
+    }
+
+    const exceptions = findExceptions(body);
+    const queued = exceptions.find(exception => RETRY_CODES.includes(Number(exception.Code)));
+    if (queued) {
+        throw new SushiError(`SUSHI ${queued.Code}: ${queued.Message}`, Number(queued.Code), true);
+    }
+
+    const noData = exceptions.find(exception => NO_DATA_CODES.includes(Number(exception.Code)));
+    const fatal = exceptions.find(exception =>
+        !NO_DATA_CODES.includes(Number(exception.Code)) && (exception.Severity || '').toLowerCase() !== 'warning'
+    );
+
+    if (fatal || !response.ok) {
+        const exception = fatal || {};
+        const code = exception.Code !== undefined ? Number(exception.Code) : null;
+        throw new SushiError(
+            `SUSHI ${code || response.status}: ${exception.Message || response.statusText}`,
+            code,
+            code === null ? response.status >= 500 || response.status === 429 : RETRY_CODES.includes(code)
+        );
+    }
+
+    if (noData || !body.Report_Items || body.Report_Items.length === 0) {
+        return null;
+    }
+    return parseJsonReport(body);
+}
+
+async function updateLog(db, universityId, reportId, month, fields) {
+    await run(db, `
+        INSERT INTO sushi_harvest_log (university_id, report_id, month) VALUES (?, ?, ?)
+        ON CONFLICT (university_id, report_id, month) DO NOTHING
+    `, [universityId, reportId, month]);
+
+    const columns = Object.keys(fields);
+    await run(db,
+        `UPDATE sushi_harvest_log SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE university_id = ? AND report_id = ? AND month = ?`,
+        [...columns.map(column => fields[column]), universityId, reportId, month]
+    );
+}
+
+// Months still owed for a report: the requested window minus what succeeded,
+// and minus failures that are waiting out their back-off or gave up
+async function pendingMonths(db, universityId, reportId, months, force) {
+    if (force) return months;
+
+    const entries = await all(db,
+        'SELECT month, status, attempts, next_attempt_at FROM sushi_harvest_log WHERE university_id = ? AND report_id = ?',
+        [universityId, reportId]
+    );
+    const byMonth = new Map(entries.map(entry => [entry.month, entry]));
+    const now = new Date().toISOString();
+
+    return months.filter(month => {
+        const entry = byMonth.get(month);
+        if (!entry) return true;
+        if (entry.status === 'success' || entry.status === 'no_data') return false;
+        if (entry.attempts >= MAX_ATTEMPTS) return false;
+        return !entry.next_attempt_at || entry.next_attempt_at <= now;
+    });
+}
+
+async function harvestUniversity(db, university, options = {}) {
+    if (!university.sushi_url || !university.sushi_customer_id) {
+        throw new SushiError(`${university.name} has no SUSHI credentials`, null, false);
+    }
+
+    const reports = options.reports || DEFAULT_REPORTS;
+    const months = options.from
+        ? monthsBetween(options.from, options.to || recentMonths(1)[0])
+        : recentMonths(options.months || 3);
+
+    const summary = { university: university.name, harvested: 0, noData: 0, failed: 0, skipped: 0, rows: 0, errors: [], snapshotId: null };
+
+    for (const reportId of reports) {
+        const due = await pendingMonths(db, university.id, reportId, months, options.force);
+        summary.skipped += months.length - due.length;
+
+        for (const month of due) {
+            const previous = await get(db,
+                'SELECT attempts FROM sushi_harvest_log WHERE university_id = ? AND report_id = ? AND month = ?',
+                [university.id, reportId, month]
+            );
+            const attempts = (previous ? previous.attempts : 0) + 1;
+
+            try {
+                const report = await fetchReport(university, reportId, month);
+                if (!report) {
+                    await updateLog(db, university.id, reportId, month, {
+                        status: 'no_data', attempts, last_error: null, rows_imported: 0,
+                        next_attempt_at: null, harvested_at: new Date().toISOString()
+                    });
+                    summary.noData++;
+                    continue;
+                }
+
+                report.reportId = report.reportId || reportId;
+                // One snapshot per harvest, before its first import
+                if (!summary.snapshotId) {
+                    summary.snapshotId = (await createSnapshot(db, {
+                        name: `Before SUSHI harvest for ${university.name}`,
+                        reason: 'import',
+                        universityId: university.id,
+                        sourceFile: 'sushi'
+                    })).id;
+                }
+                const result = await importCounterReport(db, report, university.id, `sushi:${reportId}:${month}`);
+                await updateLog(db, university.id, reportId, month, {
+                    status: 'success', attempts, last_error: null, rows_imported: result.rows,
+                    next_attempt_at: null, harvested_at: new Date().toISOString()
+                });
+                summary.harvested++;
+                summary.rows += result.rows;
+            } catch (error) {
+                // Back off 1h, 2h, 4h... unless the server told us retrying is pointless
+                const retryAt = error.retryable === false
+                    ? null
+                    : new Date(Date.now() + Math.pow(2, attempts - 1) * 3600 * 1000).toISOString();
+                await updateLog(db, university.id, reportId, month, {
+                    status: 'failed',
+                    attempts: error.retryable === false ? MAX_ATTEMPTS : attempts,
+                    last_error: error.message,
+                    next_attempt_at: retryAt
+                });
+                summary.failed++;
+                summary.errors.push({ reportId, month, error: error.message });
+            }
+        }
+    }
+
+    return summary;
+}
+
+// With dueOnly, only universities whose harvest interval has elapsed or that
+// have failed months ready for another attempt
+async function harvestAll(db, options = {}) {
+    const universities = await all(db, `
+        SELECT * FROM universities u
+        WHERE u.sushi_url IS NOT NULL AND u.sushi_customer_id IS NOT NULL
+          AND (? = 0
+               OR u.sushi_last_harvested_at IS NULL
+               OR u.sushi_last_harvested_at <= datetime('now', '-' || COALESCE(u.sushi_harvest_interval_days, 30) || ' days')
+               OR EXISTS (
+                   SELECT 1 FROM sushi_harvest_log l
+                   WHERE l.university_id = u.id AND l.status = 'failed'
+                     AND l.attempts < ? AND l.next_attempt_at <= ?
+               ))
+    `, [options.dueOnly ? 1 : 0, MAX_ATTEMPTS, new Date().toISOString()]);
+
+    const results = [];
+    for (const university of universities) {
+        try {
+            results.push(await harvestUniversity(db, university, options));
+            await run(db, 'UPDATE universities SET sushi_last_harvested_at = CURRENT_TIMESTAMP WHERE id = ?', [university.id]);
+        } catch (error) {
+            results.push({ university: university.name, error: error.message });
+        }
+    }
+    return results;
+}
+
+// Check hourly for universities that are due a harvest
+function startSushiScheduler(db, intervalMinutes = 60) {
+    const harvest = () => {
+        harvestAll(db, { dueOnly: true })
+            .then(results => {
+                results.forEach(result => {
+                    if (result.error) {
+                        console.error(`❌ SUSHI harvest ${result.university}: ${result.error}`);
+                    } else {
+                        console.log(`📥 SUSHI harvest ${result.university}: ${result.harvested} months, ${result.rows} rows, ${result.failed} failed`);
+                    }
+                });
+            })
+            .catch(error => console.error('❌ SUSHI harvest error:', error.message));
+    };
+
+    const timer = setInterval(harvest, intervalMinutes * 60 * 1000);
+    timer.unref();
+    harvest();
+    return timer;
+}
+
+module.exports = {
+    DEFAULT_REPORTS,
+    SushiError,
+    monthsBetween,
+    recentMonths,
+    fetchReport,
+    harvestUniversity,
+    harvestAll,
+    startSushiScheduler
+};
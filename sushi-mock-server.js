@@ -0,0 +1,147 @@
+// Local COUNTER_SUSHI5 stand-in so harvesting can be exercised without network access
+const express = require('express');
+
+const DEFAULT_CUSTOMERS = {
+    'mahidol-001': { institution: 'Mahidol University', requestorId: 'wsp-harvester', apiKey: 'mock-key' },
+    'aalborg-001': { institution: 'Aalborg University', requestorId: 'wsp-harvester', apiKey: 'mock-key' }
+};
+
+const JOURNALS = [
+    { title: 'International Journal of Modern Physics A', printIssn: '0217-751X', onlineIssn: '1793-656X' },
+    { title: 'Journal of Circuits, Systems and Computers', printIssn: '0218-1266', onlineIssn: '1793-6454' },
+    { title: 'Asia-Pacific Journal of Operational Research', printIssn: '0217-5959', onlineIssn: '1793-7019' }
+];
+
+const BOOKS = [
+    { title: 'Handbook of Machine Learning', isbn: '978-981-3270-22-6' },
+    { title: 'Quantum Computing for Everyone', isbn: '978-981-12-0012-5' }
+];
+
+const REPORT_NAMES = {
+    tr_j1: 'Journal Requests (Excluding OA_Gold)',
+    tr_j3: 'Journal Usage by Access Type',
+    tr_b1: 'Book Requests (Excluding OA_Gold)'
+};
+
+// Stable pseudo-usage so repeated harvests return identical figures
+function seededCount(...parts) {
+    let hash = 0;
+    for (const char of parts.join('|')) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return hash % 200;
+}
+
+function exception(code, severity, message) {
+    return { Code: code, Severity: severity, Message: message };
+}
+
+function buildReport(reportPath, customerId, customer, month) {
+    const reportId = reportPath.toUpperCase();
+    const isBook = reportPath === 'tr_b1';
+    const period = { Begin_Date: `${month}-01`, End_Date: `${month}-28` };
+
+    const items = (isBook ? BOOKS : JOURNALS).map(title => {
+        const total = seededCount(customerId, reportId, title.title, month) + 5;
+        const instances = [
+            { Metric_Type: 'Total_Item_Requests', Count: total },
+            { Metric_Type: 'Unique_Item_Requests', Count: Math.ceil(total * 0.6) }
+        ];
+        if (reportPath !== 'tr_j1') {
+            instances.push({ Metric_Type: 'Unique_Title_Investigations', Count: Math.ceil(total * 0.8) });
+        }
+
+        return {
+            Title: title.title,
+            Item_ID: isBook
+                ? [{ Type: 'ISBN', Value: title.isbn }]
+                : [{ Type: 'Print_ISSN', Value: title.printIssn }, { Type: 'Online_ISSN', Value: title.onlineIssn }],
+            Platform: 'WorldSciNet',
+            Publisher: 'World Scientific Publishing',
+            Data_Type: isBook ? 'Book' : 'Journal',
+            Performance: [{ Period: period, Instance: instances }]
+        };
+    });
+
+    return {
+        Report_Header: {
+            Created: new Date().toISOString(),
+            Created_By: 'Mock SUSHI Server',
+            Customer_ID: customerId,
+            Report_ID: reportId,
+            Release: '5',
+            Report_Name: REPORT_NAMES[reportPath],
+            Institution_Name: customer.institution,
+            Report_Filters: [
+                { Name: 'Begin_Date', Value: period.Begin_Date },
+                { Name: 'End_Date', Value: period.End_Date }
+            ]
+        },
+        Report_Items: items
+    };
+}
+
+// options.customers: customer_id -> { institution, requestorId, apiKey }
+// options.queuedMonths: months answered with exception 1011 (Report Queued)
+function createMockSushiServer(options = {}) {
+    const customers = options.customers || DEFAULT_CUSTOMERS;
+    const queuedMonths = new Set(options.queuedMonths || []);
+    const app = express();
+
+    app.get('/status', (req, res) => {
+        res.json([{ Description: 'Mock SUSHI service', Service_Active: true }]);
+    });
+
+    app.get('/reports', (req, res) => {
+        res.json(Object.keys(REPORT_NAMES).map(path => ({
+            Report_Name: REPORT_NAMES[path],
+            Report_ID: path.toUpperCase(),
+            Release: '5',
+            Path: `/reports/${path}`
+        })));
+    });
+
+    app.get('/reports/:report', (req, res) => {
+        const reportPath = req.params.report.toLowerCase();
+        const { customer_id: customerId, requestor_id: requestorId, api_key: apiKey, begin_date: beginDate } = req.query;
+
+        if (!REPORT_NAMES[reportPath]) {
+            return res.status(404).json(exception(3000, 'Error', 'Report Not Supported'));
+        }
+        if (!customerId || !beginDate) {
+            return res.status(400).json(exception(1030, 'Error', 'Insufficient Information to Process Request'));
+        }
+
+        const customer = customers[customerId];
+        if (!customer || (customer.requestorId && customer.requestorId !== requestorId)) {
+            return res.status(403).json(exception(2000, 'Error', 'Requestor Not Authorized to Access Service'));
+        }
+        if (customer.apiKey && customer.apiKey !== apiKey) {
+            return res.status(401).json(exception(2020, 'Error', 'API Key Invalid'));
+        }
+
+        const month = String(beginDate).slice(0, 7);
+        if (queuedMonths.has(month)) {
+            return res.status(202).json(exception(1011, 'Warning', 'Report Queued for Processing'));
+        }
+        if (month >= new Date().toISOString().slice(0, 7)) {
+            return res.json(exception(3031, 'Warning', 'Usage Not Ready for Requested Dates'));
+        }
+
+        res.json(buildReport(reportPath, customerId, customer, month));
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.SUSHI_MOCK_PORT || 3090;
+    const queuedMonths = (process.env.SUSHI_MOCK_QUEUED_MONTHS || '').split(',').filter(Boolean);
+
+    createMockSushiServer({ queuedMonths }).listen(port, () => {
+        console.log(`🧪 Mock SUSHI server running on http://localhost:${port}`);
+        console.log(`   Customers: ${Object.keys(DEFAULT_CUSTOMERS).join(', ')} (requestor_id=wsp-harvester, api_key=mock-key)`);
+    });
+}
+
+module.exports = { createMockSushiServer };
@@ -0,0 +1,305 @@
+// University entity resolution. A university is known by its name, the
+// aliases in university_aliases (acronyms, native-language and former names,
+// ROR IDs), an acronym made from its name and the words of its name no other
+// university shares ("Mahidol"). Text is matched on normalized forms, with an
+// edit-distance fallback for misspellings, so "NUS", "Mahidl", "the National
+// University of Singapore" and "https://ror.org/01tgyzw49" all resolve.
+const { all } = require('./db-utils');
+
+// Lowest score resolveName() and findInText() accept
+const MATCH_THRESHOLD = 0.85;
+
+const ALIAS_KINDS = ['acronym', 'native', 'former', 'variant', 'ror'];
+
+// Scores by how a name matched. Fuzzy matches score their similarity, never
+// more than the same name spelled right would.
+const SCORES = {
+    exact: 1,
+    ror: 1,
+    acronym: 0.98,
+    key: 0.97,
+    word: 0.9,
+    partial: 0.88
+};
+
+// Left out of keys and never distinctive on their own
+const STOPWORDS = new Set(['of', 'the', 'and', 'for', 'at', 'in', 'de', 'du', 'des', 'la', 'le', 'di', 'y']);
+const GENERIC_WORDS = new Set([
+    'university', 'universiti', 'universitet', 'universitat', 'universidad', 'universita', 'universite',
+    'college', 'institute', 'school', 'academy', 'national', 'state', 'technological', 'technology',
+    'technical', 'science', 'sciences', 'medical', 'centre', 'center', 'city'
+]);
+
+const ROR_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+const ROR_PATTERN = /^(?:https?:\/\/)?(?:www\.)?(?:ror\.org\/)?(0[0-9a-hjkmnp-tv-z]{6}[0-9]{2})\/?$/i;
+
+// Lower case without accents or punctuation; "The" and "&" do not matter
+function normalizeName(text) {
+    return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/&/g, ' and ').replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim()
+        .replace(/^the /, '');
+}
+
+// The normalized words that carry meaning: "University Singapore" and
+// "University of Singapore" share a key
+function nameKey(text) {
+    return normalizeName(text).split(' ').filter(word => word && !STOPWORDS.has(word)).join(' ');
+}
+
+function acronymOf(name) {
+    const words = String(name).split(/\s+/).filter(word => word && !STOPWORDS.has(word.toLowerCase()));
+    const acronym = words.map(word => word[0]).join('').toUpperCase();
+    return words.length > 1 && /^[A-Z]+$/.test(acronym) ? acronym : null;
+}
+
+// The bare ROR ID of "https://ror.org/01tgyzw49" or "01tgyzw49", or null when
+// the text is not one or its checksum is wrong
+function rorId(text) {
+    const match = String(text || '').trim().match(ROR_PATTERN);
+    if (!match) return null;
+    const id = match[1].toLowerCase();
+    const number = [...id.slice(1, 7)].reduce((value, char) => value * 32n + BigInt(ROR_ALPHABET.indexOf(char)), 0n);
+    const checksum = String(98n - ((number * 100n) % 97n)).padStart(2, '0');
+    return checksum === id.slice(7) ? id : null;
+}
+
+// Edit distance counting an adjacent transposition as one edit
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// 1 for the same string, down to 0. Lengths far apart cannot reach the
+// threshold, so those skip the edit distance.
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (Math.abs(a.length - b.length) / Math.max(a.length, b.length) > 1 - MATCH_THRESHOLD) return 0;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Every university with the names it can be matched on:
+// [{ id, name, country, names: [{ text, normalized, key, kind }] }]
+async function loadDirectory(db) {
+    const [universities, aliases] = await Promise.all([
+        all(db, 'SELECT id, name, country FROM universities ORDER BY id'),
+        all(db, 'SELECT university_id, alias, kind FROM university_aliases ORDER BY id')
+    ]);
+
+    const entry = (text, kind) => ({ text, normalized: normalizeName(text), key: nameKey(text), kind });
+    const directory = universities.map(university => {
+        const names = [entry(university.name, 'name')];
+        const acronym = acronymOf(university.name);
+        if (acronym) names.push(entry(acronym, 'acronym'));
+        aliases
+            .filter(alias => alias.university_id === university.id)
+            .forEach(alias => names.push(alias.kind === 'ror'
+                ? { text: alias.alias, normalized: rorId(alias.alias) || normalizeName(alias.alias), key: null, kind: 'ror' }
+                : entry(alias.alias, alias.kind)));
+        return { id: university.id, name: university.name, country: university.country, names };
+    });
+
+    // Distinctive words: in one university's names and in nobody else's
+    const owners = new Map();
+    directory.forEach(university => {
+        const words = new Set(university.names
+            .filter(name => !['acronym', 'ror'].includes(name.kind))
+            .flatMap(name => name.key.split(' '))
+            .filter(word => word.length > 3 && !GENERIC_WORDS.has(word) && !/^\d+$/.test(word)));
+        words.forEach(word => owners.set(word, owners.has(word) ? null : university));
+    });
+    owners.forEach((university, word) => {
+        if (university) university.names.push({ text: word, normalized: word, key: word, kind: 'word' });
+    });
+
+    return directory;
+}
+
+// How well a query names one university: { score, matched, kind } or null
+function scoreName(university, query) {
+    const normalized = normalizeName(query);
+    const key = nameKey(query);
+    const ror = rorId(query);
+    let best = null;
+    const consider = (score, name, how) => {
+        if (!best || score > best.score) best = { score, matched: name.text, kind: name.kind, how };
+    };
+
+    university.names.forEach(name => {
+        if (name.kind === 'ror') {
+            if (ror && ror === name.normalized) consider(SCORES.ror, name, 'ror');
+        } else if (name.kind === 'acronym') {
+            if (normalized === name.normalized) consider(SCORES.acronym, name, 'acronym');
+        } else if (name.kind === 'word') {
+            if (key === name.key) consider(SCORES.word, name, 'word');
+            else if (key.length > 5 && !key.includes(' ')) consider(Math.min(similarity(key, name.key), SCORES.word), name, 'fuzzy');
+        } else if (normalized === name.normalized) {
+            consider(SCORES.exact, name, 'exact');
+        } else if (key && key === name.key) {
+            consider(SCORES.key, name, 'key');
+        } else {
+            if (normalized.length >= 3 && name.normalized.includes(normalized)) consider(SCORES.partial, name, 'partial');
+            consider(Math.min(similarity(key, name.key), SCORES.key), name, 'fuzzy');
+
+            // A misspelled start of the name ("Nanyang Technologial")
+            const words = key.split(' ').length;
+            const leading = name.key.split(' ').slice(0, words).join(' ');
+            if (leading !== name.key && key.length > 5) consider(Math.min(similarity(key, leading), SCORES.partial), name, 'fuzzy');
+        }
+    });
+    return best;
+}
+
+// The university a query names, or null. The result says how it matched and
+// whether another university matched as well (ambiguous), with the best
+// candidates. options.minScore raises the bar, e.g. for imports.
+function resolveName(directory, query, options = {}) {
+    const minScore = options.minScore || MATCH_THRESHOLD;
+    if (!query || !String(query).trim()) return null;
+
+    const candidates = directory
+        .map(university => ({ university, match: scoreName(university, query) }))
+        .filter(candidate => candidate.match && candidate.match.score >= minScore)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(({ university, match }) => ({
+            id: university.id,
+            name: university.name,
+            country: university.country,
+            score: Number(match.score.toFixed(3)),
+            matched: match.matched,
+            kind: match.kind,
+            how: match.how
+        }));
+
+    if (candidates.length === 0) return null;
+    const [best] = candidates;
+    return {
+        ...best,
+        ambiguous: candidates.some(candidate => candidate !== best && best.score - candidate.score < 0.01),
+        candidates: candidates.slice(0, 5)
+    };
+}
+
+// Words of a text with their position, original spelling and normalized form
+function textWords(text) {
+    const words = [];
+    const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))) !== null) {
+        const lower = match[0].toLowerCase();
+        if (!STOPWORDS.has(lower)) words.push({ raw: match[0], word: lower, index: match.index });
+    }
+    return words;
+}
+
+// The university a piece of free text names first ("compare NTU with NUS" is
+// NTU): { id, name, score, matched, kind, index } or null. Acronyms only count
+// written in capitals, so "mu" or "aau" in a sentence do not match.
+function findInText(directory, text) {
+    const words = textWords(text);
+    const found = [];
+
+    directory.forEach(university => {
+        university.names.forEach(name => {
+            const nameWords = name.kind === 'ror' ? [name.normalized] : (name.key || '').split(' ').filter(Boolean);
+            if (nameWords.length === 0) return;
+            const fuzzy = !['acronym', 'ror'].includes(name.kind) && nameWords.join(' ').length > 5;
+
+            for (let start = 0; start + nameWords.length <= words.length; start++) {
+                const window = words.slice(start, start + nameWords.length);
+                const phrase = window.map(word => word.word).join(' ');
+                let score = 0;
+                if (name.kind === 'acronym') {
+                    score = window[0].raw === name.text.toUpperCase() ? SCORES.acronym : 0;
+                } else if (name.kind === 'ror') {
+                    score = rorId(window[0].word) === name.normalized ? SCORES.ror : 0;
+                } else if (phrase === nameWords.join(' ')) {
+                    score = name.kind === 'word' ? SCORES.word : SCORES.exact;
+                } else if (fuzzy) {
+                    const similar = similarity(phrase, nameWords.join(' '));
+                    score = similar >= MATCH_THRESHOLD ? Math.min(similar, name.kind === 'word' ? SCORES.word : SCORES.key) : 0;
+                }
+                if (score >= MATCH_THRESHOLD) {
+                    found.push({ id: university.id, name: university.name, score: Number(score.toFixed(3)), matched: name.text, kind: name.kind, index: window[0].index });
+                }
+            }
+        });
+    });
+
+    found.sort((a, b) => a.index - b.index || b.score - a.score);
+    return found[0] || null;
+}
+
+// The directory limited to a user's scope (university ids; null for all)
+async function loadScopedDirectory(db, scope = null) {
+    const directory = await loadDirectory(db);
+    return scope ? directory.filter(university => scope.includes(university.id)) : directory;
+}
+
+// options.scope: only the universities with these ids are candidates (null
+// for all), so nothing outside it is named or makes a match ambiguous
+async function resolveUniversity(db, query, options = {}) {
+    return resolveName(await loadScopedDirectory(db, options.scope), query, options);
+}
+
+// scope: as for resolveUniversity, so a university outside it is never found
+async function findUniversityInText(db, text, scope = null) {
+    return findInText(await loadScopedDirectory(db, scope), text);
+}
+
+// SQL condition limiting a university id column to a user's scope (the ids
+// they may see; null for every university)
+function scopeCondition(scope, column) {
+    if (!scope) return { clause: '', params: [] };
+    if (scope.length === 0) return { clause: 'AND 0', params: [] };
+    return { clause: `AND ${column} IN (${scope.map(() => '?').join(', ')})`, params: [...scope] };
+}
+
+// SQL condition for a "university" parameter, ANDed onto a query joining
+// universities as `alias`. A name that resolves to one university filters on
+// its id; anything else keeps the partial name match ("University" still
+// means every university with that in its name). scope limits it to the
+// universities a user may see.
+async function universityCondition(db, university, alias = 'u', scope = null) {
+    const limit = scopeCondition(scope, `${alias}.id`);
+    const scoped = (clause, params, match) => ({
+        clause: [clause, limit.clause].filter(Boolean).join(' '),
+        params: [...params, ...limit.params],
+        university: match
+    });
+
+    if (!university || university === 'all') return scoped('', [], null);
+    const match = await resolveUniversity(db, university);
+    if (match && !match.ambiguous) {
+        return scoped(`AND ${alias}.id = ?`, [match.id], match);
+    }
+    return scoped(`AND ${alias}.name LIKE ?`, [`%${university}%`], null);
+}
+
+module.exports = {
+    MATCH_THRESHOLD,
+    ALIAS_KINDS,
+    normalizeName,
+    nameKey,
+    acronymOf,
+    rorId,
+    editDistance,
+    similarity,
+    loadDirectory,
+    loadScopedDirectory,
+    resolveName,
+    findInText,
+    resolveUniversity,
+    findUniversityInText,
+    scopeCondition,
+    universityCondition
+};
@@ -0,0 +1,427 @@
+// User accounts, sign-in sessions and API tokens. Passwords are hashed with
+// scrypt; session and API tokens are random and only their SHA-256 hashes are
+// stored. Every user has one role (admin, analyst, sales, read_only,
+// librarian). A sales user sees the universities in their territories
+// (countries) and a librarian only their own university; the other roles see
+// every university.
+//
+// Also a command line for managing users without the API:
+//   npm run users -- add <username> <role> [country ...]
+//   npm run users -- add <username> librarian <university>
+//   npm run users -- passwd <username>
+//   npm run users -- disable|enable <username>
+//   npm run users -- token <username> <token name>
+//   npm run users -- list
+// Passwords come from USER_PASSWORD, or are generated and printed once.
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { run, get, all, transaction, databasePath } = require('./db-utils');
+const { resolveUniversity } = require('./university-resolver');
+
+const ROLES = ['admin', 'analyst', 'sales', 'read_only', 'librarian'];
+const MIN_PASSWORD_LENGTH = 10;
+// Read at sign-in, so a .env loaded after this module still counts
+const sessionTtlHours = () => parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+
+// API tokens carry a prefix so they are told apart from session tokens (and
+// recognised if they leak into a log or a repository)
+const API_TOKEN_PREFIX = 'pit_';
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+class UserError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UserError';
+        this.status = status;
+    }
+}
+
+function scrypt(password, salt, { N, r, p, keylen }) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keylen, { N, r, p }, (err, key) => (err ? reject(err) : resolve(key)));
+    });
+}
+
+// scrypt$N$r$p$salt$hash, so the cost can be raised without breaking old hashes
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT);
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(String(password), Buffer.from(salt, 'base64'),
+        { N: Number(N), r: Number(r), p: Number(p), keylen: expected.length });
+    return crypto.timingSafeEqual(key, expected);
+}
+
+// Checked when the username is unknown, so a wrong username takes as long to
+// refuse as a wrong password
+let unknownUserHash = null;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new UserError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new UserError(`role must be one of ${ROLES.join(', ')}`);
+    }
+}
+
+function cleanTerritories(territories) {
+    if (!Array.isArray(territories)) {
+        throw new UserError('territories must be a list of countries');
+    }
+    return [...new Set(territories.map(country => String(country).trim()).filter(Boolean))];
+}
+
+// Users with the name of their university (librarians)
+const USER_ROWS = `
+    SELECT u.*, un.name as university_name
+    FROM users u
+    LEFT JOIN universities un ON u.university_id = un.id
+`;
+
+function publicUser(row, territories) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name,
+        role: row.role,
+        active: !!row.active,
+        territories,
+        university: row.university_id ? { id: row.university_id, name: row.university_name } : null,
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at
+    };
+}
+
+async function territoriesOf(db, userId) {
+    const rows = await all(db, 'SELECT country FROM user_territories WHERE user_id = ? ORDER BY country', [userId]);
+    return rows.map(row => row.country);
+}
+
+async function setTerritories(db, userId, territories) {
+    await run(db, 'DELETE FROM user_territories WHERE user_id = ?', [userId]);
+    for (const country of territories) {
+        await run(db, 'INSERT INTO user_territories (user_id, country) VALUES (?, ?)', [userId, country]);
+    }
+}
+
+async function listUsers(db) {
+    const [users, territories] = await Promise.all([
+        all(db, `${USER_ROWS} ORDER BY u.username`),
+        all(db, 'SELECT user_id, country FROM user_territories ORDER BY country')
+    ]);
+    return users.map(user => publicUser(user, territories.filter(row => row.user_id === user.id).map(row => row.country)));
+}
+
+async function getUser(db, userId) {
+    const row = await get(db, `${USER_ROWS} WHERE u.id = ?`, [userId]);
+    return row ? publicUser(row, await territoriesOf(db, row.id)) : null;
+}
+
+// A librarian's university (its id); other roles have none
+async function universityFor(db, role, universityId) {
+    if (role !== 'librarian') return null;
+    if (universityId === undefined || universityId === null || universityId === '') {
+        throw new UserError('A librarian needs a universityId');
+    }
+    const university = await get(db, 'SELECT id FROM universities WHERE id = ?', [universityId]);
+    if (!university) {
+        throw new UserError(`No university with id ${universityId}`);
+    }
+    return university.id;
+}
+
+// A user without a password can only use API tokens
+async function createUser(db, { username, password = null, role, displayName = null, territories = [], universityId = null }) {
+    if (typeof username !== 'string' || !/^[\w.@-]{2,64}$/.test(username)) {
+        throw new UserError('username must be 2-64 letters, digits or . _ @ -');
+    }
+    validateRole(role);
+    if (password !== null) validatePassword(password);
+    const countries = cleanTerritories(territories);
+    const university = await universityFor(db, role, universityId);
+
+    const existing = await get(db, 'SELECT id FROM users WHERE username = ?', [username]);
+    if (existing) {
+        throw new UserError(`User ${username} already exists`, 409);
+    }
+
+    const passwordHash = password !== null ? await hashPassword(password) : null;
+    const userId = await transaction(db, async () => {
+        const result = await run(db, 'INSERT INTO users (username, display_name, password_hash, role, university_id) VALUES (?, ?, ?, ?, ?)',
+            [username, displayName, passwordHash, role, university]);
+        await setTerritories(db, result.lastID, countries);
+        return result.lastID;
+    });
+    return getUser(db, userId);
+}
+
+// Demoting, disabling or deleting the last active admin would lock everyone
+// out of user management
+async function ensureAnotherAdmin(db, userId) {
+    const row = await get(db, "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND active = 1 AND id != ?", [userId]);
+    if (row.count === 0) {
+        throw new UserError('At least one active admin must remain', 409);
+    }
+}
+
+// fields: role, displayName, active, password, territories, universityId. A
+// new password or disabling the user ends their sessions.
+async function updateUser(db, userId, fields) {
+    const user = await get(db, 'SELECT * FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        throw new UserError('User not found', 404);
+    }
+    if (fields.role !== undefined) validateRole(fields.role);
+    if (fields.password !== undefined) validatePassword(fields.password);
+    const territories = fields.territories !== undefined ? cleanTerritories(fields.territories) : null;
+
+    const active = fields.active !== undefined ? (fields.active ? 1 : 0) : user.active;
+    const role = fields.role !== undefined ? fields.role : user.role;
+    const university = await universityFor(db, role, fields.universityId !== undefined ? fields.universityId : user.university_id);
+    if (user.role === 'admin' && user.active && (role !== 'admin' || !active)) {
+        await ensureAnotherAdmin(db, user.id);
+    }
+    const passwordHash = fields.password !== undefined ? await hashPassword(fields.password) : user.password_hash;
+
+    await transaction(db, async () => {
+        await run(db, 'UPDATE users SET role = ?, display_name = ?, active = ?, password_hash = ?, university_id = ? WHERE id = ?', [
+            role,
+            fields.displayName !== undefined ? fields.displayName : user.display_name,
+            active,
+            passwordHash,
+            university,
+            user.id
+        ]);
+        if (territories) await setTerritories(db, user.id, territories);
+        if (fields.password !== undefined || !active) {
+            await run(db, 'DELETE FROM user_sessions WHERE user_id = ?', [user.id]);
+        }
+    });
+    return getUser(db, user.id);
+}
+
+async function deleteUser(db, userId) {
+    const user = await get(db, 'SELECT * FROM users WHERE id = ?', [userId]);
+    if (!user) return false;
+    if (user.role === 'admin' && user.active) {
+        await ensureAnotherAdmin(db, user.id);
+    }
+    await run(db, 'DELETE FROM users WHERE id = ?', [user.id]);
+    return true;
+}
+
+// A new session for the user, or null when the username or password is wrong:
+// { token, expiresAt, user }
+async function signIn(db, username, password) {
+    const user = await get(db, `${USER_ROWS} WHERE u.username = ? AND u.active = 1`, [String(username || '')]);
+    if (!user || !user.password_hash) {
+        unknownUserHash = unknownUserHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+        await verifyPassword(String(password || ''), unknownUserHash);
+        return null;
+    }
+    if (!(await verifyPassword(String(password || ''), user.password_hash))) {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { expires_at: expiresAt } = await get(db, "SELECT datetime('now', ?) as expires_at", [`+${sessionTtlHours()} hours`]);
+    await run(db, "DELETE FROM user_sessions WHERE expires_at < datetime('now')");
+    await run(db, 'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [user.id, hashToken(token), expiresAt]);
+    await run(db, 'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+    return { token, expiresAt, user: publicUser(user, await territoriesOf(db, user.id)) };
+}
+
+async function signOut(db, sessionId) {
+    await run(db, 'DELETE FROM user_sessions WHERE id = ?', [sessionId]);
+}
+
+// The universities a user may see: null for every university, else their ids
+async function userScope(db, user) {
+    if (user.role === 'librarian') return user.university ? [user.university.id] : [];
+    if (user.role !== 'sales') return null;
+    if (user.territories.length === 0) return [];
+
+    const rows = await all(db, `
+        SELECT id FROM universities WHERE LOWER(country) IN (${user.territories.map(() => '?').join(', ')})
+    `, user.territories.map(country => country.toLowerCase()));
+    return rows.map(row => row.id);
+}
+
+// The active user a session or API token belongs to, or null. Adds how they
+// signed in (via: session|token, credentialId) and their scope.
+async function authenticate(db, token) {
+    if (!token) return null;
+
+    const viaToken = token.startsWith(API_TOKEN_PREFIX);
+    const row = viaToken
+        ? await get(db, `
+            SELECT u.*, un.name as university_name, t.id as credential_id
+            FROM api_tokens t
+            JOIN users u ON t.user_id = u.id
+            LEFT JOIN universities un ON u.university_id = un.id
+            WHERE t.token_hash = ? AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > datetime('now'))
+              AND u.active = 1
+        `, [hashToken(token)])
+        : await get(db, `
+            SELECT u.*, un.name as university_name, s.id as credential_id
+            FROM user_sessions s
+            JOIN users u ON s.user_id = u.id
+            LEFT JOIN universities un ON u.university_id = un.id
+            WHERE s.token_hash = ? AND s.expires_at > datetime('now') AND u.active = 1
+        `, [hashToken(token)]);
+    if (!row) return null;
+
+    await run(db, viaToken
+        ? 'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?'
+        : 'UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [row.credential_id]);
+
+    const user = publicUser(row, await territoriesOf(db, row.id));
+    return { ...user, via: viaToken ? 'token' : 'session', credentialId: row.credential_id, scope: await userScope(db, user) };
+}
+
+// The token is returned once; only its hash is kept
+async function createApiToken(db, userId, { name, expiresInDays } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new UserError('name is required');
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const days = parseInt(expiresInDays, 10);
+    const expiresAt = days > 0
+        ? (await get(db, "SELECT datetime('now', ?) as expires_at", [`+${days} days`])).expires_at
+        : null;
+    const result = await run(db, 'INSERT INTO api_tokens (user_id, name, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, name.trim(), hashToken(token), expiresAt]);
+    return { id: result.lastID, name: name.trim(), token, expiresAt };
+}
+
+async function listApiTokens(db, userId) {
+    return all(db, `
+        SELECT id, name, created_at, last_used_at, expires_at, revoked_at
+        FROM api_tokens WHERE user_id = ? ORDER BY id DESC
+    `, [userId]);
+}
+
+async function revokeApiToken(db, userId, tokenId) {
+    const result = await run(db, `
+        UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `, [tokenId, userId]);
+    return result.changes > 0;
+}
+
+// With no users yet, ADMIN_USERNAME and ADMIN_PASSWORD create the first admin.
+// Returns the new admin, or null when none was created.
+async function ensureFirstAdmin(db, env = process.env) {
+    const { count } = await get(db, 'SELECT COUNT(*) as count FROM users');
+    if (count > 0 || !env.ADMIN_USERNAME || !env.ADMIN_PASSWORD) return null;
+    return createUser(db, { username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD, role: 'admin', displayName: 'Administrator' });
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const { migrateUp } = require('./migrate');
+    const [command = 'list', username, ...rest] = process.argv.slice(2);
+    const db = new sqlite3.Database(databasePath());
+
+    const password = () => {
+        if (process.env.USER_PASSWORD) return { password: process.env.USER_PASSWORD, generated: false };
+        return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+    };
+    const findUser = async () => {
+        const user = await get(db, 'SELECT id FROM users WHERE username = ?', [username || '']);
+        if (!user) throw new UserError(`No user ${username}`);
+        return user.id;
+    };
+    const announce = (generated, value) => {
+        if (generated) console.log(`🔑 Password: ${value}`);
+    };
+
+    const commands = {
+        list: async () => (await listUsers(db)).forEach(user => {
+            const territories = user.territories.length > 0 ? ` [${user.territories.join(', ')}]` : '';
+            const university = user.university ? ` (${user.university.name})` : '';
+            console.log(`${user.username.padEnd(24)} ${user.role.padEnd(10)} ${user.active ? 'active' : 'disabled'}${territories}${university}`);
+        }),
+        add: async () => {
+            const [role, ...territories] = rest;
+            // A librarian's arguments name their university instead
+            let universityId = null;
+            if (role === 'librarian') {
+                const match = await resolveUniversity(db, territories.join(' '));
+                if (!match || match.ambiguous) throw new UserError(`No single university matches "${territories.join(' ')}"`);
+                universityId = match.id;
+            }
+            const { password: value, generated } = password();
+            const user = await createUser(db, { username, password: value, role, territories: role === 'librarian' ? [] : territories, universityId });
+            console.log(`✅ Added ${user.username} (${user.role})`);
+            announce(generated, value);
+        },
+        passwd: async () => {
+            const { password: value, generated } = password();
+            await updateUser(db, await findUser(), { password: value });
+            console.log(`✅ Password changed for ${username}`);
+            announce(generated, value);
+        },
+        disable: async () => {
+            await updateUser(db, await findUser(), { active: false });
+            console.log(`✅ Disabled ${username}`);
+        },
+        enable: async () => {
+            await updateUser(db, await findUser(), { active: true });
+            console.log(`✅ Enabled ${username}`);
+        },
+        token: async () => {
+            const token = await createApiToken(db, await findUser(), { name: rest.join(' ') });
+            console.log(`✅ API token "${token.name}" for ${username}: ${token.token}`);
+        }
+    };
+
+    if (!commands[command]) {
+        console.error(`Usage: npm run users -- [${Object.keys(commands).join('|')}] ...`);
+        process.exit(1);
+    }
+
+    migrateUp(db)
+        .then(() => commands[command]())
+        .catch(error => {
+            console.error('❌', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+}
+
+module.exports = {
+    ROLES,
+    sessionTtlHours,
+    UserError,
+    hashPassword,
+    verifyPassword,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    signIn,
+    signOut,
+    authenticate,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    ensureFirstAdmin
+};